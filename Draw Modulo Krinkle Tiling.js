@@ -6,12 +6,25 @@
  */
 //@include './Lib/MK.js'
 //@include './Lib/MK_Drawing.js'
+//@include './Lib/MK_JSON.js'
+//@include './Lib/MK_Styles.js'
+//@include './Lib/MK_Fields.js'
+//@include './Lib/MK_Presets.js'
 //@include './Lib/MK_UI.js'
 (function () {
 
     var settings = {
         krinkleParams: { m: 2, k: 5, t: 2, offset: false, unitLength: 10, layerCount: 5 },
-        drawType: 1,
+        drawType: MKDrawType.SYMBOL,
+        // the rotation (degrees), scale and mirroring of the tiling
+        transform: { rotation: 0, scale: 1, mirror: false },
+        // whether to fill the artboard, or the selected path, with tiles
+        fitToRegion: false,
+        regionMode: MKRegionMode.CLIP,
+        // the style rules file, for drawing with style rules, see MK_Styles.js
+        styleRulesFile: undefined,
+        // the field, and its hues, for drawing with field colors, see MK_Fields.js
+        fieldColors: { field: MKField.DISTANCE, useSwatches: false, startHue: 0, endHue: 360 },
     };
 
     var doc = app.activeDocument;
@@ -26,39 +39,138 @@
     // this will be the center of the tiling
     var center = getCenterOfActiveArtboard(doc);
 
+    // the presets are saved next to this script
+    var presets = loadPresets(File(File($.fileName).parent + '/Modulo Krinkle Presets.json'));
+
+    // start with the last used preset
+    var lastUsed = presets && presets.get(presets.lastUsed);
+
+    if (lastUsed) {
+        settings.krinkleParams = lastUsed.krinkleParams;
+        settings.drawType = lastUsed.drawType;
+
+        if (lastUsed.styleRulesFile)
+            settings.styleRulesFile = lastUsed.styleRulesFile;
+
+        if (lastUsed.fieldColors)
+            settings.fieldColors = lastUsed.fieldColors;
+    }
+
     // show UI
-    var result = MK_UI(settings);
+    var result = MK_UI(settings, presets);
 
     if (2 === result)
         // user cancelled
         return;
 
     // instantiate the krinkle
-    var p = settings.krinkleParams;
+    var validation = ModuloKrinkle.validateParams(settings.krinkleParams);
+
+    if (!validation.valid)
+        return alert('Could not make the Modulo Krinkle with current settings.\n' + validation.errors[0].message);
+
+    var p = validation.params;
     var krinkle = new ModuloKrinkle(p.m, p.k, p.t, p.offset, p.unitLength, p.layerCount);
 
-    if (!krinkle)
-        return alert('Could not make the Modulo Krinkle with current settings.');
+    // position the tiling on the artboard
+    var transform = new MKTransform({
+        translation: center,
+        rotation: settings.transform.rotation,
+        scale: settings.transform.scale,
+        mirror: settings.transform.mirror,
+    });
+
+    if (settings.fitToRegion)
+        krinkle.fitToRegion(getRegion(doc), settings.regionMode, transform);
 
     // draw the krinkle
     switch (settings.drawType) {
 
-        case 0: // plain tile drawing
-            krinkle.draw(layer, center);
+        case MKDrawType.PATHS: // plain tile drawing
+            krinkle.draw(layer, transform);
             break;
 
-        case 1: // make and use the same symbol for every tile
-            krinkle.draw(layer, center, drawBySymbol(doc, undefined, false));
+        case MKDrawType.SYMBOL: // make and use the same symbol for every tile
+            krinkle.draw(layer, transform, drawBySymbol(doc, undefined, false));
             break;
 
-        case 2: // make and use symbols for the different tile types
-            krinkle.draw(layer, center, drawBySymbol(doc, undefined, true));
+        case MKDrawType.SYMBOLS: // make and use symbols for the different tile types
+            krinkle.draw(layer, transform, drawBySymbol(doc, undefined, true));
+            break;
+
+        case MKDrawType.GRAPH_COLORS: // color the tiles so that neighbouring tiles never match
+            krinkle.draw(layer, transform, drawWithGraphColors([
+                makeColor([255, 215, 0]),
+                makeColor([255, 255, 153]),
+                makeColor([50, 178, 178]),
+                makeColor([230, 90, 60]),
+                makeColor([120, 80, 160]),
+            ]));
+            break;
+
+        case MKDrawType.STYLE_RULES: // style the tiles with the rules in the style rules file
+            try {
+                var rules = readStyleRulesFile(File(settings.styleRulesFile));
+            }
+
+            catch (error) {
+                return alert('Could not read the style rules.\n' + error.message);
+            }
+
+            krinkle.draw(layer, transform, drawWithStyleRules(doc, rules));
+            break;
+
+        case MKDrawType.FIELD_COLORS: // color the tiles by a field
+            var fieldOptions = {};
+
+            if (settings.fieldColors.useSwatches) {
+
+                fieldOptions.gradient = doc.swatches.getSelected();
+
+                if (fieldOptions.gradient.length < 2)
+                    return alert('Please select two or more swatches, for the gradient, and try again.');
+
+            }
+
+            else
+                fieldOptions.hues = { startHue: settings.fieldColors.startHue, endHue: settings.fieldColors.endHue };
+
+            try {
+                krinkle.draw(layer, transform, drawWithFieldColors(settings.fieldColors.field, fieldOptions));
+            }
+
+            catch (error) {
+                return alert('Could not draw with field colors.\n' + error.message);
+            }
+
             break;
 
+        default:
+            return alert('Could not draw the tiling: unknown draw type "' + settings.drawType + '".');
+
     }
 
 })();
 
+/**
+ * Returns the presets stored in `file`, or undefined
+ * if the file can't be loaded, so that a damaged file
+ * is left alone, rather than overwritten.
+ * @param {File} file - the presets file.
+ * @returns {MKPresets|undefined}
+ */
+function loadPresets(file) {
+
+    try {
+        return new MKPresets(file);
+    }
+
+    catch (error) {
+        alert('Could not load the presets from "' + file.fsName + '".\n' + error.message);
+    }
+
+};
+
 /**
  * Returns the center [x,y] of the active artboard of `doc`.
  * @param {Document} doc - an Illustrator Document.
@@ -73,4 +185,33 @@ function getCenterOfActiveArtboard(doc) {
         ab[1] + (ab[3] - ab[1]) / 2
     ];
 
+};
+
+/**
+ * Returns the region to fill with tiles: the selected
+ * path's anchor points, if a path is selected, otherwise
+ * the bounds of the active artboard.
+ * Note: curved segments of the path are treated as straight.
+ * @param {Document} doc - an Illustrator Document.
+ * @returns {Array<point>|bounds}
+ */
+function getRegion(doc) {
+
+    if (
+        1 === doc.selection.length
+        && 'PathItem' === doc.selection[0].typename
+        && doc.selection[0].pathPoints.length > 2
+    ) {
+
+        var points = [];
+
+        for (var i = 0; i < doc.selection[0].pathPoints.length; i++)
+            points.push(doc.selection[0].pathPoints[i].anchor);
+
+        return points;
+
+    }
+
+    return doc.artboards[doc.artboards.getActiveArtboardIndex()].artboardRect;
+
 };
\ No newline at end of file
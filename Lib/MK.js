@@ -24,6 +24,14 @@
  *
  *      krinkle.draw(layer, [0,0]);
  *
+ * 3. To make a huge tiling lazily, and visit its tiles one at a time:
+ *
+ *      var krinkle = new ModuloKrinkle(2, 5, 2, false, 10, 1000, true);
+ *
+ *      krinkle.forEachTile(function (tile) {
+ *          // write tile.points somewhere
+ *      });
+ *
  * Note: the drawing function can be extended in various ways. See MK_Drawing.js.
  *
  * @author m1b
@@ -35,34 +43,24 @@
  * @param {Boolean} [offset] - whether the tiling is offset (default: false).
  * @param {Number} [unitLength] - the length of the unit vector, in points, for each direction (default: 10).
  * @param {Number} [layerCount] - the number of levels to draw, out from the center (default: 3).
+ * @param {Boolean} [lazy] - whether to make the tiles only when visited, see `forEachTile` (default: false).
+ * Throws an error when a parameter is bad; see `ModuloKrinkle.validateParams` to check them first.
  */
-function ModuloKrinkle(m, k, t, offset, unitLength, layerCount) {
-
-    this.m = m || 3;
-    this.k = k || 7;
-    this.t = t || 2;
-    this.offset = (true === offset);
-    this.unitLength = unitLength || 10;
-    this.layerCount = layerCount || 3;
+function ModuloKrinkle(m, k, t, offset, unitLength, layerCount, lazy) {
 
-    if (m < 1)
-        throw new Error('Krinkle: bad `m` supplied. Must be greater than zero.');
+    // the defaults are applied, and m and k reduced, by validateParams
+    var validation = ModuloKrinkle.validateParams({ m: m, k: k, t: t, offset: offset, unitLength: unitLength, layerCount: layerCount, lazy: lazy });
 
-    if (m > k)
-        throw new Error('Krinkle: `m` is greater than `k`.');
+    if (!validation.valid)
+        throw new Error('Krinkle: ' + validation.errors[0].message);
 
-    if (k < 1)
-        throw new Error('Krinkle: bad `k` supplied. Must be greater than zero.');
-
-    if (t < 2)
-        throw new Error('Krinkle: bad `t` supplied. Must be greater than two.');
-
-    // we adjust m and k if gcd > 1
-    var gcd = greatestCommonDivisor(this.m, this.k);
-    if (gcd > 1) {
-        this.m /= gcd;
-        this.k /= gcd;
-    }
+    this.m = validation.params.m;
+    this.k = validation.params.k;
+    this.t = validation.params.t;
+    this.offset = validation.params.offset;
+    this.unitLength = validation.params.unitLength;
+    this.layerCount = validation.params.layerCount;
+    this.lazy = validation.params.lazy;
 
     // for convenience
     m = this.m;
@@ -98,7 +96,38 @@ function ModuloKrinkle(m, k, t, offset, unitLength, layerCount) {
         this.unitVectors.push([Math.cos(angleOffset), Math.sin(angleOffset)]);
     }
 
+    // every tile is this prototile, rotated to its direction and
+    // translated into place, so we only calculate its shape once
+    this.prototile = getPrototilePoints(this);
+
+    // every wedge is made of the same rows of tiles, so we calculate
+    // the steps between tiles, in the prototile's own direction, once
+    for (var i = 0, tx = 0, ty = 0; i <= k + 1; i++) {
+
+        var vec = this.unitVectors[this.directions[i]];
+
+        if (i > k)
+            // reverse direction for upper half
+            vec = [vec[0] * -1, vec[1] * -1];
+
+        tx += vec[0];
+        ty += vec[1];
+
+        if (i === k - 1) {
+            // translates the first tile in a layer to the first tile in the next higher layer
+            this.layerStep = [tx * this.unitLength, ty * this.unitLength];
+            tx = 0;
+            ty = 0
+        }
+
+        else if (i === k + 1)
+            // translates a tile to the next tile in the same layer
+            this.tileStep = [tx * this.unitLength, ty * this.unitLength];
+
+    }
+
     this.wedges = [];
+    this.wedgeTranslations = [];
     this.frontBoundary = [];
 
     /* ------------------------------- *
@@ -132,13 +161,21 @@ function ModuloKrinkle(m, k, t, offset, unitLength, layerCount) {
 
         }
 
+        this.wedgeTranslations.push([tx, ty]);
+
+        if (this.lazy) {
+            // just the wedge's upper boundary, without its tiles
+            Array.prototype.push.apply(this.frontBoundary, getWedgeUpperBoundary(this, wedgeDirection, [tx, ty]));
+            continue;
+        }
+
         var wedge = new MKWedge(this, wedgeDirection, [tx, ty]);
         this.wedges.push(wedge);
         wedge.wedgeIndex = this.wedges.length - 1;
         wedge.sectorIndex = 0;
 
         // add the new wedge's upperBoundary
-        this.frontBoundary = this.frontBoundary.concat(wedge.upperBoundary);
+        Array.prototype.push.apply(this.frontBoundary, wedge.upperBoundary);
 
     }
 
@@ -146,21 +183,49 @@ function ModuloKrinkle(m, k, t, offset, unitLength, layerCount) {
      *  Rotate foundation sector to complete tiling        *
      * --------------------------------------------------- */
     var rotation = this.offset ? Math.PI : (2 * Math.PI) / t;
-    var center = [0, 0];
+
+    // the same rotation, as a number of directions
+    this.sectorDirectionStep = this.offset ? n / 2 : k;
+
+    // when offset, we rotate around the point midway between the base points
+    this.sectorCenter = this.offset
+        ? [(this.prototile[1][0] - this.prototile[0][0]) / 2, (this.prototile[0][1] + this.prototile[1][1]) / 2]
+        : [0, 0];
+
+    // the rotation [cos, sin] of each sector
+    this.sectorRotations = [];
+
+    for (var r = 0; r < t; r++)
+        this.sectorRotations.push([Math.cos(r * rotation), Math.sin(r * rotation)]);
+
+    if (this.lazy)
+        // the tiles are made when visited
+        return;
+
     var wedgesCount = this.wedges.length;
 
-    for (var r = 1; r < t; r++) {
+    // add the indices to the source tiles
+    for (var w = 0; w < wedgesCount; w++) {
+
+        for (var i = 0; i < this.wedges[w].layers.length; i++) {
 
-        if (this.offset) {
+            for (var j = 0; j < this.wedges[w].layers[i].length; j++) {
 
-            // when offset, we rotate around the point midway between the base points
-            var p0 = this.wedges[0].layers[0][0].points[0];
-            var p1 = this.wedges[0].layers[0][0].points[1];
+                var sourceTile = this.wedges[w].layers[i][j];
 
-            center = [(p1[0] - p0[0]) / 2, (p0[1] + p1[1]) / 2];
+                sourceTile.wedgeIndex = w;
+                sourceTile.sectorIndex = 0;
+                sourceTile.layerIndex = i;
+                sourceTile.tileIndex = j;
+
+            }
 
         }
 
+    }
+
+    for (var r = 1; r < t; r++) {
+
         for (var w = 0; w < wedgesCount; w++) {
 
             var sourceWedge = this.wedges[w];
@@ -186,27 +251,8 @@ function ModuloKrinkle(m, k, t, offset, unitLength, layerCount) {
                 mkTilesLoop:
                 for (var j = 0; j < sourceWedge.layers[i].length; j++) {
 
-                    // while we're here, add the indices to the source tile
-                    sourceWedge.layers[i][j].wedgeIndex = w;
-                    sourceWedge.layers[i][j].sectorIndex = 0;
-                    sourceWedge.layers[i][j].layerIndex = i;
-
                     // make a fake tile with just what we need (no need for a proper MKTile)
-                    var dupTile = {
-                        parent: dupWedge,
-                        points: [],
-                        wedgeIndex: (wedgesCount * r) + w,
-                        sectorIndex: r,
-                        layerIndex: i,
-                        draw: sourceWedge.layers[i][j].draw,
-                        tileType: sourceWedge.layers[i][j].tileType,
-                        toString: MKTile.prototype.toString,
-                    };
-                    layer.push(dupTile);
-
-                    pointsLoop:
-                    for (var p = 0; p < sourceWedge.layers[i][j].points.length; p++)
-                        dupTile.points.push(rotateAroundOrigin(sourceWedge.layers[i][j].points[p], r * rotation, center));
+                    layer.push(getRotatedTile(sourceWedge.layers[i][j], dupWedge, r));
 
                 }
 
@@ -219,430 +265,2475 @@ function ModuloKrinkle(m, k, t, offset, unitLength, layerCount) {
 };
 
 /**
- * String representation of the MKTile.
- * @returns {String}
+ * The parameters used by the ModuloKrinkle constructor
+ * when they are not supplied.
  */
-ModuloKrinkle.prototype.toString = function mkTileToString() {
-
-    return 'MK-' + this.m + '-' + this.k + '-' + this.n;
-
+ModuloKrinkle.DEFAULT_PARAMS = {
+    m: 3,
+    k: 7,
+    t: 2,
+    offset: false,
+    unitLength: 10,
+    layerCount: 3,
+    lazy: false,
 };
 
 /**
- * Draws the Modulo Krinkle tiling.
- * Note: the return value may depend on the drawFunction.
- * @author m1b
- * @version 2025-07-12
- * @param {Document|Layer|Group} container - the container for the tiles.
- * @param {point} [center] - the center of the tiling (default: [0,0]).
- * @param {Function} [drawFunction] - a custom draw function (default: none).
- * @returns {Array<PathItem>|*}
+ * Checks the parameters of a ModuloKrinkle, before making it.
+ * Missing parameters (undefined or null) get the defaults
+ * in `ModuloKrinkle.DEFAULT_PARAMS`; bad ones are errors.
+ * Each error and warning has a `code` (see MKParamCode),
+ * the `param` it is about, and a human readable `message`.
+ *
+ * The returned `params` are normalised, as the constructor
+ * will use them: with the defaults, and with m and k reduced
+ * by their greatest common divisor. When there are errors,
+ * the bad parameters are returned as supplied.
+ *
+ * Example usage:
+ *
+ *      var validation = ModuloKrinkle.validateParams({ m: 4, k: 10, t: 2 });
+ *
+ *      if (!validation.valid)
+ *          return alert(validation.errors[0].message);
+ *
+ *      // validation.warnings[0].code is MKParamCode.REDUCED_BY_GCD
+ *      var p = validation.params;
+ *      var krinkle = new ModuloKrinkle(p.m, p.k, p.t, p.offset, p.unitLength, p.layerCount);
+ *
+ * @version 2026-10-19
+ * @param {Object} [params] - the parameters { m, k, t, offset, unitLength, layerCount, lazy }, see the ModuloKrinkle constructor.
+ * @returns {Object} - { valid, params, errors, warnings }.
  */
-ModuloKrinkle.prototype.draw = function drawKrinkle(container, center, drawFunction) {
+ModuloKrinkle.validateParams = function validateKrinkleParams(params) {
 
-    var self = this;
+    params = params || {};
 
-    center = center || [0, 0];
-    container = container || app.activeDocument.activeLayer;
+    var defaults = ModuloKrinkle.DEFAULT_PARAMS,
+        errors = [],
+        warnings = [],
+        p = {};
 
-    if (container.hasOwnProperty('pathItems')) {
+    for (var key in defaults)
+        p[key] = undefined == params[key] ? defaults[key] : params[key];
 
-        if (
-            container.hasOwnProperty('locked')
-            && container.locked
-        )
-            throw new Error('ModuloKrinkle.prototype.draw: `container` is locked.');
+    p.offset = (true === p.offset);
+    p.lazy = (true === p.lazy);
+
+    function add(list, code, param, message) {
+        list.push({ code: code, param: param, message: message });
+    };
+
+    var mIsGood = isWholeNumber(p.m, 1),
+        kIsGood = isWholeNumber(p.k, 2);
+
+    if (!mIsGood)
+        add(errors, MKParamCode.BAD_M, 'm', '`m` must be a whole number of 1 or more, but is ' + p.m + '.');
+
+    if (!kIsGood)
+        add(errors, MKParamCode.BAD_K, 'k', '`k` must be a whole number of 2 or more, but is ' + p.k + '.');
+
+    if (
+        mIsGood
+        && kIsGood
+        && p.m >= p.k
+    )
+        add(errors, MKParamCode.M_NOT_LESS_THAN_K, 'm', '`m` must be less than `k`, but ' + p.m + ' is not less than ' + p.k + '.');
+
+    if (!isWholeNumber(p.t, 2))
+        add(errors, MKParamCode.BAD_T, 't', '`t` must be a whole number of 2 or more, but is ' + p.t + '.');
+
+    if (!('number' === typeof p.unitLength && isFinite(p.unitLength) && p.unitLength > 0))
+        add(errors, MKParamCode.BAD_UNIT_LENGTH, 'unitLength', '`unitLength` must be a number greater than 0, but is ' + p.unitLength + '.');
+
+    if (!isWholeNumber(p.layerCount, 1))
+        add(errors, MKParamCode.BAD_LAYER_COUNT, 'layerCount', '`layerCount` must be a whole number of 1 or more, but is ' + p.layerCount + '.');
+
+    if (0 === errors.length) {
+
+        var gcd = greatestCommonDivisor(p.m, p.k);
+
+        if (gcd > 1) {
+            add(warnings, MKParamCode.REDUCED_BY_GCD, 'm', '`m` and `k` have the common divisor ' + gcd + ', so ' + p.m + ', ' + p.k + ' is reduced to ' + (p.m / gcd) + ', ' + (p.k / gcd) + '.');
+            p.m /= gcd;
+            p.k /= gcd;
+        }
 
         if (
-            container.hasOwnProperty('visible')
-            && !container.visible
+            p.offset
+            && p.t > 2
         )
-            throw new Error('ModuloKrinkle.prototype.draw: `container` is hidden.');
+            add(warnings, MKParamCode.OFFSET_OVERLAPS, 't', 'Offset tilings with `t` greater than 2 have overlapping sectors, so t = ' + p.t + ' will not tile the plane.');
 
     }
 
-    var tiles = [];
+    return {
+        valid: 0 === errors.length,
+        params: p,
+        errors: errors,
+        warnings: warnings,
+    };
 
-    /* -------------- *
-     *  Draw wedges   *
-     * -------------- */
-    for (var i = 0; i < self.wedges.length; i++) {
-        self.wedges[i].draw(container, center, drawFunction);
-        tiles = tiles.concat(self.wedges[i].tiles);
-    }
+};
 
-    return tiles;
+/**
+ * String representation of the MKTile.
+ * @returns {String}
+ */
+ModuloKrinkle.prototype.toString = function mkTileToString() {
+
+    return 'MK-' + this.m + '-' + this.k + '-' + this.n;
 
 };
 
 /**
- * Draws the tile as an Illustrator PathItem.
- * @author m1b
- * @version 2025-07-12
- * @this {MKTile} - the tile to draw.
- * @param {Document|Layer|Group} [container] - the container for the tiles.
- * @param {point} [center] - the center of the tiling being drawn.
- * @returns {PathItem} - the drawn item.
+ * Returns the bounds of all the tiles' points.
+ * @version 2026-10-19
+ * @returns {bounds} - [L, T, R, B], where T > B as in Illustrator.
  */
-ModuloKrinkle.drawBasicTile = function (container, center) {
+ModuloKrinkle.prototype.getBounds = function getKrinkleBounds() {
 
-    // get translated points
-    var points = getTranslatedPoints(this.points, center);
+    var bounds = [Infinity, -Infinity, -Infinity, Infinity];
 
-    // draw path in Illustrator
-    var path = container.pathItems.add();
-    path.name = this.toString(true);
-    path.setEntirePath(points);
-    path.closed = true;
-    path.stroked = true;
-    path.strokeWidth = 1;
-    path.filled = false;
+    this.forEachTile(function (tile) {
+        expandBounds(bounds, tile.points);
+    });
 
-    return path;
+    return bounds;
 
 };
 
 /**
- * Rotates point `p` by `angle` radians, around point `origin`.
- * @author m1b
- * @version 2025-07-09
- * @param {point} p - the point [x,y] to rotate.
- * @param {Number} angle - the angle of rotation, in radians.
- * @param {point} origin - the fulcrum point [x,y].
- * @returns {point}
+ * Returns all the krinkle's tiles, in wedge, layer and tile order.
+ * Note: for a lazy krinkle, this makes every tile at once.
+ * @param {Object} [filter] - which tiles to return, see `forEachTile` (default: all of them).
+ * @returns {Array<MKTile>}
  */
-function rotateAroundOrigin(p, angle, origin) {
+ModuloKrinkle.prototype.getTiles = function getKrinkleTiles(filter) {
 
-    if (0 === angle)
-        return p;
+    var tiles = [];
 
-    var x = p[0] - origin[0];
-    var y = p[1] - origin[1];
+    this.forEachTile(function (tile) {
+        tiles.push(tile);
+    }, filter);
 
-    var cos = Math.cos(angle);
-    var sin = Math.sin(angle);
+    return tiles;
 
-    var xr = x * cos - y * sin;
-    var yr = x * sin + y * cos;
+};
 
-    return [xr + origin[0], yr + origin[1]];
+/**
+ * Calls `callback` for each of the krinkle's tiles, in wedge,
+ * layer and tile order. Each tile has its points and its
+ * sectorIndex, wedgeIndex, layerIndex and tileIndex.
+ * Return false from `callback` to stop early.
+ *
+ * The tiles of a lazy krinkle are made as they are visited,
+ * and aren't kept, so huge tilings can be written out
+ * one tile at a time without holding them all in memory.
+ *
+ * Example: the outer layers of the tiling's first sector
+ *
+ *      krinkle.forEachTile(function (tile) {
+ *          // do something with tile.points
+ *      }, { sectorIndex: 0, layerRange: [5, 9] });
+ *
+ * @version 2026-10-19
+ * @param {Function} callback - function(tile, index), called with the krinkle as `this`.
+ * @param {Object} [filter] - which tiles to visit (default: all of them).
+ * @param {Number|Array<Number>} [filter.sectorIndex] - only the tiles in this sector, or these sectors.
+ * @param {Number|Array<Number>} [filter.wedgeIndex] - only the tiles in this wedge, or these wedges.
+ * @param {Array<Number>} [filter.layerRange] - only the tiles in these layers [min, max], inclusive.
+ * @param {MKTileType|Array<MKTileType>} [filter.tileType] - only the tiles of this type, or these types.
+ * @param {bounds} [filter.bounds] - only the tiles that touch these bounds [L, T, R, B].
+ * @returns {Number} - the number of tiles visited.
+ */
+ModuloKrinkle.prototype.forEachTile = function forEachTile(callback, filter) {
+
+    var tiles = this.getTileIterator(filter),
+        index = 0,
+        tile;
+
+    while (tile = tiles.next()) {
+
+        if (false === callback.call(this, tile, index++))
+            break;
+
+    }
+
+    return index;
 
 };
 
 /**
- * Returns the sum of two vectors.
- * @param {vector} a - a vector [x,y].
- * @param {vector} b - a vector [x,y].
- * @returns {vector} - [x,y]
+ * Returns an iterator over the krinkle's tiles, for visiting
+ * them one at a time, at the caller's own pace.
+ *
+ * Example:
+ *
+ *      var tiles = krinkle.getTileIterator({ tileType: MKTileType.CENTER }),
+ *          tile;
+ *
+ *      while (tile = tiles.next()) {
+ *          // do something with tile
+ *      }
+ *
+ * @version 2026-10-19
+ * @param {Object} [filter] - which tiles to visit, see `forEachTile` (default: all of them).
+ * @returns {MKTileIterator}
  */
-function addVector(a, b) {
+ModuloKrinkle.prototype.getTileIterator = function getTileIterator(filter) {
 
-    return [
-        a[0] + b[0],
-        a[1] + b[1],
-    ];
+    return new MKTileIterator(this, filter);
 
 };
 
 /**
- * A wedge of MKTiles, organised in layers, from a single
- * central tile in layer 0, two tiles in layer 1, three
- * in layer 2, etc.
- * @author m1b
- * @version 2025-07-09
- * @constructor
- * @param {ModuloKrinkle} krinkle - the parent Kringle.
- * @param {Number} direction - the direction index of the wedge (0..n).
- * @param {vector} translation - the translation offset of the wedge, in pts (default: [0,0])
+ * Returns every distinct edge of the tiling. Each edge lists
+ * the tiles that use it: an interior edge is used by two
+ * tiles, which traverse it in opposite directions, and an
+ * edge on the outside of the tiling is used by one tile.
+ *
+ * Each edge has:
+ *   start, end - the edge's points [x,y], in the direction the first tile traverses it.
+ *   startKey, endKey - the point keys of start and end (see `getPointKey`).
+ *   uses - array of { tile, edgeIndex, reversed }, where `edgeIndex` is the
+ *          index of the edge's first point in the tile's points, and `reversed`
+ *          is true when the tile traverses the edge from `end` to `start`.
+ *
+ * @version 2026-10-19
+ * @param {Array<MKTile>} [tiles] - the tiles (default: all the krinkle's tiles).
+ * @param {Number} [tolerance] - the distance, in pts, under which points are considered equal (default: unitLength / 10000).
+ * @returns {Array<Object>}
  */
-function MKWedge(krinkle, direction, translation) {
+ModuloKrinkle.prototype.getEdges = function getKrinkleEdges(tiles, tolerance) {
 
-    translation = translation || [0, 0];
+    tiles = tiles || this.getTiles();
+    tolerance = tolerance || this.unitLength / 10000;
 
-    this.parent = krinkle;
-    this.direction = direction;
+    var edges = [],
+        edgesByKey = {};
 
-    // for convenience
-    var k = this.parent.k,
-        directions = this.parent.directions,
-        unitVectors = this.parent.unitVectors,
-        unitLength = this.parent.unitLength;
+    for (var i = 0; i < tiles.length; i++) {
 
-    // translate the first tile in a layer to the first tile in the next higher layer
-    var translateToNextLayer;
+        var points = tiles[i].points;
 
-    // translate from the first tile in a layer to the next tile in the same layer
-    var translateToNextTile;
+        for (var p = 0; p < points.length; p++) {
 
-    for (var i = 0, tx = 0, ty = 0; i <= k + 1; i++) {
+            var start = points[p],
+                end = points[(p + 1) % points.length],
+                startKey = getPointKey(start, tolerance),
+                endKey = getPointKey(end, tolerance),
+                key = startKey < endKey ? startKey + '|' + endKey : endKey + '|' + startKey,
+                edge = edgesByKey[key];
 
-        var vec = unitVectors[directions[i]];
+            if (!edge) {
 
-        if (i > k)
-            // reverse direction for upper half
-            vec = [vec[0] * -1, vec[1] * -1];
+                edge = edgesByKey[key] = {
+                    start: start,
+                    end: end,
+                    startKey: startKey,
+                    endKey: endKey,
+                    uses: [],
+                };
 
-        tx += vec[0];
-        ty += vec[1];
+                edges.push(edge);
 
-        if (i === k - 1) {
-            translateToNextLayer = [tx, ty];
-            tx = 0;
-            ty = 0
-        }
+            }
 
-        else if (i === k + 1)
-            translateToNextTile = [tx, ty];
+            edge.uses.push({
+                tile: tiles[i],
+                edgeIndex: p,
+                reversed: edge.startKey !== startKey,
+            });
+
+        }
 
     }
 
-    // scale translation to correct size
-    translateToNextLayer[0] *= unitLength;
-    translateToNextLayer[1] *= unitLength;
-    translateToNextTile[0] *= unitLength;
-    translateToNextTile[1] *= unitLength;
+    return edges;
 
-    // the mkTile objects
-    this.layers = [];
+};
 
-    // the illustrator path items
-    this.tiles = [];
+/**
+ * Returns the graph of tiles that share an edge.
+ *
+ * The graph has:
+ *   nodes - one per tile, each { key, tile, neighbours }, where `key` is
+ *           the tile's key, eg. "S0-W1-L2-T0" (see `getTileKey`), and
+ *           `neighbours` is an array of the indices of neighbouring nodes.
+ *   links - one per pair of neighbouring tiles, each { source, target, segments },
+ *           where `source` and `target` are node indices (source < target), and
+ *           `segments` is an array of the shared unit edges, each { start, end,
+ *           sourceEdgeIndex, targetEdgeIndex }, as traversed by the source tile.
+ *   nodesByKey - the node indices, by tile key.
+ *
+ * Example: find the neighbours of a tile
+ *
+ *      var graph = krinkle.getAdjacencyGraph();
+ *      var node = graph.nodes[graph.nodesByKey['S0-W0-L0-T0']];
+ *
+ *      for (var i = 0; i < node.neighbours.length; i++)
+ *          $.writeln(graph.nodes[node.neighbours[i]].key);
+ *
+ * @version 2026-10-19
+ * @param {Number} [tolerance] - the distance, in pts, under which points are considered equal (default: unitLength / 10000).
+ * @returns {Object} - { nodes, links, nodesByKey }.
+ */
+ModuloKrinkle.prototype.getAdjacencyGraph = function getAdjacencyGraph(tolerance) {
 
-    // layer 0: the base mkTile
-    var layer = [];
-    this.layers.push(layer);
-    var mkTile = new MKTile(this, [0, 0], direction, translation, MKTileType.BASE);
-    layer.push(mkTile);
+    var tiles = this.getTiles(),
+        edges = this.getEdges(tiles, tolerance),
+        graph = { nodes: [], links: [], nodesByKey: {} },
+        linksByNodes = {};
 
-    var tx = 0;
-    var ty = 0;
+    for (var i = 0; i < tiles.length; i++) {
 
-    for (var i = 0; i < krinkle.layerCount - 1; i++) {
+        var key = getTileKey(tiles[i]);
+        graph.nodes.push({ key: key, tile: tiles[i], neighbours: [] });
+        graph.nodesByKey[key] = i;
 
-        layer = [];
-        this.layers.push(layer);
+    }
 
-        // the first mkTile in the layer
-        tx += translateToNextLayer[0];
-        ty += translateToNextLayer[1];
+    for (var i = 0; i < edges.length; i++) {
 
-        mkTile = new MKTile(this, [tx, ty], direction, translation, MKTileType.RIGHT)
-        layer.push(mkTile);
+        if (2 !== edges[i].uses.length)
+            // an outside edge, or a bad tiling
+            continue;
 
-        // the subsequent mkTiles in this layer
-        for (var j = 0, tileType; j <= i; j++) {
+        var source = edges[i].uses[0],
+            target = edges[i].uses[1],
+            sourceIndex = graph.nodesByKey[getTileKey(source.tile)],
+            targetIndex = graph.nodesByKey[getTileKey(target.tile)];
 
-            tx += translateToNextTile[0];
-            ty += translateToNextTile[1];
+        if (sourceIndex > targetIndex) {
+            source = edges[i].uses[1];
+            target = edges[i].uses[0];
+            sourceIndex = targetIndex;
+            targetIndex = graph.nodesByKey[getTileKey(target.tile)];
+        }
 
-            if (j === i)
-                tileType = MKTileType.LEFT;
-            else
-                tileType = MKTileType.MIDDLE;
+        var linkKey = sourceIndex + '-' + targetIndex,
+            link = linksByNodes[linkKey];
 
-            mkTile = new MKTile(this, [tx, ty], direction, translation, tileType);
-            layer.unshift(mkTile);
+        if (!link) {
 
-        }
+            link = linksByNodes[linkKey] = {
+                source: sourceIndex,
+                target: targetIndex,
+                segments: [],
+            };
+
+            graph.links.push(link);
+            graph.nodes[link.source].neighbours.push(link.target);
+            graph.nodes[link.target].neighbours.push(link.source);
 
-        // assign tileType to the central tile, if there is one
-        if (1 === layer.length % 2)
-            layer[Math.floor(layer.length / 2)].tileType = MKTileType.CENTER;
+        }
 
-        tx += translateToNextTile[0] * -1 * (i + 1);
-        ty += translateToNextTile[1] * -1 * (i + 1);
+        link.segments.push({
+            start: source.reversed ? edges[i].end : edges[i].start,
+            end: source.reversed ? edges[i].start : edges[i].end,
+            sourceEdgeIndex: source.edgeIndex,
+            targetEdgeIndex: target.edgeIndex,
+        });
 
     }
 
-    // update the wedge boundaries
-    this.lowerBoundary = [];
-    this.upperBoundary = [];
+    return graph;
 
-    for (var i = 0; i < this.layers.length; i++) {
+};
 
-        var upperMKTile = this.layers[i][0];
-        this.upperBoundary = this.upperBoundary.concat(upperMKTile.upperBoundary);
+/**
+ * Returns the dual of the tiling: a node at the centroid of
+ * each tile, and a link between each pair of tiles that
+ * share an edge. The nodes and links are in the same order
+ * as those of `getAdjacencyGraph`.
+ *
+ * The dual has:
+ *   nodes - one per tile, each { key, tile, point, neighbours }, where `point`
+ *           is the tile's centroid [x,y], and `neighbours` is an array of the
+ *           indices of neighbouring nodes.
+ *   links - one per pair of neighbouring tiles, each { source, target, start, end },
+ *           where `source` and `target` are node indices (source < target), and
+ *           `start` and `end` are their nodes' points.
+ *   nodesByKey - the node indices, by tile key.
+ *
+ * Example: draw the dual network
+ *
+ *      krinkle.draw(layer, center, drawDual(krinkle));
+ *
+ * @version 2026-10-19
+ * @param {Number} [tolerance] - the distance, in pts, under which points are considered equal (default: unitLength / 10000).
+ * @returns {Object} - { nodes, links, nodesByKey }.
+ */
+ModuloKrinkle.prototype.getDual = function getDual(tolerance) {
 
-        var lowerMKTile = this.layers[i][this.layers[i].length - 1];
-        this.lowerBoundary = this.lowerBoundary.concat(lowerMKTile.lowerBoundary);
+    var graph = this.getAdjacencyGraph(tolerance),
+        dual = { nodes: [], links: [], nodesByKey: graph.nodesByKey };
+
+    for (var i = 0; i < graph.nodes.length; i++) {
+
+        dual.nodes.push({
+            key: graph.nodes[i].key,
+            tile: graph.nodes[i].tile,
+            point: getPolygonCentroid(graph.nodes[i].tile.points),
+            neighbours: graph.nodes[i].neighbours,
+        });
+
+    }
+
+    for (var i = 0; i < graph.links.length; i++) {
+
+        var link = graph.links[i];
+
+        dual.links.push({
+            source: link.source,
+            target: link.target,
+            start: dual.nodes[link.source].point,
+            end: dual.nodes[link.target].point,
+        });
 
     }
 
+    return dual;
+
 };
 
 /**
- * Draws the wedge in Illustrator
- * and returns a group of drawn tiles.
- * @this {MKWedge} - the wedge to draw.
- * @param {Document|Layer|Group} container - the container for the tiles.
- * @param {point} center - the center of the tiling.
- * @returns {GroupItem|*}
+ * Returns every vertex of the tiling, with its vertex
+ * configuration: the angles of the tiles' corners that
+ * meet there, in counterclockwise order.
+ *
+ * The angles are whole numbers of steps of 180/n degrees,
+ * because every edge is parallel to one of the n unit
+ * vectors, so a whole turn is 2n steps. A vertex is
+ * complete when its angles add up to a whole turn;
+ * vertices on the outside of the tiling are not.
+ *
+ * Each vertex has:
+ *   key - the vertex's point key (see `getPointKey`).
+ *   point - the vertex [x,y].
+ *   corners - array of { tile, pointIndex, angle }, in counterclockwise order,
+ *             where `angle` is the corner's angle, in steps.
+ *   complete - whether the corners go all the way around.
+ *   configuration - for a complete vertex, its angles, eg. "2.5.6.7", starting
+ *                   from the rotation that gives the lowest sequence, so every
+ *                   vertex with the same corners has the same configuration.
+ *
+ * @version 2026-10-19
+ * @param {Number} [tolerance] - the distance, in pts, under which points are considered equal (default: unitLength / 10000).
+ * @returns {Array<Object>}
  */
-MKWedge.prototype.draw = function drawWedge(container, center, drawFunction) {
+ModuloKrinkle.prototype.getVertices = function getVertices(tolerance) {
 
-    for (var i = 0; i < this.layers.length; i++) {
+    tolerance = tolerance || this.unitLength / 10000;
 
-        for (var j = 0; j < this.layers[i].length; j++) {
-            var mkTile = this.layers[i][j];
-            this.tiles.push(mkTile.draw(container, center, drawFunction));
-        }
-    }
+    var tiles = this.getTiles(),
+        step = Math.PI / this.n,
+        vertices = [],
+        verticesByKey = {};
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        var points = tiles[i].points,
+            len = points.length;
+
+        for (var p = 0; p < len; p++) {
+
+            var point = points[p],
+                next = points[(p + 1) % len],
+                previous = points[(p + len - 1) % len],
+                // the corner goes counterclockwise, from the next edge to the previous edge
+                startAngle = Math.atan2(next[1] - point[1], next[0] - point[0]),
+                angle = Math.atan2(previous[1] - point[1], previous[0] - point[0]) - startAngle;
+
+            while (angle <= 0)
+                angle += Math.PI * 2;
+
+            if (startAngle < 0)
+                startAngle += Math.PI * 2;
+
+            var key = getPointKey(point, tolerance),
+                vertex = verticesByKey[key];
+
+            if (!vertex) {
+                vertex = verticesByKey[key] = { key: key, point: point, corners: [] };
+                vertices.push(vertex);
+            }
+
+            vertex.corners.push({
+                tile: tiles[i],
+                pointIndex: p,
+                angle: Math.round(angle / step),
+                startAngle: startAngle,
+            });
+
+        }
+
+    }
+
+    for (var i = 0; i < vertices.length; i++) {
+
+        var corners = vertices[i].corners,
+            angles = [],
+            total = 0;
+
+        corners.sort(function (a, b) { return a.startAngle - b.startAngle });
+
+        for (var j = 0; j < corners.length; j++) {
+            angles.push(corners[j].angle);
+            total += corners[j].angle;
+            delete corners[j].startAngle;
+        }
+
+        vertices[i].complete = (total === this.n * 2);
+
+        if (vertices[i].complete)
+            vertices[i].configuration = getLowestRotation(angles).join('.');
+
+    }
+
+    return vertices;
+
+};
+
+/**
+ * Returns the rotation of `values` that gives the lowest
+ * sequence, comparing the values in order, eg. [3,1,2]
+ * gives [1,2,3].
+ * @param {Array<Number>} values - the values.
+ * @returns {Array<Number>}
+ */
+function getLowestRotation(values) {
+
+    var lowest = values;
+
+    for (var r = 1; r < values.length; r++) {
+
+        var rotation = values.slice(r).concat(values.slice(0, r));
+
+        for (var i = 0; i < values.length; i++) {
+
+            if (rotation[i] === lowest[i])
+                continue;
+
+            if (rotation[i] < lowest[i])
+                lowest = rotation;
+
+            break;
+
+        }
+
+    }
+
+    return lowest;
+
+};
+
+/**
+ * Returns a coloring of `graph`'s nodes, such that no two
+ * neighbouring nodes have the same color, using as few colors
+ * as it can find. The result is deterministic: the same graph
+ * always gets the same coloring.
+ *
+ * First, a coloring is found with the DSatur algorithm, then
+ * we search for colorings with fewer colors, until the search
+ * proves impossible or runs out of steps.
+ *
+ * @version 2026-10-19
+ * @param {Object} graph - a graph, with `nodes` each having a `neighbours` array of node indices (see `ModuloKrinkle.prototype.getAdjacencyGraph`).
+ * @param {Number} [maxSteps] - the maximum number of search steps for each attempt at fewer colors (default: 100000).
+ * @returns {Object} - { colorCount, colors }, where `colors` is the color index of each node.
+ */
+function getGraphColoring(graph, maxSteps) {
+
+    maxSteps = maxSteps || 100000;
+
+    var nodes = graph.nodes,
+        order = [],
+        colors = [],
+        saturation = [],
+        neighbourColors = [],
+        colorCount = 0;
+
+    /* ------------------------------------------------------- *
+     *  DSatur: color the node with the most differently       *
+     *  colored neighbours next, breaking ties by the most     *
+     *  neighbours, then by the lowest index.                  *
+     * ------------------------------------------------------- */
+    for (var i = 0; i < nodes.length; i++) {
+        colors[i] = -1;
+        saturation[i] = 0;
+        neighbourColors[i] = {};
+    }
+
+    for (var count = 0; count < nodes.length; count++) {
+
+        var best = -1;
+
+        for (var i = 0; i < nodes.length; i++) {
+
+            if (-1 !== colors[i])
+                continue;
+
+            if (
+                -1 === best
+                || saturation[i] > saturation[best]
+                || (
+                    saturation[i] === saturation[best]
+                    && nodes[i].neighbours.length > nodes[best].neighbours.length
+                )
+            )
+                best = i;
+
+        }
+
+        // the lowest color not used by a neighbour
+        var color = 0;
+        while (neighbourColors[best][color])
+            color++;
+
+        colors[best] = color;
+        colorCount = Math.max(colorCount, color + 1);
+        order.push(best);
+
+        for (var j = 0; j < nodes[best].neighbours.length; j++) {
+
+            var neighbour = nodes[best].neighbours[j];
+
+            if (!neighbourColors[neighbour][color]) {
+                neighbourColors[neighbour][color] = true;
+                saturation[neighbour]++;
+            }
+
+        }
+
+    }
+
+    /* ------------------------------------------------------- *
+     *  Try for fewer colors, by backtracking in DSatur order. *
+     *  Note: not recursive, because ExtendScript's call stack *
+     *  is too shallow for large tilings.                      *
+     * ------------------------------------------------------- */
+    var position = [];
+    for (var i = 0; i < order.length; i++)
+        position[order[i]] = i;
+
+    while (colorCount > 1) {
+
+        var target = colorCount - 1,
+            attempt = [],
+            steps = 0,
+            p = 0;
+
+        for (var i = 0; i < nodes.length; i++)
+            attempt[i] = -1;
+
+        while (
+            p >= 0
+            && p < order.length
+            && steps++ < maxSteps
+        ) {
+
+            var node = order[p],
+                color = attempt[node] + 1;
+
+            // find the next color that no earlier neighbour has
+            for (; color < target; color++) {
+
+                var ok = true;
+
+                for (var j = 0; j < nodes[node].neighbours.length; j++) {
+
+                    var neighbour = nodes[node].neighbours[j];
+
+                    if (
+                        position[neighbour] < p
+                        && attempt[neighbour] === color
+                    ) {
+                        ok = false;
+                        break;
+                    }
+
+                }
+
+                if (ok)
+                    break;
+
+            }
+
+            if (color < target) {
+                attempt[node] = color;
+                p++;
+            }
+
+            else {
+                // backtrack
+                attempt[node] = -1;
+                p--;
+            }
+
+        }
+
+        if (p !== order.length)
+            // impossible, or out of steps
+            break;
+
+        colors = attempt;
+        colorCount = target;
+
+    }
+
+    return { colorCount: colorCount, colors: colors };
+
+};
+
+/**
+ * Rebuilds the tiling with enough layers to cover `region`,
+ * then removes the tiles that aren't wanted, according to `mode`:
+ *
+ *   MKRegionMode.INSIDE - keep only the whole tiles inside the region.
+ *   MKRegionMode.TOUCHING - keep every tile that touches the region.
+ *   MKRegionMode.CLIP - keep every tile that touches the region, and clip
+ *                       the tiling to the region when it is drawn or exported.
+ *
+ * Example: fill the active artboard
+ *
+ *      var center = getCenterOfActiveArtboard(doc);
+ *      var region = doc.artboards[doc.artboards.getActiveArtboardIndex()].artboardRect;
+ *
+ *      krinkle.fitToRegion(region, MKRegionMode.CLIP, center);
+ *      krinkle.draw(layer, center);
+ *
+ * Note: `layerCount` is replaced by the number of layers needed.
+ *
+ * @version 2026-10-19
+ * @param {Array<point>|bounds} region - the region polygon's points [x,y], or a rectangle's bounds [L, T, R, B].
+ * @param {MKRegionMode} [mode] - which tiles to keep (default: MKRegionMode.CLIP).
+ * @param {point|MKTransform} [center] - the center of the tiling, or its transform, in the same coordinates as `region` (default: [0,0]).
+ * @returns {ModuloKrinkle} - this krinkle, for chaining.
+ */
+ModuloKrinkle.prototype.fitToRegion = function fitKrinkleToRegion(region, mode, center) {
+
+    mode = mode || MKRegionMode.CLIP;
+    center = center || [0, 0];
+
+    if (
+        MKRegionMode.INSIDE !== mode
+        && MKRegionMode.TOUCHING !== mode
+        && MKRegionMode.CLIP !== mode
+    )
+        throw new Error('ModuloKrinkle.prototype.fitToRegion: bad `mode` supplied.');
+
+    if (this.lazy)
+        throw new Error('ModuloKrinkle.prototype.fitToRegion: can\'t remove tiles from a lazy krinkle. Use a `bounds` filter with `forEachTile` instead.');
+
+    var transform = center instanceof MKTransform
+        ? center
+        : new MKTransform({ translation: center });
+
+    // the region, in the tiling's own coordinates
+    var polygon = transform.invertPoints(getRegionPolygon(region));
+
+    if (polygon.length < 3)
+        throw new Error('ModuloKrinkle.prototype.fitToRegion: bad `region` supplied.');
+
+    // the tiling must cover this radius, around its center
+    var radius = 0;
+
+    for (var i = 0; i < polygon.length; i++)
+        radius = Math.max(radius, Math.sqrt(polygon[i][0] * polygon[i][0] + polygon[i][1] * polygon[i][1]));
+
+    this.rebuild(this.getLayerCountForRadius(radius));
+
+    /* ----------------------------- *
+     *  Remove the unwanted tiles    *
+     * ----------------------------- */
+    var tolerance = this.unitLength / 10000;
+
+    for (var w = 0; w < this.wedges.length; w++) {
+
+        for (var i = 0; i < this.wedges[w].layers.length; i++) {
+
+            var layer = this.wedges[w].layers[i];
+
+            for (var j = layer.length - 1; j >= 0; j--) {
+
+                var keep = MKRegionMode.INSIDE === mode
+                    ? isPolygonInsidePolygon(layer[j].points, polygon, tolerance)
+                    : polygonsIntersect(layer[j].points, polygon, tolerance);
+
+                if (!keep)
+                    layer.splice(j, 1);
+
+            }
+
+        }
+
+    }
+
+    this.clipRegion = MKRegionMode.CLIP === mode ? polygon : undefined;
+
+    return this;
+
+};
+
+/**
+ * Returns the number of layers needed for the
+ * tiling to completely cover a circle of `radius`
+ * around the tiling's center.
+ * @version 2026-10-19
+ * @param {Number} radius - the radius to cover, in pts.
+ * @returns {Number}
+ */
+ModuloKrinkle.prototype.getLayerCountForRadius = function getLayerCountForRadius(radius) {
+
+    // the radius covered grows by roughly the same amount with each layer,
+    // so we measure the growth over a small tiling, then estimate
+    var layerCount = 6,
+        covered = getCoveredRadii(this, layerCount);
+
+    while (covered[layerCount] < radius) {
+
+        var growth = Math.max(this.unitLength / 10, (covered[layerCount] - covered[layerCount - 3]) / 3);
+
+        // with a margin, so that one more tiling is almost always enough
+        layerCount = Math.max(
+            layerCount + 1,
+            Math.ceil(layerCount + (radius - covered[layerCount]) / growth) + 2
+        );
+
+        covered = getCoveredRadii(this, layerCount);
+
+    }
+
+    for (var i = 1; i < layerCount; i++)
+        if (covered[i] >= radius)
+            return i;
+
+    return layerCount;
+
+};
+
+/**
+ * Returns the radius around the center covered by the
+ * krinkle's tiling with each number of layers, up to
+ * `layerCount`, from a single tiling. The outside of the
+ * tiling of L layers is made of the inner sides of the
+ * tiles of layer L, their upper boundaries, so the one
+ * tiling has `layerCount` + 1 layers.
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {Number} layerCount - the most layers.
+ * @returns {Array<Number>} - the covered radius, by layer count, from 1 to `layerCount`.
+ */
+function getCoveredRadii(krinkle, layerCount) {
+
+    var tiling = new ModuloKrinkle(krinkle.m, krinkle.k, krinkle.t, krinkle.offset, krinkle.unitLength, layerCount + 1, true),
+        origin = [0, 0],
+        covered = [];
+
+    for (var i = 0; i <= layerCount; i++)
+        covered[i] = Infinity;
+
+    tiling.forEachTile(function (tile) {
+
+        var points = tile.points,
+            layerIndex = tile.layerIndex;
+
+        if (0 === layerIndex)
+            return;
+
+        // the upper boundary, from point k + 1 round to point 0
+        for (var i = krinkle.k + 1; i < points.length; i++) {
+
+            var distance = getDistanceToPolygon(origin, [points[i], points[(i + 1) % points.length]]);
+
+            if (distance < covered[layerIndex])
+                covered[layerIndex] = distance;
+
+        }
+
+    });
+
+    return covered;
+
+};
+
+/**
+ * Rebuilds the krinkle's tiles, with a new layer count.
+ * The rebuilt tiling is no longer clipped to a region,
+ * see `fitToRegion`. Each rebuild counts up the krinkle's
+ * `generation`, so that a drawFunction that works out
+ * something about the whole tiling, once, knows to work
+ * it out again for the new tiles.
+ * @param {Number} [layerCount] - the number of layers (default: the current layer count).
+ * @returns {ModuloKrinkle} - this krinkle, for chaining.
+ */
+ModuloKrinkle.prototype.rebuild = function rebuildKrinkle(layerCount) {
+
+    ModuloKrinkle.call(this, this.m, this.k, this.t, this.offset, this.unitLength, layerCount || this.layerCount, this.lazy);
+
+    this.clipRegion = undefined;
+    this.generation = (this.generation || 0) + 1;
+
+    return this;
+
+};
+
+/**
+ * Draws the Modulo Krinkle tiling.
+ * Note: the return value may depend on the drawFunction.
+ *
+ * Example: draw the tiling rotated, scaled and mirrored
+ *
+ *      var transform = new MKTransform({
+ *          translation: center,
+ *          rotation: 15,
+ *          scale: 2,
+ *          mirror: true,
+ *      });
+ *
+ *      krinkle.draw(layer, transform);
+ *
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Document|Layer|Group} container - the container for the tiles.
+ * @param {point|MKTransform} [center] - the center of the tiling, or its transform (default: [0,0]).
+ * @param {Function} [drawFunction] - a custom draw function (default: none).
+ * @returns {Array<PathItem>|*}
+ */
+ModuloKrinkle.prototype.draw = function drawKrinkle(container, center, drawFunction) {
+
+    var self = this;
+
+    center = center || [0, 0];
+    container = container || app.activeDocument.activeLayer;
+
+    if (self.lazy)
+        throw new Error('ModuloKrinkle.prototype.draw: can\'t draw a lazy krinkle.');
+
+    if (container.hasOwnProperty('pathItems')) {
+
+        if (
+            container.hasOwnProperty('locked')
+            && container.locked
+        )
+            throw new Error('ModuloKrinkle.prototype.draw: `container` is locked.');
+
+        if (
+            container.hasOwnProperty('visible')
+            && !container.visible
+        )
+            throw new Error('ModuloKrinkle.prototype.draw: `container` is hidden.');
+
+    }
+
+    var tiles = [];
+
+    // when clipping, draw into a group, so we can add a clipping mask
+    var clipGroup = (self.clipRegion && container.hasOwnProperty('groupItems'))
+        ? container.groupItems.add()
+        : undefined;
+
+    /* -------------- *
+     *  Draw wedges   *
+     * -------------- */
+    for (var i = 0; i < self.wedges.length; i++) {
+        self.wedges[i].draw(clipGroup || container, center, drawFunction);
+        Array.prototype.push.apply(tiles, self.wedges[i].tiles);
+    }
+
+    if (clipGroup) {
+
+        // the clipping path must be the topmost item in the group
+        var mask = clipGroup.pathItems.add();
+        mask.setEntirePath(getTransformedPoints(self.clipRegion, center));
+        mask.closed = true;
+        mask.clipping = true;
+        clipGroup.clipped = true;
+        clipGroup.name = self.toString();
+
+    }
+
+    return tiles;
+
+};
+
+/**
+ * Draws the tile as an Illustrator PathItem.
+ * @author m1b
+ * @version 2026-10-19
+ * @this {MKTile} - the tile to draw.
+ * @param {Document|Layer|Group} [container] - the container for the tiles.
+ * @param {point|MKTransform} [center] - the center of the tiling being drawn, or its transform.
+ * @returns {PathItem} - the drawn item.
+ */
+ModuloKrinkle.drawBasicTile = function (container, center) {
+
+    // get transformed points
+    var points = getTransformedPoints(this.points, center);
+
+    // draw path in Illustrator
+    var path = container.pathItems.add();
+    path.name = this.toString(true);
+    path.setEntirePath(points);
+    path.closed = true;
+    path.stroked = true;
+    path.strokeWidth = 1;
+    path.filled = false;
+
+    return path;
+
+};
+
+/**
+ * Rotates point `p` by `angle` radians, around point `origin`.
+ * @author m1b
+ * @version 2025-07-09
+ * @param {point} p - the point [x,y] to rotate.
+ * @param {Number} angle - the angle of rotation, in radians.
+ * @param {point} origin - the fulcrum point [x,y].
+ * @returns {point}
+ */
+function rotateAroundOrigin(p, angle, origin) {
+
+    if (0 === angle)
+        return p;
+
+    var x = p[0] - origin[0];
+    var y = p[1] - origin[1];
+
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+
+    var xr = x * cos - y * sin;
+    var yr = x * sin + y * cos;
+
+    return [xr + origin[0], yr + origin[1]];
+
+};
+
+/**
+ * Returns the sum of two vectors.
+ * @param {vector} a - a vector [x,y].
+ * @param {vector} b - a vector [x,y].
+ * @returns {vector} - [x,y]
+ */
+function addVector(a, b) {
+
+    return [
+        a[0] + b[0],
+        a[1] + b[1],
+    ];
+
+};
+
+/**
+ * A wedge of MKTiles, organised in layers, from a single
+ * central tile in layer 0, two tiles in layer 1, three
+ * in layer 2, etc.
+ * @author m1b
+ * @version 2025-07-09
+ * @constructor
+ * @param {ModuloKrinkle} krinkle - the parent Kringle.
+ * @param {Number} direction - the direction index of the wedge (0..n).
+ * @param {vector} translation - the translation offset of the wedge, in pts (default: [0,0])
+ */
+function MKWedge(krinkle, direction, translation) {
+
+    translation = translation || [0, 0];
+
+    this.parent = krinkle;
+    this.direction = direction;
+
+    // the mkTile objects
+    this.layers = [];
+
+    // the illustrator path items
+    this.tiles = [];
+
+    for (var i = 0; i < krinkle.layerCount; i++) {
+
+        // the layer goes from left to right
+        var layer = [];
+        this.layers.push(layer);
+
+        for (var j = 0; j <= i; j++)
+            layer.push(new MKTile(this, getWedgeTileOrigin(krinkle, i, j), direction, translation, getWedgeTileType(i, j)));
+
+    }
+
+    // update the wedge boundaries
+    this.lowerBoundary = [];
+    this.upperBoundary = [];
+
+    for (var i = 0; i < this.layers.length; i++) {
+
+        var upperMKTile = this.layers[i][0];
+        Array.prototype.push.apply(this.upperBoundary, upperMKTile.getUpperBoundary());
+
+        var lowerMKTile = this.layers[i][this.layers[i].length - 1];
+        Array.prototype.push.apply(this.lowerBoundary, lowerMKTile.getLowerBoundary());
+
+    }
+
+};
+
+/**
+ * Draws the wedge in Illustrator
+ * and returns a group of drawn tiles.
+ * @this {MKWedge} - the wedge to draw.
+ * @param {Document|Layer|Group} container - the container for the tiles.
+ * @param {point|MKTransform} center - the center of the tiling, or its transform.
+ * @returns {GroupItem|*}
+ */
+MKWedge.prototype.draw = function drawWedge(container, center, drawFunction) {
+
+    for (var i = 0; i < this.layers.length; i++) {
+
+        for (var j = 0; j < this.layers[i].length; j++) {
+            var mkTile = this.layers[i][j];
+            this.tiles.push(mkTile.draw(container, center, drawFunction));
+        }
+    }
+
+    if (
+        !this.tiles[0]
+        || 'function' !== this.tiles[0].move
+    )
+        // if the returned value from the draw function
+        // is not a page item, we can't group it
+        return this.tiles;
+
+    // put the wedge's tiles into a group
+    var wedgeGroup = container.groupItems.add();
+
+    for (var i = this.tiles.length - 1; i >= 0; i--)
+        this.tiles[i].move(wedgeGroup, ElementPlacement.PLACEATBEGINNING);
+
+    return wedgeGroup;
+
+};
+
+/**
+ * A Modulo Krinkle prototile.
+ * @author m1b
+ * @version 2026-10-19
+ * @constructor
+ * @param {point} origin - the origin point [x,y] for the mkTile.
+ * @param {Number} tileDirection - the index of the direction of this tile.
+ * @param {vector} translation - the translation offset of the mkTile, in pts (default: [0,0]).
+ * @param {MKTileType} [tileType] - the tile type (default: none).
+ */
+function MKTile(wedge, origin, tileDirection, translation, tileType) {
+
+    this.parent = wedge;
+    var krinkle = wedge.parent;
+
+    this.origin = origin;
+    this.direction = tileDirection;
+    this.translation = translation || [0, 0];
+    this.tileType = tileType;
+
+    // the rotation to the tile's direction is the direction's unit vector
+    var prototile = krinkle.prototile,
+        rotation = krinkle.unitVectors[tileDirection % krinkle.n],
+        cos = rotation[0],
+        sin = rotation[1];
+
+    // the origin, rotated, then translated
+    var tx = origin[0] * cos - origin[1] * sin + this.translation[0],
+        ty = origin[0] * sin + origin[1] * cos + this.translation[1];
+
+    this.points = [];
+
+    for (var i = 0, p; i < prototile.length; i++) {
+        p = prototile[i];
+        this.points.push([p[0] * cos - p[1] * sin + tx, p[0] * sin + p[1] * cos + ty]);
+    }
+
+};
+
+/**
+ * Returns the boundary of edges from start to end
+ * on the lower side of the tile.
+ * @returns {Array<Object>} - the boundary, eg. [{ direction: 2, point: [x,y] }, ...].
+ */
+MKTile.prototype.getLowerBoundary = function getLowerBoundary() {
+
+    var krinkle = this.parent.parent,
+        boundary = [];
+
+    for (var i = 0; i <= krinkle.k; i++) {
+        boundary.push({
+            direction: krinkle.directions[i] + this.direction,
+            point: this.points[i + 1],
+        });
+    }
+
+    return boundary;
+
+};
+
+/**
+ * Returns the boundary of edges from end to start
+ * on the upper side of the tile.
+ * @returns {Array<Object>} - the boundary, eg. [{ direction: 2, point: [x,y] }, ...].
+ */
+MKTile.prototype.getUpperBoundary = function getUpperBoundary() {
+
+    var krinkle = this.parent.parent,
+        boundary = [];
+
+    for (var i = krinkle.directions.length - 1; i > krinkle.k; i--) {
+        boundary.push({
+            direction: krinkle.directions[i] + this.direction,
+            point: this.points[i + 1] || this.points[0],
+        });
+    }
+
+    return boundary;
+
+};
+
+/**
+ * Draws the KrinkleTile.
+ * @author m1b
+ * @version 2025-07-12
+ * @param {Document|Layer|Group} container - the container for the tiles.
+ * @param {point|MKTransform} center - the center of the tiling, or its transform.
+ * @param {Function} [drawFunction] - custom function to draw the tile (default: ModuloKrinkle.drawBasicTile).
+ * @returns {PathItem|*} - Note that the returned value depends on the drawFunction.
+ */
+MKTile.prototype.draw = function drawMKTile(container, center, drawFunction) {
+
+    return (drawFunction || ModuloKrinkle.drawBasicTile).call(this, container, center);
+
+};
+
+/**
+ * String representation of the MKTile.
+ * @param {Boolean} specific - whether to return a specific tile's string, or a general MKTile string.
+ * @returns {String}
+ */
+MKTile.prototype.toString = function mkTileToString(specific) {
+
+    var krinkle = this.parent.parent;
+
+    return specific
+        // for this specific tile, including sector, wedge, layer and tile indices
+        ? 'S' + this.sectorIndex + ' W' + this.wedgeIndex + ' L' + this.layerIndex + ' T' + this.tileIndex + ' (' + 'BLMCR'[this.tileType] + ')'
+        // generic for any tile of this tileType
+        : krinkle.toString() + '-' + 'BLMCR'[this.tileType];
+
+};
+
+/**
+ * Returns a key that identifies the tile by its
+ * sector, wedge, layer and tile indices, eg. "S0-W1-L2-T0".
+ * @param {MKTile} tile - the tile.
+ * @returns {String}
+ */
+function getTileKey(tile) {
+
+    return 'S' + tile.sectorIndex + '-W' + tile.wedgeIndex + '-L' + tile.layerIndex + '-T' + tile.tileIndex;
+
+};
+
+/**
+ * Returns the direction index of one of a tile's edges.
+ * Every edge is parallel to one of the krinkle's unit vectors,
+ * so the edge's direction is the index of that unit vector,
+ * and `reversed` is true when the tile traverses the edge
+ * against it. Both tiles that share an edge get the same
+ * direction, so the direction gives each edge one orientation,
+ * eg. for placing motifs that join across neighbouring tiles.
+ * When n is even, opposite unit vectors are both directions,
+ * so the lower half of the directions is used.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {MKTile} tile - the tile.
+ * @param {Number} edgeIndex - the index of the edge's first point in the tile's points.
+ * @returns {Object} - { direction: Number, reversed: Boolean }.
+ */
+function getEdgeDirection(krinkle, tile, edgeIndex) {
+
+    var n = krinkle.n,
+        direction = (krinkle.directions[edgeIndex] + tile.direction) % n,
+        // the upper half of the tile goes backwards
+        reversed = edgeIndex > krinkle.k;
 
     if (
-        !this.tiles[0]
-        || 'function' !== this.tiles[0].move
+        0 === n % 2
+        && direction >= n / 2
+    ) {
+        direction -= n / 2;
+        reversed = !reversed;
+    }
+
+    return { direction: direction, reversed: reversed };
+
+};
+
+/**
+ * Returns the pairs of point indices that a crossweave
+ * joins across a tile: each point of the tile's lower
+ * boundary with its matching point on the upper boundary.
+ * The first pair is nearest the tile's start, the last
+ * is nearest its end, and the rest are the middle pairs.
+ * @version 2026-10-19
+ * @param {Number} pointCount - the number of the tile's points.
+ * @param {Boolean} includeFirst - whether to include the first pair.
+ * @param {Boolean} includeLast - whether to include the last pair.
+ * @param {Boolean} includeMiddle - whether to include the middle pairs.
+ * @returns {Array<Array<Number>>} - the pairs, eg. [[15, 1], [14, 2], ...].
+ */
+function getCrossWeavePairs(pointCount, includeFirst, includeLast, includeMiddle) {
+
+    var half = Math.floor(pointCount / 2),
+        pairs = [];
+
+    for (var j = 1; j < half; j++) {
+
+        var include = 1 === j
+            ? includeFirst
+            : (half - 1 === j ? includeLast : includeMiddle);
+
+        if (include)
+            pairs.push([pointCount - j, j]);
+
+    }
+
+    return pairs;
+
+};
+
+/**
+ * Returns the origin of a tile in a wedge, before the
+ * tile is rotated to the wedge's direction.
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {Number} layerIndex - the tile's layer in the wedge.
+ * @param {Number} tileIndex - the tile's index in its layer, from left to right.
+ * @returns {point}
+ */
+function getWedgeTileOrigin(krinkle, layerIndex, tileIndex) {
+
+    // the rightmost tile is a whole number of layer steps out,
+    // and the others are whole tile steps to its left
+    var steps = layerIndex - tileIndex;
+
+    return [
+        layerIndex * krinkle.layerStep[0] + steps * krinkle.tileStep[0],
+        layerIndex * krinkle.layerStep[1] + steps * krinkle.tileStep[1],
+    ];
+
+};
+
+/**
+ * Returns the type of a tile in a wedge.
+ * @param {Number} layerIndex - the tile's layer in the wedge.
+ * @param {Number} tileIndex - the tile's index in its layer, from left to right.
+ * @returns {MKTileType}
+ */
+function getWedgeTileType(layerIndex, tileIndex) {
+
+    if (0 === layerIndex)
+        return MKTileType.BASE;
+
+    if (0 === tileIndex)
+        return MKTileType.LEFT;
+
+    if (layerIndex === tileIndex)
+        return MKTileType.RIGHT;
+
+    // the central tile, if the layer has one
+    if (layerIndex === tileIndex * 2)
+        return MKTileType.CENTER;
+
+    return MKTileType.MIDDLE;
+
+};
+
+/**
+ * Returns the upper boundary of a wedge, without making
+ * the whole wedge. Used when building a lazy krinkle.
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {Number} direction - the direction index of the wedge.
+ * @param {vector} translation - the translation offset of the wedge, in pts.
+ * @returns {Array<Object>} - the boundary, eg. [{ direction: 2, point: [x,y] }, ...].
+ */
+function getWedgeUpperBoundary(krinkle, direction, translation) {
+
+    // a fake wedge with just what the tiles need
+    var wedge = { parent: krinkle },
+        boundary = [];
+
+    // the upper boundary is along the leftmost tile of each layer
+    for (var i = 0; i < krinkle.layerCount; i++)
+        Array.prototype.push.apply(boundary, new MKTile(wedge, getWedgeTileOrigin(krinkle, i, 0), direction, translation).getUpperBoundary());
+
+    return boundary;
+
+};
+
+/**
+ * Returns a copy of a tile from the krinkle's first
+ * sector, rotated into place in another sector.
+ * @param {MKTile} tile - the tile in the first sector.
+ * @param {Object} wedge - the wedge, in the other sector, for the copy.
+ * @param {Number} sectorIndex - the index of the other sector.
+ * @returns {Object} - a fake tile with just what we need (no need for a proper MKTile).
+ */
+function getRotatedTile(tile, wedge, sectorIndex) {
+
+    var krinkle = wedge.parent,
+        center = krinkle.sectorCenter,
+        cos = krinkle.sectorRotations[sectorIndex][0],
+        sin = krinkle.sectorRotations[sectorIndex][1],
+        points = [];
+
+    // rotate around the center
+    for (var p = 0, x, y; p < tile.points.length; p++) {
+        x = tile.points[p][0] - center[0];
+        y = tile.points[p][1] - center[1];
+        points.push([x * cos - y * sin + center[0], x * sin + y * cos + center[1]]);
+    }
+
+    return {
+        parent: wedge,
+        points: points,
+        wedgeIndex: wedge.wedgeIndex,
+        sectorIndex: sectorIndex,
+        layerIndex: tile.layerIndex,
+        tileIndex: tile.tileIndex,
+        direction: (tile.direction + sectorIndex * krinkle.sectorDirectionStep) % krinkle.n,
+        draw: tile.draw,
+        tileType: tile.tileType,
+        toString: MKTile.prototype.toString,
+    };
+
+};
+
+/**
+ * Visits a krinkle's tiles one at a time, in wedge, layer
+ * and tile order. The tiles of a lazy krinkle are made as
+ * they are visited. See `ModuloKrinkle.prototype.getTileIterator`.
+ * @constructor
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {Object} [filter] - which tiles to visit, see `ModuloKrinkle.prototype.forEachTile` (default: all of them).
+ */
+function MKTileIterator(krinkle, filter) {
+
+    this.krinkle = krinkle;
+    this.filter = filter || {};
+
+    this.reset();
+
+};
+
+/**
+ * Returns the next tile, or undefined when there are no more.
+ * @returns {MKTile|undefined}
+ */
+MKTileIterator.prototype.next = function nextTile() {
+
+    var krinkle = this.krinkle,
+        filter = this.filter,
+        lazy = true === krinkle.lazy,
+        sectorWedgeCount = lazy ? krinkle.wedgeTranslations.length : 0,
+        wedgeCount = lazy ? sectorWedgeCount * krinkle.sectorRotations.length : krinkle.wedges.length;
+
+    while (this.wedgeIndex < wedgeCount) {
+
+        var w = this.wedgeIndex,
+            i = this.layerIndex,
+            j = this.tileIndex;
+
+        if (!lazy) {
+
+            var layers = krinkle.wedges[w].layers;
+
+            if (i >= layers.length) {
+                this.wedgeIndex++;
+                this.layerIndex = 0;
+                this.tileIndex = 0;
+            }
+
+            else if (j >= layers[i].length) {
+                this.layerIndex++;
+                this.tileIndex = 0;
+            }
+
+            else if (isTileInFilter(layers[i][this.tileIndex++], filter))
+                return layers[i][j];
+
+            continue;
+
+        }
+
+        var sectorIndex = Math.floor(w / sectorWedgeCount);
+
+        if (
+            i >= krinkle.layerCount
+            || !isTileInFilter({ sectorIndex: sectorIndex, wedgeIndex: w }, filter)
+        ) {
+            // next wedge
+            this.wedgeIndex++;
+            this.layerIndex = 0;
+            this.tileIndex = 0;
+            continue;
+        }
+
+        if (
+            j > i
+            || !isTileInFilter({ layerIndex: i }, filter)
+        ) {
+            // next layer
+            this.layerIndex++;
+            this.tileIndex = 0;
+            continue;
+        }
+
+        this.tileIndex++;
+
+        // check the indices first, so we only make the tiles we need
+        if (!isTileInFilter({ tileType: getWedgeTileType(i, j) }, filter))
+            continue;
+
+        if (
+            !this.wedge
+            || this.wedge.wedgeIndex !== w
+        )
+            // make a fake wedge with just what we need (no need for a proper MKWedge)
+            this.wedge = {
+                parent: krinkle,
+                wedgeIndex: w,
+                sectorIndex: sectorIndex,
+            };
+
+        var sourceWedgeIndex = w % sectorWedgeCount,
+            tile = new MKTile(this.wedge, getWedgeTileOrigin(krinkle, i, j), sourceWedgeIndex, krinkle.wedgeTranslations[sourceWedgeIndex], getWedgeTileType(i, j));
+
+        tile.wedgeIndex = sourceWedgeIndex;
+        tile.sectorIndex = 0;
+        tile.layerIndex = i;
+        tile.tileIndex = j;
+
+        if (sectorIndex > 0)
+            tile = getRotatedTile(tile, this.wedge, sectorIndex);
+
+        if (isTileInFilter(tile, filter))
+            return tile;
+
+    }
+
+};
+
+/**
+ * Starts the iteration again, from the first tile.
+ * @returns {MKTileIterator} - this iterator, for chaining.
+ */
+MKTileIterator.prototype.reset = function resetTileIterator() {
+
+    this.wedgeIndex = 0;
+    this.layerIndex = 0;
+    this.tileIndex = 0;
+    this.wedge = undefined;
+
+    return this;
+
+};
+
+/**
+ * Returns true when `tile` passes every test in `filter`.
+ * Tests for properties that `tile` doesn't have are skipped,
+ * so a tile's indices can be checked before making its points.
+ * @param {MKTile|Object} tile - the tile, or some of its properties.
+ * @param {Object} filter - the filter, see `ModuloKrinkle.prototype.forEachTile`.
+ * @returns {Boolean}
+ */
+function isTileInFilter(tile, filter) {
+
+    if (
+        !isValueInFilter(tile.sectorIndex, filter.sectorIndex)
+        || !isValueInFilter(tile.wedgeIndex, filter.wedgeIndex)
+        || !isValueInFilter(tile.tileType, filter.tileType)
     )
-        // if the returned value from the draw function
-        // is not a page item, we can't group it
-        return this.tiles;
+        return false;
+
+    if (
+        filter.layerRange
+        && undefined != tile.layerIndex
+        && (
+            tile.layerIndex < filter.layerRange[0]
+            || tile.layerIndex > filter.layerRange[filter.layerRange.length - 1]
+        )
+    )
+        return false;
+
+    if (
+        filter.bounds
+        && tile.points
+    ) {
+
+        var b = expandBounds([Infinity, -Infinity, -Infinity, Infinity], tile.points);
+
+        if (
+            b[0] > filter.bounds[2]
+            || b[2] < filter.bounds[0]
+            || b[1] < filter.bounds[3]
+            || b[3] > filter.bounds[1]
+        )
+            return false;
+
+    }
+
+    return true;
+
+};
+
+/**
+ * Returns true when `value` matches `filterValue`, which
+ * may be a single value, or an array of values.
+ * Always true when either is undefined.
+ * @param {*} value - the value to test.
+ * @param {*|Array<*>} filterValue - the wanted value, or values.
+ * @returns {Boolean}
+ */
+function isValueInFilter(value, filterValue) {
+
+    if (
+        undefined == value
+        || undefined == filterValue
+    )
+        return true;
+
+    if ('Array' !== filterValue.constructor.name)
+        return value === filterValue;
+
+    for (var i = 0; i < filterValue.length; i++)
+        if (value === filterValue[i])
+            return true;
+
+    return false;
+
+};
+
+/**
+ * The type of MKTile. This is not used for actual tiling
+ * but gives more options for drawing the tiling.
+ * @enum {Number}
+ */
+var MKTileType = {
+    /** a central tile, touching the origin */
+    BASE: 0,
+    /** the leftmost tile in a wedge layer */
+    LEFT: 1,
+    /** a middle tile in a wedge layer */
+    MIDDLE: 2,
+    /** the central tile in a wedge layer (every 2nd layer has one of these) */
+    CENTER: 3,
+    /** the rightmost  tile in a wedge layer */
+    RIGHT: 4,
+};
+
+/**
+ * Which tiles to keep when fitting the tiling to a region.
+ * See `ModuloKrinkle.prototype.fitToRegion`.
+ * @enum {String}
+ */
+var MKRegionMode = {
+    /** keep only the whole tiles inside the region */
+    INSIDE: 'inside',
+    /** keep the tiles touching the region, and clip them to the region when drawn */
+    CLIP: 'clip',
+    /** keep every tile touching the region */
+    TOUCHING: 'touching',
+};
+
+/**
+ * Codes of the errors and warnings from `ModuloKrinkle.validateParams`.
+ * @enum {String}
+ */
+var MKParamCode = {
+    /** error: `m` is not a whole number of 1 or more */
+    BAD_M: 'BAD_M',
+    /** error: `k` is not a whole number of 2 or more */
+    BAD_K: 'BAD_K',
+    /** error: `m` is not less than `k` */
+    M_NOT_LESS_THAN_K: 'M_NOT_LESS_THAN_K',
+    /** error: `t` is not a whole number of 2 or more */
+    BAD_T: 'BAD_T',
+    /** error: `unitLength` is not a number greater than 0 */
+    BAD_UNIT_LENGTH: 'BAD_UNIT_LENGTH',
+    /** error: `layerCount` is not a whole number of 1 or more */
+    BAD_LAYER_COUNT: 'BAD_LAYER_COUNT',
+    /** warning: `m` and `k` were reduced by their greatest common divisor */
+    REDUCED_BY_GCD: 'REDUCED_BY_GCD',
+    /** warning: an offset tiling with `t` > 2, whose sectors overlap */
+    OFFSET_OVERLAPS: 'OFFSET_OVERLAPS',
+};
+
+/**
+ * An affine transformation for drawing a tiling:
+ * the tiling is mirrored (if `mirror`), then rotated
+ * and scaled around its center, then its center is
+ * moved to `translation`.
+ *
+ * Example: align the tiling with a grid at 30°
+ *
+ *      var transform = new MKTransform({ translation: [300, -400], rotation: 30 });
+ *      var points = transform.transformPoints(tile.points);
+ *
+ * @constructor
+ * @version 2026-10-19
+ * @param {Object} [options]
+ * @param {point} [options.translation] - the position of the tiling's center [x,y] (default: [0,0]).
+ * @param {Number} [options.rotation] - the rotation angle, in degrees, counterclockwise (default: 0).
+ * @param {Number} [options.scale] - the scale factor (default: 1).
+ * @param {Boolean} [options.mirror] - whether to reflect the tiling across its horizontal axis, before rotating (default: false).
+ */
+function MKTransform(options) {
+
+    options = options || {};
+
+    this.translation = (options.translation || [0, 0]).slice(0, 2);
+    this.rotation = options.rotation || 0;
+    this.scale = undefined == options.scale ? 1 : options.scale;
+    this.mirror = true === options.mirror;
+
+    if (!this.scale)
+        throw new Error('MKTransform: bad `scale` supplied.');
+
+    var radians = this.rotation * Math.PI / 180,
+        cos = Math.cos(radians) * this.scale,
+        sin = Math.sin(radians) * this.scale,
+        flip = this.mirror ? -1 : 1;
+
+    // x' = a*x + c*y + tx, y' = b*x + d*y + ty
+    this.matrix = [cos, sin, -sin * flip, cos * flip, this.translation[0], this.translation[1]];
+
+};
+
+/**
+ * Returns `point` transformed.
+ * @param {point} point - the point [x,y] to transform.
+ * @returns {point}
+ */
+MKTransform.prototype.transformPoint = function transformPoint(point) {
+
+    var m = this.matrix;
+
+    return [
+        m[0] * point[0] + m[2] * point[1] + m[4],
+        m[1] * point[0] + m[3] * point[1] + m[5],
+    ];
+
+};
+
+/**
+ * Returns a copy of `points` transformed.
+ * @param {Array<point>} points - the points [x,y] to transform.
+ * @returns {Array<point>}
+ */
+MKTransform.prototype.transformPoints = function transformPoints(points) {
+
+    var _points = [];
+
+    for (var i = 0; i < points.length; i++)
+        _points.push(this.transformPoint(points[i]));
+
+    return _points;
+
+};
+
+/**
+ * Returns a copy of `points` with the transformation
+ * undone, eg. to convert document coordinates into
+ * the tiling's own coordinates.
+ * @param {Array<point>} points - the transformed points [x,y].
+ * @returns {Array<point>}
+ */
+MKTransform.prototype.invertPoints = function invertPoints(points) {
+
+    var m = this.matrix,
+        determinant = m[0] * m[3] - m[1] * m[2],
+        _points = [];
+
+    for (var i = 0; i < points.length; i++) {
+
+        var x = points[i][0] - m[4],
+            y = points[i][1] - m[5];
+
+        _points.push([
+            (m[3] * x - m[2] * y) / determinant,
+            (m[0] * y - m[1] * x) / determinant,
+        ]);
+
+    }
+
+    return _points;
+
+};
+
+/**
+ * Returns true when `value` is a whole number, at least `min`.
+ * @param {*} value - the value to check.
+ * @param {Number} min - the minimum value.
+ * @returns {Boolean}
+ */
+function isWholeNumber(value, min) {
+
+    return 'number' === typeof value
+        && isFinite(value)
+        && value === Math.floor(value)
+        && value >= min;
+
+};
+
+/**
+ * Returns the greatest common divisor of two integers using Euclid's algorithm.
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number} Greatest common divisor
+ */
+function greatestCommonDivisor(a, b) {
+
+    a = Math.abs(a);
+    b = Math.abs(b);
+    var tmp;
+
+    // euclid's algorithm
+    while (0 !== b) {
+        tmp = b;
+        b = a % b;
+        a = tmp;
+    }
+
+    return a;
+
+};
+
+/**
+ * Expands `bounds` to include `points`.
+ * @param {bounds} bounds - the bounds to expand [L, T, R, B], where T > B.
+ * @param {Array<point>} points - the points [x,y] to include.
+ * @returns {bounds} - the same `bounds`, for convenience.
+ */
+function expandBounds(bounds, points) {
+
+    for (var i = 0; i < points.length; i++) {
 
-    // put the wedge's tiles into a group
-    var wedgeGroup = container.groupItems.add();
+        if (points[i][0] < bounds[0]) bounds[0] = points[i][0];
+        if (points[i][1] > bounds[1]) bounds[1] = points[i][1];
+        if (points[i][0] > bounds[2]) bounds[2] = points[i][0];
+        if (points[i][1] < bounds[3]) bounds[3] = points[i][1];
 
-    for (var i = this.tiles.length - 1; i >= 0; i--)
-        this.tiles[i].move(wedgeGroup, ElementPlacement.PLACEATBEGINNING);
+    }
 
-    return wedgeGroup;
+    return bounds;
 
 };
 
 /**
- * A Modulo Krinkle prototile.
- * @author m1b
- * @version 2025-07-06
- * @constructor
- * @param {point} origin - the origin point [x,y] for the mkTile.
- * @param {Number} tileDirection - the index of the direction of this tile.
- * @param {vector} translation - the translation offset of the mkTile, in pts (default: [0,0]).
- * @param {MKTileType} [tileType] - the tile type (default: none).
+ * Returns the signed area of the polygon `points`.
+ * The area is positive when the points are counterclockwise.
+ * @param {Array<point>} points - the polygon's points [x,y].
+ * @returns {Number}
  */
-function MKTile(wedge, origin, tileDirection, translation, tileType) {
+function getPolygonArea(points) {
 
-    this.parent = wedge;
-    var krinkle = wedge.parent;
+    var area = 0;
 
-    this.origin = origin;
-    this.direction = tileDirection;
-    this.translation = translation || [0, 0];
-    this.points = [origin.slice()];
-    this.tileType = tileType;
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++)
+        area += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+
+    return area / 2;
+
+};
+
+/**
+ * Returns the centroid, or center of mass, of the polygon `points`.
+ * Note: the centroid of a concave polygon can be outside it.
+ * @param {Array<point>} points - the polygon's points [x,y].
+ * @returns {point}
+ */
+function getPolygonCentroid(points) {
+
+    var area = 0,
+        cx = 0,
+        cy = 0;
+
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+
+        var cross = points[j][0] * points[i][1] - points[i][0] * points[j][1];
+
+        area += cross;
+        cx += (points[j][0] + points[i][0]) * cross;
+        cy += (points[j][1] + points[i][1]) * cross;
 
-    // transformations
-    var angle = krinkle.angle * tileDirection;
-    var translation = this.translation;
+    }
+
+    return [cx / (area * 3), cy / (area * 3)];
+
+};
 
-    var len = krinkle.directions.length - 1;
-    var pos = origin.slice();
-    var k = krinkle.k;
+/**
+ * Returns the points of the krinkle's prototile, calculated
+ * from its directions, starting at [0,0].
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @returns {Array<point>}
+ */
+function getPrototilePoints(krinkle) {
 
-    for (var i = 0, vec, flip; i < len; i++) {
+    var pos = [0, 0],
+        points = [pos];
 
-        // the unit vector for the current direction
-        vec = krinkle.unitVectors[krinkle.directions[i]];
+    for (var i = 0; i < krinkle.directions.length - 1; i++) {
 
-        // if the direction is in the upper half, flip the direction
-        flip = (i > k ? -1 : 1);
+        var vec = krinkle.unitVectors[krinkle.directions[i]],
+            flip = i > krinkle.k ? -1 : 1;
 
-        // calculate the position
         pos = [pos[0] + vec[0] * krinkle.unitLength * flip, pos[1] + vec[1] * krinkle.unitLength * flip];
-        this.points.push(pos);
+        points.push(pos);
 
     }
 
-    // perform rotation and translation
-    for (var i = 0; i < this.points.length; i++)
-        this.points[i] = addVector(rotateAroundOrigin(this.points[i], angle, [0, 0]), translation);
+    return points;
+
+};
+
+/**
+ * Returns a string key for `point`, such that points
+ * closer than `precision` (usually) have the same key.
+ * Useful for finding coincident points and edges.
+ * @param {point} point - the point [x,y].
+ * @param {Number} precision - the size of the rounding grid.
+ * @returns {String}
+ */
+function getPointKey(point, precision) {
+
+    return Math.round(point[0] / precision) + ',' + Math.round(point[1] / precision);
+
+};
+
+/**
+ * Returns `region` as a polygon.
+ * @param {Array<point>|bounds} region - a polygon's points [x,y], or a rectangle's bounds [L, T, R, B].
+ * @returns {Array<point>}
+ */
+function getRegionPolygon(region) {
+
+    if ('number' !== typeof region[0])
+        return region;
+
+    return [
+        [region[0], region[1]],
+        [region[0], region[3]],
+        [region[2], region[3]],
+        [region[2], region[1]],
+    ];
+
+};
+
+/**
+ * Returns true when polygon `a` is inside polygon `b`,
+ * allowing `a` to touch the boundary of `b`.
+ * @param {Array<point>} a - the points of polygon a.
+ * @param {Array<point>} b - the points of polygon b.
+ * @param {Number} tolerance - the distance under which points are considered equal.
+ * @returns {Boolean}
+ */
+function isPolygonInsidePolygon(a, b, tolerance) {
+
+    for (var i = 0; i < a.length; i++)
+        if (
+            !isPointInPolygon(a[i], b)
+            && getDistanceToPolygon(a[i], b) > tolerance
+        )
+            return false;
+
+    // every point is inside, but when `b` is concave, an edge of `a` may still cross out of it
+    for (var i = 0; i < a.length; i++)
+        for (var j = 0; j < b.length; j++)
+            if (segmentsCross(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length], tolerance))
+                return false;
+
+    return true;
+
+};
+
+/**
+ * Returns true when polygons `a` and `b` intersect,
+ * that is, when they overlap or one contains the other.
+ * @param {Array<point>} a - the points of polygon a.
+ * @param {Array<point>} b - the points of polygon b.
+ * @param {Number} tolerance - the distance under which points are considered equal.
+ * @returns {Boolean}
+ */
+function polygonsIntersect(a, b, tolerance) {
+
+    for (var i = 0; i < a.length; i++)
+        if (isPointInPolygon(a[i], b))
+            return true;
+
+    for (var i = 0; i < b.length; i++)
+        if (isPointInPolygon(b[i], a))
+            return true;
+
+    for (var i = 0; i < a.length; i++)
+        for (var j = 0; j < b.length; j++)
+            if (segmentsCross(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length], tolerance))
+                return true;
+
+    return false;
+
+};
+
+/**
+ * Returns true when segments ab and cd cross at a point
+ * strictly inside both segments.
+ * @param {point} a - the start of segment ab.
+ * @param {point} b - the end of segment ab.
+ * @param {point} c - the start of segment cd.
+ * @param {point} d - the end of segment cd.
+ * @param {Number} tolerance - the distance under which points are considered equal.
+ * @returns {Boolean}
+ */
+function segmentsCross(a, b, c, d, tolerance) {
+
+    // quick rejection when the segments' bounds don't overlap
+    if (
+        Math.max(a[0], b[0]) < Math.min(c[0], d[0])
+        || Math.max(c[0], d[0]) < Math.min(a[0], b[0])
+        || Math.max(a[1], b[1]) < Math.min(c[1], d[1])
+        || Math.max(c[1], d[1]) < Math.min(a[1], b[1])
+    )
+        return false;
+
+    var d1 = cross(c, d, a),
+        d2 = cross(c, d, b),
+        d3 = cross(a, b, c),
+        d4 = cross(a, b, d);
+
+    // scale the tolerance by the segment lengths, as the cross products are areas
+    var toleranceCD = tolerance * Math.sqrt((d[0] - c[0]) * (d[0] - c[0]) + (d[1] - c[1]) * (d[1] - c[1])),
+        toleranceAB = tolerance * Math.sqrt((b[0] - a[0]) * (b[0] - a[0]) + (b[1] - a[1]) * (b[1] - a[1]));
+
+    return (
+        (d1 > toleranceCD && d2 < -toleranceCD) || (d1 < -toleranceCD && d2 > toleranceCD)
+    ) && (
+            (d3 > toleranceAB && d4 < -toleranceAB) || (d3 < -toleranceAB && d4 > toleranceAB)
+        );
+
+    function cross(o, p, q) {
+        return (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+    };
+
+};
+
+/**
+ * Returns the middle of the stretch where segments ab and cd
+ * lie along the same line, or undefined if they don't overlap.
+ * @param {point} a - the start of segment ab.
+ * @param {point} b - the end of segment ab.
+ * @param {point} c - the start of segment cd.
+ * @param {point} d - the end of segment cd.
+ * @param {Number} tolerance - the distance under which points are considered equal.
+ * @returns {point?}
+ */
+function getOverlapMidpoint(a, b, c, d, tolerance) {
+
+    var dx = b[0] - a[0],
+        dy = b[1] - a[1],
+        length = Math.sqrt(dx * dx + dy * dy);
+
+    if (length < tolerance)
+        return;
+
+    dx /= length;
+    dy /= length;
+
+    // c and d must both be on ab's line
+    if (
+        Math.abs((c[0] - a[0]) * dy - (c[1] - a[1]) * dx) > tolerance
+        || Math.abs((d[0] - a[0]) * dy - (d[1] - a[1]) * dx) > tolerance
+    )
+        return;
+
+    // the overlap, measured along ab
+    var tc = (c[0] - a[0]) * dx + (c[1] - a[1]) * dy,
+        td = (d[0] - a[0]) * dx + (d[1] - a[1]) * dy,
+        start = Math.max(0, Math.min(tc, td)),
+        end = Math.min(length, Math.max(tc, td));
+
+    if (end - start < tolerance)
+        return;
+
+    return [a[0] + dx * (start + end) / 2, a[1] + dy * (start + end) / 2];
+
+};
+
+/**
+ * Returns true when `point` is inside the polygon `points`,
+ * using the even-odd rule.
+ * @param {point} point - the point [x,y].
+ * @param {Array<point>} points - the polygon's points.
+ * @returns {Boolean}
+ */
+function isPointInPolygon(point, points) {
+
+    var x = point[0],
+        y = point[1],
+        inside = false;
+
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+
+        var xi = points[i][0], yi = points[i][1],
+            xj = points[j][0], yj = points[j][1];
+
+        if (
+            (yi > y) !== (yj > y)
+            && x < (xj - xi) * (y - yi) / (yj - yi) + xi
+        )
+            inside = !inside;
 
-    // boundary of edges from start to end on the lower side of the tile
-    this.lowerBoundary = [];
-    for (var i = 0; i <= k; i++) {
-        this.lowerBoundary.push({
-            direction: krinkle.directions[i] + tileDirection,
-            point: this.points[i + 1],
-        });
     }
 
-    // boundary of edges from start to end on the lower side of the tile
-    this.upperBoundary = [];
-    for (var i = krinkle.directions.length - 1; i > k; i--) {
-        this.upperBoundary.push({
-            direction: krinkle.directions[i] + tileDirection,
-            point: this.points[i + 1] || this.points[0],
-        });
+    return inside;
+
+};
+
+/**
+ * Returns the distance from `point` to the nearest edge of the polygon `points`.
+ * @param {point} point - the point [x,y].
+ * @param {Array<point>} points - the polygon's points.
+ * @returns {Number}
+ */
+function getDistanceToPolygon(point, points) {
+
+    var min = Infinity;
+
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+
+        var a = points[j],
+            b = points[i],
+            dx = b[0] - a[0],
+            dy = b[1] - a[1],
+            lengthSquared = dx * dx + dy * dy,
+            t = lengthSquared ? ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSquared : 0;
+
+        t = Math.max(0, Math.min(1, t));
+
+        var ex = a[0] + t * dx - point[0],
+            ey = a[1] + t * dy - point[1];
+
+        min = Math.min(min, Math.sqrt(ex * ex + ey * ey));
+
     }
 
+    return min;
+
 };
 
 /**
- * Draws the KrinkleTile.
- * @author m1b
- * @version 2025-07-12
- * @param {Document|Layer|Group} container - the container for the tiles.
- * @param {point} center - the center of the tiling.
- * @param {Function} [drawFunction] - custom function to draw the tile (default: ModuloKrinkle.drawBasicTile).
- * @returns {PathItem|*} - Note that the returned value depends on the drawFunction.
+ * Returns the polygon `points` shrunk inward by `distance`,
+ * with each edge moved inward, parallel to itself, and
+ * mitred corners. It handles concave polygons without
+ * self-intersections: edges that shrink away are removed,
+ * and where the polygon gets too narrow it is split into
+ * pieces, so it returns an array of polygons, which is
+ * empty if the polygon vanishes.
+ * @version 2026-10-19
+ * @param {Array<point>} points - the polygon's points [x,y].
+ * @param {Number} distance - the inset distance.
+ * @returns {Array<Array<point>>} - the inset polygons, in the same winding order as `points`.
  */
-MKTile.prototype.draw = function drawMKTile(container, center, drawFunction) {
+function getInsetPolygons(points, distance) {
 
-    return (drawFunction || ModuloKrinkle.drawBasicTile).call(this, container, center);
+    if (!distance)
+        return [points.slice()];
+
+    var area = getPolygonArea(points),
+        // the inside is to the left of each edge when counterclockwise
+        sign = area > 0 ? 1 : -1,
+        tolerance = distance * 1e-6,
+        lines = [];
+
+    // each edge's line, moved inward
+    for (var i = 0; i < points.length; i++) {
+
+        var a = points[i],
+            b = points[(i + 1) % points.length],
+            length = Math.sqrt((b[0] - a[0]) * (b[0] - a[0]) + (b[1] - a[1]) * (b[1] - a[1]));
+
+        if (length < tolerance)
+            continue;
+
+        var dx = (b[0] - a[0]) / length,
+            dy = (b[1] - a[1]) / length;
+
+        lines.push({
+            point: [a[0] - dy * sign * distance, a[1] + dx * sign * distance],
+            direction: [dx, dy],
+        });
+
+    }
+
+    var inset;
+
+    while (lines.length >= 3) {
+
+        // each corner is where neighbouring lines meet
+        inset = [];
+
+        for (var i = 0; i < lines.length; i++)
+            inset.push(getLineIntersection(lines[(i + lines.length - 1) % lines.length], lines[i]));
+
+        // an edge that now runs backwards has shrunk away, so remove the worst one and try again
+        var worst = -1,
+            worstLength = -tolerance;
+
+        for (var i = 0; i < lines.length; i++) {
+
+            var a = inset[i],
+                b = inset[(i + 1) % inset.length],
+                length = (b[0] - a[0]) * lines[i].direction[0] + (b[1] - a[1]) * lines[i].direction[1];
+
+            if (length < worstLength) {
+                worst = i;
+                worstLength = length;
+            }
+
+        }
+
+        if (-1 === worst)
+            break;
+
+        lines.splice(worst, 1);
+
+    }
+
+    if (lines.length < 3)
+        return [];
+
+    var loops = splitPolygonAtCrossings(inset),
+        polygons = [];
+
+    for (var i = 0; i < loops.length; i++) {
+
+        // keep the pieces that wind the same way, and are inside, at least `distance` from the edges
+        if (
+            loops[i].length < 3
+            || getPolygonArea(loops[i]) * sign < Math.abs(area) * 1e-9
+        )
+            continue;
+
+        for (var j = 0; j < loops[i].length; j++)
+            if (
+                !isPointInPolygon(loops[i][j], points)
+                || getDistanceToPolygon(loops[i][j], points) < distance - tolerance
+            )
+                break;
+
+        if (j === loops[i].length)
+            polygons.push(loops[i]);
+
+    }
+
+    return polygons;
 
 };
 
 /**
- * String representation of the MKTile.
- * @param {Boolean} specific - whether to return a specific tile's string, or a general MKTile string.
- * @returns {String}
+ * Returns the point where two lines meet, or the
+ * second line's point, if the lines are parallel.
+ * @param {Object} a - the first line, eg. { point: [x,y], direction: [dx,dy] }.
+ * @param {Object} b - the second line.
+ * @returns {point}
  */
-MKTile.prototype.toString = function mkTileToString(specific) {
+function getLineIntersection(a, b) {
 
-    var krinkle = this.parent.parent;
+    var cross = a.direction[0] * b.direction[1] - a.direction[1] * b.direction[0];
 
-    return specific
-        // for this specific tile, including sector, wedge and layer indices
-        ? 'S' + this.sectorIndex + ' W' + this.wedgeIndex + ' L' + this.layerIndex + ' (' + 'BLMCR'[this.tileType] + ')'
-        // generic for any tile of this tileType
-        : krinkle.toString() + '-' + 'BLMCR'[this.tileType];
+    if (Math.abs(cross) < 1e-9)
+        return b.point.slice();
+
+    var t = ((b.point[0] - a.point[0]) * b.direction[1] - (b.point[1] - a.point[1]) * b.direction[0]) / cross;
+
+    return [a.point[0] + a.direction[0] * t, a.point[1] + a.direction[1] * t];
 
 };
 
 /**
- * The type of MKTile. This is not used for actual tiling
- * but gives more options for drawing the tiling.
- * @enum {Number}
+ * Returns the polygon `points` split into simple loops,
+ * at every point where its edges cross or overlap.
+ * @param {Array<point>} points - the polygon's points [x,y].
+ * @returns {Array<Array<point>>}
  */
-var MKTileType = {
-    /** a central tile, touching the origin */
-    BASE: 0,
-    /** the leftmost tile in a wedge layer */
-    LEFT: 1,
-    /** a middle tile in a wedge layer */
-    MIDDLE: 2,
-    /** the central tile in a wedge layer (every 2nd layer has one of these) */
-    CENTER: 3,
-    /** the rightmost  tile in a wedge layer */
-    RIGHT: 4,
+function splitPolygonAtCrossings(points) {
+
+    var len = points.length;
+
+    for (var i = 0; i < len; i++) {
+
+        for (var j = i + 2; j < len; j++) {
+
+            // the first and last edges are neighbours
+            if (0 === i && len - 1 === j)
+                continue;
+
+            var a = points[i],
+                b = points[i + 1],
+                c = points[j],
+                d = points[(j + 1) % len];
+
+            var crossing = segmentsCross(a, b, c, d, 1e-9)
+                ? getLineIntersection(
+                    { point: a, direction: [b[0] - a[0], b[1] - a[1]] },
+                    { point: c, direction: [d[0] - c[0], d[1] - c[1]] }
+                )
+                // parallel edges, eg. either side of a part that has shrunk away, can lie along each other
+                : getOverlapMidpoint(a, b, c, d, 1e-9);
+
+            if (!crossing)
+                continue;
+
+            // one loop either side of the crossing
+            return splitPolygonAtCrossings(points.slice(0, i + 1).concat([crossing], points.slice(j + 1)))
+                .concat(splitPolygonAtCrossings([crossing].concat(points.slice(i + 1, j + 1))));
+
+        }
+
+    }
+
+    return [points];
+
 };
 
 /**
- * Returns the greatest common divisor of two integers using Euclid's algorithm.
- * @param {number} a - First number
- * @param {number} b - Second number
- * @returns {number} Greatest common divisor
+ * Returns path commands for the polygon `points` with
+ * its corners rounded. Each rounding is limited to half
+ * of the edges either side, so that neighbouring roundings
+ * don't overlap, and the radius shrinks to fit.
+ * @version 2026-10-19
+ * @param {Array<point>} points - the polygon's points [x,y].
+ * @param {Number} radius - the radius of the convex corners.
+ * @param {Number} [concaveRadius] - the radius of the concave corners (default: `radius`).
+ * @returns {Array<Object>} - the commands, eg. { type: 'C', points: [[x,y], [x,y], [x,y]] }, of type M, L, C or Z.
  */
-function greatestCommonDivisor(a, b) {
+function getRoundedPolygonCommands(points, radius, concaveRadius) {
+
+    concaveRadius = undefined == concaveRadius ? radius : concaveRadius;
+
+    var sign = getPolygonArea(points) > 0 ? 1 : -1,
+        len = points.length,
+        corners = [];
+
+    for (var i = 0; i < len; i++) {
+
+        var a = points[(i + len - 1) % len],
+            p = points[i],
+            b = points[(i + 1) % len],
+            lengthIn = Math.sqrt((p[0] - a[0]) * (p[0] - a[0]) + (p[1] - a[1]) * (p[1] - a[1])),
+            lengthOut = Math.sqrt((b[0] - p[0]) * (b[0] - p[0]) + (b[1] - p[1]) * (b[1] - p[1])),
+            // the directions along the edges, into and out of the corner
+            dIn = [(p[0] - a[0]) / lengthIn, (p[1] - a[1]) / lengthIn],
+            dOut = [(b[0] - p[0]) / lengthOut, (b[1] - p[1]) / lengthOut],
+            cross = dIn[0] * dOut[1] - dIn[1] * dOut[0],
+            turn = Math.atan2(Math.abs(cross), dIn[0] * dOut[0] + dIn[1] * dOut[1]),
+            r = cross * sign >= 0 ? radius : concaveRadius,
+            tangent = Math.min(r * Math.tan(turn / 2), lengthIn / 2, lengthOut / 2);
+
+        corners.push({
+            point: p,
+            entry: [p[0] - dIn[0] * tangent, p[1] - dIn[1] * tangent],
+            exit: [p[0] + dOut[0] * tangent, p[1] + dOut[1] * tangent],
+            dIn: dIn,
+            dOut: dOut,
+            turn: cross < 0 ? -turn : turn,
+            radius: turn > 1e-9 ? tangent / Math.tan(turn / 2) : 0,
+        });
 
-    a = Math.abs(a);
-    b = Math.abs(b);
-    var tmp;
+    }
+
+    var last = corners[len - 1],
+        commands = [{ type: 'M', points: [last.radius > 1e-9 ? last.exit : last.point] }];
+
+    for (var i = 0; i < len; i++) {
+
+        var corner = corners[i];
+
+        if (corner.radius <= 1e-9) {
+            commands.push({ type: 'L', points: [corner.point] });
+            continue;
+        }
+
+        // unless the roundings either side use the whole edge
+        var previous = commands[commands.length - 1].points;
+
+        if (Math.abs(previous[previous.length - 1][0] - corner.entry[0]) + Math.abs(previous[previous.length - 1][1] - corner.entry[1]) > 1e-9)
+            commands.push({ type: 'L', points: [corner.entry] });
+
+        Array.prototype.push.apply(commands, getArcCommands(corner));
 
-    // euclid's algorithm
-    while (0 !== b) {
-        tmp = b;
-        b = a % b;
-        a = tmp;
     }
 
-    return a;
+    commands.push({ type: 'Z', points: [] });
+
+    return commands;
+
+    /** Returns the cubic curves of a corner's rounding, a circular arc, in quarter turns or less. */
+    function getArcCommands(corner) {
+
+        var // the arc's center is to the left of the edge when turning left
+            side = corner.turn > 0 ? 1 : -1,
+            center = [corner.entry[0] - corner.dIn[1] * side * corner.radius, corner.entry[1] + corner.dIn[0] * side * corner.radius],
+            start = Math.atan2(corner.entry[1] - center[1], corner.entry[0] - center[0]),
+            count = Math.ceil(Math.abs(corner.turn) / (Math.PI / 2) - 1e-9),
+            step = corner.turn / count,
+            handle = 4 / 3 * Math.tan(Math.abs(step) / 4) * corner.radius,
+            arc = [];
+
+        for (var i = 0; i < count; i++) {
+
+            var a0 = start + step * i,
+                a1 = start + step * (i + 1),
+                p0 = [center[0] + Math.cos(a0) * corner.radius, center[1] + Math.sin(a0) * corner.radius],
+                p1 = i === count - 1 ? corner.exit : [center[0] + Math.cos(a1) * corner.radius, center[1] + Math.sin(a1) * corner.radius];
+
+            arc.push({
+                type: 'C',
+                points: [
+                    [p0[0] - Math.sin(a0) * side * handle, p0[1] + Math.cos(a0) * side * handle],
+                    [p1[0] + Math.sin(a1) * side * handle, p1[1] - Math.cos(a1) * side * handle],
+                    p1,
+                ],
+            });
+
+        }
+
+        return arc;
+
+    };
+
+};
+
+/**
+ * Returns a copy of `points` transformed by `transform`,
+ * which is either an MKTransform or, as used by the original
+ * draw functions, a translation vector.
+ * @version 2026-10-19
+ * @param {Array<point>} points - the points [x,y] to transform.
+ * @param {MKTransform|vector} [transform] - the transform, or the translation vector [tx, ty] (default: no transformation).
+ * @returns {Array<point>}
+ */
+function getTransformedPoints(points, transform) {
+
+    if (transform instanceof MKTransform)
+        return transform.transformPoints(points);
+
+    return getTranslatedPoints(points, transform || [0, 0]);
 
 };
 
@@ -0,0 +1,228 @@
+/**
+ * @file MK_Animation.js
+ *
+ * Writes the build-up of a ModuloKrinkle tiling as an
+ * animated SVG document, or as a sequence of SVG frames.
+ * The tiles appear in stages, either outward layer by
+ * layer, or sweeping around sector by sector, or wedge
+ * by wedge.
+ *
+ * Requires MK_SVG.js. Nothing here depends on Adobe Illustrator.
+ *
+ * Example usage:
+ *
+ *      var krinkle = new ModuloKrinkle(2, 5, 2, false, 10, 8);
+ *      var svg = krinkleToAnimatedSVG(krinkle, { order: MKAnimationOrder.LAYERS, loop: true });
+ *      var frames = krinkleToSVGFrames(krinkle, { order: MKAnimationOrder.WEDGES });
+ *
+ * Each tile's path gets the class of its stage, eg. "mk-stage-3",
+ * and the stylesheet delays each stage's animation, so the
+ * timing can be adjusted by editing the CSS.
+ */
+
+if ('function' !== typeof krinkleToSVG)
+    throw new Error('MK_SVG.js must load first.');
+
+/**
+ * The order in which the tiles appear.
+ * @enum {String}
+ */
+var MKAnimationOrder = {
+    /** outward, ring by ring, using each tile's layerIndex */
+    LAYERS: 'layers',
+    /** around, sector by sector, using each tile's sectorIndex */
+    SECTORS: 'sectors',
+    /** around, wedge by wedge, a finer sweep than by sector */
+    WEDGES: 'wedges',
+};
+
+/**
+ * Returns the stage at which `tile` appears, starting at 0.
+ * @param {MKTile} tile - the tile.
+ * @param {MKAnimationOrder} [order] - the order of appearance (default: MKAnimationOrder.LAYERS).
+ * @returns {Number}
+ */
+function getTileStage(tile, order) {
+
+    switch (order || MKAnimationOrder.LAYERS) {
+
+        case MKAnimationOrder.LAYERS:
+            return tile.layerIndex;
+
+        case MKAnimationOrder.SECTORS:
+            return tile.sectorIndex;
+
+        case MKAnimationOrder.WEDGES:
+            return tile.wedgeIndex;
+
+        default:
+            throw new Error('getTileStage: bad `order` supplied.');
+
+    }
+
+};
+
+/**
+ * Returns the number of stages in the krinkle's animation.
+ * The tiles are visited one at a time, so that a lazy
+ * krinkle's tiles are not all made at once.
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {MKAnimationOrder} [order] - the order of appearance (default: MKAnimationOrder.LAYERS).
+ * @returns {Number}
+ */
+function getStageCount(krinkle, order) {
+
+    var count = 0;
+
+    krinkle.forEachTile(function (tile) {
+        count = Math.max(count, getTileStage(tile, order) + 1);
+    });
+
+    return count;
+
+};
+
+/**
+ * Returns an SVG document of the krinkle's tiles, animated
+ * with CSS keyframes so that they appear stage by stage.
+ * Accepts all the options of `krinkleToSVG`, as well as:
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle to write.
+ * @param {Object} [options]
+ * @param {MKAnimationOrder} [options.order] - the order in which the tiles appear (default: MKAnimationOrder.LAYERS).
+ * @param {Number} [options.stageDuration] - the time between stages, in seconds (default: 0.25).
+ * @param {Number} [options.fadeDuration] - the time each tile takes to fade in, in seconds (default: 0.5).
+ * @param {Boolean} [options.loop] - whether to repeat the animation (default: false).
+ * @param {Number} [options.hold] - when looping, the time the whole tiling shows before repeating, in seconds (default: 2).
+ * @returns {String}
+ */
+function krinkleToAnimatedSVG(krinkle, options) {
+
+    options = options || {};
+
+    var prefix = options.prefix || 'mk',
+        order = options.order || MKAnimationOrder.LAYERS,
+        stageDuration = undefined == options.stageDuration ? 0.25 : options.stageDuration,
+        fadeDuration = undefined == options.fadeDuration ? 0.5 : options.fadeDuration,
+        hold = undefined == options.hold ? 2 : options.hold,
+        stageCount = getStageCount(krinkle, order),
+        css = [];
+
+    if (true === options.loop) {
+
+        // every stage has its own keyframes, as a fraction of the whole loop
+        var total = (stageCount - 1) * stageDuration + fadeDuration + hold;
+
+        css.push('.' + prefix + '-tile { opacity: 0; animation: ' + formatSVGNumber(total) + 's linear infinite; }');
+
+        for (var i = 0; i < stageCount; i++) {
+
+            var start = formatSVGNumber(i * stageDuration / total * 100),
+                end = formatSVGNumber((i * stageDuration + fadeDuration) / total * 100);
+
+            css.push('@keyframes ' + prefix + '-stage-' + i + ' { 0%, ' + start + '% { opacity: 0; } ' + end + '%, 100% { opacity: 1; } }');
+            css.push('.' + prefix + '-stage-' + i + ' { animation-name: ' + prefix + '-stage-' + i + '; }');
+
+        }
+
+    }
+
+    else {
+
+        css.push('@keyframes ' + prefix + '-appear { from { opacity: 0; } to { opacity: 1; } }');
+        css.push('.' + prefix + '-tile { opacity: 0; animation: ' + prefix + '-appear ' + formatSVGNumber(fadeDuration) + 's ease-out forwards; }');
+
+        for (var i = 0; i < stageCount; i++)
+            css.push('.' + prefix + '-stage-' + i + ' { animation-delay: ' + formatSVGNumber(i * stageDuration) + 's; }');
+
+    }
+
+    if (options.css)
+        css.push(options.css);
+
+    return krinkleToSVG(krinkle, getStagedSVGOptions(options, order, css.join('\n'), function () { }));
+
+};
+
+/**
+ * Returns a sequence of SVG documents, one for each stage,
+ * where each frame shows the tiles of every stage so far.
+ * Every frame has the same size, so that the frames can
+ * be made into a video or an animated image.
+ * Accepts all the options of `krinkleToSVG`, as well as:
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle to write.
+ * @param {Object} [options]
+ * @param {MKAnimationOrder} [options.order] - the order in which the tiles appear (default: MKAnimationOrder.LAYERS).
+ * @returns {Array<String>}
+ */
+function krinkleToSVGFrames(krinkle, options) {
+
+    options = options || {};
+
+    var order = options.order || MKAnimationOrder.LAYERS,
+        stageCount = getStageCount(krinkle, order),
+        frames = [];
+
+    for (var i = 0; i < stageCount; i++) {
+
+        frames.push(krinkleToSVG(krinkle, getStagedSVGOptions(options, order, options.css, (function (frameIndex) {
+
+            // hide the tiles that haven't appeared yet, but keep them for the document's size
+            return function (tile) {
+                if (getTileStage(tile, order) > frameIndex)
+                    return { display: 'none' };
+            };
+
+        })(i))));
+
+    }
+
+    return frames;
+
+};
+
+/**
+ * Returns a copy of `options` for `krinkleToSVG`, with `css`
+ * and with each tile's stage added to its class names.
+ * @param {Object} options - the options to copy.
+ * @param {MKAnimationOrder} order - the order in which the tiles appear.
+ * @param {String} [css] - the stylesheet (default: none).
+ * @param {Function} attributes - function(tile) returning an object of extra attributes for the tile.
+ * @returns {Object}
+ */
+function getStagedSVGOptions(options, order, css, attributes) {
+
+    var prefix = options.prefix || 'mk',
+        svgOptions = {};
+
+    for (var key in options)
+        if (options.hasOwnProperty(key))
+            svgOptions[key] = options[key];
+
+    svgOptions.css = css;
+
+    svgOptions.tileAttributes = function (tile) {
+
+        var extraAttributes = attributes(tile) || {};
+
+        if (options.tileAttributes) {
+
+            var userAttributes = options.tileAttributes(tile) || {};
+
+            for (var key in userAttributes)
+                if (userAttributes.hasOwnProperty(key))
+                    extraAttributes[key] = userAttributes[key];
+
+        }
+
+        extraAttributes['class'] = getSVGTileClassName(tile, prefix) + ' ' + prefix + '-stage-' + getTileStage(tile, order)
+            + (extraAttributes['class'] ? ' ' + extraAttributes['class'] : '');
+
+        return extraAttributes;
+
+    };
+
+    return svgOptions;
+
+};
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * @file MK_DXF.js
+ *
+ * Writes a ModuloKrinkle tiling as a DXF drawing, for CAD
+ * tools, with each tile as a closed LWPOLYLINE on a layer
+ * named for its tile type, eg. "MIDDLE", or its sector,
+ * eg. "SECTOR-3", or both, eg. "SECTOR-3-MIDDLE".
+ *
+ * The drawing is in real units, eg. millimetres, set in the
+ * header so that CAD tools insert it at the right size. By
+ * default, each edge is `unitLength` points long, converted
+ * to the units, or set `edgeLength` to the real length of
+ * each edge, eg. 150 for tiles with 150 mm edges.
+ *
+ * Nothing here depends on Adobe Illustrator.
+ *
+ * Example usage:
+ *
+ *      var krinkle = new ModuloKrinkle(2, 5, 2, false, 10, 5);
+ *      var dxf = krinkleToDXF(krinkle, { layers: MKDXFLayers.TILE_TYPE, units: 'mm', edgeLength: 150 });
+ *
+ * DXF can't clip polylines, so tiles of a clipped krinkle
+ * (see `fitToRegion`) are written whole, and the clip region
+ * is written on its own layer, "REGION", for trimming in CAD.
+ */
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+/**
+ * How the tiles are put on DXF layers.
+ * @enum {String}
+ */
+var MKDXFLayers = {
+    /** a layer for each tile type, eg. "BASE", "LEFT" */
+    TILE_TYPE: 'tile-type',
+    /** a layer for each sector, eg. "SECTOR-0" */
+    SECTOR: 'sector',
+    /** a layer for each tile type in each sector, eg. "SECTOR-0-BASE" */
+    SECTOR_AND_TILE_TYPE: 'sector-and-tile-type',
+};
+
+/**
+ * The DXF units, with their $INSUNITS code and
+ * their size in points.
+ */
+var DXF_UNITS = {
+    'in': { code: 1, points: 72, metric: false },
+    'ft': { code: 2, points: 864, metric: false },
+    'mm': { code: 4, points: 72 / 25.4, metric: true },
+    'cm': { code: 5, points: 72 / 2.54, metric: true },
+    'm': { code: 6, points: 72 / 0.0254, metric: true },
+};
+
+/**
+ * Returns a DXF drawing (AutoCAD 2000 format) of the
+ * krinkle's tiles, each a closed LWPOLYLINE, with the y
+ * axis up, as in Illustrator and CAD.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle to write.
+ * @param {Object} [options]
+ * @param {MKDXFLayers} [options.layers] - how to put the tiles on layers (default: MKDXFLayers.TILE_TYPE).
+ * @param {String} [options.units] - the drawing units: 'mm', 'cm', 'm', 'in' or 'ft' (default: 'mm').
+ * @param {Number} [options.edgeLength] - the length of each tile edge, in the drawing units (default: `unitLength` pts, in the drawing units).
+ * @param {MKTransform} [options.transform] - a transformation to apply to the tiling (default: none).
+ * @param {Number} [options.decimals] - the number of decimal places for coordinates (default: 4).
+ * @returns {String}
+ */
+function krinkleToDXF(krinkle, options) {
+
+    options = options || {};
+
+    var layerMode = options.layers || MKDXFLayers.TILE_TYPE,
+        units = DXF_UNITS[options.units || 'mm'],
+        decimals = undefined == options.decimals ? 4 : options.decimals;
+
+    if (!units)
+        throw new Error('krinkleToDXF: bad `units` supplied. Use mm, cm, m, in or ft.');
+
+    var scale = options.edgeLength
+        ? options.edgeLength / krinkle.unitLength
+        : 1 / units.points,
+        bounds = [Infinity, -Infinity, -Infinity, Infinity],
+        layerNames = [],
+        layerColors = {},
+        layerHandles = {},
+        // handles are hexadecimal, and the tables and blocks use 1 to FF
+        nextHandle = 0x100,
+        entities = [];
+
+    krinkle.forEachTile(function (tile) {
+
+        var layerName = getDXFLayerName(tile, layerMode);
+
+        if (!layerColors.hasOwnProperty(layerName))
+            addLayer(layerName, getDXFLayerColor(tile, layerMode));
+
+        addPolyline(layerName, tile.points);
+
+    });
+
+    if (krinkle.clipRegion) {
+        addLayer('REGION', 7);
+        addPolyline('REGION', krinkle.clipRegion);
+    }
+
+    if (Infinity === bounds[0])
+        bounds = [0, 0, 0, 0];
+
+    var dxf = [];
+
+    // TABLES
+    dxf.push(
+        0, 'SECTION', 2, 'TABLES',
+
+        0, 'TABLE', 2, 'VPORT', 5, '8', 330, 0, 100, 'AcDbSymbolTable', 70, 0,
+        0, 'ENDTAB',
+
+        0, 'TABLE', 2, 'LTYPE', 5, '5', 330, 0, 100, 'AcDbSymbolTable', 70, 3,
+        0, 'LTYPE', 5, '14', 330, '5', 100, 'AcDbSymbolTableRecord', 100, 'AcDbLinetypeTableRecord',
+        2, 'ByBlock', 70, 0, 3, '', 72, 65, 73, 0, 40, 0,
+        0, 'LTYPE', 5, '15', 330, '5', 100, 'AcDbSymbolTableRecord', 100, 'AcDbLinetypeTableRecord',
+        2, 'ByLayer', 70, 0, 3, '', 72, 65, 73, 0, 40, 0,
+        0, 'LTYPE', 5, '16', 330, '5', 100, 'AcDbSymbolTableRecord', 100, 'AcDbLinetypeTableRecord',
+        2, 'Continuous', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0,
+        0, 'ENDTAB'
+    );
+
+    // layer "0" must always exist
+    dxf.push(
+        0, 'TABLE', 2, 'LAYER', 5, '2', 330, 0, 100, 'AcDbSymbolTable', 70, layerNames.length + 1,
+        0, 'LAYER', 5, '10', 330, '2', 100, 'AcDbSymbolTableRecord', 100, 'AcDbLayerTableRecord',
+        2, '0', 70, 0, 62, 7, 6, 'Continuous'
+    );
+
+    for (var i = 0; i < layerNames.length; i++)
+        dxf.push(
+            0, 'LAYER', 5, layerHandles[layerNames[i]], 330, '2', 100, 'AcDbSymbolTableRecord', 100, 'AcDbLayerTableRecord',
+            2, layerNames[i], 70, 0, 62, layerColors[layerNames[i]], 6, 'Continuous'
+        );
+
+    dxf.push(0, 'ENDTAB');
+
+    // the other tables are empty, but must exist
+    var emptyTables = [['STYLE', '3'], ['VIEW', '6'], ['UCS', '7'], ['APPID', '9'], ['DIMSTYLE', 'A']];
+
+    for (var i = 0; i < emptyTables.length; i++) {
+
+        dxf.push(0, 'TABLE', 2, emptyTables[i][0], 5, emptyTables[i][1], 330, 0, 100, 'AcDbSymbolTable', 70, 0);
+
+        if ('DIMSTYLE' === emptyTables[i][0])
+            dxf.push(100, 'AcDbDimStyleTable');
+
+        dxf.push(0, 'ENDTAB');
+
+    }
+
+    dxf.push(
+        0, 'TABLE', 2, 'BLOCK_RECORD', 5, '1', 330, 0, 100, 'AcDbSymbolTable', 70, 2,
+        0, 'BLOCK_RECORD', 5, '1F', 330, '1', 100, 'AcDbSymbolTableRecord', 100, 'AcDbBlockTableRecord', 2, '*Model_Space',
+        0, 'BLOCK_RECORD', 5, '1B', 330, '1', 100, 'AcDbSymbolTableRecord', 100, 'AcDbBlockTableRecord', 2, '*Paper_Space',
+        0, 'ENDTAB',
+
+        0, 'ENDSEC'
+    );
+
+    // BLOCKS
+    dxf.push(
+        0, 'SECTION', 2, 'BLOCKS',
+        0, 'BLOCK', 5, '20', 330, '1F', 100, 'AcDbEntity', 8, '0', 100, 'AcDbBlockBegin',
+        2, '*Model_Space', 70, 0, 10, 0, 20, 0, 30, 0, 3, '*Model_Space', 1, '',
+        0, 'ENDBLK', 5, '21', 330, '1F', 100, 'AcDbEntity', 8, '0', 100, 'AcDbBlockEnd',
+        0, 'BLOCK', 5, '1C', 330, '1B', 100, 'AcDbEntity', 67, 1, 8, '0', 100, 'AcDbBlockBegin',
+        2, '*Paper_Space', 70, 0, 10, 0, 20, 0, 30, 0, 3, '*Paper_Space', 1, '',
+        0, 'ENDBLK', 5, '1D', 330, '1B', 100, 'AcDbEntity', 67, 1, 8, '0', 100, 'AcDbBlockEnd',
+        0, 'ENDSEC'
+    );
+
+    // ENTITIES
+    dxf.push(0, 'SECTION', 2, 'ENTITIES');
+    Array.prototype.push.apply(dxf, entities);
+    dxf.push(0, 'ENDSEC');
+
+    // OBJECTS
+    dxf.push(
+        0, 'SECTION', 2, 'OBJECTS',
+        0, 'DICTIONARY', 5, 'C', 330, 0, 100, 'AcDbDictionary', 281, 1, 3, 'ACAD_GROUP', 350, 'D',
+        0, 'DICTIONARY', 5, 'D', 330, 'C', 100, 'AcDbDictionary', 281, 1,
+        0, 'ENDSEC',
+        0, 'EOF'
+    );
+
+    // HEADER, last, so that $HANDSEED is greater than every handle in use
+    dxf = [
+        0, 'SECTION', 2, 'HEADER',
+        9, '$ACADVER', 1, 'AC1015',
+        9, '$HANDSEED', 5, getHandle(),
+        9, '$INSUNITS', 70, units.code,
+        9, '$MEASUREMENT', 70, units.metric ? 1 : 0,
+        9, '$EXTMIN', 10, formatDXFNumber(bounds[0], decimals), 20, formatDXFNumber(bounds[3], decimals), 30, 0,
+        9, '$EXTMAX', 10, formatDXFNumber(bounds[2], decimals), 20, formatDXFNumber(bounds[1], decimals), 30, 0,
+        0, 'ENDSEC'
+    ].concat(dxf);
+
+    // every group code and value on its own line
+    for (var i = 0; i < dxf.length; i += 2)
+        dxf[i] = ('  ' + dxf[i]).slice(-3);
+
+    return dxf.join('\n') + '\n';
+
+    /** Returns a new handle. */
+    function getHandle() {
+
+        return (nextHandle++).toString(16).toUpperCase();
+
+    };
+
+    /** Adds a layer named `layerName`, with an AutoCAD Color Index. */
+    function addLayer(layerName, color) {
+
+        layerNames.push(layerName);
+        layerColors[layerName] = color;
+        layerHandles[layerName] = getHandle();
+
+    };
+
+    /** Adds a closed polyline through `points`, on the layer named `layerName`. */
+    function addPolyline(layerName, points) {
+
+        points = getTransformedPoints(points, options.transform);
+        points = getTranslatedPoints(points, [0, 0], scale);
+
+        expandBounds(bounds, points);
+
+        entities.push(
+            0, 'LWPOLYLINE', 5, getHandle(), 330, '1F', 100, 'AcDbEntity', 8, layerName,
+            100, 'AcDbPolyline', 90, points.length, 70, 1
+        );
+
+        for (var i = 0; i < points.length; i++)
+            entities.push(10, formatDXFNumber(points[i][0], decimals), 20, formatDXFNumber(points[i][1], decimals));
+
+    };
+
+};
+
+/**
+ * Returns the name of the DXF layer for `tile`.
+ * @param {MKTile} tile - the tile.
+ * @param {MKDXFLayers} layerMode - how the tiles are put on layers.
+ * @returns {String}
+ */
+function getDXFLayerName(tile, layerMode) {
+
+    switch (layerMode) {
+
+        case MKDXFLayers.TILE_TYPE:
+            return getTileTypeName(tile.tileType);
+
+        case MKDXFLayers.SECTOR:
+            return 'SECTOR-' + tile.sectorIndex;
+
+        case MKDXFLayers.SECTOR_AND_TILE_TYPE:
+            return 'SECTOR-' + tile.sectorIndex + '-' + getTileTypeName(tile.tileType);
+
+        default:
+            throw new Error('getDXFLayerName: bad `layerMode` supplied.');
+
+    }
+
+};
+
+/**
+ * Returns the color of the DXF layer for `tile`, as an
+ * AutoCAD Color Index from 1 to 6, by tile type or, when
+ * the layers are only by sector, by sector.
+ * @param {MKTile} tile - the tile.
+ * @param {MKDXFLayers} layerMode - how the tiles are put on layers.
+ * @returns {Number}
+ */
+function getDXFLayerColor(tile, layerMode) {
+
+    return MKDXFLayers.SECTOR === layerMode
+        ? tile.sectorIndex % 6 + 1
+        : tile.tileType + 1;
+
+};
+
+/**
+ * Returns the name of a tile type, eg. 'MIDDLE'.
+ * @param {MKTileType} tileType - the tile type.
+ * @returns {String}
+ */
+function getTileTypeName(tileType) {
+
+    for (var key in MKTileType)
+        if (
+            MKTileType.hasOwnProperty(key)
+            && tileType === MKTileType[key]
+        )
+            return key;
+
+    return 'UNKNOWN';
+
+};
+
+/**
+ * Returns `n` as a DXF number, with at most `decimals`
+ * decimal places and no trailing zeros.
+ * @param {Number} n - the number.
+ * @param {Number} decimals - the number of decimal places.
+ * @returns {String}
+ */
+function formatDXFNumber(n, decimals) {
+
+    var str = n.toFixed(decimals);
+
+    if (-1 !== str.indexOf('.'))
+        str = str.replace(/\.?0+$/, '');
+
+    return '-0' === str ? '0' : str;
+
+};
\ No newline at end of file
@@ -3,9 +3,7 @@
  * will draw the tile using a Symbol.
  *
  * @author m1b
- * @version 2025-07-12
- * @param {Document|Layer|Group} container - the container for the tiles.
- * @param {point} [center] - the center of the tiling (default: [0,0]).
+ * @version 2026-10-19
  * @param {Document} doc - an Illustrator Document.
  * @param {Symbol|Array<Symbol>} [symbol] - the symbol, or symbols, to place for each tile (default: none, will make new symbols).
  * @param {Boolean} [separateTileTypes] - whether to make a symbol for each different tile type rather than teh same symbol for every tile type (default: false).
@@ -43,8 +41,8 @@ function drawBySymbol(doc, symbol, separateTileTypes) {
         var wedge = this.parent;
         var krinkle = wedge.parent;
 
-        // get translated points
-        var tilePoints = getTranslatedPoints(this.points, center);
+        // get transformed points
+        var tilePoints = getTransformedPoints(this.points, center);
 
         var symbolTileType = separateTileTypes ? this.tileType : MKTileType.BASE;
 
@@ -61,28 +59,33 @@ function drawBySymbol(doc, symbol, separateTileTypes) {
 
             else {
 
-                // draw this tile and replace with a symbol
-                var tile = ModuloKrinkle.drawBasicTile.call(this, container, center);
+                // draw this tile, turned so that its first edge is at 0°,
+                // and replace with a symbol, which we place below like the others
+                var tile = ModuloKrinkle.drawBasicTile.call(this, container, new MKTransform({ rotation: -angleBetweenPoints(this.points[0], this.points[1]) }));
 
                 // the default name eg. 'MK-2-5-2-B' or 'MK-2-5-2'
                 var name = separateTileTypes ? this.toString(false) : krinkle.toString();
 
                 symbolItem = makeSymbolFromItem(doc, tile, tile.pathPoints[0].anchor, name);
                 symbolsByTileType[symbolTileType] = symbolItem.symbol;
+                symbolItem.remove();
 
             }
 
-
         }
 
+        symbolItem = container.symbolItems.add(symbolsByTileType[symbolTileType]);
+
         if (
-            !symbolItem
-            && symbolsByTileType[symbolTileType]
-        ) {
-            symbolItem = container.symbolItems.add(symbolsByTileType[symbolTileType]);
-            symbolItem.rotate(angleBetweenPoints(tilePoints[0], tilePoints[1]));
-            moveCenter(symbolItem, tilePoints[0]);
-        }
+            center instanceof MKTransform
+            && (center.mirror || 1 !== center.scale)
+        )
+            // the symbol is reflected across its first edge, so
+            // the rotation below is the same as for any tile
+            symbolItem.resize(center.scale * 100, (center.mirror ? -1 : 1) * center.scale * 100);
+
+        symbolItem.rotate(angleBetweenPoints(tilePoints[0], tilePoints[1]));
+        moveCenter(symbolItem, tilePoints[0]);
 
         // name the symbol item for the specific tile
         symbolItem.name = this.toString(true);
@@ -135,12 +138,322 @@ function drawWithColors(colors) {
 
 };
 
+/**
+ * Returns a drawFunction for mkTile that draws the tile
+ * and assigns a color from the given array, such that no
+ * two tiles sharing an edge have the same color. It uses
+ * as few of the colors as it can, and always colors the
+ * same tiling the same way.
+ * @version 2026-10-19
+ * @param {Array<Color>} colors - the colors to assign.
+ * @param {Number} [maxSteps] - the search effort for a coloring with fewer colors (default: 100000, see `getGraphColoring`).
+ * @return {Function}
+ */
+function drawWithGraphColors(colors, maxSteps) {
+
+    // the krinkle we have colored, its generation, and the color index of each of its tiles
+    var coloredKrinkle,
+        coloredGeneration,
+        colorIndexByKey;
+
+    return function drawTileWithGraphColors(container, center) {
+
+        if (!this.hasOwnProperty('points'))
+            throw new Error('drawWithGraphColors: no points to draw.');
+
+        var wedge = this.parent;
+        var krinkle = wedge.parent;
+
+        if (
+            krinkle !== coloredKrinkle
+            // the krinkle has been rebuilt, eg. by fitToRegion
+            || krinkle.generation !== coloredGeneration
+        ) {
+
+            // color the whole tiling, before drawing the first tile
+            var graph = krinkle.getAdjacencyGraph();
+            var coloring = getGraphColoring(graph, maxSteps);
+
+            if (coloring.colorCount > colors.length)
+                throw new Error('drawWithGraphColors: this tiling needs ' + coloring.colorCount + ' colors, but only ' + colors.length + ' were supplied.');
+
+            colorIndexByKey = {};
+
+            for (var i = 0; i < graph.nodes.length; i++)
+                colorIndexByKey[graph.nodes[i].key] = coloring.colors[i];
+
+            coloredKrinkle = krinkle;
+            coloredGeneration = krinkle.generation;
+
+        }
+
+        var tile = ModuloKrinkle.drawBasicTile.call(this, container, center);
+
+        tile.stroked = true;
+        tile.filled = true;
+        tile.fillColor = colors[colorIndexByKey[getTileKey(this)]];
+
+        return tile;
+
+    };
+
+};
+
+/**
+ * Returns a drawFunction for mkTile that draws each tile
+ * styled by the style rules that match it, see MK_Styles.js.
+ * A tile whose style has a `symbol` is drawn as an item of
+ * that symbol, from the document, as `drawBySymbol` does;
+ * its fill and stroke are ignored.
+ *
+ * Example: fill the CENTER tiles in even layers with swatch "X"
+ *
+ *      var rules = parseStyleRules([{ match: { tileType: 'CENTER', parity: 'even' }, style: { fill: 'X' } }]);
+ *      krinkle.draw(layer, center, drawWithStyleRules(doc, rules));
+ *
+ * @version 2026-10-19
+ * @param {Document} doc - an Illustrator Document, for its swatches and symbols.
+ * @param {Object} rules - the style rules, from `parseStyleRules` or `readStyleRulesFile`.
+ * @return {Function}
+ */
+function drawWithStyleRules(doc, rules) {
+
+    if (!doc)
+        throw new Error('drawWithStyleRules: no `doc` supplied.');
+
+    if ('function' !== typeof getTileStyle)
+        throw new Error('drawWithStyleRules: MK_Styles.js must load first.');
+
+    // the colors by swatch name, and a symbol drawFunction for each symbol name
+    var swatchColors = {},
+        symbolDrawFunctions = {};
+
+    return function drawTileWithStyleRules(container, center) {
+
+        if (!this.hasOwnProperty('points'))
+            throw new Error('drawWithStyleRules: no points to draw.');
+
+        var style = getTileStyle(rules, this),
+            item;
+
+        if (style.symbol) {
+
+            if (!symbolDrawFunctions[style.symbol]) {
+
+                var symbol = getThing(doc.symbols, 'name', style.symbol);
+
+                if (!symbol)
+                    throw new Error('drawWithStyleRules: the document has no symbol "' + style.symbol + '".');
+
+                symbolDrawFunctions[style.symbol] = drawBySymbol(doc, symbol);
+
+            }
+
+            item = symbolDrawFunctions[style.symbol].call(this, container, center);
+
+        }
+
+        else {
+
+            item = ModuloKrinkle.drawBasicTile.call(this, container, center);
+
+            if (style.fill) {
+                item.filled = !style.fill.none;
+                if (item.filled)
+                    item.fillColor = getColor(style.fill);
+            }
+
+            if (style.stroke) {
+                item.stroked = !style.stroke.none;
+                if (item.stroked)
+                    item.strokeColor = getColor(style.stroke);
+            }
+
+            if (undefined != style.strokeWidth)
+                item.strokeWidth = style.strokeWidth;
+
+        }
+
+        if (undefined != style.opacity)
+            item.opacity = style.opacity;
+
+        if (style.blendMode)
+            item.blendingMode = getIllustratorBlendMode(style.blendMode);
+
+        return item;
+
+    };
+
+    /**
+     * Returns the Illustrator color of a parsed color.
+     * @param {Object} color - the parsed color, see `parseStyleColor`.
+     * @returns {Color}
+     */
+    function getColor(color) {
+
+        if (!color.swatch)
+            return makeColor(color.values);
+
+        if (!swatchColors[color.swatch]) {
+
+            // the document's swatch, or else the rules' own
+            var swatch = getThing(doc.swatches, 'name', color.swatch);
+
+            if (swatch)
+                swatchColors[color.swatch] = swatch.color;
+
+            else if (rules.swatches.hasOwnProperty(color.swatch))
+                swatchColors[color.swatch] = makeColor(rules.swatches[color.swatch].values);
+
+            else
+                throw new Error('drawWithStyleRules: no swatch "' + color.swatch + '" in the document or the style rules.');
+
+        }
+
+        return swatchColors[color.swatch];
+
+    };
+
+};
+
+/**
+ * Returns Illustrator's BlendModes value for an MKBlendMode,
+ * eg. BlendModes.SOFTLIGHT for MKBlendMode.SOFT_LIGHT.
+ * @param {MKBlendMode} blendMode - the blend mode.
+ * @returns {BlendModes}
+ */
+function getIllustratorBlendMode(blendMode) {
+
+    var name = blendMode.replace(/-/g, '').toUpperCase();
+
+    // the only two with different names
+    if (
+        'SATURATION' === name
+        || 'COLOR' === name
+    )
+        name += 'BLEND';
+
+    return BlendModes[name];
+
+};
+
+/**
+ * Returns a drawFunction for mkTile that draws the tile
+ * filled with a color from a scalar field, see MK_Fields.js.
+ * The tile's field value is mapped along a range of hues,
+ * using `rainbowColor`, or along a gradient of colors, eg.
+ * the document's swatches. The field's range is found for
+ * the whole tiling, before drawing the first tile.
+ *
+ * Example: color by distance from the center, from blue to magenta
+ *
+ *      krinkle.draw(layer, center, drawWithFieldColors(MKField.DISTANCE, { hues: { startHue: 200, endHue: 320 } }));
+ *
+ * Example: color by noise, along a gradient of the selected swatches
+ *
+ *      krinkle.draw(layer, center, drawWithFieldColors(MKField.NOISE, { gradient: doc.swatches.getSelected(), seed: 7 }));
+ *
+ * @version 2026-10-19
+ * @param {MKField|Function} field - the field, or a function(tile, krinkle) returning the tile's value.
+ * @param {Object} [options]
+ * @param {Object} [options.hues] - the hue range, as the options of `rainbowColor`, without min, max and value (default: every hue).
+ * @param {Array<Swatch|Color>} [options.gradient] - the gradient's colors, all RGB, all CMYK or all gray; spot colors use their process colors (default: none, use `hues`).
+ * @param {Array<Number>} [options.range] - the field range [min, max] to map (default: the range of the tiling, see `getFieldRange`).
+ * @param {Number} [options.steps] - the number of color steps, 2 or more (default: none, continuous).
+ * @param {Number} [options.noiseSize] - for MKField.NOISE, the size of the noise's features, in points (default: 4 unit lengths).
+ * @param {Number} [options.seed] - for MKField.NOISE, a number that picks the noise pattern (default: 0).
+ * @param {Object} [options.appearance] - properties to apply to each tile.
+ * @return {Function}
+ */
+function drawWithFieldColors(field, options) {
+
+    options = options || {};
+
+    if ('function' !== typeof getTileFieldValue)
+        throw new Error('drawWithFieldColors: MK_Fields.js must load first.');
+
+    var hues = options.hues || {},
+        stops;
+
+    if (options.gradient) {
+
+        stops = [];
+
+        for (var i = 0; i < options.gradient.length; i++) {
+
+            // a swatch, or a color
+            stops.push(getColorValues(options.gradient[i].color || options.gradient[i]));
+
+            if (stops[i].length !== stops[0].length)
+                throw new Error('drawWithFieldColors: the `gradient` colors must be all RGB, all CMYK or all gray.');
+
+        }
+
+        if (0 === stops.length)
+            throw new Error('drawWithFieldColors: the `gradient` has no colors.');
+
+    }
+
+    // the rainbowColor options, for every tile
+    var rainbowOptions = { min: 0, max: 1 };
+
+    for (var key in hues)
+        if (hues.hasOwnProperty(key))
+            rainbowOptions[key] = hues[key];
+
+    // the krinkle whose field range we have found, its generation, and that range
+    var rangedKrinkle,
+        rangedGeneration,
+        range;
+
+    return function drawTileWithFieldColors(container, center) {
+
+        if (!this.hasOwnProperty('points'))
+            throw new Error('drawWithFieldColors: no points to draw.');
+
+        var wedge = this.parent;
+        var krinkle = wedge.parent;
+
+        if (
+            krinkle !== rangedKrinkle
+            // the krinkle has been rebuilt, eg. by fitToRegion
+            || krinkle.generation !== rangedGeneration
+        ) {
+            range = options.range || getFieldRange(krinkle, field, options);
+            rangedKrinkle = krinkle;
+            rangedGeneration = krinkle.generation;
+        }
+
+        var position = getFieldPosition(range, getTileFieldValue(krinkle, this, field, options), options.steps);
+
+        var tile = ModuloKrinkle.drawBasicTile.call(this, container, center);
+
+        tile.stroked = true;
+        tile.filled = true;
+
+        if (stops)
+            tile.fillColor = makeColor(getGradientValues(stops, position));
+
+        else {
+            rainbowOptions.value = position;
+            tile.fillColor = rainbowColor(rainbowOptions);
+        }
+
+        if (undefined != options.appearance)
+            setProperties(tile, options.appearance);
+
+        return tile;
+
+    };
+
+};
+
 /**
  * Returns a drawFunction for mkTile:
  * draws lines between matching points on
  * the upper and lower edges of the tile.
  * @author m1b
- * @version 2025-07-09
+ * @version 2026-10-19
  * @param {Boolean} [includeFirst] - whether to draw the first pair of points (default: false).
  * @param {Boolean} [includeLast] - whether to draw the last pair of points (default: false).
  * @param {Boolean} [includeMiddle] - whether to draw all the middle pairs of points (default: true).
@@ -172,21 +485,17 @@ function drawByCrossWeave(includeFirst, includeLast, includeMiddle, appearance)
         var wedge = this.parent;
         var krinkle = wedge.parent;
 
-        // get translated points
-        var tilePoints = getTranslatedPoints(this.points, center);
+        // get transformed points
+        var tilePoints = getTransformedPoints(this.points, center);
 
         var paths = [];
 
-        var len = tilePoints.length;
-        var half = Math.floor(len / 2);
+        var pairs = getCrossWeavePairs(tilePoints.length, includeFirst, includeLast, includeMiddle);
 
-        var s = includeFirst ? 0 : 1;
-        var e = includeLast ? 0 : 1;
+        for (var j = 0; j < pairs.length; j++) {
 
-        for (var j = 1 + s; j < half - e; j++) {
-
-            appearance.name = String(j);
-            paths.push(drawPolygon(container, [tilePoints[len - j], tilePoints[j]], appearance));
+            appearance.name = String(pairs[j][1]);
+            paths.push(drawPolygon(container, [tilePoints[pairs[j][0]], tilePoints[pairs[j][1]]], appearance));
 
         }
 
@@ -228,8 +537,8 @@ function drawCircles(size, indices, appearance) {
         var wedge = this.parent;
         var krinkle = wedge.parent;
 
-        // get translated points
-        var tilePoints = getTranslatedPoints(this.points, center);
+        // get transformed points
+        var tilePoints = getTransformedPoints(this.points, center);
 
         var circles = [];
         var len = tilePoints.length;
@@ -286,8 +595,8 @@ function drawLines(indices, appearance) {
         var wedge = this.parent;
         var krinkle = wedge.parent;
 
-        // get translated points
-        var tilePoints = getTranslatedPoints(this.points, center);
+        // get transformed points
+        var tilePoints = getTransformedPoints(this.points, center);
 
         var paths = [];
 
@@ -319,6 +628,542 @@ function drawLines(indices, appearance) {
 
 };
 
+/**
+ * Returns a drawFunction for mkTile:
+ * draws the tile shrunk inward, leaving a gap between
+ * neighbouring tiles, eg. for laser cutting or for laying
+ * out a mosaic, optionally with rounded corners. Concave
+ * corners are rounded by at most half the gap, so that
+ * every tile keeps its distance from its neighbours.
+ * A tile too narrow for the gap in places is drawn in
+ * pieces, as a compound path, or not at all if it vanishes.
+ *
+ * Example:
+ *
+ *      krinkle.draw(layer, center, drawInset(2, { cornerRadius: 1.5, cutPaths: true }));
+ *
+ * @version 2026-10-19
+ * @param {Number} gap - the width of the gap between neighbouring tiles, in points.
+ * @param {Object} [options]
+ * @param {Number} [options.cornerRadius] - the radius of the rounded corners, in points (default: 0, no rounding).
+ * @param {Boolean} [options.cutPaths] - whether to draw each tile as a closed cut path: a thin red stroke, with no fill (default: false).
+ * @param {Object} [options.appearance] - properties to apply to each tile's path (default: stroked, not filled, like `ModuloKrinkle.drawBasicTile`).
+ * @return {Function}
+ */
+function drawInset(gap, options) {
+
+    options = options || {};
+
+    var radius = options.cornerRadius || 0,
+        // so that a rounded concave corner can't reach into the gap
+        concaveRadius = Math.min(radius, gap / 2);
+
+    var appearance = options.appearance || (true === options.cutPaths
+        ? {
+            filled: false,
+            stroked: true,
+            strokeWidth: 0.25,
+            strokeColor: makeColor([255, 0, 0]),
+        }
+        : {
+            filled: false,
+            stroked: true,
+            strokeWidth: 1,
+        });
+
+    return function insetTile(container, center) {
+
+        if (!this.hasOwnProperty('points'))
+            throw new Error('drawInset: no points to draw.');
+
+        // inset after transforming, so that the gap is in points, at any scale
+        var polygons = getInsetPolygons(getTransformedPoints(this.points, center), gap / 2);
+
+        if (0 === polygons.length)
+            // the tile is narrower than the gap
+            return;
+
+        var parent = polygons.length > 1 ? container.compoundPathItems.add() : container,
+            path;
+
+        for (var i = 0; i < polygons.length; i++) {
+
+            if (radius > 0)
+                path = drawPathCommands(parent, getRoundedPolygonCommands(polygons[i], radius, concaveRadius))[0];
+
+            else {
+                path = drawPolygon(parent, polygons[i]);
+                path.closed = true;
+            }
+
+        }
+
+        // a compound path's appearance is set on any of its paths
+        setProperties(path, appearance);
+
+        var item = polygons.length > 1 ? parent : path;
+        item.name = this.toString(true);
+
+        return item;
+
+    };
+
+};
+
+/**
+ * Returns a drawFunction for mkTile:
+ * draws a motif along each of the tile's edges, such as
+ * a curve or a strap, so that the motifs of neighbouring
+ * tiles join up. Each edge is drawn once, by the first
+ * tile that uses it. See MK_Motifs.js for how motifs work.
+ *
+ * The motif can be SVG path data, in edge coordinates, or
+ * a Symbol, which is scaled so that `options.edgeLength`
+ * of its width spans the edge, turned to the edge's
+ * direction, and centered on the edge's midpoint.
+ *
+ * Note: make the drawFunction after any `fitToRegion`,
+ * because it finds the edges of the tiles as they are.
+ *
+ * Example:
+ *
+ *      krinkle.draw(layer, center, drawByEdgeMotif(krinkle, 'M0 0 C0.3 0.25 0.7 0.25 1 0'));
+ *
+ * Requires MK_Motifs.js.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle that will be drawn.
+ * @param {String|Symbol|Array|Function} motifs - the motif, or motifs by direction index, or function(edge) returning the motif.
+ * @param {Object} [options]
+ * @param {Number} [options.edgeLength] - the length, in pts, of an edge in a Symbol's artwork (default: the symbol's width).
+ * @param {Object} [options.appearance] - properties to apply to each path drawn from SVG path data.
+ * @return {Function}
+ */
+function drawByEdgeMotif(krinkle, motifs, options) {
+
+    if (!krinkle)
+        throw new Error('drawByEdgeMotif: no `krinkle` supplied.');
+
+    if ('function' !== typeof getMotifEdges)
+        throw new Error('drawByEdgeMotif: MK_Motifs.js must load first.');
+
+    options = options || {};
+
+    var appearance = options.appearance || {
+        filled: false,
+        stroked: true,
+        strokeWidth: 1,
+        strokeColor: makeColor([100]),
+    };
+
+    // each edge is drawn by the first tile that uses it
+    var edges = getMotifEdges(krinkle),
+        edgesByTile = {},
+        parsed = {};
+
+    for (var i = 0; i < edges.length; i++) {
+
+        var key = getTileKey(edges[i].tile);
+
+        if (!edgesByTile[key])
+            edgesByTile[key] = [];
+
+        edgesByTile[key].push(edges[i]);
+
+    }
+
+    return function motifsOnEdges(container, center) {
+
+        var tileEdges = edgesByTile[getTileKey(this)] || [],
+            transform = center instanceof MKTransform ? center : new MKTransform({ translation: center }),
+            items = [];
+
+        for (var i = 0; i < tileEdges.length; i++) {
+
+            var edge = tileEdges[i],
+                motif = getMotifForEdge(motifs, edge);
+
+            if (!motif)
+                continue;
+
+            if ('Symbol' === motif.constructor.name) {
+
+                var points = transform.transformPoints([edge.start, edge.end]),
+                    symbolItem = container.symbolItems.add(motif),
+                    scale = Math.sqrt(Math.pow(points[1][0] - points[0][0], 2) + Math.pow(points[1][1] - points[0][1], 2)) / (options.edgeLength || symbolItem.width) * 100;
+
+                // when mirrored, the motif is reflected across its edge
+                symbolItem.resize(scale, (transform.mirror ? -1 : 1) * scale);
+                symbolItem.rotate(angleBetweenPoints(points[0], points[1]));
+                moveCenter(symbolItem, [(points[0][0] + points[1][0]) / 2, (points[0][1] + points[1][1]) / 2]);
+
+                items.push(symbolItem);
+                continue;
+
+            }
+
+            if (!parsed.hasOwnProperty(motif))
+                parsed[motif] = parsePathData(motif);
+
+            var commands = transformPathCommands(transformPathCommands(parsed[motif], getEdgeTransform(edge)), transform);
+
+            Array.prototype.push.apply(items, drawPathCommands(container, commands, appearance));
+
+        }
+
+        return items;
+
+    };
+
+};
+
+/**
+ * Returns a drawFunction for mkTile:
+ * draws the tile with each edge replaced by a curve, its
+ * edge profile, using real bezier handles. The tiles on
+ * either side of an edge get the same curve, so the
+ * curved tiles still fit together. See `getCurvedTileCommands`
+ * in MK_Motifs.js for how the profiles work.
+ *
+ * Example:
+ *
+ *      krinkle.draw(layer, center, drawWithCurvedEdges(MKEdgeProfile.S_CURVE));
+ *
+ * Requires MK_Motifs.js.
+ * @version 2026-10-19
+ * @param {String|Array<String>|Function} profiles - the SVG path data of the profile, or profiles by direction index, or function(edge) returning the profile.
+ * @param {Object} [appearance] - properties to apply to each tile's path (default: stroked, not filled, like `ModuloKrinkle.drawBasicTile`).
+ * @return {Function}
+ */
+function drawWithCurvedEdges(profiles, appearance) {
+
+    if ('function' !== typeof getCurvedTileCommands)
+        throw new Error('drawWithCurvedEdges: MK_Motifs.js must load first.');
+
+    appearance = appearance || {
+        filled: false,
+        stroked: true,
+        strokeWidth: 1,
+    };
+
+    // each different profile is only parsed once
+    var parsed = {};
+
+    return function curvedTile(container, center) {
+
+        if (!this.hasOwnProperty('points'))
+            throw new Error('drawWithCurvedEdges: no points to draw.');
+
+        var krinkle = this.parent.parent,
+            transform = center instanceof MKTransform ? center : new MKTransform({ translation: center }),
+            commands = transformPathCommands(getCurvedTileCommands(krinkle, this, profiles, parsed), transform);
+
+        var path = drawPathCommands(container, commands, appearance)[0];
+        path.name = this.toString(true);
+
+        return path;
+
+    };
+
+};
+
+/**
+ * Returns a drawFunction for mkTile:
+ * draws the dual of the tiling, with a circle at each
+ * tile's centroid, and a line from it to the centroid of
+ * each neighbouring tile. Each line is drawn once, by the
+ * first of its two tiles. See `ModuloKrinkle.prototype.getDual`.
+ * @version 2026-10-19
+ * @param {Number} [size] - the circle radius, in points, or 0 for no circles (default: 2).
+ * @param {Object} [nodeAppearance] - properties to apply to each circle.
+ * @param {Object|Boolean} [linkAppearance] - properties to apply to each line, or false for no lines.
+ * @return {Function}
+ */
+function drawDual(size, nodeAppearance, linkAppearance) {
+
+    size = undefined == size ? 2 : size;
+
+    nodeAppearance = nodeAppearance || {
+        filled: true,
+        fillColor: makeColor([100]),
+        stroked: false,
+    };
+
+    if (false !== linkAppearance)
+        linkAppearance = linkAppearance || {
+            filled: false,
+            stroked: true,
+            strokeWidth: 1,
+            strokeColor: makeColor([100]),
+        };
+
+    // the krinkle whose dual we have, its generation, and the dual
+    var dualKrinkle,
+        dualGeneration,
+        dual;
+
+    return function drawDualNode(container, center) {
+
+        if (!this.hasOwnProperty('points'))
+            throw new Error('drawDual: no points to draw.');
+
+        var wedge = this.parent;
+        var krinkle = wedge.parent;
+
+        if (
+            krinkle !== dualKrinkle
+            // the krinkle has been rebuilt, eg. by fitToRegion
+            || krinkle.generation !== dualGeneration
+        ) {
+            // find the whole dual, before drawing the first tile
+            dual = krinkle.getDual();
+            dualKrinkle = krinkle;
+            dualGeneration = krinkle.generation;
+        }
+
+        var index = dual.nodesByKey[getTileKey(this)],
+            node = dual.nodes[index],
+            items = [];
+
+        if (false !== linkAppearance) {
+
+            for (var i = 0; i < node.neighbours.length; i++) {
+
+                if (node.neighbours[i] < index)
+                    // the neighbour draws this line
+                    continue;
+
+                var line = drawPolygon(container, getTransformedPoints([node.point, dual.nodes[node.neighbours[i]].point], center), linkAppearance);
+                line.name = node.key + ' to ' + dual.nodes[node.neighbours[i]].key;
+                items.push(line);
+
+            }
+
+        }
+
+        if (size > 0) {
+
+            var circle = drawCircle(container, getTransformedPoints([node.point], center)[0], size, nodeAppearance);
+            circle.name = node.key;
+            items.push(circle);
+
+        }
+
+        return items;
+
+    };
+
+};
+
+/**
+ * Returns a drawFunction for mkTile:
+ * draws a circle at each complete vertex of the tiling,
+ * colored by the vertex's configuration, so that vertices
+ * where the same corners meet have the same color. Each
+ * vertex is drawn once, by the first tile that meets it.
+ * See `ModuloKrinkle.prototype.getVertices`.
+ * @version 2026-10-19
+ * @param {Array<Color>} colors - the colors, for each configuration in order of appearance.
+ * @param {Number} [size] - the circle radius, in points (default: 2).
+ * @return {Function}
+ */
+function drawVertexConfigurations(colors, size) {
+
+    size = size || 2;
+
+    // the krinkle whose vertices we have, its generation, and the vertices drawn by each tile
+    var verticesKrinkle,
+        verticesGeneration,
+        verticesByTile,
+        colorIndexByConfiguration;
+
+    return function drawTileVertices(container, center) {
+
+        if (!this.hasOwnProperty('points'))
+            throw new Error('drawVertexConfigurations: no points to draw.');
+
+        var wedge = this.parent;
+        var krinkle = wedge.parent;
+
+        if (
+            krinkle !== verticesKrinkle
+            // the krinkle has been rebuilt, eg. by fitToRegion
+            || krinkle.generation !== verticesGeneration
+        ) {
+
+            // find every vertex, before drawing the first tile
+            var vertices = krinkle.getVertices(),
+                colorCount = 0;
+
+            verticesByTile = {};
+            colorIndexByConfiguration = {};
+
+            for (var i = 0; i < vertices.length; i++) {
+
+                if (!vertices[i].complete)
+                    continue;
+
+                var key = getTileKey(vertices[i].corners[0].tile);
+
+                if (!verticesByTile[key])
+                    verticesByTile[key] = [];
+
+                verticesByTile[key].push(vertices[i]);
+
+                if (!colorIndexByConfiguration.hasOwnProperty(vertices[i].configuration))
+                    colorIndexByConfiguration[vertices[i].configuration] = colorCount++;
+
+            }
+
+            verticesKrinkle = krinkle;
+            verticesGeneration = krinkle.generation;
+
+        }
+
+        var tileVertices = verticesByTile[getTileKey(this)] || [],
+            circles = [];
+
+        for (var i = 0; i < tileVertices.length; i++) {
+
+            var circle = drawCircle(container, getTransformedPoints([tileVertices[i].point], center)[0], size, {
+                filled: true,
+                fillColor: colors[colorIndexByConfiguration[tileVertices[i].configuration] % colors.length],
+                stroked: false,
+            });
+
+            circle.name = tileVertices[i].configuration;
+            circles.push(circle);
+
+        }
+
+        return circles;
+
+    };
+
+};
+
+/**
+ * Draws path items from path commands, which may have
+ * curves, one path item for each subpath.
+ * @version 2026-10-19
+ * @param {Document|Layer|GroupItem} container - the container for the new path items.
+ * @param {Array<Object>} commands - the commands of type M, L, C or Z, see `parsePathData` in MK_Motifs.js.
+ * @param {Object} [appearance] - properties to apply to each path item.
+ * @returns {Array<PathItem>}
+ */
+function drawPathCommands(container, commands, appearance) {
+
+    if (!container.hasOwnProperty('pathItems'))
+        throw Error('drawPathCommands: bad `container` supplied.');
+
+    var paths = [],
+        path,
+        lastPoint;
+
+    for (var i = 0; i < commands.length; i++) {
+
+        var points = commands[i].points;
+
+        switch (commands[i].type) {
+
+            case 'M':
+                path = container.pathItems.add();
+                paths.push(path);
+                lastPoint = addPathPoint(points[0]);
+                break;
+
+            case 'L':
+                lastPoint = addPathPoint(points[0]);
+                break;
+
+            case 'C':
+                lastPoint.rightDirection = points[0];
+                lastPoint = addPathPoint(points[2], points[1]);
+                break;
+
+            case 'Z':
+
+                var firstPoint = path.pathPoints[0];
+
+                if (
+                    path.pathPoints.length > 1
+                    && Math.abs(firstPoint.anchor[0] - lastPoint.anchor[0]) < 0.001
+                    && Math.abs(firstPoint.anchor[1] - lastPoint.anchor[1]) < 0.001
+                ) {
+                    // the last point is the first point, so merge them
+                    firstPoint.leftDirection = lastPoint.leftDirection;
+                    lastPoint.remove();
+                }
+
+                path.closed = true;
+                lastPoint = firstPoint;
+                break;
+
+        }
+
+    }
+
+    if (appearance != undefined)
+        for (var i = 0; i < paths.length; i++)
+            setProperties(paths[i], appearance);
+
+    return paths;
+
+    /** Adds a corner point to the current path. */
+    function addPathPoint(anchor, leftDirection) {
+
+        var point = path.pathPoints.add();
+        point.anchor = anchor;
+        point.leftDirection = leftDirection || anchor;
+        point.rightDirection = anchor;
+        point.pointType = PointType.CORNER;
+
+        return point;
+
+    };
+
+};
+
+/**
+ * Draws the paths of a plot, in order, so that each
+ * edge of the tiling is drawn once, eg. for sending to
+ * a plotter or cutter. See `getKrinklePlot` in MK_Plot.js.
+ *
+ * Example:
+ *
+ *      drawPlot(layer, getKrinklePlot(krinkle, { transform: new MKTransform({ translation: center }) }));
+ *
+ * @version 2026-10-19
+ * @param {Document|Layer|GroupItem} container - the container for the new path items.
+ * @param {Object} plot - the plot, see `getPlotPaths` in MK_Plot.js.
+ * @param {Object} [appearance] - properties to apply to each path item.
+ * @returns {Array<PathItem>}
+ */
+function drawPlot(container, plot, appearance) {
+
+    appearance = appearance || {
+        filled: false,
+        stroked: true,
+        strokeWidth: 1,
+        strokeColor: makeColor([100]),
+    };
+
+    var paths = [];
+
+    for (var i = 0; i < plot.paths.length; i++) {
+
+        var points = plot.paths[i],
+            closed = points.length > 2 && points[0] === points[points.length - 1],
+            path = drawPolygon(container, closed ? points.slice(0, -1) : points, appearance);
+
+        path.closed = closed;
+        paths.push(path);
+
+    }
+
+    return paths;
+
+};
+
 /**
  * Draws a path item of straight line segments.
  * @param {Document|Layer|GroupItem} container - the container for the new path item.
@@ -683,6 +1528,37 @@ function makeColor(values) {
 
 };
 
+/**
+ * Returns the channel values of `color`, as for `makeColor`:
+ * [gray], [r,g,b] or [c,m,y,k]. A spot color gives the
+ * values of its process color, ignoring its tint.
+ * @version 2026-10-19
+ * @param {GrayColor|RGBColor|CMYKColor|SpotColor} color - the color.
+ * @returns {Array<Number>}
+ */
+function getColorValues(color) {
+
+    switch (color.typename) {
+
+        case 'GrayColor':
+            return [color.gray];
+
+        case 'RGBColor':
+            return [color.red, color.green, color.blue];
+
+        case 'CMYKColor':
+            return [color.cyan, color.magenta, color.yellow, color.black];
+
+        case 'SpotColor':
+            return getColorValues(color.spot.color);
+
+        default:
+            throw new Error('getColorValues: can\'t use a ' + color.typename + '.');
+
+    }
+
+};
+
 /**
  * Converts HSB (hue in degrees, sat/bright in 0-1) to RGB (0-1)
  * @returns {[r, g, b]}
@@ -0,0 +1,258 @@
+/**
+ * @file MK_Fields.js
+ *
+ * Scalar fields over a ModuloKrinkle tiling, for coloring
+ * its tiles. A field gives each tile a number, eg. its
+ * distance from the center of the tiling, and the field's
+ * range maps that number to a position from 0 to 1, along
+ * a range of hues or a gradient of colors.
+ *
+ * Example usage, in Illustrator (see `drawWithFieldColors`
+ * in MK_Drawing.js):
+ *
+ *      krinkle.draw(layer, center, drawWithFieldColors(MKField.DISTANCE, { hues: { startHue: 200, endHue: 320 } }));
+ *
+ * or, anywhere:
+ *
+ *      var range = getFieldRange(krinkle, MKField.ANGLE);
+ *
+ *      krinkle.forEachTile(function (tile) {
+ *          var position = getFieldPosition(range, getTileFieldValue(krinkle, tile, MKField.ANGLE));
+ *      });
+ *
+ * The field values are measured in the tiling's own
+ * coordinates, before it is transformed for drawing.
+ *
+ * Nothing here depends on Adobe Illustrator.
+ */
+
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+/**
+ * The scalar fields for coloring tiles.
+ * @enum {String}
+ */
+var MKField = {
+    /** the distance of the tile's centroid from the center of the tiling */
+    DISTANCE: 'distance',
+    /** the polar angle of the tile's centroid around the center of the tiling, in degrees 0–360, counterclockwise */
+    ANGLE: 'angle',
+    /** the tile's layer index */
+    LAYER: 'layer',
+    /** the tile's orientation, as its direction index */
+    DIRECTION: 'direction',
+    /** smooth value noise 0–1, at the tile's centroid */
+    NOISE: 'noise',
+};
+
+/**
+ * Returns the value of `field` for `tile`.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the tile's krinkle.
+ * @param {MKTile} tile - the tile.
+ * @param {MKField|Function} field - the field, or a function(tile, krinkle) returning the tile's value.
+ * @param {Object} [options]
+ * @param {Number} [options.noiseSize] - for MKField.NOISE, the size of the noise's features, in points (default: 4 unit lengths).
+ * @param {Number} [options.seed] - for MKField.NOISE, a number that picks the noise pattern (default: 0).
+ * @returns {Number}
+ */
+function getTileFieldValue(krinkle, tile, field, options) {
+
+    options = options || {};
+
+    if ('function' === typeof field)
+        return field(tile, krinkle);
+
+    switch (field) {
+
+        case MKField.LAYER:
+            return tile.layerIndex;
+
+        case MKField.DIRECTION:
+            return tile.direction;
+
+    }
+
+    var centroid = getPolygonCentroid(tile.points),
+        dx = centroid[0] - krinkle.sectorCenter[0],
+        dy = centroid[1] - krinkle.sectorCenter[1];
+
+    switch (field) {
+
+        case MKField.DISTANCE:
+            return Math.sqrt(dx * dx + dy * dy);
+
+        case MKField.ANGLE:
+            // rounded, so that a tile on the positive x axis is always at 0°, never at 360°
+            return (Math.round(Math.atan2(dy, dx) * 180 / Math.PI * 1e6) / 1e6 + 360) % 360;
+
+        case MKField.NOISE:
+            var size = options.noiseSize || krinkle.unitLength * 4;
+            return valueNoise(dx / size, dy / size, options.seed);
+
+        default:
+            throw new Error('getTileFieldValue: unknown `field` "' + field + '".');
+
+    }
+
+};
+
+/**
+ * Returns the range [min, max] of `field` over the tiles
+ * of `krinkle`. The angle, direction and noise fields have
+ * fixed ranges: angle is [0, 360] and direction is [0, n],
+ * so that the first and last directions, being neighbours,
+ * get neighbouring positions, and noise is [0, 1]. Other
+ * fields range from their lowest to highest tile value.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {MKField|Function} field - the field, see `getTileFieldValue`.
+ * @param {Object} [options] - the field's options, see `getTileFieldValue`.
+ * @returns {Array<Number>} - [min, max]
+ */
+function getFieldRange(krinkle, field, options) {
+
+    switch (field) {
+
+        case MKField.ANGLE:
+            return [0, 360];
+
+        case MKField.DIRECTION:
+            return [0, krinkle.n];
+
+        case MKField.NOISE:
+            return [0, 1];
+
+    }
+
+    var min = Infinity,
+        max = -Infinity;
+
+    krinkle.forEachTile(function (tile) {
+
+        var value = getTileFieldValue(krinkle, tile, field, options);
+
+        if (value < min)
+            min = value;
+
+        if (value > max)
+            max = value;
+
+    });
+
+    if (min > max)
+        throw new Error('getFieldRange: the krinkle has no tiles.');
+
+    return [min, max];
+
+};
+
+/**
+ * Returns the position, from 0 to 1, of `value` in `range`.
+ * With `steps`, the positions are banded into that many
+ * steps, the first at 0 and the last at 1.
+ * @version 2026-10-19
+ * @param {Array<Number>} range - the field's range [min, max], see `getFieldRange`.
+ * @param {Number} value - the field value.
+ * @param {Number} [steps] - the number of steps, 2 or more (default: none, continuous).
+ * @returns {Number}
+ */
+function getFieldPosition(range, value, steps) {
+
+    var position = range[0] === range[1]
+        ? 0
+        : (value - range[0]) / (range[1] - range[0]);
+
+    position = Math.max(0, Math.min(1, position));
+
+    if (steps >= 2)
+        position = Math.min(steps - 1, Math.floor(position * steps)) / (steps - 1);
+
+    return position;
+
+};
+
+/**
+ * Returns the channel values at `position` along a gradient
+ * of colors, each given as channel values, eg. [255, 215, 0].
+ * The colors are evenly spaced, and must all have the same
+ * number of channels.
+ * @version 2026-10-19
+ * @param {Array<Array<Number>>} stops - the gradient's colors, as channel values.
+ * @param {Number} position - the position along the gradient, from 0 to 1.
+ * @returns {Array<Number>}
+ */
+function getGradientValues(stops, position) {
+
+    if (
+        !stops
+        || 0 === stops.length
+    )
+        throw new Error('getGradientValues: no `stops` supplied.');
+
+    for (var i = 1; i < stops.length; i++)
+        if (stops[i].length !== stops[0].length)
+            throw new Error('getGradientValues: the gradient\'s colors must all have the same number of channels.');
+
+    if (1 === stops.length)
+        return stops[0].slice();
+
+    var along = Math.max(0, Math.min(1, position)) * (stops.length - 1),
+        index = Math.min(stops.length - 2, Math.floor(along)),
+        t = along - index,
+        a = stops[index],
+        b = stops[index + 1],
+        values = [];
+
+    for (var c = 0; c < a.length; c++)
+        values.push(a[c] + (b[c] - a[c]) * t);
+
+    return values;
+
+};
+
+/**
+ * Returns smooth 2D value noise, from 0 to 1, at [x, y]:
+ * random values at whole number coordinates, smoothly
+ * interpolated between. The same `seed` always gives
+ * the same noise.
+ * @version 2026-10-19
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} [seed] - a number that picks the noise pattern (default: 0).
+ * @returns {Number}
+ */
+function valueNoise(x, y, seed) {
+
+    seed = seed || 0;
+
+    var x0 = Math.floor(x),
+        y0 = Math.floor(y),
+        // smoothstep, so the noise has no creases at whole numbers
+        tx = (x - x0) * (x - x0) * (3 - 2 * (x - x0)),
+        ty = (y - y0) * (y - y0) * (3 - 2 * (y - y0));
+
+    var a = latticeValue(x0, y0),
+        b = latticeValue(x0 + 1, y0),
+        c = latticeValue(x0, y0 + 1),
+        d = latticeValue(x0 + 1, y0 + 1);
+
+    return a + (b - a) * tx + (c - a) * ty + (a - b - c + d) * tx * ty;
+
+    /**
+     * Returns the random value, from 0 to 1, at whole number coordinates.
+     * @param {Number} i
+     * @param {Number} j
+     * @returns {Number}
+     */
+    function latticeValue(i, j) {
+
+        var value = Math.sin(i * 127.1 + j * 311.7 + seed * 74.7) * 43758.5453;
+
+        return value - Math.floor(value);
+
+    };
+
+};
\ No newline at end of file
@@ -0,0 +1,450 @@
+/**
+ * @file MK_JSON.js
+ *
+ * Saves and loads a computed ModuloKrinkle tiling as a
+ * versioned JSON document, so that other tools can use
+ * the exact tile geometry without re-computing it.
+ *
+ * Example usage:
+ *
+ *      var krinkle = new ModuloKrinkle(2, 5, 2, false, 10, 5);
+ *      var json = stringifyJSON(krinkle);
+ *
+ *      // later, or in another tool
+ *      var loaded = ModuloKrinkle.fromJSON(json);
+ *      loaded.draw(layer, [0,0]);
+ *
+ * The document looks like this:
+ *
+ *      {
+ *          "format": "ModuloKrinkle",
+ *          "version": 1,
+ *          "name": "MK-2-5-10",
+ *          "params": { "m": 2, "k": 5, "t": 2, "offset": false, "unitLength": 10, "layerCount": 5 },
+ *          "n": 10,
+ *          "angle": 0.6283185307179586,
+ *          "directions": [0, 2, 4, ...],
+ *          "unitVectors": [[1, 0], ...],
+ *          "clipRegion": [[-100, 50], ...], (only if clipped, see `fitToRegion`)
+ *          "tiles": [
+ *              {
+ *                  "points": [[0, 0], [10, 0], ...],
+ *                  "direction": 0,
+ *                  "tileType": 0,
+ *                  "sectorIndex": 0,
+ *                  "wedgeIndex": 0,
+ *                  "layerIndex": 0,
+ *                  "tileIndex": 0
+ *              },
+ *              ...
+ *          ]
+ *      }
+ *
+ * Note: ExtendScript has no built-in JSON object, so
+ * use `stringifyJSON` and `parseJSON` rather than
+ * JSON.stringify and JSON.parse.
+ */
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+/** The name of the JSON document format. */
+ModuloKrinkle.JSON_FORMAT = 'ModuloKrinkle';
+
+/** The version of the JSON document format. */
+ModuloKrinkle.JSON_VERSION = 1;
+
+/**
+ * Returns the krinkle as a plain object, ready to
+ * be stringified as a versioned JSON document.
+ * Note: JSON.stringify will call this automatically.
+ * @version 2026-10-19
+ * @returns {Object}
+ */
+ModuloKrinkle.prototype.toJSON = function krinkleToJSON() {
+
+    var doc = getKrinkleJSONHeader(this),
+        tiles = [];
+
+    this.forEachTile(function (tile) {
+        tiles.push(getTileJSON(tile));
+    });
+
+    doc.tiles = tiles;
+
+    if (this.clipRegion)
+        doc.clipRegion = this.clipRegion;
+
+    return doc;
+
+};
+
+/**
+ * Passes the krinkle's JSON document, as `stringifyJSON`
+ * would write it, without whitespace, to `write` in pieces,
+ * one tile at a time, so that, with a lazy krinkle, the
+ * tiles needn't all be in memory at once.
+ *
+ * Example: write a large tiling to a file, in Node
+ *
+ *      var fd = fs.openSync('tiling.json', 'w');
+ *      new ModuloKrinkle(2, 5, 2, false, 10, 500, true).writeJSON(function (chunk) { fs.writeSync(fd, chunk) });
+ *      fs.closeSync(fd);
+ *
+ * @version 2026-10-19
+ * @param {Function} write - function(chunk) to write the document's text to, in order.
+ */
+ModuloKrinkle.prototype.writeJSON = function writeKrinkleJSON(write) {
+
+    var header = stringifyJSON(getKrinkleJSONHeader(this)),
+        separator = '';
+
+    // the header, without its closing brace, then the tiles
+    write(header.slice(0, -1) + ',"tiles":[');
+
+    this.forEachTile(function (tile) {
+        write(separator + stringifyJSON(getTileJSON(tile)));
+        separator = ',';
+    });
+
+    write(']');
+
+    if (this.clipRegion)
+        write(',"clipRegion":' + stringifyJSON(this.clipRegion));
+
+    write('}');
+
+};
+
+/**
+ * Returns the krinkle's JSON document, see `toJSON`,
+ * without its tiles and clip region.
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @returns {Object}
+ */
+function getKrinkleJSONHeader(krinkle) {
+
+    var doc = {
+        format: ModuloKrinkle.JSON_FORMAT,
+        version: ModuloKrinkle.JSON_VERSION,
+        name: krinkle.toString(),
+        params: {
+            m: krinkle.m,
+            k: krinkle.k,
+            t: krinkle.t,
+            offset: krinkle.offset,
+            unitLength: krinkle.unitLength,
+            layerCount: krinkle.layerCount,
+        },
+        n: krinkle.n,
+        angle: krinkle.angle,
+        directions: krinkle.directions.slice(),
+        unitVectors: [],
+    };
+
+    for (var i = 0; i < krinkle.unitVectors.length; i++)
+        doc.unitVectors.push(krinkle.unitVectors[i].slice());
+
+    return doc;
+
+};
+
+/**
+ * Returns a tile as a plain object, for the krinkle's
+ * JSON document, see `toJSON`.
+ * @param {MKTile} tile - the tile.
+ * @returns {Object}
+ */
+function getTileJSON(tile) {
+
+    var points = [];
+
+    for (var p = 0; p < tile.points.length; p++)
+        points.push(tile.points[p].slice());
+
+    return {
+        points: points,
+        direction: tile.direction,
+        tileType: tile.tileType,
+        sectorIndex: tile.sectorIndex,
+        wedgeIndex: tile.wedgeIndex,
+        layerIndex: tile.layerIndex,
+        tileIndex: tile.tileIndex,
+    };
+
+};
+
+/**
+ * Returns a JSON-friendly document of the dual of the
+ * krinkle's tiling, and its vertex configurations.
+ * See `ModuloKrinkle.prototype.getDual` and `getVertices`.
+ *
+ * The document has:
+ *   nodes - one per tile, each { key, point }, where `point` is the tile's centroid.
+ *   links - one per pair of neighbouring tiles, each [source, target] node indices.
+ *   vertices - one per complete vertex, each { point, configuration, tiles },
+ *              where `tiles` are the keys of the tiles that meet there, counterclockwise.
+ *   configurations - the number of vertices with each configuration.
+ *
+ * @version 2026-10-19
+ * @returns {Object}
+ */
+ModuloKrinkle.prototype.dualToJSON = function krinkleDualToJSON() {
+
+    var dual = this.getDual(),
+        vertices = this.getVertices(),
+        doc = {
+            format: ModuloKrinkle.JSON_FORMAT + 'Dual',
+            version: ModuloKrinkle.JSON_VERSION,
+            name: this.toString(),
+            nodes: [],
+            links: [],
+            vertices: [],
+            configurations: {},
+        };
+
+    for (var i = 0; i < dual.nodes.length; i++)
+        doc.nodes.push({ key: dual.nodes[i].key, point: dual.nodes[i].point });
+
+    for (var i = 0; i < dual.links.length; i++)
+        doc.links.push([dual.links[i].source, dual.links[i].target]);
+
+    for (var i = 0; i < vertices.length; i++) {
+
+        if (!vertices[i].complete)
+            continue;
+
+        var tiles = [];
+
+        for (var j = 0; j < vertices[i].corners.length; j++)
+            tiles.push(getTileKey(vertices[i].corners[j].tile));
+
+        doc.vertices.push({ point: vertices[i].point, configuration: vertices[i].configuration, tiles: tiles });
+        doc.configurations[vertices[i].configuration] = (doc.configurations[vertices[i].configuration] || 0) + 1;
+
+    }
+
+    return doc;
+
+};
+
+/**
+ * Returns a ModuloKrinkle rebuilt from a JSON document,
+ * made by `ModuloKrinkle.prototype.toJSON`. The tiles
+ * are not re-computed, but the returned krinkle can be
+ * drawn and exported like any other.
+ * @version 2026-10-19
+ * @param {String|Object} doc - the JSON document, or the object parsed from it.
+ * @returns {ModuloKrinkle}
+ */
+ModuloKrinkle.fromJSON = function krinkleFromJSON(doc) {
+
+    if ('string' === typeof doc)
+        doc = parseJSON(doc);
+
+    if (
+        !doc
+        || ModuloKrinkle.JSON_FORMAT !== doc.format
+    )
+        throw new Error('ModuloKrinkle.fromJSON: `doc` is not a ModuloKrinkle document.');
+
+    if (doc.version > ModuloKrinkle.JSON_VERSION)
+        throw new Error('ModuloKrinkle.fromJSON: unsupported document version ' + doc.version + '. Expected ' + ModuloKrinkle.JSON_VERSION + ' or lower.');
+
+    // make a krinkle without running the constructor
+    var LoadedKrinkle = function () { };
+    LoadedKrinkle.prototype = ModuloKrinkle.prototype;
+
+    var krinkle = new LoadedKrinkle();
+
+    krinkle.m = doc.params.m;
+    krinkle.k = doc.params.k;
+    krinkle.t = doc.params.t;
+    krinkle.offset = (true === doc.params.offset);
+    krinkle.unitLength = doc.params.unitLength;
+    krinkle.layerCount = doc.params.layerCount;
+    krinkle.n = doc.n;
+    krinkle.angle = doc.angle;
+    krinkle.directions = doc.directions;
+    krinkle.unitVectors = doc.unitVectors;
+    krinkle.clipRegion = doc.clipRegion;
+    krinkle.wedges = [];
+
+    for (var i = 0; i < doc.tiles.length; i++) {
+
+        var data = doc.tiles[i],
+            wedge = krinkle.wedges[data.wedgeIndex];
+
+        if (!wedge) {
+
+            // make a fake wedge with just what we need, as the constructor does
+            wedge = krinkle.wedges[data.wedgeIndex] = {
+                parent: krinkle,
+                wedgeIndex: data.wedgeIndex,
+                sectorIndex: data.sectorIndex,
+                tiles: [],
+                layers: [],
+                draw: MKWedge.prototype.draw,
+            };
+
+        }
+
+        if (!wedge.layers[data.layerIndex])
+            wedge.layers[data.layerIndex] = [];
+
+        // and a fake tile
+        wedge.layers[data.layerIndex][data.tileIndex] = {
+            parent: wedge,
+            points: data.points,
+            direction: data.direction,
+            tileType: data.tileType,
+            sectorIndex: data.sectorIndex,
+            wedgeIndex: data.wedgeIndex,
+            layerIndex: data.layerIndex,
+            tileIndex: data.tileIndex,
+            draw: MKTile.prototype.draw,
+            toString: MKTile.prototype.toString,
+        };
+
+    }
+
+    // remove the gaps left by any tiles that were removed, eg. by `fitToRegion`
+    krinkle.wedges = compactArray(krinkle.wedges);
+
+    for (var w = 0; w < krinkle.wedges.length; w++) {
+
+        krinkle.wedges[w].layers = compactArray(krinkle.wedges[w].layers);
+
+        for (var i = 0; i < krinkle.wedges[w].layers.length; i++)
+            krinkle.wedges[w].layers[i] = compactArray(krinkle.wedges[w].layers[i]);
+
+    }
+
+    return krinkle;
+
+};
+
+/**
+ * Returns a copy of `array` without its empty elements.
+ * @param {Array} array - the array to compact.
+ * @returns {Array}
+ */
+function compactArray(array) {
+
+    var compacted = [];
+
+    for (var i = 0; i < array.length; i++)
+        if (undefined != array[i])
+            compacted.push(array[i]);
+
+    return compacted;
+
+};
+
+/**
+ * Returns `value` as a JSON string. Uses JSON.stringify
+ * where available; ExtendScript doesn't have it.
+ * @param {*} value - the value to stringify.
+ * @param {Number} [indent] - the number of spaces to indent (default: 0, no whitespace).
+ * @returns {String}
+ */
+function stringifyJSON(value, indent) {
+
+    if ('undefined' !== typeof JSON)
+        return JSON.stringify(value, undefined, indent);
+
+    indent = new Array((indent || 0) + 1).join(' ');
+
+    return (function stringify(value, currentIndent) {
+
+        if (
+            value
+            && 'function' === typeof value.toJSON
+        )
+            value = value.toJSON();
+
+        if (undefined === value)
+            return undefined;
+
+        if (null === value)
+            return 'null';
+
+        switch (value.constructor.name) {
+
+            case 'Boolean':
+                return String(value);
+
+            case 'Number':
+                return isFinite(value) ? String(value) : 'null';
+
+            case 'String':
+                return '"' + value.replace(/[\\"\u0000-\u001f]/g, function (c) {
+                    return {
+                        '\\': '\\\\', '"': '\\"', '\b': '\\b', '\f': '\\f', '\n': '\\n', '\r': '\\r', '\t': '\\t',
+                    }[c] || '\\u' + ('000' + c.charCodeAt(0).toString(16)).slice(-4);
+                }) + '"';
+
+            case 'Function':
+                return undefined;
+
+        }
+
+        var innerIndent = currentIndent + indent,
+            separator = indent ? ',\n' + innerIndent : ',',
+            open = indent ? '\n' + innerIndent : '',
+            close = indent ? '\n' + currentIndent : '',
+            parts = [];
+
+        if ('Array' === value.constructor.name) {
+
+            for (var i = 0; i < value.length; i++)
+                parts.push(stringify(value[i], innerIndent) || 'null');
+
+            return parts.length ? '[' + open + parts.join(separator) + close + ']' : '[]';
+
+        }
+
+        for (var key in value) {
+
+            if (!value.hasOwnProperty(key))
+                continue;
+
+            var str = stringify(value[key], innerIndent);
+
+            if (undefined != str)
+                parts.push(stringify(key) + (indent ? ': ' : ':') + str);
+
+        }
+
+        return parts.length ? '{' + open + parts.join(separator) + close + '}' : '{}';
+
+    })(value, '');
+
+};
+
+/**
+ * Returns the value parsed from JSON string `text`.
+ * Uses JSON.parse where available; ExtendScript doesn't
+ * have it, so we check that `text` is only JSON, then eval it.
+ * @param {String} text - the JSON text.
+ * @returns {*}
+ */
+function parseJSON(text) {
+
+    if ('undefined' !== typeof JSON)
+        return JSON.parse(text);
+
+    // the validity check from Douglas Crockford's json2.js
+    if (
+        !/^[\],:{}\s]*$/.test(
+            String(text)
+                .replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g, '@')
+                .replace(/"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g, ']')
+                .replace(/(?:^|:|,)(?:\s*\[)+/g, '')
+        )
+    )
+        throw new Error('parseJSON: bad JSON supplied.');
+
+    return eval('(' + text + ')');
+
+};
\ No newline at end of file
@@ -0,0 +1,540 @@
+/**
+ * @file MK_Motifs.js
+ *
+ * Places a motif on every edge of a ModuloKrinkle tiling,
+ * for making strapwork, Truchet-like line art and other
+ * decorations that follow the tiling's edges.
+ *
+ * A motif is drawn for one edge, in edge coordinates: the edge
+ * runs from [0,0] to [1,0], and y is to the left of the edge,
+ * so, for example, this motif bulges to the left of each edge:
+ *
+ *      'M0 0 C0.3 0.25 0.7 0.25 1 0'
+ *
+ * Each edge is placed along the unit vector of its direction
+ * index (see `getEdgeDirection`), so the tiles on either side
+ * of an edge agree on its orientation, and each edge is
+ * decorated once. Motifs that start at [0,0] and end at [1,0]
+ * join up at every vertex of the tiling.
+ *
+ * The motif can be SVG path data, or, when drawing in
+ * Illustrator, a Symbol (see `drawByEdgeMotif` in MK_Drawing.js).
+ * To vary the motif by the edge's direction, supply an
+ * array of motifs, and the edge with direction index d gets
+ * motifs[d % motifs.length]; or supply a function(edge)
+ * returning the motif for the edge.
+ *
+ * An edge profile is a motif that replaces the edge itself,
+ * so it must run from [0,0] to [1,0] in one unbroken path.
+ * Drawing each tile with its edges replaced by their profiles
+ * gives curved tiles, which still fit together, because the
+ * tiles on either side of an edge get the same curve.
+ *
+ * Nothing here depends on Adobe Illustrator.
+ *
+ * Example usage:
+ *
+ *      var krinkle = new ModuloKrinkle(2, 5, 2, false, 10, 6);
+ *      var svg = krinkleToMotifSVG(krinkle, 'M0 0 C0.3 0.25 0.7 0.25 1 0', { stroke: '#036' });
+ *      var curvedSVG = krinkleToSVG(krinkle, { edgeProfiles: MKEdgeProfile.S_CURVE });
+ */
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+/**
+ * Returns every distinct edge of the tiling, oriented along
+ * the unit vector of its direction index.
+ *
+ * Each edge has:
+ *   start, end - the edge's points [x,y], in the direction of its unit vector.
+ *   direction - the edge's direction index (see `getEdgeDirection`).
+ *   tile - the first tile that uses the edge.
+ *   edgeIndex - the index of the edge's first point in the tile's points.
+ *   shared - whether two tiles share the edge.
+ *
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {Array<MKTile>} [tiles] - the tiles (default: all the krinkle's tiles).
+ * @returns {Array<Object>}
+ */
+function getMotifEdges(krinkle, tiles) {
+
+    var edges = krinkle.getEdges(tiles),
+        motifEdges = [];
+
+    for (var i = 0; i < edges.length; i++) {
+
+        var use = edges[i].uses[0],
+            points = use.tile.points,
+            a = points[use.edgeIndex],
+            b = points[(use.edgeIndex + 1) % points.length],
+            edgeDirection = getEdgeDirection(krinkle, use.tile, use.edgeIndex);
+
+        motifEdges.push({
+            start: edgeDirection.reversed ? b : a,
+            end: edgeDirection.reversed ? a : b,
+            direction: edgeDirection.direction,
+            tile: use.tile,
+            edgeIndex: use.edgeIndex,
+            shared: edges[i].uses.length > 1,
+        });
+
+    }
+
+    return motifEdges;
+
+};
+
+/**
+ * Returns the transform from edge coordinates, where the
+ * edge runs from [0,0] to [1,0], to the edge's own place.
+ * @param {Object} edge - the edge, with `start` and `end` points [x,y].
+ * @returns {MKTransform}
+ */
+function getEdgeTransform(edge) {
+
+    var dx = edge.end[0] - edge.start[0],
+        dy = edge.end[1] - edge.start[1];
+
+    return new MKTransform({
+        translation: edge.start,
+        rotation: Math.atan2(dy, dx) * 180 / Math.PI,
+        scale: Math.sqrt(dx * dx + dy * dy),
+    });
+
+};
+
+/**
+ * Returns the motif for `edge`.
+ * @param {*|Array<*>|Function} motifs - the motif, or motifs by direction index, or function(edge) returning the motif.
+ * @param {Object} edge - the edge, see `getMotifEdges`.
+ * @returns {*}
+ */
+function getMotifForEdge(motifs, edge) {
+
+    if ('function' === typeof motifs)
+        return motifs(edge);
+
+    if ('Array' === (motifs || 0).constructor.name)
+        return motifs[edge.direction % motifs.length];
+
+    return motifs;
+
+};
+
+/**
+ * Returns the path commands of SVG path data, as absolute
+ * commands of type M, L, C or Z only: H and V become lines,
+ * and S, Q and T become cubic curves. Arcs, and any other
+ * commands, are errors.
+ *
+ * Example:
+ *
+ *      parsePathData('M0 0 q0.5 0.5 1 0');
+ *      // [{ type: 'M', points: [[0,0]] }, { type: 'C', points: [[0.333,0.333], [0.667,0.333], [1,0]] }]
+ *
+ * @version 2026-10-19
+ * @param {String} d - the SVG path data.
+ * @returns {Array<Object>} - the commands, eg. { type: 'L', points: [[x,y]] }.
+ */
+function parsePathData(d) {
+
+    var ARITY = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2 };
+
+    var tokens = String(d).match(/[A-Za-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [],
+        commands = [],
+        current = [0, 0],
+        start = [0, 0],
+        // the last control points, for reflecting in S and T
+        lastCubic,
+        lastQuad,
+        type;
+
+    for (var i = 0; i < tokens.length;) {
+
+        if (/^[A-Za-z]$/.test(tokens[i]))
+            type = tokens[i++];
+
+        else if (!type)
+            throw new Error('parsePathData: expected a command, found "' + tokens[i] + '".');
+
+        var upper = type.toUpperCase(),
+            relative = type !== upper;
+
+        if ('Z' === upper) {
+
+            commands.push({ type: 'Z', points: [] });
+            current = start;
+            lastCubic = lastQuad = type = undefined;
+            continue;
+
+        }
+
+        if ('A' === upper)
+            throw new Error('parsePathData: arcs are not supported. Please use curves instead.');
+
+        if (!ARITY.hasOwnProperty(upper))
+            throw new Error('parsePathData: unknown command "' + type + '".');
+
+        var v = [];
+
+        for (var j = 0; j < ARITY[upper]; j++) {
+
+            if (
+                i >= tokens.length
+                || /^[A-Za-z]$/.test(tokens[i])
+            )
+                throw new Error('parsePathData: too few numbers for the "' + type + '" command.');
+
+            v.push(Number(tokens[i++]));
+
+        }
+
+        var ox = relative ? current[0] : 0,
+            oy = relative ? current[1] : 0,
+            cubic = undefined,
+            quad = undefined,
+            p;
+
+        switch (upper) {
+
+            case 'M':
+                p = [v[0] + ox, v[1] + oy];
+                commands.push({ type: 'M', points: [p] });
+                start = p;
+                // any more pairs of numbers are lines
+                type = relative ? 'l' : 'L';
+                break;
+
+            case 'L':
+                p = [v[0] + ox, v[1] + oy];
+                commands.push({ type: 'L', points: [p] });
+                break;
+
+            case 'H':
+                p = [v[0] + ox, current[1]];
+                commands.push({ type: 'L', points: [p] });
+                break;
+
+            case 'V':
+                p = [current[0], v[0] + oy];
+                commands.push({ type: 'L', points: [p] });
+                break;
+
+            case 'C':
+            case 'S':
+
+                var c1 = 'C' === upper
+                    ? [v[0] + ox, v[1] + oy]
+                    // reflect the previous curve's second control point
+                    : lastCubic ? [current[0] * 2 - lastCubic[0], current[1] * 2 - lastCubic[1]] : current;
+
+                cubic = 'C' === upper ? [v[2] + ox, v[3] + oy] : [v[0] + ox, v[1] + oy];
+                p = 'C' === upper ? [v[4] + ox, v[5] + oy] : [v[2] + ox, v[3] + oy];
+                commands.push({ type: 'C', points: [c1, cubic, p] });
+                break;
+
+            case 'Q':
+            case 'T':
+
+                quad = 'Q' === upper
+                    ? [v[0] + ox, v[1] + oy]
+                    // reflect the previous curve's control point
+                    : lastQuad ? [current[0] * 2 - lastQuad[0], current[1] * 2 - lastQuad[1]] : current;
+
+                p = 'Q' === upper ? [v[2] + ox, v[3] + oy] : [v[0] + ox, v[1] + oy];
+
+                // the same curve, as a cubic
+                commands.push({
+                    type: 'C',
+                    points: [
+                        [current[0] + (quad[0] - current[0]) * 2 / 3, current[1] + (quad[1] - current[1]) * 2 / 3],
+                        [p[0] + (quad[0] - p[0]) * 2 / 3, p[1] + (quad[1] - p[1]) * 2 / 3],
+                        p,
+                    ],
+                });
+                break;
+
+        }
+
+        current = p;
+        lastCubic = cubic;
+        lastQuad = quad;
+
+    }
+
+    return commands;
+
+};
+
+/**
+ * Returns a copy of path commands, with every point transformed.
+ * @param {Array<Object>} commands - the commands, see `parsePathData`.
+ * @param {MKTransform} transform - the transform.
+ * @returns {Array<Object>}
+ */
+function transformPathCommands(commands, transform) {
+
+    var transformed = [];
+
+    for (var i = 0; i < commands.length; i++)
+        transformed.push({ type: commands[i].type, points: transform.transformPoints(commands[i].points) });
+
+    return transformed;
+
+};
+
+/**
+ * Some edge profiles, in edge coordinates, where the edge
+ * runs from [0,0] to [1,0]. See `getCurvedTileCommands`.
+ * @enum {String}
+ */
+var MKEdgeProfile = {
+    /** a straight line, the tile's usual edge */
+    STRAIGHT: 'M0 0 L1 0',
+    /** a curve to the left of the edge, then to the right */
+    S_CURVE: 'M0 0 C0.35 0.3 0.65 -0.3 1 0',
+    /** a quarter circle, bulging to the left of the edge */
+    ARC: 'M0 0 C0.2761 0.2761 0.7239 0.2761 1 0',
+};
+
+/**
+ * Returns the path commands of a tile's outline, with each
+ * edge replaced by its edge profile. The profile is placed
+ * along the edge's unit vector, as motifs are, so the tile
+ * on the other side of the edge gets the same curve, only
+ * traversed backwards, and the curved tiles still fit together.
+ * Note: deep profiles can make the edges cross near the
+ * sharpest corners of the tiles.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {MKTile} tile - the tile.
+ * @param {String|Array<String>|Function} profiles - the SVG path data of the profile, or profiles by direction index, or function(edge) returning the profile, where the edge has `start`, `end` and `direction` (see `getMotifEdges`); no profile means a straight edge.
+ * @param {Object} [parsed] - the parsed profiles, by path data, to share between calls (default: none).
+ * @returns {Array<Object>} - the commands, of type M, L, C or Z, see `parsePathData`.
+ */
+function getCurvedTileCommands(krinkle, tile, profiles, parsed) {
+
+    parsed = parsed || {};
+
+    var points = tile.points,
+        commands = [{ type: 'M', points: [points[0]] }];
+
+    for (var i = 0; i < points.length; i++) {
+
+        var a = points[i],
+            b = points[(i + 1) % points.length],
+            edgeDirection = getEdgeDirection(krinkle, tile, i);
+
+        // only what both tiles of the edge agree on, so they get the same profile
+        var edge = {
+            start: edgeDirection.reversed ? b : a,
+            end: edgeDirection.reversed ? a : b,
+            direction: edgeDirection.direction,
+        };
+
+        var profile = getMotifForEdge(profiles, edge);
+
+        if (!profile) {
+            commands.push({ type: 'L', points: [b] });
+            continue;
+        }
+
+        if (!parsed.hasOwnProperty(profile))
+            parsed[profile] = parseEdgeProfile(profile);
+
+        var edgeCommands = transformPathCommands(parsed[profile], getEdgeTransform(edge));
+
+        if (edgeDirection.reversed)
+            edgeCommands = reversePathCommands(edgeCommands);
+
+        // end exactly on the tile's point, so that neighbouring tiles meet exactly
+        var last = edgeCommands[edgeCommands.length - 1].points;
+        last[last.length - 1] = b;
+
+        // skip the profile's M, because the path is already at `a`
+        Array.prototype.push.apply(commands, edgeCommands.slice(1));
+
+    }
+
+    commands.push({ type: 'Z', points: [] });
+
+    return commands;
+
+};
+
+/**
+ * Returns the path commands of an edge profile, after
+ * checking that it runs from [0,0] to [1,0] in one
+ * unbroken path.
+ * @param {String} d - the SVG path data of the profile.
+ * @returns {Array<Object>} - the commands, see `parsePathData`.
+ */
+function parseEdgeProfile(d) {
+
+    var commands = parsePathData(d),
+        start = commands.length > 1 && 'M' === commands[0].type ? commands[0].points[0] : undefined,
+        endPoints = commands.length > 1 ? commands[commands.length - 1].points : [],
+        end = endPoints[endPoints.length - 1];
+
+    if (
+        !start
+        || !end
+        || Math.abs(start[0]) > 1e-6
+        || Math.abs(start[1]) > 1e-6
+        || Math.abs(end[0] - 1) > 1e-6
+        || Math.abs(end[1]) > 1e-6
+    )
+        throw new Error('parseEdgeProfile: the profile "' + d + '" must run from 0,0 to 1,0.');
+
+    for (var i = 1; i < commands.length; i++)
+        if ('M' === commands[i].type || 'Z' === commands[i].type)
+            throw new Error('parseEdgeProfile: the profile "' + d + '" must be one unbroken, open path.');
+
+    return commands;
+
+};
+
+/**
+ * Returns the path commands of one open path, reversed,
+ * so that it runs from its end to its start.
+ * @param {Array<Object>} commands - the commands, an M followed by L or C commands.
+ * @returns {Array<Object>}
+ */
+function reversePathCommands(commands) {
+
+    var end = commands[commands.length - 1].points,
+        reversed = [{ type: 'M', points: [end[end.length - 1]] }];
+
+    for (var i = commands.length - 1; i > 0; i--) {
+
+        var points = commands[i].points,
+            previous = commands[i - 1].points,
+            previousEnd = previous[previous.length - 1];
+
+        reversed.push('C' === commands[i].type
+            // swap the control points
+            ? { type: 'C', points: [points[1], points[0], previousEnd] }
+            : { type: 'L', points: [previousEnd] }
+        );
+
+    }
+
+    return reversed;
+
+};
+
+/**
+ * Returns an SVG document of the krinkle's edge motifs.
+ * Requires MK_SVG.js.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {String|Array<String>|Function} motifs - the SVG path data of the motif, or motifs by direction index, or function(edge) returning the motif.
+ * @param {Object} [options]
+ * @param {String} [options.prefix] - the prefix for ids and class names (default: 'mk').
+ * @param {String} [options.fill] - the CSS fill of the motifs (default: 'none').
+ * @param {String} [options.stroke] - the CSS stroke of the motifs (default: '#000').
+ * @param {Number} [options.strokeWidth] - the stroke width of the motifs (default: 1).
+ * @param {Boolean} [options.showTiles] - whether to draw the tiles' outlines under the motifs (default: false).
+ * @param {String} [options.tileStroke] - the CSS stroke of the tiles' outlines (default: '#ccc').
+ * @param {String} [options.css] - extra CSS to add to the document's stylesheet (default: none).
+ * @param {Number} [options.padding] - the space around the motifs, in pts (default: 10).
+ * @param {Number} [options.decimals] - the number of decimal places for coordinates (default: 3).
+ * @param {MKTransform} [options.transform] - a transformation to apply to the tiling (default: none).
+ * @returns {String}
+ */
+function krinkleToMotifSVG(krinkle, motifs, options) {
+
+    if ('function' !== typeof getSVGDocument)
+        throw new Error('krinkleToMotifSVG: MK_SVG.js must load first.');
+
+    options = options || {};
+
+    var prefix = options.prefix || 'mk',
+        decimals = undefined == options.decimals ? 3 : options.decimals,
+        tiles = krinkle.getTiles(),
+        edges = getMotifEdges(krinkle, tiles),
+        bounds = [Infinity, -Infinity, -Infinity, Infinity],
+        // each different motif is only parsed once
+        parsed = {},
+        lines = [];
+
+    if (true === options.showTiles) {
+
+        lines.push('  <g class="' + prefix + '-tiles">');
+
+        for (var i = 0; i < tiles.length; i++) {
+
+            var points = getTransformedPoints(tiles[i].points, options.transform);
+
+            expandBounds(bounds, points);
+            lines.push('    ' + getSVGElement('path', { 'class': getSVGTileClassName(tiles[i], prefix), d: getSVGPathData(points, true, decimals) }));
+
+        }
+
+        lines.push('  </g>');
+
+    }
+
+    lines.push('  <g class="' + prefix + '-motifs">');
+
+    for (var i = 0; i < edges.length; i++) {
+
+        var motif = getMotifForEdge(motifs, edges[i]);
+
+        if (!motif)
+            continue;
+
+        if (!parsed.hasOwnProperty(motif))
+            parsed[motif] = parsePathData(motif);
+
+        var commands = transformPathCommands(parsed[motif], getEdgeTransform(edges[i]));
+
+        if (options.transform)
+            commands = transformPathCommands(commands, options.transform);
+
+        for (var j = 0; j < commands.length; j++)
+            expandBounds(bounds, commands[j].points);
+
+        lines.push('    ' + getSVGElement('path', {
+            'class': prefix + '-motif ' + prefix + '-direction-' + edges[i].direction,
+            d: getSVGPathDataFromCommands(commands, decimals),
+        }));
+
+    }
+
+    lines.push('  </g>');
+
+    if (krinkle.clipRegion) {
+
+        // clip to the krinkle's region, as `krinkleToSVG` does
+        var clipId = prefix + '-clip',
+            clipPoints = getTransformedPoints(krinkle.clipRegion, options.transform);
+
+        lines.unshift('  <defs><clipPath id="' + clipId + '"><path d="' + getSVGPathData(clipPoints, true, decimals) + '" /></clipPath></defs>', '  <g clip-path="url(#' + clipId + ')">');
+        lines.push('  </g>');
+
+        bounds = expandBounds([Infinity, -Infinity, -Infinity, Infinity], clipPoints);
+
+    }
+
+    var css = '.' + prefix + '-motif { fill: ' + (options.fill || 'none')
+        + '; stroke: ' + (options.stroke || '#000')
+        + '; stroke-width: ' + (undefined == options.strokeWidth ? 1 : options.strokeWidth)
+        + '; stroke-linecap: round; stroke-linejoin: round; }';
+
+    if (true === options.showTiles)
+        css += '\n.' + prefix + '-tile { fill: none; stroke: ' + (options.tileStroke || '#ccc') + '; stroke-width: 0.5; }';
+
+    if (options.css)
+        css += '\n' + options.css;
+
+    return getSVGDocument(lines.join('\n'), bounds, {
+        title: krinkle.toString(),
+        css: css,
+        padding: options.padding,
+        decimals: decimals,
+    });
+
+};
\ No newline at end of file
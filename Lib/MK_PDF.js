@@ -0,0 +1,242 @@
+/**
+ * @file MK_PDF.js
+ *
+ * Writes a ModuloKrinkle tiling as a single page PDF document.
+ *
+ * Like MK_SVG.js, nothing here depends on Adobe Illustrator,
+ * so it can be used from any javascript host.
+ *
+ * Example usage:
+ *
+ *      var krinkle = new ModuloKrinkle(2, 5, 2, false, 10, 5);
+ *      var pdf = krinkleToPDF(krinkle, { fill: '#ffd700' });
+ *
+ * Note: the returned string only contains 8-bit characters,
+ * so it must be written to file as binary (not UTF-8).
+ */
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+/**
+ * Returns a PDF document of the krinkle's tiles. The page
+ * is sized to fit the tiling, or its clip region if it has
+ * one, and one PDF unit is one point.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle to write.
+ * @param {Object} [options]
+ * @param {Number} [options.padding] - the space around the tiling, in pts (default: 10).
+ * @param {String} [options.fill] - the fill color of the tiles, eg. '#ffd700' (default: 'none').
+ * @param {String} [options.stroke] - the stroke color of the tiles (default: '#000').
+ * @param {Number} [options.strokeWidth] - the stroke width of the tiles (default: 1).
+ * @param {String|Array<String>|Function} [options.edgeProfiles] - curves to replace the tiles' edges, see `getCurvedTileCommands` in MK_Motifs.js (default: straight edges).
+ * @param {MKTransform} [options.transform] - a transformation to apply to the tiling (default: none).
+ * @returns {String}
+ */
+function krinkleToPDF(krinkle, options) {
+
+    options = options || {};
+
+    if (
+        options.edgeProfiles
+        && 'function' !== typeof getCurvedTileCommands
+    )
+        throw new Error('krinkleToPDF: MK_Motifs.js must load first, for `edgeProfiles`.');
+
+    var padding = undefined == options.padding ? 10 : options.padding,
+        strokeWidth = undefined == options.strokeWidth ? 1 : options.strokeWidth,
+        fill = parseHexColor(options.fill || 'none'),
+        stroke = parseHexColor(options.stroke || '#000'),
+        tiles = krinkle.getTiles(),
+        tileCommands = [],
+        parsedProfiles = {},
+        bounds = [Infinity, -Infinity, -Infinity, Infinity];
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        var commands = options.edgeProfiles
+            ? getCurvedTileCommands(krinkle, tiles[i], options.edgeProfiles, parsedProfiles)
+            : getPolygonCommands(tiles[i].points);
+
+        for (var j = 0; j < commands.length; j++) {
+            commands[j] = { type: commands[j].type, points: getTransformedPoints(commands[j].points, options.transform) };
+            expandBounds(bounds, commands[j].points);
+        }
+
+        tileCommands.push(commands);
+
+    }
+
+    var clipPoints = krinkle.clipRegion
+        ? getTransformedPoints(krinkle.clipRegion, options.transform)
+        : undefined;
+
+    if (clipPoints)
+        bounds = expandBounds([Infinity, -Infinity, -Infinity, Infinity], clipPoints);
+
+    var origin = [padding - bounds[0], padding - bounds[3]],
+        width = bounds[2] - bounds[0] + padding * 2,
+        height = bounds[1] - bounds[3] + padding * 2;
+
+    var content = [strokeWidth + ' w 1 J 1 j'];
+
+    if (clipPoints) {
+
+        // clip the tiling to its region (see `ModuloKrinkle.prototype.fitToRegion`)
+        clipPoints = getTranslatedPoints(clipPoints, origin);
+
+        for (var p = 0; p < clipPoints.length; p++)
+            content.push(formatPDFNumber(clipPoints[p][0]) + ' ' + formatPDFNumber(clipPoints[p][1]) + (0 === p ? ' m' : ' l'));
+
+        content.push('h W n');
+
+    }
+
+    if (fill)
+        content.push(fill.join(' ') + ' rg');
+
+    if (stroke)
+        content.push(stroke.join(' ') + ' RG');
+
+    // the PDF path operator for each command
+    var OPERATORS = { M: 'm', L: 'l', C: 'c', Z: 'h' };
+
+    for (var i = 0; i < tileCommands.length; i++) {
+
+        for (var j = 0; j < tileCommands[i].length; j++) {
+
+            var points = getTranslatedPoints(tileCommands[i][j].points, origin),
+                operands = [];
+
+            for (var p = 0; p < points.length; p++)
+                operands.push(formatPDFNumber(points[p][0]) + ' ' + formatPDFNumber(points[p][1]));
+
+            operands.push(OPERATORS[tileCommands[i][j].type]);
+            content.push(operands.join(' '));
+
+        }
+
+    }
+
+    // paint all the tiles at once
+    if (fill && stroke)
+        content.push('B');
+    else if (fill)
+        content.push('f');
+    else if (stroke)
+        content.push('S');
+    else
+        content.push('n');
+
+    var stream = content.join('\n');
+
+    return getPDFDocument([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + formatPDFNumber(width) + ' ' + formatPDFNumber(height) + '] /Contents 4 0 R >>',
+        '<< /Length ' + stream.length + ' >>\nstream\n' + stream + '\nendstream',
+        '<< /Title (' + escapePDFString(krinkle.toString()) + ') >>',
+    ]);
+
+};
+
+/**
+ * Returns the path commands of a closed polygon.
+ * @param {Array<point>} points - the polygon's points [x,y].
+ * @returns {Array<Object>} - the commands, eg. { type: 'L', points: [[x,y]] }.
+ */
+function getPolygonCommands(points) {
+
+    var commands = [];
+
+    for (var i = 0; i < points.length; i++)
+        commands.push({ type: 0 === i ? 'M' : 'L', points: [points[i]] });
+
+    commands.push({ type: 'Z', points: [] });
+
+    return commands;
+
+};
+
+/**
+ * Returns a PDF document with the given objects, numbered
+ * from 1, where object 1 is the catalog and the last
+ * object is the document info dictionary.
+ * @param {Array<String>} objects - the PDF objects' contents.
+ * @returns {String}
+ */
+function getPDFDocument(objects) {
+
+    var pdf = '%PDF-1.4\n',
+        offsets = [];
+
+    for (var i = 0; i < objects.length; i++) {
+        offsets.push(pdf.length);
+        pdf += (i + 1) + ' 0 obj\n' + objects[i] + '\nendobj\n';
+    }
+
+    var xrefOffset = pdf.length;
+
+    pdf += 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n';
+
+    // every xref entry must be exactly 20 bytes
+    for (var i = 0; i < offsets.length; i++)
+        pdf += ('000000000' + offsets[i]).slice(-10) + ' 00000 n \n';
+
+    pdf += 'trailer\n<< /Size ' + (objects.length + 1) + ' /Root 1 0 R /Info ' + objects.length + ' 0 R >>\n'
+        + 'startxref\n' + xrefOffset + '\n%%EOF\n';
+
+    return pdf;
+
+};
+
+/**
+ * Returns `n` as a compact PDF number, with at most 3 decimal places.
+ * @param {Number} n - the number to format.
+ * @returns {String}
+ */
+function formatPDFNumber(n) {
+
+    var s = n.toFixed(3).replace(/\.?0+$/, '');
+
+    return '-0' === s ? '0' : s;
+
+};
+
+/**
+ * Returns `str` escaped for use in a PDF literal string.
+ * @param {String} str - the string to escape.
+ * @returns {String}
+ */
+function escapePDFString(str) {
+
+    return String(str).replace(/([\\()])/g, '\\$1');
+
+};
+
+/**
+ * Returns the [r, g, b] channels (0-1) of a hex color
+ * string, eg. '#ffd700' or '#fd0', or undefined if
+ * the color is 'none' or can't be parsed.
+ * @param {String} hex - the hex color.
+ * @returns {Array<Number>|undefined}
+ */
+function parseHexColor(hex) {
+
+    var match = String(hex).match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+
+    if (!match)
+        return;
+
+    var digits = match[1];
+
+    if (3 === digits.length)
+        digits = digits.replace(/(.)/g, '$1$1');
+
+    return [
+        Math.round(parseInt(digits.slice(0, 2), 16) / 255 * 1000) / 1000,
+        Math.round(parseInt(digits.slice(2, 4), 16) / 255 * 1000) / 1000,
+        Math.round(parseInt(digits.slice(4, 6), 16) / 255 * 1000) / 1000,
+    ];
+
+};
\ No newline at end of file
@@ -0,0 +1,685 @@
+/**
+ * @file MK_Plot.js
+ *
+ * Prepares a ModuloKrinkle tiling for pen plotters and
+ * cutters, which draw every line they are given: drawn
+ * tile by tile, every interior edge would be drawn twice,
+ * once by each of its tiles. Instead, the plot has each
+ * edge once, chained into long continuous paths, in an
+ * order that keeps the pen-up travel between them short.
+ *
+ * Nothing here depends on Adobe Illustrator.
+ *
+ * Example usage:
+ *
+ *      var krinkle = new ModuloKrinkle(2, 5, 2, false, 10, 8);
+ *      var plot = getKrinklePlot(krinkle);
+ *      var hpgl = plotToHPGL(plot);
+ *      var svg = plotToSVG(plot, { showTravel: true });
+ *      var gcode = plotToGCode(getKrinklePlot(krinkle, { crossWeave: true }), { feedRate: 1500, zDown: -0.5 });
+ *
+ * A plot has:
+ *   paths - the polylines to draw, in order, each an array of points [x,y];
+ *           a closed path ends at its first point.
+ *   bounds - the bounds of the paths [L, T, R, B].
+ *   drawLength - the total length of the paths, in pts.
+ *   travelLength - the total length of the pen-up moves, from the
+ *                  bottom left of the bounds to the first path, and between paths.
+ */
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+/**
+ * Returns the plot of the krinkle's tile outlines, with
+ * every edge once, and optionally the lines of a crossweave
+ * (see `drawByCrossWeave` in MK_Drawing.js). If the krinkle
+ * has a clip region, the lines are clipped to it.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @param {Object} [options]
+ * @param {Boolean} [options.outlines] - whether to plot the tiles' outlines (default: true).
+ * @param {Boolean|Object} [options.crossWeave] - whether to plot the crossweave lines, or { includeFirst, includeLast, includeMiddle }, see `getCrossWeavePairs` (default: false; true means the middle pairs only).
+ * @param {MKTransform} [options.transform] - a transformation to apply to the tiling (default: none).
+ * @param {Number} [options.tolerance] - the distance, in pts, under which points are considered equal (default: 0.001).
+ * @returns {Object} - the plot, see above.
+ */
+function getKrinklePlot(krinkle, options) {
+
+    options = options || {};
+
+    var clipRegion = krinkle.clipRegion
+        ? getTransformedPoints(krinkle.clipRegion, options.transform)
+        : undefined,
+        segments = [];
+
+    if (false !== options.outlines) {
+
+        var edges = krinkle.getEdges();
+
+        for (var i = 0; i < edges.length; i++)
+            addSegment(edges[i].start, edges[i].end);
+
+    }
+
+    if (options.crossWeave) {
+
+        var crossWeave = true === options.crossWeave ? {} : options.crossWeave;
+
+        krinkle.forEachTile(function (tile) {
+
+            var pairs = getCrossWeavePairs(
+                tile.points.length,
+                true === crossWeave.includeFirst,
+                true === crossWeave.includeLast,
+                false !== crossWeave.includeMiddle
+            );
+
+            for (var i = 0; i < pairs.length; i++)
+                addSegment(tile.points[pairs[i][0]], tile.points[pairs[i][1]]);
+
+        });
+
+    }
+
+    return getPlotPaths(segments, options);
+
+    /** Adds the segment from `a` to `b`, transformed and clipped. */
+    function addSegment(a, b) {
+
+        var segment = getTransformedPoints([a, b], options.transform);
+
+        if (clipRegion)
+            Array.prototype.push.apply(segments, clipSegmentToPolygon(segment[0], segment[1], clipRegion));
+        else
+            segments.push(segment);
+
+    };
+
+};
+
+/**
+ * Returns a plot of line segments: any segments that
+ * coincide are merged, and the rest are chained into as
+ * few continuous paths as possible, each turning as little
+ * as it can at every junction, then the paths are put in
+ * order, each starting at the nearest end of the paths
+ * left, starting from the bottom left of the bounds.
+ * @version 2026-10-19
+ * @param {Array<Array<point>>} segments - the segments, each [start, end].
+ * @param {Object} [options]
+ * @param {Number} [options.tolerance] - the distance, in pts, under which points are considered equal (default: 0.001).
+ * @returns {Object} - the plot, see above.
+ */
+function getPlotPaths(segments, options) {
+
+    options = options || {};
+
+    var tolerance = options.tolerance || 0.001,
+        nodes = {},
+        nodeKeys = [],
+        seen = {},
+        drawLength = 0;
+
+    for (var i = 0; i < segments.length; i++) {
+
+        var a = segments[i][0],
+            b = segments[i][1],
+            aKey = getPointKey(a, tolerance),
+            bKey = getPointKey(b, tolerance),
+            key = aKey < bKey ? aKey + '|' + bKey : bKey + '|' + aKey;
+
+        if (
+            aKey === bKey
+            || seen[key]
+        )
+            continue;
+
+        seen[key] = true;
+
+        var link = { a: aKey, b: bKey, used: false };
+
+        addNode(aKey, a).links.push(link);
+        addNode(bKey, b).links.push(link);
+
+        drawLength += getDistance(a, b);
+
+    }
+
+    for (var i = 0; i < nodeKeys.length; i++)
+        nodes[nodeKeys[i]].unused = nodes[nodeKeys[i]].links.length;
+
+    var chains = [];
+
+    // every path must start or end at a node with an odd number of links
+    for (var i = 0; i < nodeKeys.length; i++)
+        if (
+            nodes[nodeKeys[i]].links.length % 2
+            && nodes[nodeKeys[i]].unused
+        )
+            chains.push(walk(nodeKeys[i]));
+
+    // now, the unused links form loops, so join each loop
+    // into a path that it touches, or make it a new path
+    for (var i = 0; i < chains.length; i++)
+        spliceLoops(chains[i]);
+
+    for (var i = 0; i < nodeKeys.length; i++)
+        if (nodes[nodeKeys[i]].unused)
+            chains.push(spliceLoops(walk(nodeKeys[i])));
+
+    var bounds = [Infinity, -Infinity, -Infinity, Infinity],
+        paths = [];
+
+    for (var i = 0; i < chains.length; i++) {
+
+        var path = [];
+
+        for (var j = 0; j < chains[i].length; j++)
+            path.push(nodes[chains[i][j]].point);
+
+        expandBounds(bounds, path);
+        paths.push(path);
+
+    }
+
+    var ordered = getOrderedPaths(paths, [bounds[0], bounds[3]]);
+
+    return {
+        paths: ordered.paths,
+        bounds: bounds,
+        drawLength: drawLength,
+        travelLength: ordered.travelLength,
+    };
+
+    /** Returns the node for `key`, adding it if it's new. */
+    function addNode(key, point) {
+
+        if (!nodes[key]) {
+            nodes[key] = { point: point, links: [] };
+            nodeKeys.push(key);
+        }
+
+        return nodes[key];
+
+    };
+
+    /** Returns the node keys of a walk along unused links from `key`, until there are none. */
+    function walk(key) {
+
+        var chain = [key],
+            direction;
+
+        while (nodes[key].unused) {
+
+            var node = nodes[key],
+                best,
+                bestDirection,
+                bestStraightness = -Infinity;
+
+            // the straightest way on
+            for (var i = 0; i < node.links.length; i++) {
+
+                if (node.links[i].used)
+                    continue;
+
+                var other = nodes[node.links[i].a === key ? node.links[i].b : node.links[i].a].point,
+                    length = getDistance(node.point, other),
+                    d = [(other[0] - node.point[0]) / length, (other[1] - node.point[1]) / length],
+                    straightness = direction ? direction[0] * d[0] + direction[1] * d[1] : 0;
+
+                if (straightness > bestStraightness) {
+                    best = node.links[i];
+                    bestDirection = d;
+                    bestStraightness = straightness;
+                }
+
+            }
+
+            best.used = true;
+            nodes[best.a].unused--;
+            nodes[best.b].unused--;
+
+            key = best.a === key ? best.b : best.a;
+            direction = bestDirection;
+            chain.push(key);
+
+        }
+
+        return chain;
+
+    };
+
+    /** Joins the loops of unused links into `chain`, wherever they touch it. */
+    function spliceLoops(chain) {
+
+        for (var i = 0; i < chain.length; i++)
+            while (nodes[chain[i]].unused)
+                Array.prototype.splice.apply(chain, [i + 1, 0].concat(walk(chain[i]).slice(1)));
+
+        return chain;
+
+    };
+
+};
+
+/**
+ * Returns `paths` in the order that a pen, starting at
+ * `start`, would draw them, always moving to the nearest
+ * end of a path not yet drawn. A path is reversed when
+ * its end is nearer, and a closed path can start at any
+ * of its points, so it is turned to start at the nearest.
+ * @param {Array<Array<point>>} paths - the paths.
+ * @param {point} start - the pen's starting point.
+ * @returns {Object} - { paths, travelLength }.
+ */
+function getOrderedPaths(paths, start) {
+
+    var entries = [],
+        bounds = [Infinity, -Infinity, -Infinity, Infinity];
+
+    // the points where each path can start
+    for (var i = 0; i < paths.length; i++) {
+
+        var path = paths[i],
+            closed = path.length > 2 && path[0] === path[path.length - 1];
+
+        if (closed)
+            for (var j = 0; j < path.length - 1; j++)
+                entries.push({ pathIndex: i, pointIndex: j });
+
+        else {
+            entries.push({ pathIndex: i, pointIndex: 0 });
+            entries.push({ pathIndex: i, pointIndex: path.length - 1 });
+        }
+
+        expandBounds(bounds, path);
+
+    }
+
+    if (0 === entries.length)
+        return { paths: [], travelLength: 0 };
+
+    // a grid of the entries, for finding the nearest quickly
+    var width = Math.max(bounds[2] - bounds[0], 1e-9),
+        height = Math.max(bounds[1] - bounds[3], 1e-9),
+        cellSize = Math.max(Math.sqrt(width * height / entries.length) * 2, 1e-9),
+        columns = Math.ceil(width / cellSize) + 1,
+        rows = Math.ceil(height / cellSize) + 1,
+        grid = [];
+
+    for (var i = 0; i < entries.length; i++) {
+
+        var point = paths[entries[i].pathIndex][entries[i].pointIndex],
+            cell = getCell(point);
+
+        (grid[cell[1] * columns + cell[0]] || (grid[cell[1] * columns + cell[0]] = [])).push(entries[i]);
+
+    }
+
+    var done = [],
+        ordered = [],
+        pen = start,
+        travelLength = 0;
+
+    while (ordered.length < paths.length) {
+
+        var nearest = findNearest(pen),
+            path = paths[nearest.entry.pathIndex],
+            index = nearest.entry.pointIndex;
+
+        if (path.length > 2 && path[0] === path[path.length - 1])
+            // turn the closed path to start at the entry
+            path = path.slice(index, path.length - 1).concat(path.slice(0, index + 1));
+
+        else if (0 !== index)
+            path = path.slice().reverse();
+
+        done[nearest.entry.pathIndex] = true;
+        ordered.push(path);
+        travelLength += nearest.distance;
+        pen = path[path.length - 1];
+
+    }
+
+    return { paths: ordered, travelLength: travelLength };
+
+    /** Returns the grid cell [column, row] of `point`, clamped to the grid. */
+    function getCell(point) {
+
+        return [
+            Math.max(0, Math.min(columns - 1, Math.floor((point[0] - bounds[0]) / cellSize))),
+            Math.max(0, Math.min(rows - 1, Math.floor((point[1] - bounds[3]) / cellSize))),
+        ];
+
+    };
+
+    /** Returns the nearest entry of a path not yet drawn, searching the grid in rings around `point`. */
+    function findNearest(point) {
+
+        var cell = getCell(point),
+            best,
+            bestDistance = Infinity,
+            maxRing = Math.max(columns, rows);
+
+        for (var ring = 0; ring <= maxRing; ring++) {
+
+            // no entry further out can be nearer than the best so far
+            if (best && (ring - 1) * cellSize > bestDistance)
+                break;
+
+            for (var c = cell[0] - ring; c <= cell[0] + ring; c++) {
+
+                for (var r = cell[1] - ring; r <= cell[1] + ring; r++) {
+
+                    // just the cells on the ring's edge
+                    if (
+                        c < 0 || r < 0 || c >= columns || r >= rows
+                        || (Math.abs(c - cell[0]) !== ring && Math.abs(r - cell[1]) !== ring)
+                    )
+                        continue;
+
+                    var cellEntries = grid[r * columns + c];
+
+                    if (!cellEntries)
+                        continue;
+
+                    for (var i = cellEntries.length - 1; i >= 0; i--) {
+
+                        if (done[cellEntries[i].pathIndex]) {
+                            // forget the entries of paths already drawn
+                            cellEntries.splice(i, 1);
+                            continue;
+                        }
+
+                        var distance = getDistance(point, paths[cellEntries[i].pathIndex][cellEntries[i].pointIndex]);
+
+                        if (distance < bestDistance) {
+                            best = cellEntries[i];
+                            bestDistance = distance;
+                        }
+
+                    }
+
+                }
+
+            }
+
+        }
+
+        return { entry: best, distance: bestDistance };
+
+    };
+
+};
+
+/**
+ * Returns the parts of segment ab inside the polygon.
+ * @param {point} a - the start of the segment.
+ * @param {point} b - the end of the segment.
+ * @param {Array<point>} polygon - the polygon's points.
+ * @returns {Array<Array<point>>} - the parts, each [start, end].
+ */
+function clipSegmentToPolygon(a, b, polygon) {
+
+    var dx = b[0] - a[0],
+        dy = b[1] - a[1],
+        // where the segment crosses the polygon's edges, as fractions along it
+        ts = [0, 1];
+
+    for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+
+        var c = polygon[j],
+            ex = polygon[i][0] - c[0],
+            ey = polygon[i][1] - c[1],
+            denominator = dx * ey - dy * ex;
+
+        if (Math.abs(denominator) < 1e-12)
+            continue;
+
+        var t = ((c[0] - a[0]) * ey - (c[1] - a[1]) * ex) / denominator,
+            u = ((c[0] - a[0]) * dy - (c[1] - a[1]) * dx) / denominator;
+
+        if (t > 0 && t < 1 && u >= 0 && u <= 1)
+            ts.push(t);
+
+    }
+
+    ts.sort(function (x, y) { return x - y });
+
+    var parts = [];
+
+    for (var i = 0; i < ts.length - 1; i++) {
+
+        var t = (ts[i] + ts[i + 1]) / 2;
+
+        // keep the parts whose middles are inside
+        if (
+            ts[i + 1] - ts[i] > 1e-9
+            && isPointInPolygon([a[0] + dx * t, a[1] + dy * t], polygon)
+        )
+            parts.push([[a[0] + dx * ts[i], a[1] + dy * ts[i]], [a[0] + dx * ts[i + 1], a[1] + dy * ts[i + 1]]]);
+
+    }
+
+    return parts;
+
+};
+
+/**
+ * Returns an SVG document of the plot's paths, in order.
+ * Requires MK_SVG.js.
+ * @version 2026-10-19
+ * @param {Object} plot - the plot, see `getPlotPaths`.
+ * @param {Object} [options]
+ * @param {String} [options.prefix] - the prefix for class names (default: 'mk').
+ * @param {String} [options.title] - the document's title (default: 'Modulo Krinkle plot').
+ * @param {String} [options.stroke] - the CSS stroke of the paths (default: '#000').
+ * @param {Number} [options.strokeWidth] - the stroke width of the paths (default: 1).
+ * @param {Boolean} [options.showTravel] - whether to show the pen-up moves between the paths, as dashed lines (default: false).
+ * @param {String} [options.travelStroke] - the CSS stroke of the pen-up moves (default: '#f00').
+ * @param {String} [options.css] - extra CSS to add to the document's stylesheet (default: none).
+ * @param {Number} [options.padding] - the space around the plot, in pts (default: 10).
+ * @param {Number} [options.decimals] - the number of decimal places for coordinates (default: 3).
+ * @returns {String}
+ */
+function plotToSVG(plot, options) {
+
+    if ('function' !== typeof getSVGDocument)
+        throw new Error('plotToSVG: MK_SVG.js must load first.');
+
+    options = options || {};
+
+    var prefix = options.prefix || 'mk',
+        decimals = undefined == options.decimals ? 3 : options.decimals,
+        lines = ['  <g class="' + prefix + '-paths">'];
+
+    for (var i = 0; i < plot.paths.length; i++)
+        lines.push('    ' + getSVGElement('path', { 'class': prefix + '-path', d: getSVGPathData(plot.paths[i], false, decimals) }));
+
+    lines.push('  </g>');
+
+    if (true === options.showTravel) {
+
+        var travel = [],
+            pen = [plot.bounds[0], plot.bounds[3]];
+
+        for (var i = 0; i < plot.paths.length; i++) {
+            travel.push(getSVGPathData([pen, plot.paths[i][0]], false, decimals));
+            pen = plot.paths[i][plot.paths[i].length - 1];
+        }
+
+        lines.push('  ' + getSVGElement('path', { 'class': prefix + '-travel', d: travel.join(' ') }));
+
+    }
+
+    var css = '.' + prefix + '-path { fill: none; stroke: ' + (options.stroke || '#000')
+        + '; stroke-width: ' + (undefined == options.strokeWidth ? 1 : options.strokeWidth)
+        + '; stroke-linecap: round; stroke-linejoin: round; }';
+
+    if (true === options.showTravel)
+        css += '\n.' + prefix + '-travel { fill: none; stroke: ' + (options.travelStroke || '#f00') + '; stroke-width: 0.5; stroke-dasharray: 2 2; }';
+
+    if (options.css)
+        css += '\n' + options.css;
+
+    return getSVGDocument(lines.join('\n'), plot.bounds, {
+        title: options.title || 'Modulo Krinkle plot',
+        css: css,
+        padding: options.padding,
+        decimals: decimals,
+    });
+
+};
+
+/**
+ * Returns the plot as HPGL, for pen plotters. The plot is
+ * moved so that the bottom left of its bounds is at the
+ * plotter's origin, and the coordinates are in plotter
+ * units, of 0.025 mm.
+ * @version 2026-10-19
+ * @param {Object} plot - the plot, see `getPlotPaths`.
+ * @param {Object} [options]
+ * @param {Number} [options.pen] - the pen number to select (default: 1).
+ * @param {Number} [options.velocity] - the pen speed, in cm/s (default: the plotter's own).
+ * @returns {String}
+ */
+function plotToHPGL(plot, options) {
+
+    options = options || {};
+
+    // 40 plotter units per mm, and 72 pts per inch
+    var scale = 40 * 25.4 / 72,
+        origin = [plot.bounds[0], plot.bounds[3]],
+        commands = ['IN', 'SP' + (options.pen || 1)];
+
+    if (options.velocity)
+        commands.push('VS' + options.velocity);
+
+    for (var i = 0; i < plot.paths.length; i++) {
+
+        var coordinates = [];
+
+        for (var j = 0; j < plot.paths[i].length; j++)
+            coordinates.push(
+                Math.round((plot.paths[i][j][0] - origin[0]) * scale)
+                + ',' + Math.round((plot.paths[i][j][1] - origin[1]) * scale)
+            );
+
+        commands.push('PU' + coordinates[0]);
+        commands.push('PD' + coordinates.slice(1).join(','));
+
+    }
+
+    commands.push('PU', 'SP0');
+
+    return commands.join(';\n') + ';\n';
+
+};
+
+/**
+ * Returns the plot as G-code, for CNC machines and plotters
+ * with a Z axis. Each path is drawn by lowering the tool to
+ * `zDown`, moving along the path at `feedRate`, then raising
+ * it to `zUp` for the rapid move to the next path. The plot
+ * is moved so that the bottom left of its bounds is at the
+ * machine's origin. For plotters that lift the pen another
+ * way, eg. with a servo, supply `penUp` and `penDown` commands.
+ * @version 2026-10-19
+ * @param {Object} plot - the plot, see `getPlotPaths`.
+ * @param {Object} [options]
+ * @param {String} [options.units] - the units, 'mm' or 'in' (default: 'mm').
+ * @param {Number} [options.feedRate] - the drawing speed, in units per minute (default: 1000 mm/min or 40 in/min).
+ * @param {Number} [options.plungeRate] - the speed of lowering the tool, in units per minute (default: `feedRate`).
+ * @param {Number} [options.zUp] - the height of the raised tool (default: 5 mm or 0.2 in).
+ * @param {Number} [options.zDown] - the height of the lowered tool (default: 0).
+ * @param {String} [options.penUp] - the command to raise the tool, instead of moving to `zUp` (default: none).
+ * @param {String} [options.penDown] - the command to lower the tool, instead of moving to `zDown` (default: none).
+ * @param {Number} [options.decimals] - the number of decimal places for coordinates (default: 3).
+ * @param {String} [options.title] - a comment for the start of the program (default: none).
+ * @returns {String}
+ */
+function plotToGCode(plot, options) {
+
+    options = options || {};
+
+    var inches = 'in' === options.units,
+        // 72 pts per inch
+        scale = inches ? 1 / 72 : 25.4 / 72,
+        decimals = undefined == options.decimals ? 3 : options.decimals,
+        feedRate = options.feedRate || (inches ? 40 : 1000),
+        plungeRate = options.plungeRate || feedRate,
+        zUp = undefined == options.zUp ? (inches ? 0.2 : 5) : options.zUp,
+        zDown = options.zDown || 0,
+        penUp = options.penUp || 'G0 Z' + formatGCodeNumber(zUp, decimals),
+        penDown = options.penDown || 'G1 Z' + formatGCodeNumber(zDown, decimals) + ' F' + formatGCodeNumber(plungeRate, decimals),
+        origin = [plot.bounds[0], plot.bounds[3]],
+        lines = [];
+
+    if (options.title)
+        lines.push('(' + String(options.title).replace(/[()]/g, '') + ')');
+
+    lines.push(
+        inches ? 'G20' : 'G21',
+        // absolute coordinates
+        'G90',
+        penUp
+    );
+
+    for (var i = 0; i < plot.paths.length; i++) {
+
+        var path = plot.paths[i];
+
+        lines.push('G0 ' + getXY(path[0]), penDown);
+
+        for (var j = 1; j < path.length; j++)
+            lines.push('G1 ' + getXY(path[j]) + (1 === j ? ' F' + formatGCodeNumber(feedRate, decimals) : ''));
+
+        lines.push(penUp);
+
+    }
+
+    // back to the origin, and end the program
+    lines.push('G0 X0 Y0', 'M2');
+
+    return lines.join('\n') + '\n';
+
+    /** Returns the X and Y words for `point`, in the plot's units, from the origin. */
+    function getXY(point) {
+
+        return 'X' + formatGCodeNumber((point[0] - origin[0]) * scale, decimals)
+            + ' Y' + formatGCodeNumber((point[1] - origin[1]) * scale, decimals);
+
+    };
+
+};
+
+/**
+ * Returns `n` as a G-code number, with at most `decimals`
+ * decimal places and no trailing zeros, eg. 1.5, not 1.500.
+ * @param {Number} n - the number.
+ * @param {Number} decimals - the number of decimal places.
+ * @returns {String}
+ */
+function formatGCodeNumber(n, decimals) {
+
+    var str = n.toFixed(decimals);
+
+    if (-1 !== str.indexOf('.'))
+        str = str.replace(/0+$/, '').replace(/\.$/, '');
+
+    return '-0' === str ? '0' : str;
+
+};
+
+/**
+ * Returns the distance between points `a` and `b`.
+ * @param {point} a - the point [x,y].
+ * @param {point} b - the point [x,y].
+ * @returns {Number}
+ */
+function getDistance(a, b) {
+
+    return Math.sqrt((b[0] - a[0]) * (b[0] - a[0]) + (b[1] - a[1]) * (b[1] - a[1]));
+
+};
\ No newline at end of file
@@ -0,0 +1,395 @@
+/**
+ * @file MK_Presets.js
+ *
+ * A library of named presets for "Draw Modulo Krinkle Tiling.js",
+ * saved as a JSON file. Each preset holds the krinkle's
+ * parameters and the draw type, in the same shape as the
+ * script's settings, with the style rules file and the
+ * field colors that the draw types use, and the library
+ * remembers which preset was used last.
+ *
+ * Example usage:
+ *
+ *      var presets = new MKPresets(File(File($.fileName).parent + '/Modulo Krinkle Presets.json'));
+ *
+ *      presets.set('Star', {
+ *          krinkleParams: { m: 2, k: 5, t: 2, offset: false, unitLength: 10, layerCount: 5 },
+ *          drawType: MKDrawType.SYMBOL,
+ *      });
+ *
+ *      presets.save();
+ *
+ * The file looks like this:
+ *
+ *      {
+ *          "format": "ModuloKrinklePresets",
+ *          "version": 2,
+ *          "lastUsed": "Star",
+ *          "presets": [
+ *              {
+ *                  "name": "Star",
+ *                  "krinkleParams": { "m": 2, "k": 5, "t": 2, "offset": false, "unitLength": 10, "layerCount": 5 },
+ *                  "drawType": "symbol",
+ *                  "fieldColors": { "field": "distance", "useSwatches": false, "startHue": 0, "endHue": 360 }
+ *              }
+ *          ]
+ *      }
+ */
+
+if ('function' !== typeof stringifyJSON)
+    throw new Error('MK_JSON.js must load first.');
+
+/**
+ * A library of named presets, stored in `file`.
+ * The presets are loaded from the file, if it exists.
+ * @constructor
+ * @version 2026-10-19
+ * @param {File} [file] - the presets file (default: none, the presets can't be loaded or saved).
+ */
+function MKPresets(file) {
+
+    this.file = file;
+    this.presets = [];
+    this.lastUsed = undefined;
+
+    if (
+        file
+        && file.exists
+    )
+        this.load();
+
+};
+
+/** The name of the presets file format. */
+MKPresets.FORMAT = 'ModuloKrinklePresets';
+
+/**
+ * The version of the presets file format.
+ * Version 2 stores the draw types by name.
+ */
+MKPresets.VERSION = 2;
+
+/**
+ * The draw types of version 1 presets files, which stored
+ * the index of the draw type's control in the dialog.
+ * Index 5 was the style rules file's controls, not a
+ * draw type, so field colors was at index 6.
+ */
+MKPresets.VERSION_1_DRAW_TYPES = ['paths', 'symbol', 'symbols', 'graph-colors', 'style-rules', undefined, 'field-colors'];
+
+/**
+ * Loads the presets from the presets file,
+ * replacing the current presets.
+ * @returns {MKPresets} - this library, for chaining.
+ */
+MKPresets.prototype.load = function loadPresets() {
+
+    var doc = readPresetsFile(this.file);
+
+    this.presets = doc.presets;
+    this.lastUsed = this.get(doc.lastUsed) ? doc.lastUsed : undefined;
+
+    return this;
+
+};
+
+/**
+ * Saves the presets to the presets file.
+ * @returns {MKPresets} - this library, for chaining.
+ */
+MKPresets.prototype.save = function savePresets() {
+
+    writePresetsFile(this.file, this.presets, this.lastUsed);
+
+    return this;
+
+};
+
+/**
+ * Returns the names of the presets, in order.
+ * @returns {Array<String>}
+ */
+MKPresets.prototype.getNames = function getPresetNames() {
+
+    var names = [];
+
+    for (var i = 0; i < this.presets.length; i++)
+        names.push(this.presets[i].name);
+
+    return names;
+
+};
+
+/**
+ * Returns a copy of the preset called `name`,
+ * or undefined if there is no such preset.
+ * @param {String} name - the preset's name.
+ * @returns {Object|undefined}
+ */
+MKPresets.prototype.get = function getPreset(name) {
+
+    var index = this.indexOf(name);
+
+    if (-1 !== index)
+        return getPresetFromSettings(this.presets[index], name);
+
+};
+
+/**
+ * Returns the index of the preset called `name`, or -1 if not found.
+ * @param {String} name - the preset's name.
+ * @returns {Number}
+ */
+MKPresets.prototype.indexOf = function indexOfPreset(name) {
+
+    for (var i = 0; i < this.presets.length; i++)
+        if (this.presets[i].name === name)
+            return i;
+
+    return -1;
+
+};
+
+/**
+ * Adds a preset called `name`, made from `settings`,
+ * replacing any preset with the same name.
+ * @param {String} name - the preset's name.
+ * @param {Object} settings - the settings, see `getPresetFromSettings`.
+ * @returns {Object} - the preset.
+ */
+MKPresets.prototype.set = function setPreset(name, settings) {
+
+    name = getPresetName(name);
+
+    var preset = getPresetFromSettings(settings, name),
+        index = this.indexOf(name);
+
+    if (-1 === index)
+        this.presets.push(preset);
+    else
+        this.presets[index] = preset;
+
+    return preset;
+
+};
+
+/**
+ * Renames the preset called `name`.
+ * @param {String} name - the preset's name.
+ * @param {String} newName - the preset's new name.
+ */
+MKPresets.prototype.rename = function renamePreset(name, newName) {
+
+    var index = this.indexOf(name);
+
+    newName = getPresetName(newName);
+
+    if (-1 === index)
+        throw new Error('MKPresets.prototype.rename: there is no preset called "' + name + '".');
+
+    if (
+        newName !== name
+        && -1 !== this.indexOf(newName)
+    )
+        throw new Error('MKPresets.prototype.rename: there is already a preset called "' + newName + '".');
+
+    this.presets[index].name = newName;
+
+    if (name === this.lastUsed)
+        this.lastUsed = newName;
+
+};
+
+/**
+ * Removes the preset called `name`.
+ * @param {String} name - the preset's name.
+ */
+MKPresets.prototype.remove = function removePreset(name) {
+
+    var index = this.indexOf(name);
+
+    if (-1 !== index)
+        this.presets.splice(index, 1);
+
+    if (name === this.lastUsed)
+        this.lastUsed = undefined;
+
+};
+
+/**
+ * Adds the presets from another presets file,
+ * replacing any presets with the same names.
+ * @param {File} file - the presets file to import.
+ * @returns {Array<String>} - the names of the imported presets.
+ */
+MKPresets.prototype.importFile = function importPresets(file) {
+
+    var imported = readPresetsFile(file).presets,
+        names = [];
+
+    for (var i = 0; i < imported.length; i++)
+        names.push(this.set(imported[i].name, imported[i]).name);
+
+    return names;
+
+};
+
+/**
+ * Writes the presets to another presets file, eg. to share them.
+ * @param {File} file - the file to write.
+ * @param {Array<String>} [names] - the names of the presets to export (default: all of them).
+ */
+MKPresets.prototype.exportFile = function exportPresets(file, names) {
+
+    if (!names)
+        return writePresetsFile(file, this.presets);
+
+    var presets = [];
+
+    for (var i = 0; i < names.length; i++)
+        if (-1 !== this.indexOf(names[i]))
+            presets.push(this.presets[this.indexOf(names[i])]);
+
+    writePresetsFile(file, presets);
+
+};
+
+/**
+ * Returns a preset made from the known settings in `settings`.
+ * Missing parameters get the same defaults as the ModuloKrinkle
+ * constructor, from `ModuloKrinkle.DEFAULT_PARAMS`. The style
+ * rules file and the field colors are kept if they are given.
+ * @param {Object} settings - the settings, with `krinkleParams` and `drawType`, an MKDrawType, see MK_UI.js, and optionally `styleRulesFile`, a path, and `fieldColors`.
+ * @param {String} name - the preset's name.
+ * @returns {Object}
+ */
+function getPresetFromSettings(settings, name) {
+
+    var params = settings.krinkleParams || {},
+        defaults = ModuloKrinkle.DEFAULT_PARAMS,
+        fieldColors = settings.fieldColors;
+
+    var preset = {
+        name: name,
+        krinkleParams: {
+            m: Number(params.m) || defaults.m,
+            k: Number(params.k) || defaults.k,
+            t: Number(params.t) || defaults.t,
+            offset: undefined == params.offset ? defaults.offset : true === params.offset,
+            unitLength: Number(params.unitLength) || defaults.unitLength,
+            layerCount: Number(params.layerCount) || defaults.layerCount,
+        },
+        // MKDrawType.PATHS, if none
+        drawType: settings.drawType ? String(settings.drawType) : 'paths',
+    };
+
+    if (settings.styleRulesFile)
+        preset.styleRulesFile = String(settings.styleRulesFile);
+
+    if (fieldColors)
+        preset.fieldColors = {
+            field: fieldColors.field,
+            useSwatches: true === fieldColors.useSwatches,
+            startHue: Number(fieldColors.startHue) || 0,
+            endHue: isNaN(Number(fieldColors.endHue)) ? 360 : Number(fieldColors.endHue),
+        };
+
+    return preset;
+
+};
+
+/**
+ * Returns `name` trimmed, and throws an error if it is empty.
+ * @param {String} name - the preset name.
+ * @returns {String}
+ */
+function getPresetName(name) {
+
+    name = String(undefined == name ? '' : name).replace(/^\s+|\s+$/g, '');
+
+    if (!name)
+        throw new Error('MKPresets: a preset needs a name.');
+
+    return name;
+
+};
+
+/**
+ * Returns the presets document read from `file`,
+ * with each of its presets checked.
+ * @param {File} file - the presets file.
+ * @returns {Object}
+ */
+function readPresetsFile(file) {
+
+    if (
+        !file
+        || !file.exists
+    )
+        throw new Error('MKPresets: the presets file does not exist.');
+
+    file.encoding = 'UTF-8';
+
+    if (!file.open('r'))
+        throw new Error('MKPresets: could not open "' + file.fsName + '".');
+
+    var text = file.read();
+    file.close();
+
+    var doc = parseJSON(text);
+
+    if (
+        !doc
+        || MKPresets.FORMAT !== doc.format
+        || 'Array' !== (doc.presets || 0).constructor.name
+    )
+        throw new Error('MKPresets: "' + file.name + '" is not a presets file.');
+
+    if (doc.version > MKPresets.VERSION)
+        throw new Error('MKPresets: unsupported presets file version ' + doc.version + '. Expected ' + MKPresets.VERSION + ' or lower.');
+
+    var presets = [];
+
+    for (var i = 0; i < doc.presets.length; i++) {
+
+        if (!(doc.version >= 2))
+            // the draw type was stored as a number
+            doc.presets[i].drawType = MKPresets.VERSION_1_DRAW_TYPES[doc.presets[i].drawType];
+
+        presets.push(getPresetFromSettings(doc.presets[i], getPresetName(doc.presets[i].name)));
+
+    }
+
+    return {
+        lastUsed: doc.lastUsed,
+        presets: presets,
+    };
+
+};
+
+/**
+ * Writes a presets document to `file`.
+ * @param {File} file - the presets file.
+ * @param {Array<Object>} presets - the presets to write.
+ * @param {String} [lastUsed] - the name of the last used preset (default: none).
+ */
+function writePresetsFile(file, presets, lastUsed) {
+
+    if (!file)
+        throw new Error('MKPresets: no presets file supplied.');
+
+    file.encoding = 'UTF-8';
+
+    if (!file.open('w'))
+        throw new Error('MKPresets: could not write "' + file.fsName + '".');
+
+    file.write(stringifyJSON({
+        format: MKPresets.FORMAT,
+        version: MKPresets.VERSION,
+        lastUsed: lastUsed,
+        presets: presets,
+    }, 4));
+
+    file.close();
+
+};
\ No newline at end of file
@@ -0,0 +1,562 @@
+/**
+ * @file MK_SVG.js
+ *
+ * Writes a ModuloKrinkle tiling as a standalone SVG document.
+ *
+ * Unlike MK_Drawing.js, nothing here depends on Adobe Illustrator,
+ * so it can be used from any javascript host.
+ *
+ * Example usage:
+ *
+ *      var krinkle = new ModuloKrinkle(2, 5, 2, false, 10, 5);
+ *      var svg = krinkleToSVG(krinkle, { fill: '#ffd700' });
+ *
+ * Each tile is a <path> with an id derived from the tile's
+ * specific string, eg. tile "S1 W6 L2 T0 (L)" gets the id
+ * "mk-S1-W6-L2-T0-L", and classes for its type, sector and
+ * layer, eg. "mk-tile mk-type-L mk-sector-1 mk-layer-2",
+ * so that tiles can be styled and animated with CSS.
+ */
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+/**
+ * Returns an SVG document of the krinkle's tiles.
+ * If the krinkle has a clip region, the tiling is
+ * clipped to it, and the document fits the region.
+ * Note: the y axis is flipped, so that the SVG matches
+ * the orientation of the tiling drawn in Illustrator.
+ *
+ * With `write`, the document is not returned, but passed
+ * to `write` in pieces, one tile at a time, so that, with
+ * a lazy krinkle, the tiles needn't all be in memory at
+ * once. The tiles are then visited twice: once to find
+ * the document's bounds, and once to write them.
+ *
+ * Example: write a large tiling to a file, in Node
+ *
+ *      var fd = fs.openSync('tiling.svg', 'w');
+ *      krinkleToSVG(new ModuloKrinkle(2, 5, 2, false, 10, 500, true), {}, function (chunk) { fs.writeSync(fd, chunk) });
+ *      fs.closeSync(fd);
+ *
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle to write.
+ * @param {Object} [options]
+ * @param {Number} [options.padding] - the space around the tiling, in pts (default: 10).
+ * @param {String} [options.prefix] - the prefix for ids and class names (default: 'mk').
+ * @param {String} [options.fill] - the CSS fill of the tiles (default: 'none').
+ * @param {String} [options.stroke] - the CSS stroke of the tiles (default: '#000').
+ * @param {Number} [options.strokeWidth] - the stroke width of the tiles (default: 1).
+ * @param {String} [options.css] - extra CSS to add to the document's stylesheet (default: none).
+ * @param {Number} [options.decimals] - the number of decimal places for coordinates (default: 3).
+ * @param {Function} [options.tileAttributes] - function(tile) returning an object of extra attributes for the tile's path (default: none).
+ * @param {String|Array<String>|Function} [options.edgeProfiles] - curves to replace the tiles' edges, see `getCurvedTileCommands` in MK_Motifs.js (default: straight edges).
+ * @param {MKTransform} [options.transform] - a transformation to apply to the tiling (default: none).
+ * @param {Function} [write] - function(chunk) to write the document's text to, in order (default: none, return the document).
+ * @returns {String|undefined}
+ */
+function krinkleToSVG(krinkle, options, write) {
+
+    options = options || {};
+
+    if (
+        options.edgeProfiles
+        && 'function' !== typeof getCurvedTileCommands
+    )
+        throw new Error('krinkleToSVG: MK_Motifs.js must load first, for `edgeProfiles`.');
+
+    var prefix = options.prefix || 'mk',
+        decimals = undefined == options.decimals ? 3 : options.decimals,
+        bounds = [Infinity, -Infinity, -Infinity, Infinity],
+        // each different edge profile is only parsed once
+        parsedProfiles = {},
+        lines = [],
+        clipLines;
+
+    var css = '.' + prefix + '-tile { fill: ' + (options.fill || 'none')
+        + '; stroke: ' + (options.stroke || '#000')
+        + '; stroke-width: ' + (undefined == options.strokeWidth ? 1 : options.strokeWidth)
+        + '; stroke-linejoin: round; }';
+
+    if (options.css)
+        css += '\n' + options.css;
+
+    var documentOptions = {
+        title: krinkle.toString(),
+        css: css,
+        padding: options.padding,
+        decimals: decimals,
+    };
+
+    if (krinkle.clipRegion) {
+
+        // clip the tiling to its region (see `ModuloKrinkle.prototype.fitToRegion`)
+        var clipId = prefix + '-clip',
+            clipPoints = getTransformedPoints(krinkle.clipRegion, options.transform);
+
+        clipLines = ['  <defs><clipPath id="' + clipId + '"><path d="' + getSVGPathData(clipPoints, true, decimals) + '" /></clipPath></defs>', '  <g clip-path="url(#' + clipId + ')">'];
+
+    }
+
+    if (!write) {
+
+        writeTiles(function (line) { lines.push(line) });
+
+        if (clipLines) {
+            lines = clipLines.concat(lines, ['  </g>']);
+            bounds = expandBounds([Infinity, -Infinity, -Infinity, Infinity], clipPoints);
+        }
+
+        return getSVGDocument(lines.join('\n'), bounds, documentOptions);
+
+    }
+
+    // the document fits the clip region, or else the tiles, which we must visit first
+    if (clipLines)
+        bounds = expandBounds([Infinity, -Infinity, -Infinity, Infinity], clipPoints);
+    else
+        writeTiles(function () { });
+
+    write(getSVGDocumentStart(bounds, documentOptions));
+
+    if (clipLines)
+        write(clipLines.join('\n') + '\n');
+
+    writeTiles(function (line) { write(line + '\n') });
+
+    if (clipLines)
+        write('  </g>\n');
+
+    write(getSVGDocumentEnd());
+
+    /**
+     * Passes each line of the tiles' elements to `writeLine`,
+     * one tile at a time, and expands the bounds to fit them.
+     * @param {Function} writeLine - function(line) to write each line to.
+     */
+    function writeTiles(writeLine) {
+
+        var wedgeIndex;
+
+        // one tile at a time, so that lazy krinkles needn't make every tile at once
+        krinkle.forEachTile(function (tile) {
+
+            if (tile.wedgeIndex !== wedgeIndex) {
+
+                // start the next wedge's group
+                if (undefined !== wedgeIndex)
+                    writeLine('  </g>');
+
+                wedgeIndex = tile.wedgeIndex;
+
+                writeLine('  <g id="' + prefix + '-W' + tile.wedgeIndex + '" class="' + prefix + '-wedge ' + prefix + '-sector-' + tile.sectorIndex + '">');
+
+            }
+
+            var d;
+
+            if (options.edgeProfiles) {
+
+                var commands = getCurvedTileCommands(krinkle, tile, options.edgeProfiles, parsedProfiles);
+
+                if (options.transform)
+                    commands = transformPathCommands(commands, options.transform);
+
+                for (var i = 0; i < commands.length; i++)
+                    expandBounds(bounds, commands[i].points);
+
+                d = getSVGPathDataFromCommands(commands, decimals);
+
+            }
+
+            else {
+
+                var points = getTransformedPoints(tile.points, options.transform);
+
+                expandBounds(bounds, points);
+                d = getSVGPathData(points, true, decimals);
+
+            }
+
+            var attributes = {
+                id: getSVGTileId(tile, prefix),
+                'class': getSVGTileClassName(tile, prefix),
+                d: d,
+            };
+
+            if (options.tileAttributes) {
+
+                var extraAttributes = options.tileAttributes(tile) || {};
+
+                for (var key in extraAttributes)
+                    if (extraAttributes.hasOwnProperty(key))
+                        attributes[key] = extraAttributes[key];
+
+            }
+
+            writeLine('    ' + getSVGElement('path', attributes));
+
+        });
+
+        if (undefined !== wedgeIndex)
+            writeLine('  </g>');
+
+    };
+
+};
+
+/**
+ * Returns an SVG document of the dual of the krinkle's tiling:
+ * a circle at the centroid of each tile, and a line between
+ * the centroids of each pair of neighbouring tiles. See
+ * `ModuloKrinkle.prototype.getDual`. Optionally, it also
+ * marks each complete vertex of the tiling, colored by its
+ * vertex configuration, which is also the circle's title.
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle to write.
+ * @param {Object} [options]
+ * @param {String} [options.prefix] - the prefix for ids and class names (default: 'mk').
+ * @param {String} [options.stroke] - the CSS color of the links and nodes (default: '#000').
+ * @param {Number} [options.strokeWidth] - the stroke width of the links (default: 1).
+ * @param {Number} [options.nodeRadius] - the radius of the nodes, or 0 for no nodes (default: unitLength / 8).
+ * @param {Boolean} [options.showTiles] - whether to draw the tiles' outlines under the dual (default: false).
+ * @param {String} [options.tileStroke] - the CSS stroke of the tiles' outlines (default: '#ccc').
+ * @param {Boolean} [options.showVertices] - whether to mark the vertices by configuration (default: false).
+ * @param {Number} [options.vertexRadius] - the radius of the vertex marks (default: unitLength / 8).
+ * @param {String} [options.css] - extra CSS to add to the document's stylesheet (default: none).
+ * @param {Number} [options.padding] - the space around the dual, in pts (default: 10).
+ * @param {Number} [options.decimals] - the number of decimal places for coordinates (default: 3).
+ * @param {MKTransform} [options.transform] - a transformation to apply to the tiling (default: none).
+ * @returns {String}
+ */
+function krinkleToDualSVG(krinkle, options) {
+
+    options = options || {};
+
+    var prefix = options.prefix || 'mk',
+        decimals = undefined == options.decimals ? 3 : options.decimals,
+        stroke = options.stroke || '#000',
+        nodeRadius = undefined == options.nodeRadius ? krinkle.unitLength / 8 : options.nodeRadius,
+        dual = krinkle.getDual(),
+        bounds = [Infinity, -Infinity, -Infinity, Infinity],
+        css = [],
+        lines = [];
+
+    if (true === options.showTiles) {
+
+        lines.push('  <g class="' + prefix + '-tiles">');
+
+        for (var i = 0; i < dual.nodes.length; i++) {
+
+            var points = getTransformedPoints(dual.nodes[i].tile.points, options.transform);
+
+            expandBounds(bounds, points);
+            lines.push('    ' + getSVGElement('path', { 'class': getSVGTileClassName(dual.nodes[i].tile, prefix), d: getSVGPathData(points, true, decimals) }));
+
+        }
+
+        lines.push('  </g>');
+        css.push('.' + prefix + '-tile { fill: none; stroke: ' + (options.tileStroke || '#ccc') + '; stroke-width: 0.5; stroke-linejoin: round; }');
+
+    }
+
+    lines.push('  <g class="' + prefix + '-links">');
+
+    for (var i = 0; i < dual.links.length; i++) {
+
+        var points = getTransformedPoints([dual.links[i].start, dual.links[i].end], options.transform);
+
+        expandBounds(bounds, points);
+        lines.push('    ' + getSVGElement('path', { 'class': prefix + '-link', d: getSVGPathData(points, false, decimals) }));
+
+    }
+
+    lines.push('  </g>');
+    css.push('.' + prefix + '-link { fill: none; stroke: ' + stroke + '; stroke-width: ' + (undefined == options.strokeWidth ? 1 : options.strokeWidth) + '; stroke-linecap: round; }');
+
+    if (nodeRadius > 0) {
+
+        lines.push('  <g class="' + prefix + '-nodes">');
+
+        for (var i = 0; i < dual.nodes.length; i++) {
+
+            var point = getTransformedPoints([dual.nodes[i].point], options.transform)[0];
+
+            expandBounds(bounds, [point]);
+            lines.push('    ' + getSVGElement('circle', {
+                id: getSVGTileId(dual.nodes[i].tile, prefix + '-node'),
+                'class': prefix + '-node',
+                cx: formatSVGNumber(point[0], decimals),
+                cy: formatSVGNumber(-point[1], decimals),
+                r: formatSVGNumber(nodeRadius, decimals),
+            }));
+
+        }
+
+        lines.push('  </g>');
+        css.push('.' + prefix + '-node { fill: ' + stroke + '; }');
+
+    }
+
+    if (true === options.showVertices) {
+
+        var vertices = krinkle.getVertices(),
+            vertexRadius = options.vertexRadius || krinkle.unitLength / 8,
+            configurationIndexes = {},
+            configurationCount = 0;
+
+        lines.push('  <g class="' + prefix + '-vertices">');
+
+        for (var i = 0; i < vertices.length; i++) {
+
+            if (!vertices[i].complete)
+                continue;
+
+            var configuration = vertices[i].configuration;
+
+            if (!configurationIndexes.hasOwnProperty(configuration)) {
+
+                // a different hue for each configuration, spread by the golden angle
+                configurationIndexes[configuration] = configurationCount;
+                css.push('.' + prefix + '-configuration-' + configurationCount + ' { fill: hsl(' + Math.round(configurationCount * 137.5 % 360) + ', 70%, 50%); }');
+                configurationCount++;
+
+            }
+
+            var point = getTransformedPoints([vertices[i].point], options.transform)[0];
+
+            expandBounds(bounds, [point]);
+            lines.push('    ' + getSVGElement('circle', {
+                'class': prefix + '-vertex ' + prefix + '-configuration-' + configurationIndexes[configuration],
+                cx: formatSVGNumber(point[0], decimals),
+                cy: formatSVGNumber(-point[1], decimals),
+                r: formatSVGNumber(vertexRadius, decimals),
+            }, '<title>' + configuration + '</title>'));
+
+        }
+
+        lines.push('  </g>');
+
+    }
+
+    if (options.css)
+        css.push(options.css);
+
+    return getSVGDocument(lines.join('\n'), bounds, {
+        title: krinkle.toString() + ' dual',
+        css: css.join('\n'),
+        padding: options.padding,
+        decimals: decimals,
+    });
+
+};
+
+/**
+ * Returns a complete SVG document wrapping `content`.
+ * @version 2026-10-19
+ * @param {String} content - the SVG elements of the document.
+ * @param {bounds} bounds - the bounds of the content, in Illustrator coordinates [L, T, R, B].
+ * @param {Object} [options]
+ * @param {String} [options.title] - the document title (default: none).
+ * @param {String} [options.css] - a stylesheet for the document (default: none).
+ * @param {Number} [options.padding] - the space around the content, in pts (default: 10).
+ * @param {Number} [options.decimals] - the number of decimal places for coordinates (default: 3).
+ * @returns {String}
+ */
+function getSVGDocument(content, bounds, options) {
+
+    return getSVGDocumentStart(bounds, options) + content + '\n' + getSVGDocumentEnd();
+
+};
+
+/**
+ * Returns the start of an SVG document, up to its content,
+ * ending with a newline. See `getSVGDocument`.
+ * @version 2026-10-19
+ * @param {bounds} bounds - the bounds of the content, in Illustrator coordinates [L, T, R, B].
+ * @param {Object} [options] - the document's options, see `getSVGDocument`.
+ * @returns {String}
+ */
+function getSVGDocumentStart(bounds, options) {
+
+    options = options || {};
+
+    var padding = undefined == options.padding ? 10 : options.padding,
+        decimals = undefined == options.decimals ? 3 : options.decimals;
+
+    // note: y is flipped, so the top of the bounds is -T
+    var viewBox = [
+        bounds[0] - padding,
+        -bounds[1] - padding,
+        bounds[2] - bounds[0] + padding * 2,
+        bounds[1] - bounds[3] + padding * 2,
+    ];
+
+    for (var i = 0; i < viewBox.length; i++)
+        viewBox[i] = formatSVGNumber(viewBox[i], decimals);
+
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="' + viewBox.join(' ') + '" width="' + viewBox[2] + '" height="' + viewBox[3] + '">',
+    ];
+
+    if (options.title)
+        lines.push('  <title>' + escapeXML(options.title) + '</title>');
+
+    if (options.css)
+        lines.push('  <style>\n' + escapeXML(options.css) + '\n  </style>');
+
+    return lines.join('\n') + '\n';
+
+};
+
+/**
+ * Returns the end of an SVG document, after its content.
+ * See `getSVGDocument`.
+ * @returns {String}
+ */
+function getSVGDocumentEnd() {
+
+    return '</svg>\n';
+
+};
+
+/**
+ * Returns the SVG id of a tile, derived from its specific
+ * string, eg. "S0 W1 L2 T0 (M)" becomes "mk-S0-W1-L2-T0-M".
+ * @param {MKTile} tile - the tile.
+ * @param {String} [prefix] - the id prefix (default: 'mk').
+ * @returns {String}
+ */
+function getSVGTileId(tile, prefix) {
+
+    return (prefix || 'mk') + '-' + tile.toString(true).replace(/[^A-Za-z0-9]+/g, '-').replace(/-$/, '');
+
+};
+
+/**
+ * Returns the SVG class names of a tile, using its
+ * MKTileType letter, its sector index and its layer index.
+ * @param {MKTile} tile - the tile.
+ * @param {String} [prefix] - the class name prefix (default: 'mk').
+ * @returns {String}
+ */
+function getSVGTileClassName(tile, prefix) {
+
+    prefix = prefix || 'mk';
+
+    return [
+        prefix + '-tile',
+        prefix + '-type-' + 'BLMCR'[tile.tileType],
+        prefix + '-sector-' + tile.sectorIndex,
+        prefix + '-layer-' + tile.layerIndex,
+    ].join(' ');
+
+};
+
+/**
+ * Returns SVG path data for straight segments through `points`.
+ * Note: the y axis is flipped.
+ * @param {Array<point>} points - the points [x,y], in Illustrator coordinates.
+ * @param {Boolean} [closed] - whether to close the path (default: false).
+ * @param {Number} [decimals] - the number of decimal places (default: 3).
+ * @returns {String}
+ */
+function getSVGPathData(points, closed, decimals) {
+
+    var d = [];
+
+    for (var i = 0; i < points.length; i++)
+        d.push((0 === i ? 'M' : 'L') + formatSVGNumber(points[i][0], decimals) + ' ' + formatSVGNumber(-points[i][1], decimals));
+
+    if (true === closed)
+        d.push('Z');
+
+    return d.join(' ');
+
+};
+
+/**
+ * Returns SVG path data for path commands, which may
+ * have curves, eg. from `parsePathData` in MK_Motifs.js.
+ * Note: the y axis is flipped.
+ * @version 2026-10-19
+ * @param {Array<Object>} commands - the commands, eg. { type: 'C', points: [[x,y], [x,y], [x,y]] }, of type M, L, C or Z, in Illustrator coordinates.
+ * @param {Number} [decimals] - the number of decimal places (default: 3).
+ * @returns {String}
+ */
+function getSVGPathDataFromCommands(commands, decimals) {
+
+    var d = [];
+
+    for (var i = 0; i < commands.length; i++) {
+
+        var points = [];
+
+        for (var j = 0; j < commands[i].points.length; j++)
+            points.push(formatSVGNumber(commands[i].points[j][0], decimals) + ' ' + formatSVGNumber(-commands[i].points[j][1], decimals));
+
+        d.push(commands[i].type + points.join(' '));
+
+    }
+
+    return d.join(' ');
+
+};
+
+/**
+ * Returns an SVG element string, eg. <path d="M0 0" />.
+ * @param {String} name - the element name.
+ * @param {Object} attributes - the element's attributes, by name.
+ * @param {String} [content] - the element's content (default: none, the element is self-closing).
+ * @returns {String}
+ */
+function getSVGElement(name, attributes, content) {
+
+    var parts = [name];
+
+    for (var key in attributes)
+        if (
+            attributes.hasOwnProperty(key)
+            && undefined != attributes[key]
+        )
+            parts.push(key + '="' + escapeXML(String(attributes[key])) + '"');
+
+    return undefined == content
+        ? '<' + parts.join(' ') + ' />'
+        : '<' + parts.join(' ') + '>' + content + '</' + name + '>';
+
+};
+
+/**
+ * Returns `n` as a compact string with at most `decimals` decimal places.
+ * @param {Number} n - the number to format.
+ * @param {Number} [decimals] - the number of decimal places (default: 3).
+ * @returns {String}
+ */
+function formatSVGNumber(n, decimals) {
+
+    var s = n.toFixed(undefined == decimals ? 3 : decimals);
+
+    if (-1 !== s.indexOf('.'))
+        s = s.replace(/\.?0+$/, '');
+
+    return '-0' === s ? '0' : s;
+
+};
+
+/**
+ * Returns `str` with the XML special characters escaped.
+ * @param {String} str - the string to escape.
+ * @returns {String}
+ */
+function escapeXML(str) {
+
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+};
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * @file MK_Sheet.js
+ *
+ * Lays out many ModuloKrinkle tilings, with different
+ * parameters, in a grid of labelled cells, for comparing
+ * them side by side, like a contact sheet.
+ *
+ * Nothing here depends on Adobe Illustrator. See
+ * "Other/Draw Parameter Sheet.js" for drawing the
+ * sheet on artboards in Illustrator.
+ *
+ * Example usage:
+ *
+ *      var combinations = getParameterCombinations({ m: [1, 4], k: [2, 9], t: 2, offset: [false, true] });
+ *      var cells = getSheetCells(combinations, { columns: 6, cellSize: 150 });
+ *      var svg = sheetToSVG(cells, { fill: '#ffd700' });
+ */
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+/**
+ * Returns every distinct combination of the parameters in
+ * `ranges`, in order of m, k, t, then offset. Combinations
+ * that aren't valid (m >= k) are skipped, as are combinations
+ * that reduce to an earlier one, because the ModuloKrinkle
+ * constructor divides m and k by their greatest common divisor,
+ * eg. m = 2, k = 4 is the same tiling as m = 1, k = 2.
+ * Offset combinations with t > 2 are skipped too, because
+ * their sectors overlap, so they don't tile the plane (see
+ * `ModuloKrinkle.validateParams`).
+ * @version 2026-10-19
+ * @param {Object} ranges
+ * @param {Number|Array<Number>} [ranges.m] - m, or the range of m [min, max] (default: [1, 4]).
+ * @param {Number|Array<Number>} [ranges.k] - k, or the range of k [min, max] (default: [2, 9]).
+ * @param {Number|Array<Number>} [ranges.t] - t, or the range of t [min, max] (default: 2).
+ * @param {Boolean|Array<Boolean>} [ranges.offset] - offset, or the offsets to include, eg. [false, true] (default: false).
+ * @returns {Array<Object>} - the combinations, eg. { m: 1, k: 2, t: 2, offset: false }.
+ */
+function getParameterCombinations(ranges) {
+
+    ranges = ranges || {};
+
+    var ms = getRangeValues(undefined == ranges.m ? [1, 4] : ranges.m),
+        ks = getRangeValues(undefined == ranges.k ? [2, 9] : ranges.k),
+        ts = getRangeValues(undefined == ranges.t ? 2 : ranges.t),
+        offsets = 'Array' === (ranges.offset || 0).constructor.name ? ranges.offset : [true === ranges.offset],
+        combinations = [],
+        seen = {};
+
+    for (var a = 0; a < ms.length; a++) {
+
+        for (var b = 0; b < ks.length; b++) {
+
+            var m = ms[a],
+                k = ks[b];
+
+            if (
+                m < 1
+                || m >= k
+            )
+                continue;
+
+            var gcd = greatestCommonDivisor(m, k);
+
+            for (var c = 0; c < ts.length; c++) {
+
+                if (ts[c] < 2)
+                    continue;
+
+                for (var d = 0; d < offsets.length; d++) {
+
+                    if (
+                        true === offsets[d]
+                        && ts[c] > 2
+                    )
+                        continue;
+
+                    // the parameters the tiling is actually made with
+                    var key = [m / gcd, k / gcd, ts[c], true === offsets[d]].join('-');
+
+                    if (seen[key])
+                        continue;
+
+                    seen[key] = true;
+
+                    combinations.push({ m: m, k: k, t: ts[c], offset: true === offsets[d] });
+
+                }
+
+            }
+
+        }
+
+    }
+
+    return combinations;
+
+};
+
+/**
+ * Returns the whole numbers in `range`.
+ * @param {Number|Array<Number>} range - a number, or a range [min, max].
+ * @returns {Array<Number>}
+ */
+function getRangeValues(range) {
+
+    if ('number' === typeof range)
+        return [range];
+
+    var values = [];
+
+    for (var i = Math.ceil(range[0]); i <= range[range.length - 1]; i++)
+        values.push(i);
+
+    return values;
+
+};
+
+/**
+ * Returns a grid of cells, one for each combination of
+ * parameters, read left to right, then top to bottom.
+ * Each cell has the krinkle, its label, the cell's
+ * rectangle and a transform that fits the tiling
+ * into the cell, above the label.
+ * @version 2026-10-19
+ * @param {Array<Object>} combinations - the parameters for each cell, see `getParameterCombinations`.
+ * @param {Object} [options]
+ * @param {Number} [options.columns] - the number of columns (default: enough for a square grid).
+ * @param {Number} [options.cellSize] - the width and height of each cell, in pts (default: 200).
+ * @param {Number} [options.gap] - the space between cells, in pts (default: 20).
+ * @param {Number} [options.labelSize] - the height of each cell's label, in pts (default: 12).
+ * @param {Number} [options.unitLength] - the unit length of each tiling, before fitting to the cell (default: 10).
+ * @param {Number} [options.layerCount] - the number of layers of each tiling (default: 3).
+ * @param {point} [options.origin] - the top left corner of the grid [x,y] (default: [0,0]).
+ * @returns {Array<Object>} - the cells, eg. { krinkle, label, rect, labelPoint, transform }.
+ */
+function getSheetCells(combinations, options) {
+
+    options = options || {};
+
+    var columns = options.columns || Math.ceil(Math.sqrt(combinations.length)),
+        cellSize = options.cellSize || 200,
+        gap = undefined == options.gap ? 20 : options.gap,
+        labelSize = undefined == options.labelSize ? 12 : options.labelSize,
+        origin = options.origin || [0, 0],
+        cells = [];
+
+    for (var i = 0; i < combinations.length; i++) {
+
+        var p = combinations[i],
+            krinkle = new ModuloKrinkle(p.m, p.k, p.t, p.offset, options.unitLength || 10, options.layerCount || 3);
+
+        var left = origin[0] + (i % columns) * (cellSize + gap),
+            top = origin[1] - Math.floor(i / columns) * (cellSize + gap),
+            rect = [left, top, left + cellSize, top - cellSize];
+
+        // fit the tiling into the cell, above the label
+        var bounds = krinkle.getBounds(),
+            height = cellSize - labelSize * 2,
+            scale = Math.min(cellSize / (bounds[2] - bounds[0]), height / (bounds[1] - bounds[3])),
+            center = [left + cellSize / 2, top - height / 2];
+
+        cells.push({
+            krinkle: krinkle,
+            label: krinkle.toString() + (krinkle.offset ? ' offset' : ''),
+            rect: rect,
+            labelPoint: [center[0], rect[3] + labelSize],
+            transform: new MKTransform({
+                translation: [
+                    center[0] - scale * (bounds[0] + bounds[2]) / 2,
+                    center[1] - scale * (bounds[1] + bounds[3]) / 2,
+                ],
+                scale: scale,
+            }),
+        });
+
+    }
+
+    return cells;
+
+};
+
+/**
+ * Returns an SVG document of the sheet's cells, with each
+ * cell's tiling and label in a group of class "mk-cell".
+ * Requires MK_SVG.js.
+ * @version 2026-10-19
+ * @param {Array<Object>} cells - the cells, see `getSheetCells`.
+ * @param {Object} [options]
+ * @param {String} [options.prefix] - the prefix for ids and class names (default: 'mk').
+ * @param {String} [options.fill] - the CSS fill of the tiles (default: 'none').
+ * @param {String} [options.stroke] - the CSS stroke of the tiles (default: '#000').
+ * @param {Number} [options.strokeWidth] - the stroke width of the tiles (default: 0.5).
+ * @param {Number} [options.fontSize] - the font size of the labels (default: 10).
+ * @param {Number} [options.padding] - the space around the sheet, in pts (default: 10).
+ * @returns {String}
+ */
+function sheetToSVG(cells, options) {
+
+    if ('function' !== typeof getSVGDocument)
+        throw new Error('sheetToSVG: MK_SVG.js must load first.');
+
+    options = options || {};
+
+    var prefix = options.prefix || 'mk',
+        bounds = [Infinity, -Infinity, -Infinity, Infinity],
+        lines = [];
+
+    for (var i = 0; i < cells.length; i++) {
+
+        var cell = cells[i],
+            tiles = cell.krinkle.getTiles();
+
+        expandBounds(bounds, getRegionPolygon(cell.rect));
+
+        lines.push('  <g id="' + prefix + '-cell-' + i + '" class="' + prefix + '-cell">');
+
+        for (var j = 0; j < tiles.length; j++)
+            lines.push('    ' + getSVGElement('path', {
+                'class': getSVGTileClassName(tiles[j], prefix),
+                d: getSVGPathData(cell.transform.transformPoints(tiles[j].points), true),
+            }));
+
+        // note: y is flipped
+        lines.push('    ' + getSVGElement('text', {
+            'class': prefix + '-label',
+            x: formatSVGNumber(cell.labelPoint[0]),
+            y: formatSVGNumber(-cell.labelPoint[1]),
+        }, escapeXML(cell.label)));
+
+        lines.push('  </g>');
+
+    }
+
+    var css = '.' + prefix + '-tile { fill: ' + (options.fill || 'none')
+        + '; stroke: ' + (options.stroke || '#000')
+        + '; stroke-width: ' + (undefined == options.strokeWidth ? 0.5 : options.strokeWidth)
+        + '; stroke-linejoin: round; }\n'
+        + '.' + prefix + '-label { font-family: sans-serif; font-size: ' + (options.fontSize || 10) + 'px; text-anchor: middle; dominant-baseline: middle; }';
+
+    return getSVGDocument(lines.join('\n'), bounds, {
+        title: 'Modulo Krinkle parameter sheet',
+        css: css,
+        padding: options.padding,
+    });
+
+};
\ No newline at end of file
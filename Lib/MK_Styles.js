@@ -0,0 +1,579 @@
+/**
+ * @file MK_Styles.js
+ *
+ * Style rules for drawing a ModuloKrinkle tiling. Each rule
+ * matches tiles by their type, sector, wedge, layer, layer
+ * parity or direction, and sets their fill, stroke, stroke
+ * width, opacity, blend mode or symbol.
+ *
+ * Every rule that matches a tile applies to it, in order,
+ * so a later rule overrides an earlier one, as in CSS. A
+ * rule with no `match` matches every tile.
+ *
+ * Example usage, in Illustrator (see `drawWithStyleRules`
+ * in MK_Drawing.js):
+ *
+ *      var rules = parseStyleRules([
+ *          { style: { fill: '#ffffff', stroke: '#000000', strokeWidth: 0.5 } },
+ *          { name: 'centers', match: { tileType: 'CENTER', parity: 'even' }, style: { fill: 'Swatch X' } },
+ *      ]);
+ *
+ *      krinkle.draw(layer, center, drawWithStyleRules(doc, rules));
+ *
+ * or, for an SVG document (see MK_SVG.js):
+ *
+ *      var svg = krinkleToSVG(krinkle, {
+ *          tileAttributes: function (tile) { return { style: getTileSVGStyle(rules, tile) } },
+ *      });
+ *
+ * The rules file looks like this:
+ *
+ *      {
+ *          "format": "ModuloKrinkleStyleRules",
+ *          "version": 1,
+ *          "swatches": { "Swatch X": "#ffd700" },
+ *          "rules": [
+ *              { "style": { "fill": "#ffffff", "stroke": "#000000", "strokeWidth": 0.5 } },
+ *              {
+ *                  "name": "centers",
+ *                  "match": { "tileType": "CENTER", "parity": "even" },
+ *                  "style": { "fill": "Swatch X", "opacity": 80, "blendMode": "multiply" }
+ *              }
+ *          ]
+ *      }
+ *
+ * The match keys are:
+ *   - tileType: a tile type name, eg. "CENTER", or its letter, eg. "C", see MKTileType.
+ *   - sectorIndex, wedgeIndex, layerIndex and direction: whole numbers, counting from 0.
+ *   - layerRange: the first and last layer [min, max].
+ *   - parity: "even" or "odd", the parity of the layer index.
+ * Each, except layerRange and parity, can be an array of values, to match any of them.
+ *
+ * The colors are "#rrggbb" hex, arrays of channel values
+ * as for `makeColor`, eg. [255, 215, 0], "none", or the name
+ * of a swatch. In Illustrator, a swatch is looked up in the
+ * document first, then in the rules' `swatches`; elsewhere
+ * only in the rules' `swatches`. The opacity is 0 to 100.
+ *
+ * Apart from `readStyleRulesFile`, nothing here depends on Adobe Illustrator.
+ */
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+if ('function' !== typeof parseJSON)
+    throw new Error('MK_JSON.js must load first.');
+
+/**
+ * The format of a style rules document.
+ */
+var MK_STYLE_RULES_FORMAT = 'ModuloKrinkleStyleRules';
+
+/**
+ * The version of the style rules document format.
+ */
+var MK_STYLE_RULES_VERSION = 1;
+
+/**
+ * The blend modes of a style rule, as CSS names.
+ * @enum {String}
+ */
+var MKBlendMode = {
+    NORMAL: 'normal',
+    MULTIPLY: 'multiply',
+    SCREEN: 'screen',
+    OVERLAY: 'overlay',
+    SOFT_LIGHT: 'soft-light',
+    HARD_LIGHT: 'hard-light',
+    COLOR_DODGE: 'color-dodge',
+    COLOR_BURN: 'color-burn',
+    DARKEN: 'darken',
+    LIGHTEN: 'lighten',
+    DIFFERENCE: 'difference',
+    EXCLUSION: 'exclusion',
+    HUE: 'hue',
+    SATURATION: 'saturation',
+    COLOR: 'color',
+    LUMINOSITY: 'luminosity',
+};
+
+/**
+ * Returns style rules, checked and ready to use, from
+ * a style rules document, or from an array of rules.
+ * Throws an error describing the first bad rule.
+ * @version 2026-10-19
+ * @param {String|Object|Array<Object>} doc - the style rules document, its JSON, or just its rules.
+ * @returns {Object} - { rules, swatches }, where each rule is { name, match, style }.
+ */
+function parseStyleRules(doc) {
+
+    if ('string' === typeof doc)
+        doc = parseJSON(doc);
+
+    if (
+        doc
+        && 'Array' === doc.constructor.name
+    )
+        doc = { format: MK_STYLE_RULES_FORMAT, version: MK_STYLE_RULES_VERSION, rules: doc };
+
+    if (
+        !doc
+        || MK_STYLE_RULES_FORMAT !== doc.format
+        || 'Array' !== (doc.rules || 0).constructor.name
+    )
+        throw new Error('parseStyleRules: `doc` is not a style rules document.');
+
+    if (doc.version > MK_STYLE_RULES_VERSION)
+        throw new Error('parseStyleRules: unsupported style rules version ' + doc.version + '. Expected ' + MK_STYLE_RULES_VERSION + ' or lower.');
+
+    var parsed = { rules: [], swatches: {} };
+
+    for (var name in doc.swatches || {}) {
+
+        if (!doc.swatches.hasOwnProperty(name))
+            continue;
+
+        var swatch = parseStyleColor(doc.swatches[name], 'swatch "' + name + '"');
+
+        if (!swatch.values)
+            throw new Error('parseStyleRules: swatch "' + name + '" must be a color, not "none" or the name of another swatch.');
+
+        parsed.swatches[name] = swatch;
+
+    }
+
+    for (var i = 0; i < doc.rules.length; i++) {
+
+        var rule = doc.rules[i] || {},
+            label = 'rule ' + i + (rule.name ? ' (' + rule.name + ')' : '');
+
+        parsed.rules.push({
+            name: rule.name,
+            match: parseStyleMatch(rule.match || {}, label),
+            style: parseStyle(rule.style || {}, label),
+        });
+
+    }
+
+    return parsed;
+
+};
+
+/**
+ * Returns a rule's match, checked, with tile
+ * types as numbers and single values as arrays.
+ * @param {Object} match - the rule's match.
+ * @param {String} label - the rule's label, for errors.
+ * @returns {Object}
+ */
+function parseStyleMatch(match, label) {
+
+    var parsed = {};
+
+    for (var key in match) {
+
+        if (!match.hasOwnProperty(key))
+            continue;
+
+        var value = match[key];
+
+        switch (key) {
+
+            case 'tileType':
+                parsed.tileType = getValuesArray(value);
+
+                for (var i = 0; i < parsed.tileType.length; i++)
+                    parsed.tileType[i] = getTileTypeValue(parsed.tileType[i], label);
+
+                break;
+
+            case 'sectorIndex':
+            case 'wedgeIndex':
+            case 'layerIndex':
+            case 'direction':
+                parsed[key] = getValuesArray(value);
+
+                for (var i = 0; i < parsed[key].length; i++)
+                    if (!isWholeNumber(parsed[key][i], 0))
+                        throw new Error('parseStyleRules: ' + label + ': bad `' + key + '` ' + parsed[key][i] + '. Expected a whole number of 0 or more.');
+
+                break;
+
+            case 'layerRange':
+                if (
+                    !value
+                    || 'Array' !== value.constructor.name
+                    || 2 !== value.length
+                    || !isWholeNumber(value[0], 0)
+                    || !isWholeNumber(value[1], value[0])
+                )
+                    throw new Error('parseStyleRules: ' + label + ': bad `layerRange`. Expected [min, max].');
+
+                parsed.layerRange = [value[0], value[1]];
+                break;
+
+            case 'parity':
+                if (
+                    'even' !== value
+                    && 'odd' !== value
+                )
+                    throw new Error('parseStyleRules: ' + label + ': bad `parity` "' + value + '". Expected "even" or "odd".');
+
+                parsed.parity = value;
+                break;
+
+            default:
+                throw new Error('parseStyleRules: ' + label + ': unknown match key "' + key + '".');
+
+        }
+
+    }
+
+    return parsed;
+
+};
+
+/**
+ * Returns a rule's style, checked, with its colors parsed.
+ * @param {Object} style - the rule's style.
+ * @param {String} label - the rule's label, for errors.
+ * @returns {Object}
+ */
+function parseStyle(style, label) {
+
+    var parsed = {};
+
+    for (var key in style) {
+
+        if (!style.hasOwnProperty(key))
+            continue;
+
+        var value = style[key];
+
+        switch (key) {
+
+            case 'fill':
+            case 'stroke':
+                parsed[key] = parseStyleColor(value, label + ' `' + key + '`');
+                break;
+
+            case 'strokeWidth':
+                if (!('number' === typeof value && value >= 0))
+                    throw new Error('parseStyleRules: ' + label + ': bad `strokeWidth` ' + value + '. Expected a number of 0 or more.');
+
+                parsed.strokeWidth = value;
+                break;
+
+            case 'opacity':
+                if (!('number' === typeof value && value >= 0 && value <= 100))
+                    throw new Error('parseStyleRules: ' + label + ': bad `opacity` ' + value + '. Expected a number from 0 to 100.');
+
+                parsed.opacity = value;
+                break;
+
+            case 'blendMode':
+                parsed.blendMode = getBlendMode(value, label);
+                break;
+
+            case 'symbol':
+                if (
+                    'string' !== typeof value
+                    || !value
+                )
+                    throw new Error('parseStyleRules: ' + label + ': bad `symbol`. Expected the name of a symbol.');
+
+                parsed.symbol = value;
+                break;
+
+            default:
+                throw new Error('parseStyleRules: ' + label + ': unknown style key "' + key + '".');
+
+        }
+
+    }
+
+    return parsed;
+
+};
+
+/**
+ * Returns a parsed color: { none: true }, { values }
+ * or { swatch }, from "none", "#rrggbb", an array of
+ * channel values, or the name of a swatch.
+ * @param {String|Array<Number>} color - the color.
+ * @param {String} label - the color's label, for errors.
+ * @returns {Object}
+ */
+function parseStyleColor(color, label) {
+
+    if ('none' === color)
+        return { none: true };
+
+    if (
+        'string' === typeof color
+        && color
+        && '#' !== color.charAt(0)
+    )
+        // the name of a swatch
+        return { swatch: color };
+
+    var hex = 'string' === typeof color && color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+
+    if (hex) {
+
+        hex = hex[1];
+
+        if (3 === hex.length)
+            hex = hex.charAt(0) + hex.charAt(0) + hex.charAt(1) + hex.charAt(1) + hex.charAt(2) + hex.charAt(2);
+
+        return { values: [parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16), parseInt(hex.slice(4, 6), 16)] };
+
+    }
+
+    if (
+        color
+        && 'Array' === color.constructor.name
+        && (1 === color.length || 3 === color.length || 4 === color.length)
+    ) {
+
+        for (var i = 0; i < color.length; i++)
+            if ('number' !== typeof color[i])
+                throw new Error('parseStyleRules: ' + label + ': bad color [' + color + '].');
+
+        return { values: color.slice() };
+
+    }
+
+    throw new Error('parseStyleRules: ' + label + ': bad color ' + color + '. Expected "#rrggbb", [r,g,b], [c,m,y,k], [gray], "none" or a swatch name.');
+
+};
+
+/**
+ * Returns the MKTileType of `value`: a type's name,
+ * eg. "CENTER", its letter, eg. "C", or its number.
+ * @param {String|Number} value - the tile type.
+ * @param {String} label - the rule's label, for errors.
+ * @returns {MKTileType}
+ */
+function getTileTypeValue(value, label) {
+
+    var letters = 'BLMCR';
+
+    for (var name in MKTileType) {
+
+        if (
+            value === MKTileType[name]
+            || ('string' === typeof value && (name === value.toUpperCase() || letters.charAt(MKTileType[name]) === value.toUpperCase()))
+        )
+            return MKTileType[name];
+
+    }
+
+    throw new Error('parseStyleRules: ' + label + ': unknown `tileType` "' + value + '".');
+
+};
+
+/**
+ * Returns the MKBlendMode of `value`: a blend mode's
+ * CSS name, eg. "soft-light", or its key, eg. "SOFT_LIGHT".
+ * @param {String} value - the blend mode.
+ * @param {String} label - the rule's label, for errors.
+ * @returns {MKBlendMode}
+ */
+function getBlendMode(value, label) {
+
+    for (var key in MKBlendMode)
+        if (
+            'string' === typeof value
+            && (MKBlendMode[key] === value.toLowerCase() || key === value.toUpperCase())
+        )
+            return MKBlendMode[key];
+
+    throw new Error('parseStyleRules: ' + label + ': unknown `blendMode` "' + value + '".');
+
+};
+
+/**
+ * Returns `value` as an array: itself, if it is
+ * an array, otherwise an array of just `value`.
+ * @param {*|Array<*>} value - the value, or values.
+ * @returns {Array<*>}
+ */
+function getValuesArray(value) {
+
+    return (value && 'Array' === value.constructor.name)
+        ? value.slice()
+        : [value];
+
+};
+
+/**
+ * Returns true when `tile` matches every key of `match`.
+ * @param {MKTile} tile - the tile.
+ * @param {Object} match - a parsed rule's match, see `parseStyleRules`.
+ * @returns {Boolean}
+ */
+function isTileInStyleMatch(tile, match) {
+
+    if (
+        (match.tileType && !isValueInFilter(tile.tileType, match.tileType))
+        || (match.sectorIndex && !isValueInFilter(tile.sectorIndex, match.sectorIndex))
+        || (match.wedgeIndex && !isValueInFilter(tile.wedgeIndex, match.wedgeIndex))
+        || (match.layerIndex && !isValueInFilter(tile.layerIndex, match.layerIndex))
+        || (match.direction && !isValueInFilter(tile.direction, match.direction))
+    )
+        return false;
+
+    if (
+        match.layerRange
+        && (
+            tile.layerIndex < match.layerRange[0]
+            || tile.layerIndex > match.layerRange[1]
+        )
+    )
+        return false;
+
+    if (
+        match.parity
+        && match.parity !== (0 === tile.layerIndex % 2 ? 'even' : 'odd')
+    )
+        return false;
+
+    return true;
+
+};
+
+/**
+ * Returns the style of `tile`: the styles of every
+ * rule that matches it, in order, so that later
+ * rules override earlier ones.
+ * @version 2026-10-19
+ * @param {Object} rules - the style rules, from `parseStyleRules`.
+ * @param {MKTile} tile - the tile.
+ * @returns {Object} - the style, eg. { fill, stroke, strokeWidth, opacity, blendMode, symbol }, or {} when no rule matches.
+ */
+function getTileStyle(rules, tile) {
+
+    var style = {};
+
+    for (var i = 0; i < rules.rules.length; i++) {
+
+        if (!isTileInStyleMatch(tile, rules.rules[i].match))
+            continue;
+
+        for (var key in rules.rules[i].style)
+            if (rules.rules[i].style.hasOwnProperty(key))
+                style[key] = rules.rules[i].style[key];
+
+    }
+
+    return style;
+
+};
+
+/**
+ * Returns the CSS style of `tile`, for an SVG element, eg.
+ * "fill:#ffd700;opacity:0.8;mix-blend-mode:multiply".
+ * Symbols are ignored, and swatches must be in the rules'
+ * `swatches`. Gray and CMYK colors are converted to RGB.
+ * @version 2026-10-19
+ * @param {Object} rules - the style rules, from `parseStyleRules`.
+ * @param {MKTile} tile - the tile.
+ * @returns {String|undefined} - the style, or undefined when no rule matches.
+ */
+function getTileSVGStyle(rules, tile) {
+
+    var style = getTileStyle(rules, tile),
+        declarations = [];
+
+    if (style.fill)
+        declarations.push('fill:' + getSVGStyleColor(rules, style.fill));
+
+    if (style.stroke)
+        declarations.push('stroke:' + getSVGStyleColor(rules, style.stroke));
+
+    if (undefined != style.strokeWidth)
+        declarations.push('stroke-width:' + style.strokeWidth);
+
+    if (undefined != style.opacity)
+        declarations.push('opacity:' + style.opacity / 100);
+
+    if (style.blendMode)
+        declarations.push('mix-blend-mode:' + style.blendMode);
+
+    return declarations.length ? declarations.join(';') : undefined;
+
+};
+
+/**
+ * Returns a parsed color as an SVG color, eg. "rgb(255,215,0)".
+ * @param {Object} rules - the style rules, for their swatches.
+ * @param {Object} color - the parsed color, see `parseStyleColor`.
+ * @returns {String}
+ */
+function getSVGStyleColor(rules, color) {
+
+    if (color.swatch) {
+
+        if (!rules.swatches.hasOwnProperty(color.swatch))
+            throw new Error('getTileSVGStyle: no swatch "' + color.swatch + '" in the style rules.');
+
+        color = rules.swatches[color.swatch];
+
+    }
+
+    if (color.none)
+        return 'none';
+
+    var v = color.values,
+        rgb;
+
+    switch (v.length) {
+
+        case 1: // gray, as a percentage of black
+            rgb = [255 * (1 - v[0] / 100), 255 * (1 - v[0] / 100), 255 * (1 - v[0] / 100)];
+            break;
+
+        case 3:
+            rgb = v;
+            break;
+
+        case 4: // a simple CMYK conversion, without color management
+            rgb = [
+                255 * (1 - v[0] / 100) * (1 - v[3] / 100),
+                255 * (1 - v[1] / 100) * (1 - v[3] / 100),
+                255 * (1 - v[2] / 100) * (1 - v[3] / 100)
+            ];
+            break;
+
+    }
+
+    return 'rgb(' + Math.round(rgb[0]) + ',' + Math.round(rgb[1]) + ',' + Math.round(rgb[2]) + ')';
+
+};
+
+/**
+ * Returns the style rules read from `file`.
+ * Note: this uses ExtendScript's File object.
+ * @param {File} file - the style rules file.
+ * @returns {Object} - the style rules, see `parseStyleRules`.
+ */
+function readStyleRulesFile(file) {
+
+    if (
+        !file
+        || !file.exists
+    )
+        throw new Error('readStyleRulesFile: the style rules file does not exist.');
+
+    file.encoding = 'UTF-8';
+
+    if (!file.open('r'))
+        throw new Error('readStyleRulesFile: could not open "' + file.fsName + '".');
+
+    var text = file.read();
+    file.close();
+
+    return parseStyleRules(text);
+
+};
\ No newline at end of file
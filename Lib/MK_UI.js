@@ -10,13 +10,36 @@
 if ('function' !== typeof ModuloKrinkle)
     throw new Error('ModuloKrinkle.js must load first.');
 
+/**
+ * The ways to draw the tiling, as chosen in the UI,
+ * and stored by name in the settings and presets,
+ * so that they keep their meaning when the UI changes.
+ * @enum {String}
+ */
+var MKDrawType = {
+    /** plain paths */
+    PATHS: 'paths',
+    /** the same symbol for every tile */
+    SYMBOL: 'symbol',
+    /** a symbol for each tile type */
+    SYMBOLS: 'symbols',
+    /** colors, with no two neighbouring tiles matching */
+    GRAPH_COLORS: 'graph-colors',
+    /** styled by the rules in a style rules file, see MK_Styles.js */
+    STYLE_RULES: 'style-rules',
+    /** colored by a field, see MK_Fields.js */
+    FIELD_COLORS: 'field-colors',
+};
+
 /**
  * Provides UI for configuring a Modulo Krinkle tiled pattern.
  * @author m1b
- * @version 2025-07-20
+ * @version 2026-10-19
+ * @param {Object} settings - the settings to show, and to update.
+ * @param {MKPresets} [presets] - the presets to choose from and manage, see MK_Presets.js (default: none).
  * @returns {1|2} - the result code (1 means proceed, 2 means cancel).
  */
-function MK_UI(settings) {
+function MK_UI(settings, presets) {
 
     const MIN_M = 1;
     const MAX_M = 49;
@@ -31,9 +54,18 @@ function MK_UI(settings) {
     const MAX_UNIT = 10;
 
     const MIN_LAYER = 1;
-    const MAX_LAYER = 10;
+    const MAX_LAYER = 100;
+
+    // the region modes, in menu order
+    const REGION_MODES = [MKRegionMode.INSIDE, MKRegionMode.CLIP, MKRegionMode.TOUCHING];
+
+    // the draw types, in radio button order
+    const DRAW_TYPES = [MKDrawType.PATHS, MKDrawType.SYMBOL, MKDrawType.SYMBOLS, MKDrawType.GRAPH_COLORS, MKDrawType.STYLE_RULES, MKDrawType.FIELD_COLORS];
 
-    const MAX_PREVIEW_N = 150;
+    // the fields, in menu order
+    const FIELDS = [MKField.DISTANCE, MKField.ANGLE, MKField.LAYER, MKField.DIRECTION, MKField.NOISE];
+
+    const MAX_PREVIEW_N = 300;
     const PREVIEW_LAYER_COUNT = 2;
     const PREVIEW_SIZE = 300;
     const LABEL_WIDTH = 40;
@@ -48,6 +80,17 @@ function MK_UI(settings) {
 
     var w = new Window("dialog", 'Modulo Krinkle Tiling', undefined, { closeButton: false }),
 
+        presetsGroup = w.add('group {orientation:"column", alignment:["fill","top"], alignChildren:["fill","top"], margins:[10,10,10,0] }'),
+        presetsMenuGroup = presetsGroup.add('group {orientation:"row", alignChildren:["left","center"] }'),
+        presetsLabel = presetsMenuGroup.add('staticText {text:"Preset"}'),
+        presetsMenu = presetsMenuGroup.add('dropdownlist {alignment:["fill","center"]}'),
+        presetsButtons = presetsGroup.add('group {orientation:"row", alignment:["left","top"] }'),
+        savePresetButton = presetsButtons.add('button {text:"Save"}'),
+        renamePresetButton = presetsButtons.add('button {text:"Rename"}'),
+        deletePresetButton = presetsButtons.add('button {text:"Delete"}'),
+        importPresetsButton = presetsButtons.add('button {text:"Import"}'),
+        exportPresetsButton = presetsButtons.add('button {text:"Export"}'),
+
         previewControls = w.add('group {orientation:"row", alignment:["fill","top"], margins:[10,10,10,0] }'),
         previewLabel = previewControls.add('staticText {alignment:["fill","center"], justify:"left"}'),
         zoomButtons = previewControls.add('group {orientation:"row", alignment:["right","center"] }'),
@@ -56,6 +99,7 @@ function MK_UI(settings) {
 
         previewWrapper = w.add('group {orientation:"row", alignment:["fill","top"], margins:[10,0,10,0] }'),
         preview = previewWrapper.add("CustomView {alignment:['fill','fill']}"),
+        messageLabel = w.add('staticText {alignment:["fill","top"], properties:{multiline:true}}'),
 
         controls = w.add('group {orientation:"column", alignment:["fill","top"], margins:[10,10,5,10] }'),
 
@@ -63,21 +107,21 @@ function MK_UI(settings) {
         mLabel = mGroup.add('staticText', undefined, { preferredSize: [LABEL_WIDTH, -1] }),
         mControl = mGroup.add('group {orientation:"row", alignment:["fill","top"], alignChildren:["fill","top"] }'),
         mMinusButton = new PlainCircleButton(mControl, [18, 18], drawMinus, function () { mSlider.setValue(newKrinkleParams.m - 1, true) }),
-        mSlider = new ExponentialSlider({ id: 'm', container: mControl, value: 1, minValue: 1, maxValue: MAX_M, growthConstant: 0.025, eventHandlers: sliderEventHandlers, }),
+        mSlider = new ExponentialSlider({ id: 'm', container: mControl, value: 1, minValue: MIN_M, maxValue: MAX_M, growthConstant: 0.025, eventHandlers: sliderEventHandlers, }),
         mPlusButton = new PlainCircleButton(mControl, [18, 18], drawPlus, function () { mSlider.setValue(newKrinkleParams.m + 1, true) }),
 
         kGroup = controls.add('group {orientation:"row", alignment:["fill","top"], alignChildren:["fill","top"] }'),
         kLabel = kGroup.add('staticText', undefined, { preferredSize: [LABEL_WIDTH, -1] }),
         kControl = kGroup.add('group {orientation:"row", alignment:["fill","top"], alignChildren:["fill","top"] }'),
         kMinusButton = new PlainCircleButton(kControl, [18, 18], drawMinus, function () { kSlider.setValue(newKrinkleParams.k - 1, true) }),
-        kSlider = new ExponentialSlider({ id: 'k', container: kControl, value: 2, minValue: 1, maxValue: MAX_K, growthConstant: 0.025, eventHandlers: sliderEventHandlers, }),
+        kSlider = new ExponentialSlider({ id: 'k', container: kControl, value: 2, minValue: MIN_K, maxValue: MAX_K, growthConstant: 0.025, eventHandlers: sliderEventHandlers, }),
         kPlusButton = new PlainCircleButton(kControl, [18, 18], drawPlus, function () { kSlider.setValue(newKrinkleParams.k + 1, true) }),
 
         tGroup = controls.add('group {orientation:"row", alignment:["fill","top"], alignChildren:["fill","top"] }'),
         tLabel = tGroup.add('staticText', undefined, { preferredSize: [LABEL_WIDTH, -1] }),
         tControl = tGroup.add('group {orientation:"row", alignment:["fill","top"], alignChildren:["fill","top"] }'),
         tMinusButton = new PlainCircleButton(tControl, [18, 18], drawMinus, function () { tSlider.setValue(newKrinkleParams.t - 1, true) }),
-        tSlider = new ExponentialSlider({ id: 't', container: tControl, value: 2, minValue: 1, maxValue: MAX_K, growthConstant: 0.025, eventHandlers: sliderEventHandlers, }),
+        tSlider = new ExponentialSlider({ id: 't', container: tControl, value: 2, minValue: MIN_T, maxValue: MAX_T, growthConstant: 0.025, eventHandlers: sliderEventHandlers, }),
         tPlusButton = new PlainCircleButton(tControl, [18, 18], drawPlus, function () { tSlider.setValue(newKrinkleParams.t + 1, true) }),
 
         offsetGroup = controls.add('group {orientation:"column", alignment:["fill","top"],margins:[10,0,30,10] }'),
@@ -92,26 +136,73 @@ function MK_UI(settings) {
         uLabel = uGroup.add('staticText {text:"Unit Length"}'),
         unitField = uGroup.add('edittext {text:"", characters: 6}'),
 
+        transformGroup = controls.add('group {orientation:"row", alignment:["left","top"], alignChildren:["left","center"], margins:[0,0,0,10] }'),
+        rotationLabel = transformGroup.add('staticText {text:"Rotation (degrees)"}'),
+        rotationField = transformGroup.add('edittext {text:"", characters: 5}'),
+        scaleLabel = transformGroup.add('staticText {text:"Scale"}'),
+        scaleField = transformGroup.add('edittext {text:"", characters: 5}'),
+        mirrorCheckbox = transformGroup.add('checkbox {text:"Mirror"}'),
+
+        regionGroup = controls.add('group {orientation:"row", alignment:["fill","top"], alignChildren:["left","center"], margins:[0,0,0,10] }'),
+        regionCheckbox = regionGroup.add('checkbox {text:"Fill artboard or selected path"}'),
+        regionModeMenu = regionGroup.add('dropdownlist', undefined, ['Whole tiles inside', 'Clip tiles at edge', 'Tiles touching edge']),
+
         drawingWrapper = w.add('panel {orientation:"column", alignment:["fill","top"], margins:[0,0,0,0] }'),
         drawingGroup = drawingWrapper.add('group {orientation:"column", alignment:["fill","top"], alignChildren:["fill","top"], margins:[10,10,10,10] }'),
         radio1 = drawingGroup.add('radiobutton {text:"Draw as paths"}'),
         radio2 = drawingGroup.add('radiobutton {text:"Draw using a symbol"}'),
-        radio2 = drawingGroup.add('radiobutton {text:"Draw using multiple symbols"}'),
+        radio3 = drawingGroup.add('radiobutton {text:"Draw using multiple symbols"}'),
+        radio4 = drawingGroup.add('radiobutton {text:"Draw with colors, no neighbours matching"}'),
+        radio5 = drawingGroup.add('radiobutton {text:"Draw with style rules"}'),
+        radio6 = drawingGroup.add('radiobutton {text:"Draw with field colors"}'),
+
+        // the draw types' own controls, outside drawingGroup, which holds only the radio buttons
+        drawOptionsGroup = drawingWrapper.add('group {orientation:"column", alignment:["fill","top"], alignChildren:["left","top"], margins:[28,0,10,10] }'),
+        styleRulesGroup = drawOptionsGroup.add('group {orientation:"row", alignChildren:["left","center"] }'),
+        styleRulesButton = styleRulesGroup.add('button {text:"Rules File..."}'),
+        styleRulesLabel = styleRulesGroup.add('staticText {text:"", characters: 24}'),
+        fieldColorsGroup = drawOptionsGroup.add('group {orientation:"row", alignChildren:["left","center"] }'),
+        fieldMenu = fieldColorsGroup.add('dropdownlist', undefined, ['Distance from center', 'Angle', 'Layer', 'Direction', 'Noise']),
+        fieldColorsMenu = fieldColorsGroup.add('dropdownlist', undefined, ['Hues', 'Selected swatches']),
+        startHueField = fieldColorsGroup.add('edittext {text:"", characters: 4}'),
+        hueToLabel = fieldColorsGroup.add('staticText {text:"to"}'),
+        endHueField = fieldColorsGroup.add('edittext {text:"", characters: 4}'),
 
         buttonGroup = w.add('group {orientation:"row", alignment:["fill","bottom"], alignChildren: ["right","bottom"], margins: [0,15,0,0] }'),
         cancelButton = buttonGroup.add('button', undefined, 'Done', { name: 'cancel' }),
         drawButton = buttonGroup.add('button', undefined, 'Draw', { name: 'ok' });
 
+    // the draw types' radio buttons, in DRAW_TYPES order
+    var drawTypeRadios = [radio1, radio2, radio3, radio4, radio5, radio6];
+
     // set values from settings
     mSlider.setValue(newKrinkleParams.m, false);
     kSlider.setValue(newKrinkleParams.k, false);
     tSlider.setValue(newKrinkleParams.t, false);
     unitField.text = newKrinkleParams.unitLength + 'pt';
     layersField.text = String(newKrinkleParams.layerCount);
-    drawingGroup.children[settings.drawType].value = true;
+    setDrawType(settings.drawType);
+    rotationField.text = String(settings.transform.rotation);
+    scaleField.text = Math.round(settings.transform.scale * 100) + '%';
+    mirrorCheckbox.value = (true === settings.transform.mirror);
+    regionCheckbox.value = (true === settings.fitToRegion);
+    regionModeMenu.selection = Math.max(0, indexOf(REGION_MODES, settings.regionMode));
+    setFieldColorsSettings(settings.fieldColors);
+    startHueField.helpTip = 'The hue, in degrees, of the lowest field value.';
+    endHueField.helpTip = 'The hue, in degrees, of the highest field value.';
+
+    // presets
+    presetsGroup.enabled = undefined != presets;
+
+    if (presets)
+        updatePresetsMenu(presets.lastUsed);
 
     // metrics
+    presetsMenu.preferredSize = [PREVIEW_SIZE - 50, -1];
+    savePresetButton.preferredSize = renamePresetButton.preferredSize = deletePresetButton.preferredSize
+        = importPresetsButton.preferredSize = exportPresetsButton.preferredSize = [54, -1];
     preview.preferredSize = [PREVIEW_SIZE, PREVIEW_SIZE];
+    messageLabel.preferredSize = [PREVIEW_SIZE, 45];
     mLabel.preferredSize = [LABEL_WIDTH, -1];
     kLabel.preferredSize = [LABEL_WIDTH, -1];
     tLabel.preferredSize = [LABEL_WIDTH, -1];
@@ -127,9 +218,26 @@ function MK_UI(settings) {
     preview.onDraw = drawPreview;
     drawButton.onClick = close;
     offsetCheckbox.onClick = updateUIAndPreview;
-    drawingGroup.getActiveRadioIndex = getActiveRadioIndex;
     unitField.onChange = function () { newKrinkleParams.unitLength = getUnitStringAsPoints(unitField.text) || 10 };
-    layersField.onChange = function () { var l = Number(unitField.text); if (isNaN(l)) newKrinkleParams.layerCount = l; };
+    layersField.onChange = function () { var l = Math.round(Number(layersField.text)); if (l >= MIN_LAYER) newKrinkleParams.layerCount = Math.min(MAX_LAYER, l); layersField.text = String(newKrinkleParams.layerCount); };
+    regionCheckbox.onClick = updateRegionControls;
+    rotationField.onChange = function () { preview.notify('onDraw') };
+    scaleField.onChange = function () { preview.notify('onDraw') };
+    mirrorCheckbox.onClick = function () { preview.notify('onDraw') };
+    fieldColorsMenu.onChange = updateFieldColorsControls;
+    styleRulesButton.onClick = alertErrors(chooseStyleRulesFile);
+    presetsMenu.onChange = alertErrors(applyPreset);
+    savePresetButton.onClick = alertErrors(savePreset);
+    renamePresetButton.onClick = alertErrors(renamePreset);
+    deletePresetButton.onClick = alertErrors(deletePreset);
+    importPresetsButton.onClick = alertErrors(importPresets);
+    exportPresetsButton.onClick = alertErrors(exportPresets);
+
+    updateRegionControls();
+    updateDrawTypeControls();
+
+    for (var i = 0; i < drawTypeRadios.length; i++)
+        drawTypeRadios[i].onClick = updateDrawTypeControls;
 
     updateUIAndPreview();
 
@@ -137,10 +245,256 @@ function MK_UI(settings) {
     return w.show();
 
     function close() {
-        settings.drawType = drawingGroup.getActiveRadioIndex();
+
+        if (
+            radio5.value
+            && !settings.styleRulesFile
+        )
+            return alert('Please choose a style rules file.');
+
+        var transform = getTransformSettings(),
+            fieldColors = getFieldColorsSettings();
+
+        settings.drawType = getDrawType();
+        settings.transform.rotation = transform.rotation;
+        settings.transform.scale = transform.scale;
+        settings.transform.mirror = transform.mirror;
+        settings.fitToRegion = regionCheckbox.value;
+        settings.regionMode = REGION_MODES[regionModeMenu.selection.index];
+        settings.fieldColors.field = fieldColors.field;
+        settings.fieldColors.useSwatches = fieldColors.useSwatches;
+        settings.fieldColors.startHue = fieldColors.startHue;
+        settings.fieldColors.endHue = fieldColors.endHue;
         w.close(1);
     };
 
+    /**
+     * Fills the presets menu and selects the named preset.
+     * @param {String} [selectedName] - the name of the preset to select (default: none).
+     */
+    function updatePresetsMenu(selectedName) {
+
+        var names = presets.getNames(),
+            index = indexOf(names, selectedName);
+
+        // don't apply the preset we are selecting
+        presetsMenu.onChange = undefined;
+
+        presetsMenu.removeAll();
+
+        for (var i = 0; i < names.length; i++)
+            presetsMenu.add('item', names[i]);
+
+        presetsMenu.selection = -1 === index ? null : index;
+        presetsMenu.onChange = alertErrors(applyPreset);
+
+        renamePresetButton.enabled = deletePresetButton.enabled = (-1 !== index);
+        exportPresetsButton.enabled = names.length > 0;
+
+    };
+
+    /** shows the selected preset's settings */
+    function applyPreset() {
+
+        if (!presetsMenu.selection)
+            return;
+
+        var preset = presets.get(presetsMenu.selection.text),
+            params = preset.krinkleParams;
+
+        mSlider.setValue(params.m, false);
+        kSlider.setValue(params.k, false);
+        tSlider.setValue(params.t, false);
+        offsetCheckbox.value = params.offset;
+        newKrinkleParams.unitLength = params.unitLength;
+        newKrinkleParams.layerCount = params.layerCount;
+        unitField.text = params.unitLength + 'pt';
+        layersField.text = String(params.layerCount);
+
+        setDrawType(preset.drawType);
+
+        if (preset.styleRulesFile)
+            settings.styleRulesFile = preset.styleRulesFile;
+
+        if (preset.fieldColors)
+            setFieldColorsSettings(preset.fieldColors);
+
+        presets.lastUsed = preset.name;
+        presets.save();
+
+        renamePresetButton.enabled = deletePresetButton.enabled = true;
+
+        updateDrawTypeControls();
+        updateUIAndPreview();
+
+    };
+
+    /** saves the current settings as a preset */
+    function savePreset() {
+
+        var name = prompt('Save the current settings as a preset called:', presetsMenu.selection ? presetsMenu.selection.text : 'MK(' + newKrinkleParams.m + ', ' + newKrinkleParams.k + ')');
+
+        if (null == name)
+            return;
+
+        var preset = presets.set(name, {
+            krinkleParams: newKrinkleParams,
+            drawType: getDrawType(),
+            styleRulesFile: settings.styleRulesFile,
+            fieldColors: getFieldColorsSettings(),
+        });
+
+        presets.lastUsed = preset.name;
+        presets.save();
+        updatePresetsMenu(preset.name);
+
+    };
+
+    /** renames the selected preset */
+    function renamePreset() {
+
+        var name = presetsMenu.selection.text,
+            newName = prompt('Rename the preset "' + name + '" to:', name);
+
+        if (null == newName)
+            return;
+
+        presets.rename(name, newName);
+        presets.save();
+        updatePresetsMenu(presets.lastUsed || newName);
+
+    };
+
+    /** deletes the selected preset */
+    function deletePreset() {
+
+        var name = presetsMenu.selection.text;
+
+        if (!confirm('Delete the preset "' + name + '"?'))
+            return;
+
+        presets.remove(name);
+        presets.save();
+        updatePresetsMenu();
+
+    };
+
+    /** adds the presets from a presets file */
+    function importPresets() {
+
+        var file = File.openDialog('Import presets', '*.json');
+
+        if (!file)
+            return;
+
+        var names = presets.importFile(file);
+
+        presets.save();
+        updatePresetsMenu(presetsMenu.selection ? presetsMenu.selection.text : undefined);
+        alert('Imported ' + names.length + ' preset' + (1 === names.length ? '' : 's') + '.');
+
+    };
+
+    /** writes all the presets to a presets file */
+    function exportPresets() {
+
+        var file = File.saveDialog('Export presets', '*.json');
+
+        if (file)
+            presets.exportFile(file);
+
+    };
+
+    /**
+     * Returns `fn` as an event handler that shows
+     * any error to the user, instead of throwing it.
+     * @param {Function} fn - the event handler.
+     * @returns {Function}
+     */
+    function alertErrors(fn) {
+
+        return function () {
+
+            try {
+                return fn.apply(this, arguments);
+            }
+
+            catch (error) {
+                alert(error.message);
+            }
+
+        };
+
+    };
+
+    /** the layer count isn't used when filling a region */
+    function updateRegionControls() {
+        regionModeMenu.enabled = regionCheckbox.value;
+        layersField.enabled = !regionCheckbox.value;
+    };
+
+    /**
+     * Returns the draw type of the selected radio button.
+     * @returns {MKDrawType}
+     */
+    function getDrawType() {
+
+        for (var i = 0; i < drawTypeRadios.length; i++)
+            if (drawTypeRadios[i].value)
+                return DRAW_TYPES[i];
+
+        return MKDrawType.PATHS;
+
+    };
+
+    /**
+     * Selects the radio button of `drawType`, or of
+     * drawing as paths, if `drawType` is unknown.
+     * @param {MKDrawType} drawType - the draw type to select.
+     */
+    function setDrawType(drawType) {
+
+        var index = Math.max(0, indexOf(DRAW_TYPES, drawType));
+
+        for (var i = 0; i < drawTypeRadios.length; i++)
+            drawTypeRadios[i].value = (i === index);
+
+    };
+
+    /** each drawing type's own controls are only for that type */
+    function updateDrawTypeControls() {
+        updateStyleRulesControls();
+        updateFieldColorsControls();
+    };
+
+    /** the rules file is only for drawing with style rules */
+    function updateStyleRulesControls() {
+        styleRulesGroup.enabled = radio5.value;
+        styleRulesLabel.text = settings.styleRulesFile ? File(settings.styleRulesFile).displayName : 'No rules file';
+    };
+
+    /** the field and its colors are only for drawing with field colors, and the hues only for hues */
+    function updateFieldColorsControls() {
+        fieldColorsGroup.enabled = radio6.value;
+        startHueField.enabled = endHueField.enabled = (0 === fieldColorsMenu.selection.index);
+    };
+
+    /** chooses a style rules file, see MK_Styles.js, and checks it */
+    function chooseStyleRulesFile() {
+
+        var file = File.openDialog('Choose a style rules file', '*.json');
+
+        if (!file)
+            return;
+
+        // throws if the rules are bad
+        readStyleRulesFile(file);
+
+        settings.styleRulesFile = file.fsName;
+        updateStyleRulesControls();
+
+    };
+
     function updateUIAndPreview() {
         updateUI(true);
     };
@@ -148,33 +502,22 @@ function MK_UI(settings) {
     /** updates the UI */
     function updateUI(updatePreview) {
 
-        var n = newKrinkleParams.offset
-            ? 2 * (newKrinkleParams.t * newKrinkleParams.k - newKrinkleParams.m)
-            : newKrinkleParams.t * newKrinkleParams.k;
-
         newKrinkleParams.m = Math.ceil(mSlider.getValue());
         newKrinkleParams.k = Math.ceil(kSlider.getValue());
         newKrinkleParams.t = Math.ceil(tSlider.getValue());
         newKrinkleParams.offset = offsetCheckbox.value;
 
-        if (newKrinkleParams.k < MIN_K)
-            newKrinkleParams.k = MIN_K;
-
-        // m must be less than k
-        if (newKrinkleParams.m >= newKrinkleParams.k)
-            newKrinkleParams.m = newKrinkleParams.k - 1;
+        // no slider if k == 2, because m can only be 1
+        mSlider.enabled = newKrinkleParams.k > 2;
 
-        if (newKrinkleParams.m < MIN_M)
+        if (!mSlider.enabled)
             newKrinkleParams.m = MIN_M;
 
-        if (newKrinkleParams.t < MIN_T)
-            newKrinkleParams.t = MIN_T;
+        // the krinkle's own rules, eg. m < k
+        var validation = ModuloKrinkle.validateParams(newKrinkleParams),
+            p = validation.params;
 
-        if (newKrinkleParams.t > MAX_T)
-            newKrinkleParams.t = MAX_T;
-
-        // no slider if k == 2
-        mSlider.enabled = newKrinkleParams.k > 2;
+        drawButton.enabled = validation.valid;
 
         mSlider.setValue(newKrinkleParams.m, false);
         kSlider.setValue(newKrinkleParams.k, false);
@@ -187,8 +530,28 @@ function MK_UI(settings) {
         if (!updatePreview)
             return;
 
-        // update the preview label
-        previewLabel.text = 'MK(' + newKrinkleParams.m + ', ' + newKrinkleParams.k + ', ' + n + ')';
+        // show the errors, or else the warnings
+        var problems = validation.valid ? validation.warnings : validation.errors,
+            messages = [];
+
+        for (var i = 0; i < problems.length; i++)
+            messages.push(problems[i].message);
+
+        messageLabel.text = messages.join('\n');
+
+        if (!validation.valid) {
+            previewLabel.text = 'MK(' + newKrinkleParams.m + ', ' + newKrinkleParams.k + ')';
+            previewKrinkle = null;
+            preview.notify('onDraw');
+            return;
+        }
+
+        var n = p.offset
+            ? 2 * (p.t * p.k - p.m)
+            : p.t * p.k;
+
+        // update the preview label, with the reduced m and k
+        previewLabel.text = 'MK(' + p.m + ', ' + p.k + ', ' + n + ')';
 
         if (n > MAX_PREVIEW_N) {
             previewKrinkle = null;
@@ -233,12 +596,76 @@ function MK_UI(settings) {
         gfx.strokePath(pen);
 
         if (previewKrinkle)
-            // draw the preview krinkle
-            previewKrinkle.draw(gfx, [width / 2, height / 2], drawPreviewTile);
+            // draw the preview krinkle, transformed as it will be drawn
+            previewKrinkle.draw(gfx, getPreviewTransform([width / 2, height / 2]), drawPreviewTile);
 
         else
-            // there is no preview
-            gfx.drawString("Preview too slow", pen, 5, 5);
+            // there is no preview, because the params are bad or the preview is too big
+            gfx.drawString(drawButton.enabled ? "Preview too slow" : "Bad parameters", pen, 5, 5);
+
+    };
+
+    /**
+     * Returns the rotation, scale and mirror in the dialog.
+     * @returns {Object} - { rotation, scale, mirror }.
+     */
+    function getTransformSettings() {
+
+        return {
+            rotation: Number((rotationField.text.match(/-?[\d.]+/) || [0])[0]) || 0,
+            scale: Number((scaleField.text.match(/-?[\d.]+/) || [100])[0]) / 100 || 1,
+            mirror: mirrorCheckbox.value,
+        };
+
+    };
+
+    /**
+     * Returns the field colors in the dialog.
+     * @returns {Object} - { field, useSwatches, startHue, endHue }.
+     */
+    function getFieldColorsSettings() {
+
+        return {
+            field: FIELDS[fieldMenu.selection.index],
+            useSwatches: (1 === fieldColorsMenu.selection.index),
+            startHue: Number(startHueField.text) || 0,
+            endHue: isNaN(Number(endHueField.text)) ? 360 : Number(endHueField.text),
+        };
+
+    };
+
+    /**
+     * Shows the field colors in the dialog.
+     * @param {Object} fieldColors - { field, useSwatches, startHue, endHue }.
+     */
+    function setFieldColorsSettings(fieldColors) {
+
+        fieldMenu.selection = Math.max(0, indexOf(FIELDS, fieldColors.field));
+        fieldColorsMenu.selection = fieldColors.useSwatches ? 1 : 0;
+        startHueField.text = String(fieldColors.startHue);
+        endHueField.text = String(fieldColors.endHue);
+
+    };
+
+    /**
+     * Returns the preview's transform: the rotation, scale and
+     * mirror in the dialog, zoomed and centered in the preview.
+     * The preview's y axis points down, and Illustrator's points
+     * up, so the preview is flipped to look like the drawing:
+     * mirrored, and rotated the other way.
+     * @param {point} center - the center of the preview.
+     * @returns {MKTransform}
+     */
+    function getPreviewTransform(center) {
+
+        var transform = getTransformSettings();
+
+        return new MKTransform({
+            translation: center,
+            rotation: -transform.rotation,
+            scale: transform.scale * previewScaleFactor,
+            mirror: !transform.mirror,
+        });
 
     };
 
@@ -246,17 +673,11 @@ function MK_UI(settings) {
      * Draw a tile to the preview.
      * @this {MKTile}
      * @param {ScriptUIGraphics} gfx - the SUI Graphics context to draw to.
-     * @param {point} center - the center of the krinkle.
+     * @param {MKTransform} transform - the preview's transform, see `getPreviewTransform`.
      */
-    function drawPreviewTile(gfx, center) {
+    function drawPreviewTile(gfx, transform) {
 
-        var scaledCenter = [
-            center[0] * (1 / previewScaleFactor),
-            center[1] * (1 / previewScaleFactor)
-        ];
-
-        // get translated points
-        var points = getTranslatedPoints(this.points, scaledCenter, previewScaleFactor);
+        var points = getTransformedPoints(this.points, transform);
 
         gfx.newPath();
         gfx.moveTo(points[0][0], points[0][1]);
@@ -287,6 +708,22 @@ function shallowCopy(obj) {
 
 };
 
+/**
+ * Returns the index of `value` in `array`, or -1 if not found.
+ * @param {Array} array - the array to search.
+ * @param {*} value - the value to find.
+ * @returns {Number}
+ */
+function indexOf(array, value) {
+
+    for (var i = 0; i < array.length; i++)
+        if (array[i] === value)
+            return i;
+
+    return -1;
+
+};
+
 /**
  * Returns true if `a` has the same keys and values as `b`.
  * @param {Object} a - an object to compare.
@@ -442,22 +879,6 @@ function round(nums, places) {
 
 };
 
-/**
- * Returns index of the active radio button,
- * or -1 if no buttons are active.
- * @this {SUI Group}
- * @returns {Number}
- */
-function getActiveRadioIndex() {
-
-    for (var i = 0; i < this.children.length; i++)
-        if (true === this.children[i].value)
-            return i;
-
-    return -1;
-
-};
-
 /**
  * Returns `str` converted to points.
  * eg. '10 mm' returns 28.34645669,
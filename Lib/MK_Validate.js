@@ -0,0 +1,498 @@
+/**
+ * @file MK_Validate.js
+ *
+ * Checks that a ModuloKrinkle's tiles really do tile
+ * the plane: no gaps, no overlaps, and every tile the
+ * same shape as the prototile.
+ *
+ * Example usage:
+ *
+ *      var krinkle = new ModuloKrinkle(7, 17, 3, false, 10, 4);
+ *      var report = validateTiling(krinkle);
+ *
+ *      if (!report.valid)
+ *          alert(report.problems[0].message);
+ *
+ * Like MK_SVG.js, nothing here depends on Adobe Illustrator.
+ */
+
+if ('function' !== typeof ModuloKrinkle)
+    throw new Error('ModuloKrinkle.js must load first.');
+
+/**
+ * Codes of the problems found by `validateTiling`.
+ * @enum {String}
+ */
+var MKProblemCode = {
+    /** an edge of the tile is not one unit long */
+    BAD_EDGE_LENGTH: 'BAD_EDGE_LENGTH',
+    /** the tile is wound clockwise, so it is a mirror image of the prototile */
+    BAD_ORIENTATION: 'BAD_ORIENTATION',
+    /** the tile's area is not the prototile's area */
+    AREA_MISMATCH: 'AREA_MISMATCH',
+    /** an edge is used by more than two tiles, or by two tiles on the same side of it */
+    EDGE_OVERUSED: 'EDGE_OVERUSED',
+    /** two tiles overlap */
+    OVERLAP: 'OVERLAP',
+    /** there is a hole in the tiling */
+    GAP: 'GAP',
+};
+
+/**
+ * Returns a report of the validity of the krinkle's tiling.
+ * Each problem in the report has a `code` (see MKProblemCode),
+ * a human readable `message` and the names of the `tiles`
+ * involved, eg. "S0 W1 L2 T0 (M)".
+ *
+ * The report also counts the edges: every interior edge
+ * should be shared by exactly two tiles, and the remaining
+ * boundary edges should make a single loop around the tiling.
+ *
+ * @version 2026-10-19
+ * @param {ModuloKrinkle} krinkle - the krinkle to check.
+ * @param {Object} [options]
+ * @param {Number} [options.tolerance] - the distance, in pts, under which points are considered equal (default: unitLength / 10000).
+ * @param {Boolean} [options.checkOverlaps] - whether to check pairs of tiles for overlaps, which is the slowest check (default: true).
+ * @param {Number} [options.maxProblems] - stop recording problems after this many (default: 100).
+ * @returns {Object} - { valid, name, tileCount, prototileArea, sharedEdgeCount, boundaryEdgeCount, boundaryLoopCount, problemCounts, problems }.
+ */
+function validateTiling(krinkle, options) {
+
+    options = options || {};
+
+    var tolerance = options.tolerance || krinkle.unitLength / 10000,
+        maxProblems = options.maxProblems || 100,
+        prototileArea = getPolygonArea(getPrototilePoints(krinkle)),
+        tiles = krinkle.getTiles();
+
+    var report = {
+        valid: true,
+        name: krinkle.toString(),
+        tileCount: tiles.length,
+        prototileArea: prototileArea,
+        sharedEdgeCount: 0,
+        boundaryEdgeCount: 0,
+        boundaryLoopCount: 0,
+        problemCounts: {},
+        problems: [],
+    };
+
+    for (var key in MKProblemCode)
+        report.problemCounts[MKProblemCode[key]] = 0;
+
+    function addProblem(code, message, problemTiles, points) {
+
+        report.valid = false;
+        report.problemCounts[code]++;
+
+        if (report.problems.length >= maxProblems)
+            return;
+
+        var problem = { code: code, message: message, tiles: [] };
+
+        for (var i = 0; i < problemTiles.length; i++)
+            problem.tiles.push(problemTiles[i].toString(true));
+
+        if (points)
+            problem.points = points;
+
+        report.problems.push(problem);
+
+    };
+
+    /* ------------------------ *
+     *  Check each tile's shape *
+     * ------------------------ */
+    for (var i = 0; i < tiles.length; i++) {
+
+        var points = tiles[i].points,
+            name = tiles[i].toString(true);
+
+        for (var p = 0; p < points.length; p++) {
+
+            var a = points[p],
+                b = points[(p + 1) % points.length],
+                length = Math.sqrt((b[0] - a[0]) * (b[0] - a[0]) + (b[1] - a[1]) * (b[1] - a[1]));
+
+            if (Math.abs(length - krinkle.unitLength) > tolerance)
+                addProblem(MKProblemCode.BAD_EDGE_LENGTH, 'Tile ' + name + ' edge ' + p + ' has length ' + length + '.', [tiles[i]], [a, b]);
+
+        }
+
+        var area = getPolygonArea(points);
+
+        if (area < 0)
+            addProblem(MKProblemCode.BAD_ORIENTATION, 'Tile ' + name + ' is a mirror image of the prototile.', [tiles[i]]);
+
+        if (Math.abs(Math.abs(area) - prototileArea) > tolerance * krinkle.unitLength)
+            addProblem(MKProblemCode.AREA_MISMATCH, 'Tile ' + name + ' has area ' + Math.abs(area) + ' but the prototile has area ' + prototileArea + '.', [tiles[i]]);
+
+    }
+
+    /* ------------------------------------ *
+     *  Match up the edges between tiles    *
+     * ------------------------------------ */
+    var edges = krinkle.getEdges(tiles, tolerance);
+
+    // the boundary edges, as traversed by their tile, indexed by start point key
+    var boundaryEdges = {};
+
+    for (var i = 0; i < edges.length; i++) {
+
+        var uses = edges[i].uses;
+
+        if (1 === uses.length) {
+
+            report.boundaryEdgeCount++;
+
+            var boundaryEdge = uses[0].reversed
+                ? { tile: uses[0].tile, start: edges[i].end, end: edges[i].start, endKey: edges[i].startKey }
+                : { tile: uses[0].tile, start: edges[i].start, end: edges[i].end, endKey: edges[i].endKey };
+
+            var startKey = uses[0].reversed ? edges[i].endKey : edges[i].startKey;
+
+            if (!boundaryEdges.hasOwnProperty(startKey))
+                boundaryEdges[startKey] = [];
+
+            boundaryEdges[startKey].push(boundaryEdge);
+
+        }
+
+        else if (
+            2 === uses.length
+            // neighbouring tiles traverse their shared edge in opposite directions
+            && uses[0].reversed !== uses[1].reversed
+        )
+            report.sharedEdgeCount++;
+
+        else {
+
+            var edgeTiles = [];
+
+            for (var j = 0; j < uses.length; j++)
+                edgeTiles.push(uses[j].tile);
+
+            addProblem(MKProblemCode.EDGE_OVERUSED, 'Edge is used ' + uses.length + ' times.', edgeTiles, [edges[i].start, edges[i].end]);
+
+        }
+
+    }
+
+    /* --------------------------------------------------- *
+     *  Follow the boundary edges around in loops.         *
+     *  The tiles are counterclockwise, so the outer       *
+     *  boundary is a counterclockwise loop, and any gap   *
+     *  in the tiling is a clockwise loop.                 *
+     * --------------------------------------------------- */
+    for (var startKey in boundaryEdges) {
+
+        if (!boundaryEdges.hasOwnProperty(startKey))
+            continue;
+
+        while (boundaryEdges[startKey].length > 0) {
+
+            var edge = boundaryEdges[startKey].pop(),
+                loop = [edge.start],
+                loopTiles = [edge.tile];
+
+            while (
+                boundaryEdges.hasOwnProperty(edge.endKey)
+                && boundaryEdges[edge.endKey].length > 0
+            ) {
+
+                edge = takeLeftmostEdge(edge, boundaryEdges[edge.endKey]);
+                loop.push(edge.start);
+                loopTiles.push(edge.tile);
+
+            }
+
+            report.boundaryLoopCount++;
+
+            if (getPolygonArea(loop) < 0)
+                addProblem(MKProblemCode.GAP, 'There is a gap in the tiling, bordered by ' + loop.length + ' edges.', loopTiles, loop);
+
+        }
+
+    }
+
+    if (false === options.checkOverlaps)
+        return report;
+
+    /* ------------------------------------------------ *
+     *  Check for overlaps near each edge. The edges are *
+     *  indexed in cells one unit across, so only edges  *
+     *  that are close together are compared.            *
+     * ------------------------------------------------ */
+    var cellSize = krinkle.unitLength,
+        cells = {},
+        overlapping = {};
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        var points = tiles[i].points;
+
+        for (var p = 0; p < points.length; p++) {
+
+            var a = points[p],
+                b = points[(p + 1) % points.length],
+                // the cells the edge's bounds touch
+                left = Math.floor((Math.min(a[0], b[0]) - tolerance) / cellSize),
+                right = Math.floor((Math.max(a[0], b[0]) + tolerance) / cellSize),
+                bottom = Math.floor((Math.min(a[1], b[1]) - tolerance) / cellSize),
+                top = Math.floor((Math.max(a[1], b[1]) + tolerance) / cellSize);
+
+            for (var x = left; x <= right; x++) {
+
+                for (var y = bottom; y <= top; y++) {
+
+                    var cellKey = x + ',' + y;
+
+                    if (!cells.hasOwnProperty(cellKey))
+                        cells[cellKey] = [];
+
+                    cells[cellKey].push({ tileIndex: i, start: a, end: b });
+
+                }
+
+            }
+
+        }
+
+    }
+
+    function addOverlap(i, j) {
+
+        var first = i < j ? i : j,
+            second = i < j ? j : i;
+
+        overlapping[first + ',' + second] = true;
+
+        addProblem(MKProblemCode.OVERLAP, 'Tiles ' + tiles[first].toString(true) + ' and ' + tiles[second].toString(true) + ' overlap.', [tiles[first], tiles[second]]);
+
+    };
+
+    function isOverlapping(i, j) {
+
+        return true === overlapping[i < j ? i + ',' + j : j + ',' + i];
+
+    };
+
+    // tiles whose edges cross
+    for (var cellKey in cells) {
+
+        if (!cells.hasOwnProperty(cellKey))
+            continue;
+
+        var cell = cells[cellKey];
+
+        for (var c = 0; c < cell.length; c++) {
+
+            for (var d = c + 1; d < cell.length; d++) {
+
+                if (
+                    cell[c].tileIndex !== cell[d].tileIndex
+                    && !isOverlapping(cell[c].tileIndex, cell[d].tileIndex)
+                    && segmentsCross(cell[c].start, cell[c].end, cell[d].start, cell[d].end, tolerance)
+                )
+                    addOverlap(cell[c].tileIndex, cell[d].tileIndex);
+
+            }
+
+        }
+
+    }
+
+    // tiles that reach over another tile's edge without crossing it, eg. where
+    // their edges lie along each other: a point just inside one tile's edge is
+    // inside the other. The edges are a unit long, so where one tile reaches
+    // into another, that point is in a cell next to the other tile's edges,
+    // and as every tile has the prototile's area, neither can hold the other
+    var nudge = tolerance * 100;
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        var points = tiles[i].points;
+
+        for (var p = 0; p < points.length; p++) {
+
+            var a = points[p],
+                b = points[(p + 1) % points.length],
+                dx = b[0] - a[0],
+                dy = b[1] - a[1],
+                length = Math.sqrt(dx * dx + dy * dy);
+
+            if (0 === length)
+                continue;
+
+            // the inside of a counterclockwise tile is to the left
+            var point = [
+                (a[0] + b[0]) / 2 - dy / length * nudge,
+                (a[1] + b[1]) / 2 + dx / length * nudge,
+            ],
+                cellX = Math.floor(point[0] / cellSize),
+                cellY = Math.floor(point[1] / cellSize),
+                nearby = {};
+
+            for (var x = cellX - 1; x <= cellX + 1; x++) {
+
+                for (var y = cellY - 1; y <= cellY + 1; y++) {
+
+                    var cell = cells[x + ',' + y];
+
+                    if (!cell)
+                        continue;
+
+                    for (var c = 0; c < cell.length; c++) {
+
+                        var other = cell[c].tileIndex;
+
+                        if (
+                            other === i
+                            || nearby[other]
+                            || isOverlapping(i, other)
+                        )
+                            continue;
+
+                        nearby[other] = true;
+
+                        if (
+                            isPointInPolygon(point, tiles[other].points)
+                            && getDistanceToPolygon(point, tiles[other].points) > tolerance
+                        )
+                            addOverlap(i, other);
+
+                    }
+
+                }
+
+            }
+
+        }
+
+    }
+
+    return report;
+
+};
+
+/**
+ * Removes and returns the edge from `candidates` which
+ * turns furthest to the left after `edge`. When following
+ * a boundary with the tiles on the left, this keeps loops
+ * that touch at a single point separate.
+ * @param {Object} edge - the current edge, with `start` and `end` points.
+ * @param {Array<Object>} candidates - the edges starting at `edge.end`.
+ * @returns {Object}
+ */
+function takeLeftmostEdge(edge, candidates) {
+
+    var inAngle = Math.atan2(edge.end[1] - edge.start[1], edge.end[0] - edge.start[0]),
+        best = 0,
+        bestTurn = -Infinity;
+
+    for (var i = 0; i < candidates.length; i++) {
+
+        var outAngle = Math.atan2(candidates[i].end[1] - candidates[i].start[1], candidates[i].end[0] - candidates[i].start[0]),
+            turn = outAngle - inAngle;
+
+        // normalize to -π..π
+        while (turn <= -Math.PI) turn += 2 * Math.PI;
+        while (turn > Math.PI) turn -= 2 * Math.PI;
+
+        if (turn > bestTurn) {
+            best = i;
+            bestTurn = turn;
+        }
+
+    }
+
+    return candidates.splice(best, 1)[0];
+
+};
+
+/**
+ * Returns true when the interiors of the polygons `a` and `b`
+ * overlap. Polygons that only share edges or points don't
+ * overlap. Both polygons must be counterclockwise.
+ * @param {Array<point>} a - the points of polygon a.
+ * @param {Array<point>} b - the points of polygon b.
+ * @param {Number} tolerance - the distance under which points are considered equal.
+ * @returns {Boolean}
+ */
+function polygonsOverlap(a, b, tolerance) {
+
+    var boundsB = expandBounds([Infinity, -Infinity, -Infinity, Infinity], b);
+
+    // any edges crossing?
+    for (var i = 0; i < a.length; i++) {
+
+        var p = a[i],
+            q = a[(i + 1) % a.length];
+
+        // skip edges of `a` that are outside the bounds of `b`
+        if (
+            Math.max(p[0], q[0]) < boundsB[0]
+            || Math.min(p[0], q[0]) > boundsB[2]
+            || Math.max(p[1], q[1]) < boundsB[3]
+            || Math.min(p[1], q[1]) > boundsB[1]
+        )
+            continue;
+
+        for (var j = 0; j < b.length; j++)
+            if (segmentsCross(p, q, b[j], b[(j + 1) % b.length], tolerance))
+                return true;
+
+    }
+
+    // no crossings, but one polygon may still be inside the other,
+    // so check points just inside each edge of each polygon
+    return hasPointInside(a, b, tolerance) || hasPointInside(b, a, tolerance);
+
+};
+
+/**
+ * Returns true when a point just inside any edge of polygon `a`
+ * is inside polygon `b`, and not on its boundary.
+ * @param {Array<point>} a - the points of polygon a, counterclockwise.
+ * @param {Array<point>} b - the points of polygon b.
+ * @param {Number} tolerance - the distance under which points are considered equal.
+ * @returns {Boolean}
+ */
+function hasPointInside(a, b, tolerance) {
+
+    // how far inside the edge to check
+    var nudge = tolerance * 100,
+        boundsB = expandBounds([Infinity, -Infinity, -Infinity, Infinity], b);
+
+    for (var i = 0; i < a.length; i++) {
+
+        var p = a[i],
+            q = a[(i + 1) % a.length],
+            dx = q[0] - p[0],
+            dy = q[1] - p[1],
+            length = Math.sqrt(dx * dx + dy * dy);
+
+        if (0 === length)
+            continue;
+
+        // the inside of a counterclockwise polygon is to the left
+        var point = [
+            (p[0] + q[0]) / 2 - dy / length * nudge,
+            (p[1] + q[1]) / 2 + dx / length * nudge,
+        ];
+
+        if (
+            point[0] > boundsB[0]
+            && point[0] < boundsB[2]
+            && point[1] > boundsB[3]
+            && point[1] < boundsB[1]
+            && isPointInPolygon(point, b)
+            && getDistanceToPolygon(point, b) > tolerance
+        )
+            return true;
+
+    }
+
+    return false;
+
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * @file MK_Node.js
+ *
+ * Loads the ExtendScript files in the Lib folder, as-is,
+ * into a Node.js context, so that the Modulo Krinkle
+ * geometry can be used outside of Adobe Illustrator.
+ *
+ * Example usage:
+ *
+ *      var MK = require('./MK_Node.js').loadMK();
+ *      var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 5);
+ *
+ * Note: only files that have no Illustrator dependencies at
+ * load time can be loaded, but MK_Drawing.js can be loaded,
+ * as long as its drawing functions aren't called.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+/** The Lib folder, which contains the ExtendScript files. */
+var LIB_FOLDER = path.join(__dirname, '..', 'Lib');
+
+/** The files loaded by default, in load order. */
+var DEFAULT_FILES = ['MK.js', 'MK_JSON.js', 'MK_Styles.js', 'MK_Fields.js', 'MK_SVG.js', 'MK_PDF.js', 'MK_Validate.js', 'MK_Sheet.js', 'MK_Animation.js', 'MK_Motifs.js', 'MK_Plot.js', 'MK_DXF.js'];
+
+/**
+ * Returns a new context with the Lib files loaded. Every
+ * global function and variable in the files, for example
+ * `ModuloKrinkle`, is a property of the returned context.
+ * @param {Array<String>} [files] - the Lib file names, in load order (default: DEFAULT_FILES).
+ * @param {Object} [globals] - extra globals for the context, eg. stand-ins for Illustrator's DOM (default: none).
+ * @returns {Object}
+ */
+function loadMK(files, globals) {
+
+    files = files || DEFAULT_FILES;
+
+    var context = vm.createContext(shallowCopy(globals || {}));
+
+    for (var i = 0; i < files.length; i++) {
+
+        var file = path.join(LIB_FOLDER, files[i]);
+
+        // the ExtendScript files may start with a byte order mark
+        var source = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+
+        vm.runInContext(source, context, { filename: file });
+
+    }
+
+    return context;
+
+};
+
+/**
+ * Shallow copy `obj` object.
+ * @param {Object} obj - The source object.
+ * @returns {Object}
+ */
+function shallowCopy(obj) {
+
+    var copy = {};
+
+    for (var key in obj)
+        if (obj.hasOwnProperty(key))
+            copy[key] = obj[key];
+
+    return copy;
+
+};
+
+module.exports = {
+    DEFAULT_FILES: DEFAULT_FILES,
+    LIB_FOLDER: LIB_FOLDER,
+    loadMK: loadMK,
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * @file benchmark.js
+ *
+ * Times the generation of some large Modulo Krinkle tilings,
+ * to track the performance of the ModuloKrinkle constructor.
+ *
+ * Example usage:
+ *
+ *      node benchmark.js
+ *      node benchmark.js --runs 5
+ *
+ * For each tiling, it reports the number of tiles, the fastest
+ * time of the runs, in milliseconds, and the tiles made per second.
+ */
+
+var loadMK = require('./MK_Node.js').loadMK;
+
+/** The tilings to time: [m, k, t, offset, layerCount]. */
+var CASES = [
+    [2, 5, 2, false, 50],
+    [2, 5, 2, false, 100],
+    [3, 7, 3, false, 60],
+    [3, 7, 2, true, 60],
+    [7, 17, 2, false, 30],
+    [13, 50, 2, false, 20],
+];
+
+var runs = 3;
+
+var runsIndex = process.argv.indexOf('--runs');
+
+if (-1 !== runsIndex)
+    runs = Math.max(1, Number(process.argv[runsIndex + 1]) || runs);
+
+var MK = loadMK(['MK.js']);
+
+var rows = [['tiling', 'layers', 'tiles', 'ms', 'tiles/s']];
+
+for (var i = 0; i < CASES.length; i++) {
+
+    var c = CASES[i],
+        fastest = Infinity,
+        krinkle;
+
+    for (var run = 0; run < runs; run++) {
+
+        var start = process.hrtime();
+
+        krinkle = new MK.ModuloKrinkle(c[0], c[1], c[2], c[3], 10, c[4]);
+
+        var elapsed = process.hrtime(start);
+
+        fastest = Math.min(fastest, elapsed[0] * 1000 + elapsed[1] / 1e6);
+
+    }
+
+    var tileCount = krinkle.getTiles().length;
+
+    rows.push([
+        krinkle.toString() + (c[3] ? ' offset' : ''),
+        String(c[4]),
+        String(tileCount),
+        fastest.toFixed(1),
+        String(Math.round(tileCount / fastest * 1000)),
+    ]);
+
+}
+
+// print the rows as a table
+var widths = [];
+
+for (var i = 0; i < rows.length; i++)
+    for (var j = 0; j < rows[i].length; j++)
+        widths[j] = Math.max(widths[j] || 0, rows[i][j].length);
+
+for (var i = 0; i < rows.length; i++) {
+
+    var line = [];
+
+    for (var j = 0; j < rows[i].length; j++)
+        line.push(0 === j ? (rows[i][j] + '                    ').slice(0, widths[j]) : ('                    ' + rows[i][j]).slice(-widths[j]));
+
+    process.stdout.write(line.join('  ') + '\n');
+
+}
\ No newline at end of file
@@ -0,0 +1,634 @@
+#!/usr/bin/env node
+/**
+ * @file mk-tiling.js
+ *
+ * Command line generator for Modulo Krinkle tilings,
+ * for use with Node.js, without Adobe Illustrator.
+ *
+ * Example usage:
+ *
+ *      node mk-tiling.js -m 2 -k 5 -t 2 --layer-count 8 --output tiling.svg
+ *      node mk-tiling.js -m 3 -k 7 -t 2 --offset --format json > tiling.json
+ *      node mk-tiling.js --input tiling.json --output tiling.pdf
+ *      node mk-tiling.js -m 7 -k 17 -t 3 --validate
+ *      node mk-tiling.js -m 2 -k 5 --rect 600x400 --region-mode inside -o tiling.pdf
+ *      node mk-tiling.js -m 3 -k 7 --rotation 15 --mirror --rect 600x400 -o tiling.svg
+ *      node mk-tiling.js -m 2 -k 5 --layer-count 10 --animate layers --loop -o growth.svg
+ *      node mk-tiling.js -m 2 -k 5 --animate wedges --frames -o frames/growth.svg
+ *      node mk-tiling.js -m 2 -k 5 --motif "M0 0 C0.3 0.25 0.7 0.25 1 0" -o strapwork.svg
+ *      node mk-tiling.js -m 2 -k 5 --dual --show-vertices -o dual.svg
+ *      node mk-tiling.js -m 2 -k 5 --edge-profile s-curve --fill "#ffd700" -o curved.pdf
+ *      node mk-tiling.js -m 2 -k 5 --layer-count 8 -o tiling.hpgl
+ *      node mk-tiling.js -m 2 -k 5 --cross-weave --feed-rate 1500 --z-down -0.5 -o tiling.gcode
+ *      node mk-tiling.js -m 2 -k 5 --dxf-layers sector-and-tile-type --units mm --edge-length 150 -o floor.dxf
+ *
+ * Run with --help to see all the options.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var loadMK = require('./MK_Node.js').loadMK;
+
+var USAGE = [
+    'Usage: node mk-tiling.js [options]',
+    '',
+    'Options:',
+    '  -m <integer>             the m parameter, where m < k (default: 2)',
+    '  -k <integer>             the k parameter (default: 5)',
+    '  -t <integer>             the rotation parameter, t >= 2 (default: 2)',
+    '  --offset                 make an offset tiling',
+    '  --unit-length <number>   the length of each edge, in points (default: 10)',
+    '  --layer-count <integer>  the number of layers, out from the center (default: 5)',
+    '  --rect <width>x<height>  fill a rectangle, centered on the tiling, instead of using --layer-count',
+    '  --region "<x,y x,y ...>" fill a polygon, instead of using --layer-count',
+    '  --region-mode <mode>     which tiles to keep in the region: inside, clip or touching (default: clip)',
+    '  --rotation <degrees>     rotate the tiling counterclockwise around its center (default: 0)',
+    '  --scale <number>         scale the tiling around its center (default: 1)',
+    '  --mirror                 reflect the tiling across its horizontal axis, before rotating',
+    '  --format <format>        the output format: svg, json, pdf, dxf, for CAD, or hpgl or gcode,',
+    '                           for pen plotters and CNC machines',
+    '                           (default: from the output file extension, or svg)',
+    '  --fill <color>           the tile fill color, eg. #ffd700, for svg and pdf (default: none)',
+    '  --stroke <color>         the tile stroke color, for svg and pdf (default: #000)',
+    '  --stroke-width <number>  the tile stroke width, for svg and pdf (default: 1)',
+    '  --style-rules <file>     style each tile by the rules in a style rules json file, for svg',
+    '                           (see Lib/MK_Styles.js)',
+    '  --edge-profile <profile> replace each edge with a curve: s-curve, arc, or path data in',
+    '                           edge coordinates, from 0,0 to 1,0; separate profiles with | to',
+    '                           vary them by the edge\'s direction, for svg and pdf',
+    '  --animate <order>        write an animated svg, where the tiles appear in order of',
+    '                           layers, sectors or wedges',
+    '  --stage-duration <secs>  the time between each layer, sector or wedge appearing (default: 0.25)',
+    '  --loop                   repeat the animation',
+    '  --frames                 with --animate, write a numbered sequence of svg frames instead,',
+    '                           eg. growth-001.svg, growth-002.svg, ... using the --output file name',
+    '  --motif "<path data>"    write an svg with this motif on every edge, instead of the tiles,',
+    '                           in edge coordinates, from 0,0 to 1,0; separate motifs with | to',
+    '                           vary them by the edge\'s direction',
+    '  --dual                   write the dual of the tiling, with a node at each tile\'s centroid',
+    '                           and links between neighbouring tiles, as svg or json; the json',
+    '                           also has the vertex configuration of every vertex',
+    '  --show-vertices          with --dual, mark the vertices in the svg by configuration',
+    '  --show-tiles             with --motif or --dual, draw the tiles\' outlines underneath',
+    '  --plot                   write each edge once, chained into long paths, in an order that',
+    '                           keeps pen-up travel short, as svg (hpgl and gcode are always',
+    '                           written this way)',
+    '  --show-travel            with --plot, show the pen-up moves in the svg as dashed lines',
+    '  --cross-weave            with --plot, hpgl or gcode, also draw the lines across each tile,',
+    '                           between its opposite points',
+    '  --pen <integer>          the hpgl pen number (default: 1)',
+    '  --velocity <number>      the hpgl pen speed, in cm/s (default: the plotter\'s own)',
+    '  --units <units>          the gcode units: mm or in, or the dxf units: mm, cm, m, in or ft',
+    '                           (default: mm)',
+    '  --feed-rate <number>     the gcode drawing speed, in units per minute (default: 1000 mm/min)',
+    '  --plunge-rate <number>   the gcode speed of lowering the tool (default: the feed rate)',
+    '  --z-up <number>          the gcode height of the raised tool (default: 5 mm)',
+    '  --z-down <number>        the gcode height of the lowered tool (default: 0)',
+    '  --dxf-layers <layers>    put the dxf tiles on layers by tile-type, sector or',
+    '                           sector-and-tile-type (default: tile-type)',
+    '  --edge-length <number>   the length of each tile edge in the dxf, in its --units',
+    '                           (default: --unit-length, converted from points)',
+    '  --validate               check the tiling for gaps and overlaps, and write a json report',
+    '                           instead of the tiling (exit code is 1 when the tiling is invalid)',
+    '  -i, --input <file>       load a tiling saved as json, instead of generating one',
+    '  -o, --output <file>      the output file (default: write to stdout)',
+    '  -h, --help               show this message',
+].join('\n');
+
+/** The options that take a value, by flag. */
+var VALUE_OPTIONS = {
+    '-m': 'm',
+    '-k': 'k',
+    '-t': 't',
+    '--unit-length': 'unitLength',
+    '--layer-count': 'layerCount',
+    '--rect': 'rect',
+    '--region': 'region',
+    '--region-mode': 'regionMode',
+    '--animate': 'order',
+    '--stage-duration': 'stageDuration',
+    '--rotation': 'rotation',
+    '--scale': 'scale',
+    '--format': 'format',
+    '--fill': 'fill',
+    '--stroke': 'stroke',
+    '--stroke-width': 'strokeWidth',
+    '--style-rules': 'styleRules',
+    '--motif': 'motif',
+    '--edge-profile': 'edgeProfile',
+    '--pen': 'pen',
+    '--velocity': 'velocity',
+    '--units': 'units',
+    '--feed-rate': 'feedRate',
+    '--plunge-rate': 'plungeRate',
+    '--z-up': 'zUp',
+    '--z-down': 'zDown',
+    '--dxf-layers': 'layers',
+    '--edge-length': 'edgeLength',
+    '-i': 'input',
+    '--input': 'input',
+    '-o': 'output',
+    '--output': 'output',
+};
+
+/** The options that are numbers. */
+var NUMBER_OPTIONS = ['m', 'k', 't', 'unitLength', 'layerCount', 'strokeWidth', 'rotation', 'scale', 'stageDuration',
+    'pen', 'velocity', 'feedRate', 'plungeRate', 'zUp', 'zDown', 'edgeLength'];
+
+/** The size, in characters, of the pieces a streamed document is written in. */
+var CHUNK_SIZE = 65536;
+
+/**
+ * The streaming writers, for the output formats that can be
+ * written one tile at a time, see `writeInChunks`.
+ */
+var STREAM_WRITERS = {
+    svg: function (MK, krinkle, options, write) { MK.krinkleToSVG(krinkle, options, write) },
+    json: function (MK, krinkle, options, write) { krinkle.writeJSON(write); write('\n') },
+};
+
+/** The writers for each output format. */
+var WRITERS = {
+    svg: function (MK, krinkle, options) { return MK.krinkleToSVG(krinkle, options) },
+    pdf: function (MK, krinkle, options) { return MK.krinkleToPDF(krinkle, options) },
+    json: function (MK, krinkle) { return MK.stringifyJSON(krinkle) + '\n' },
+    hpgl: function (MK, krinkle, options) { return MK.plotToHPGL(MK.getKrinklePlot(krinkle, options), options) },
+    gcode: function (MK, krinkle, options) { return MK.plotToGCode(MK.getKrinklePlot(krinkle, options), options) },
+    dxf: function (MK, krinkle, options) { return MK.krinkleToDXF(krinkle, options) },
+};
+
+try {
+    main(process.argv.slice(2));
+}
+
+catch (error) {
+    process.stderr.write('mk-tiling: ' + error.message + '\n');
+    process.exitCode = 1;
+}
+
+/**
+ * Generates the tiling and writes it.
+ * @param {Array<String>} args - the command line arguments.
+ */
+function main(args) {
+
+    var options = parseArguments(args);
+
+    if (options.help)
+        return process.stdout.write(USAGE + '\n');
+
+    var MK = loadMK();
+
+    if (options.edgeProfile)
+        options.edgeProfiles = getEdgeProfiles(MK, options.edgeProfile);
+
+    if (options.styleRules) {
+
+        var rules = MK.parseStyleRules(fs.readFileSync(options.styleRules, 'utf8'));
+
+        options.tileAttributes = function (tile) {
+            return { style: MK.getTileSVGStyle(rules, tile) };
+        };
+
+    }
+
+    var region = getRegion(options);
+
+    // a plain svg or json tiling is streamed, from a lazy krinkle, so that large tilings fit in memory
+    var streamed = (
+        STREAM_WRITERS.hasOwnProperty(options.format)
+        && !options.input
+        && !region
+        && !options.validate
+        && !options.frames
+        && !options.order
+        && !options.motif
+        && !options.plot
+        && !options.dual
+    );
+
+    var krinkle = options.input
+        ? MK.ModuloKrinkle.fromJSON(fs.readFileSync(options.input, 'utf8'))
+        : makeKrinkle(MK, options, streamed);
+
+    // the region and the output are both centered on the origin
+    options.transform = new MK.MKTransform({
+        rotation: options.rotation,
+        scale: options.scale,
+        mirror: options.mirror,
+    });
+
+    if (streamed)
+        return writeInChunks(function (write) { STREAM_WRITERS[options.format](MK, krinkle, options, write) }, options.output);
+
+    if (region)
+        krinkle.fitToRegion(region, options.regionMode, options.transform);
+
+    var output;
+
+    if (options.validate) {
+
+        var report = MK.validateTiling(krinkle);
+        output = JSON.stringify(report, undefined, 2) + '\n';
+
+        if (!report.valid)
+            process.exitCode = 1;
+
+    }
+
+    else if (options.frames)
+        return writeFrames(MK.krinkleToSVGFrames(krinkle, options), options.output);
+
+    else if (options.order)
+        output = MK.krinkleToAnimatedSVG(krinkle, options);
+
+    else if (options.motif)
+        output = MK.krinkleToMotifSVG(krinkle, options.motif.split('|'), options);
+
+    else if (options.plot && 'svg' === options.format)
+        output = MK.plotToSVG(MK.getKrinklePlot(krinkle, options), {
+            title: krinkle.toString(),
+            stroke: options.stroke,
+            strokeWidth: options.strokeWidth,
+            showTravel: options.showTravel,
+        });
+
+    else if (options.dual)
+        output = 'json' === options.format
+            ? MK.stringifyJSON(krinkle.dualToJSON()) + '\n'
+            : MK.krinkleToDualSVG(krinkle, options);
+
+    else
+        output = WRITERS[options.format](MK, krinkle, options);
+
+    var encoding = ('pdf' === options.format && !options.validate) ? 'latin1' : 'utf8';
+
+    if (!options.output)
+        return process.stdout.write(output, encoding);
+
+    fs.writeFileSync(options.output, output, encoding);
+
+};
+
+/**
+ * Writes the document that `writeDocument` passes to its
+ * `write` function, in pieces of about CHUNK_SIZE, to the
+ * output file, or to stdout, so the whole document is
+ * never in memory at once.
+ * @param {Function} writeDocument - function(write) that writes the document.
+ * @param {String} [output] - the output file (default: stdout).
+ */
+function writeInChunks(writeDocument, output) {
+
+    var fd = output ? fs.openSync(output, 'w') : undefined,
+        chunks = [],
+        size = 0;
+
+    try {
+
+        writeDocument(function (chunk) {
+
+            chunks.push(chunk);
+            size += chunk.length;
+
+            if (size >= CHUNK_SIZE)
+                flush();
+
+        });
+
+        flush();
+
+    }
+
+    finally {
+
+        if (undefined !== fd)
+            fs.closeSync(fd);
+
+    }
+
+    /** writes the waiting chunks */
+    function flush() {
+
+        var text = chunks.join('');
+
+        chunks = [];
+        size = 0;
+
+        if (undefined === fd)
+            process.stdout.write(text, 'utf8');
+        else
+            fs.writeSync(fd, text, undefined, 'utf8');
+
+    };
+
+};
+
+/**
+ * Returns a new krinkle from the options, after writing
+ * any warnings about its parameters to stderr.
+ * @param {Object} MK - the loaded Lib files.
+ * @param {Object} options - the parsed options.
+ * @param {Boolean} [lazy] - whether to make a lazy krinkle, whose tiles are made as they are visited (default: false).
+ * @returns {ModuloKrinkle}
+ */
+function makeKrinkle(MK, options, lazy) {
+
+    var validation = MK.ModuloKrinkle.validateParams({
+        m: undefined == options.m ? 2 : options.m,
+        k: undefined == options.k ? 5 : options.k,
+        t: options.t,
+        offset: options.offset,
+        unitLength: options.unitLength,
+        layerCount: undefined == options.layerCount ? 5 : options.layerCount,
+    });
+
+    if (!validation.valid)
+        throw new Error(validation.errors[0].message + ' (' + validation.errors[0].code + ')');
+
+    for (var i = 0; i < validation.warnings.length; i++)
+        process.stderr.write('mk-tiling: warning: ' + validation.warnings[i].message + '\n');
+
+    var p = validation.params;
+
+    return new MK.ModuloKrinkle(p.m, p.k, p.t, p.offset, p.unitLength, p.layerCount, lazy);
+
+};
+
+/**
+ * Returns the options parsed from the command line arguments.
+ * @param {Array<String>} args - the command line arguments.
+ * @returns {Object}
+ */
+function parseArguments(args) {
+
+    var options = {};
+
+    for (var i = 0; i < args.length; i++) {
+
+        var arg = args[i],
+            value = undefined;
+
+        // allow --option=value
+        var match = arg.match(/^(--[^=]+)=(.*)$/);
+        if (match) {
+            arg = match[1];
+            value = match[2];
+        }
+
+        if ('-h' === arg || '--help' === arg)
+            options.help = true;
+
+        else if ('--offset' === arg)
+            options.offset = true;
+
+        else if ('--validate' === arg)
+            options.validate = true;
+
+        else if ('--mirror' === arg)
+            options.mirror = true;
+
+        else if ('--loop' === arg)
+            options.loop = true;
+
+        else if ('--frames' === arg)
+            options.frames = true;
+
+        else if ('--show-tiles' === arg)
+            options.showTiles = true;
+
+        else if ('--dual' === arg)
+            options.dual = true;
+
+        else if ('--show-vertices' === arg)
+            options.showVertices = true;
+
+        else if ('--plot' === arg)
+            options.plot = true;
+
+        else if ('--show-travel' === arg)
+            options.showTravel = true;
+
+        else if ('--cross-weave' === arg)
+            options.crossWeave = true;
+
+        else if (VALUE_OPTIONS.hasOwnProperty(arg)) {
+
+            if (undefined == value)
+                value = args[++i];
+
+            if (undefined == value)
+                throw new Error('missing value for ' + arg + '.');
+
+            options[VALUE_OPTIONS[arg]] = value;
+
+        }
+
+        else
+            throw new Error('unknown option ' + arg + '. Use --help to see the options.');
+
+    }
+
+    for (var i = 0; i < NUMBER_OPTIONS.length; i++) {
+
+        var key = NUMBER_OPTIONS[i];
+
+        if (undefined == options[key])
+            continue;
+
+        options[key] = Number(options[key]);
+
+        if (isNaN(options[key]))
+            throw new Error('bad number supplied for ' + key + '.');
+
+    }
+
+    if (!options.format)
+        options.format = options.output
+            ? path.extname(options.output).slice(1).toLowerCase()
+            : 'svg';
+
+    if (!WRITERS.hasOwnProperty(options.format))
+        throw new Error('unsupported format "' + options.format + '". Use svg, json, pdf, dxf, hpgl or gcode.');
+
+    if (
+        options.order
+        && -1 === ['layers', 'sectors', 'wedges'].indexOf(options.order)
+    )
+        throw new Error('unsupported --animate order "' + options.order + '". Use layers, sectors or wedges.');
+
+    if (
+        options.order
+        && 'svg' !== options.format
+    )
+        throw new Error('--animate only writes svg.');
+
+    if (
+        options.frames
+        && (!options.order || !options.output)
+    )
+        throw new Error('--frames needs --animate and --output.');
+
+    if (
+        options.motif
+        && ('svg' !== options.format || options.order)
+    )
+        throw new Error('--motif only writes svg, and can\'t be animated.');
+
+    if (
+        options.dual
+        && ('pdf' === options.format || options.order || options.motif)
+    )
+        throw new Error('--dual only writes svg or json, and can\'t be animated or have motifs.');
+
+    if (
+        options.edgeProfile
+        && ('json' === options.format || options.validate || options.motif || options.dual)
+    )
+        throw new Error('--edge-profile only writes svg or pdf of the tiles.');
+
+    if (
+        options.styleRules
+        && ('svg' !== options.format || options.validate || options.motif || options.dual || options.plot)
+    )
+        throw new Error('--style-rules only writes svg of the tiles.');
+
+    if (
+        'dxf' === options.format
+        && (options.order || options.motif || options.dual || options.edgeProfile || options.plot)
+    )
+        throw new Error('dxf only writes the tiles, and can\'t be animated, or have motifs or curved edges.');
+
+    if (
+        (options.layers || options.edgeLength)
+        && 'dxf' !== options.format
+    )
+        throw new Error('--dxf-layers and --edge-length only apply to dxf.');
+
+    if (
+        options.layers
+        && -1 === ['tile-type', 'sector', 'sector-and-tile-type'].indexOf(options.layers)
+    )
+        throw new Error('unsupported --dxf-layers "' + options.layers + '". Use tile-type, sector or sector-and-tile-type.');
+
+    var plotting = options.plot || 'hpgl' === options.format || 'gcode' === options.format;
+
+    if (
+        plotting
+        && ('json' === options.format || 'pdf' === options.format || options.order || options.motif || options.dual || options.edgeProfile)
+    )
+        throw new Error('--plot, hpgl and gcode only write the tiles\' edges, as svg, hpgl or gcode.');
+
+    if (
+        options.crossWeave
+        && !plotting
+    )
+        throw new Error('--cross-weave needs --plot, hpgl or gcode.');
+
+    if (
+        options.units
+        && 'dxf' === options.format
+        && -1 === ['mm', 'cm', 'm', 'in', 'ft'].indexOf(options.units)
+    )
+        throw new Error('unsupported --units "' + options.units + '". Use mm, cm, m, in or ft.');
+
+    if (
+        options.units
+        && 'dxf' !== options.format
+        && -1 === ['mm', 'in'].indexOf(options.units)
+    )
+        throw new Error('unsupported --units "' + options.units + '". Use mm or in.');
+
+    return options;
+
+};
+
+/**
+ * Returns the edge profiles from the --edge-profile option,
+ * where each profile is the name of an MKEdgeProfile, eg.
+ * s-curve, or SVG path data.
+ * @param {Object} MK - the loaded Lib files.
+ * @param {String} str - the profiles, separated by |.
+ * @returns {Array<String>} - the profiles' path data.
+ */
+function getEdgeProfiles(MK, str) {
+
+    return str.split('|').map(function (profile) {
+
+        var name = profile.trim().toUpperCase().replace(/-/g, '_');
+
+        return MK.MKEdgeProfile.hasOwnProperty(name)
+            ? MK.MKEdgeProfile[name]
+            : profile;
+
+    });
+
+};
+
+/**
+ * Writes each frame to a numbered file, named after `output`,
+ * eg. "growth.svg" becomes "growth-001.svg", "growth-002.svg" ...
+ * @param {Array<String>} frames - the SVG documents.
+ * @param {String} output - the output file.
+ */
+function writeFrames(frames, output) {
+
+    var extension = path.extname(output),
+        base = output.slice(0, output.length - extension.length),
+        digits = Math.max(3, String(frames.length).length);
+
+    for (var i = 0; i < frames.length; i++)
+        fs.writeFileSync(base + '-' + ('000000000' + (i + 1)).slice(-digits) + extension, frames[i], 'utf8');
+
+};
+
+/**
+ * Returns the region to fill, from the --rect or --region
+ * options, or undefined if neither was supplied.
+ * @param {Object} options - the parsed options.
+ * @returns {Array<point>|undefined}
+ */
+function getRegion(options) {
+
+    if (options.rect) {
+
+        var size = options.rect.match(/^([\d.]+)x([\d.]+)$/);
+
+        if (!size)
+            throw new Error('bad --rect supplied. Use <width>x<height>, eg. 600x400.');
+
+        var width = Number(size[1]),
+            height = Number(size[2]);
+
+        return [[-width / 2, -height / 2], [width / 2, -height / 2], [width / 2, height / 2], [-width / 2, height / 2]];
+
+    }
+
+    if (options.region) {
+
+        var pairs = options.region.trim().split(/\s+/),
+            points = [];
+
+        for (var i = 0; i < pairs.length; i++) {
+
+            var point = pairs[i].split(',').map(Number);
+
+            if (
+                2 !== point.length
+                || isNaN(point[0])
+                || isNaN(point[1])
+            )
+                throw new Error('bad --region point "' + pairs[i] + '". Use "x,y x,y x,y ...".');
+
+            points.push(point);
+
+        }
+
+        if (points.length < 3)
+            throw new Error('bad --region supplied. It needs at least three points.');
+
+        return points;
+
+    }
+
+};
\ No newline at end of file
@@ -0,0 +1,213 @@
+/**
+ * @file Draw Parameter Sheet.js
+ *
+ * Draws a grid of Modulo Krinkle tilings, one for each
+ * combination of the chosen ranges of m, k, t and offset,
+ * each on its own labelled artboard, or saves them all
+ * as a single SVG file.
+ *
+ * @version 2026-10-19
+ */
+//@include '../Lib/MK.js'
+//@include '../Lib/MK_Drawing.js'
+//@include '../Lib/MK_SVG.js'
+//@include '../Lib/MK_UI.js'
+//@include '../Lib/MK_Sheet.js'
+(function () {
+
+    var settings = {
+        m: '1-4',
+        k: '2-9',
+        t: '2',
+        offset: false,
+        both: false,
+        layerCount: 3,
+        cellSize: 200,
+        // 0: draw on artboards, 1: save as SVG
+        output: 0,
+    };
+
+    if (2 === parameterSheetUI(settings))
+        // user cancelled
+        return;
+
+    var combinations = getParameterCombinations({
+        m: parseRange(settings.m),
+        k: parseRange(settings.k),
+        t: parseRange(settings.t),
+        offset: settings.both ? [false, true] : settings.offset,
+    });
+
+    if (0 === combinations.length)
+        return alert('There are no valid combinations of those parameters.');
+
+    if (1 === settings.output) {
+
+        var svgFile = File.saveDialog('Save the parameter sheet as SVG', '*.svg');
+
+        if (!svgFile)
+            return;
+
+        var cells = getSheetCells(combinations, { cellSize: settings.cellSize, layerCount: settings.layerCount });
+
+        svgFile.encoding = 'UTF-8';
+        svgFile.open('w');
+        svgFile.write(sheetToSVG(cells));
+        svgFile.close();
+
+        return;
+
+    }
+
+    if (0 === app.documents.length)
+        return alert('Please open a document and try again.');
+
+    var doc = app.activeDocument;
+    var layer = doc.activeLayer;
+
+    if (layer.locked)
+        return alert('Please unlock the layer and try again.');
+
+    if (!layer.visible)
+        return alert('Please unhide the layer and try again.');
+
+    // Illustrator allows at most 1000 artboards
+    if (doc.artboards.length + combinations.length > 1000)
+        return alert('That would make ' + combinations.length + ' artboards, which is too many. Please use smaller ranges.');
+
+    // start the grid to the right of the existing artboards
+    var right = -Infinity;
+
+    for (var i = 0; i < doc.artboards.length; i++)
+        right = Math.max(right, doc.artboards[i].artboardRect[2]);
+
+    var cells = getSheetCells(combinations, {
+        cellSize: settings.cellSize,
+        layerCount: settings.layerCount,
+        origin: [right + 100, doc.artboards[doc.artboards.getActiveArtboardIndex()].artboardRect[1]],
+    });
+
+    for (var i = 0; i < cells.length; i++) {
+
+        var cell = cells[i];
+
+        doc.artboards.add(cell.rect).name = cell.label;
+
+        var group = layer.groupItems.add();
+        group.name = cell.label;
+
+        cell.krinkle.draw(group, cell.transform);
+
+        var label = group.textFrames.add();
+        label.contents = cell.label;
+        label.textRange.characterAttributes.size = 10;
+        label.textRange.paragraphAttributes.justification = Justification.CENTER;
+        // the anchor is on the baseline, so lower it to center the 10pt text
+        label.anchor = [cell.labelPoint[0], cell.labelPoint[1] - 3.5];
+
+    }
+
+})();
+
+/**
+ * Shows the parameter sheet dialog.
+ * @param {Object} settings - the settings to show, and to update.
+ * @returns {1|2} - the result code (1 means proceed, 2 means cancel).
+ */
+function parameterSheetUI(settings) {
+
+    var w = new Window("dialog", 'Modulo Krinkle Parameter Sheet', undefined, { closeButton: false }),
+
+        rangesGroup = w.add('panel {text:"Ranges, eg. 2-9", orientation:"column", alignment:["fill","top"], alignChildren:["right","top"], margins:[10,15,10,10] }'),
+        mGroup = rangesGroup.add('group {orientation:"row" }'),
+        mLabel = mGroup.add('staticText {text:"m"}'),
+        mField = mGroup.add('edittext {text:"", characters: 8}'),
+        kGroup = rangesGroup.add('group {orientation:"row" }'),
+        kLabel = kGroup.add('staticText {text:"k"}'),
+        kField = kGroup.add('edittext {text:"", characters: 8}'),
+        tGroup = rangesGroup.add('group {orientation:"row" }'),
+        tLabel = tGroup.add('staticText {text:"t"}'),
+        tField = tGroup.add('edittext {text:"", characters: 8}'),
+
+        offsetGroup = w.add('group {orientation:"column", alignment:["fill","top"], alignChildren:["left","top"] }'),
+        offsetCheckbox = offsetGroup.add('checkbox {text:"Offset"}'),
+        bothCheckbox = offsetGroup.add('checkbox {text:"Both offset and not offset"}'),
+
+        sizeGroup = w.add('group {orientation:"row", alignment:["fill","top"] }'),
+        lLabel = sizeGroup.add('staticText {text:"Layer Count"}'),
+        layersField = sizeGroup.add('edittext {text:"", characters: 4}'),
+        cLabel = sizeGroup.add('staticText {text:"Cell Size"}'),
+        cellSizeField = sizeGroup.add('edittext {text:"", characters: 6}'),
+
+        outputGroup = w.add('panel {text:"Output", orientation:"column", alignment:["fill","top"], alignChildren:["fill","top"], margins:[10,15,10,10] }'),
+        artboardsRadio = outputGroup.add('radiobutton {text:"Draw on artboards"}'),
+        svgRadio = outputGroup.add('radiobutton {text:"Save as SVG"}'),
+
+        buttonGroup = w.add('group {orientation:"row", alignment:["fill","bottom"], alignChildren: ["right","bottom"], margins: [0,15,0,0] }'),
+        cancelButton = buttonGroup.add('button', undefined, 'Cancel', { name: 'cancel' }),
+        drawButton = buttonGroup.add('button', undefined, 'Draw', { name: 'ok' });
+
+    mField.text = settings.m;
+    kField.text = settings.k;
+    tField.text = settings.t;
+    offsetCheckbox.value = settings.offset;
+    bothCheckbox.value = settings.both;
+    layersField.text = String(settings.layerCount);
+    cellSizeField.text = settings.cellSize + 'pt';
+    outputGroup.children[settings.output].value = true;
+
+    // can't draw without a document
+    artboardsRadio.enabled = app.documents.length > 0;
+
+    if (!artboardsRadio.enabled)
+        svgRadio.value = true;
+
+    offsetCheckbox.enabled = !bothCheckbox.value;
+    bothCheckbox.onClick = function () { offsetCheckbox.enabled = !bothCheckbox.value };
+    drawButton.onClick = close;
+
+    w.center();
+    return w.show();
+
+    function close() {
+
+        var ranges = [mField.text, kField.text, tField.text];
+
+        for (var i = 0; i < ranges.length; i++)
+            if (!parseRange(ranges[i]))
+                return alert('Please enter a number, eg. 3, or a range, eg. 2-9.');
+
+        settings.m = mField.text;
+        settings.k = kField.text;
+        settings.t = tField.text;
+        settings.offset = offsetCheckbox.value;
+        settings.both = bothCheckbox.value;
+        settings.layerCount = Math.max(1, Math.round(Number(layersField.text)) || settings.layerCount);
+        settings.cellSize = getUnitStringAsPoints(cellSizeField.text) || settings.cellSize;
+        settings.output = svgRadio.value ? 1 : 0;
+
+        w.close(1);
+
+    };
+
+};
+
+/**
+ * Returns the range [min, max] parsed from `str`, eg. '2-9',
+ * or a number, eg. '3', or undefined if it can't be parsed.
+ * @param {String} str - the range string.
+ * @returns {Array<Number>|Number|undefined}
+ */
+function parseRange(str) {
+
+    var match = String(str).match(/^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/);
+
+    if (!match)
+        return;
+
+    if (!match[2])
+        return Number(match[1]);
+
+    return [Number(match[1]), Number(match[2])];
+
+};
\ No newline at end of file
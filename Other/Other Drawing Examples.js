@@ -9,6 +9,14 @@
 //@include '../Lib/MK.js'
 //@include '../Lib/MK_Drawing.js'
 //@include '../Lib/MK_UI.js'
+//@include '../Lib/MK_SVG.js'
+//@include '../Lib/MK_JSON.js'
+//@include '../Lib/MK_Styles.js'
+//@include '../Lib/MK_Fields.js'
+//@include '../Lib/MK_Animation.js'
+//@include '../Lib/MK_Motifs.js'
+//@include '../Lib/MK_Plot.js'
+//@include '../Lib/MK_DXF.js'
 (function () {
 
     var doc = app.activeDocument;
@@ -88,6 +96,117 @@
             krinkle.draw(layer, center, drawByCrossWeave(true, true, true));
             break;
 
+        case 11: // don't draw, but save the tiling as an SVG file
+            var svgFile = File.saveDialog('Save the tiling as SVG', '*.svg');
+            if (!svgFile)
+                return;
+            svgFile.encoding = 'UTF-8';
+            svgFile.open('w');
+            svgFile.write(krinkleToSVG(krinkle, { fill: '#ffd700' }));
+            svgFile.close();
+            break;
+
+        case 12: // draw a tiling that was saved as JSON, eg. by Node/mk-tiling.js
+            var jsonFile = File.openDialog('Choose a tiling JSON file', '*.json');
+            if (!jsonFile)
+                return;
+            jsonFile.encoding = 'UTF-8';
+            jsonFile.open('r');
+            var json = jsonFile.read();
+            jsonFile.close();
+            ModuloKrinkle.fromJSON(json).draw(layer, center);
+            break;
+
+        case 13: // color the tiles so that no neighbouring tiles have the same color
+            krinkle.draw(layer, center, drawWithGraphColors([
+                makeColor([255, 215, 0]),
+                makeColor([255, 255, 153]),
+                makeColor([50, 178, 178]),
+                makeColor([230, 90, 60]),
+            ]));
+            break;
+
+        case 14: // draw the tiling turned 15°, half size and mirrored, using a symbol
+            var transform = new MKTransform({ translation: center, rotation: 15, scale: 0.5, mirror: true });
+            krinkle.draw(layer, transform, drawBySymbol(doc, undefined, false));
+            break;
+
+        case 15: // don't draw, but save the tiling growing layer by layer, as an animated SVG file
+            var animationFile = File.saveDialog('Save the animated tiling as SVG', '*.svg');
+            if (!animationFile)
+                return;
+            animationFile.encoding = 'UTF-8';
+            animationFile.open('w');
+            animationFile.write(krinkleToAnimatedSVG(krinkle, { order: MKAnimationOrder.LAYERS, loop: true, fill: '#ffd700' }));
+            animationFile.close();
+            break;
+
+        case 16: // draw strapwork: a curve along every edge, bulging alternately by direction
+            krinkle.draw(layer, center, drawByEdgeMotif(krinkle, [
+                'M0 0 C0.3 0.25 0.7 0.25 1 0',
+                'M0 0 C0.3 -0.25 0.7 -0.25 1 0',
+            ]));
+            break;
+
+        case 17: // draw the dual tiling, then a dot at each vertex, colored by its configuration
+            krinkle.draw(layer, center, drawDual(1.5));
+            krinkle.draw(layer, center, drawVertexConfigurations([
+                makeColor([230, 90, 60]),
+                makeColor([50, 178, 178]),
+                makeColor([255, 215, 0]),
+                makeColor([120, 80, 160]),
+            ]));
+            break;
+
+        case 18: // draw the tiles with curved edges, which still fit together
+            krinkle.draw(layer, center, drawWithCurvedEdges(MKEdgeProfile.S_CURVE, {
+                filled: true,
+                fillColor: makeColor([255, 215, 0]),
+                stroked: true,
+                strokeWidth: 0.5,
+                strokeColor: makeColor([100]),
+            }));
+            break;
+
+        case 19: // draw the tiles with a 2pt gap between them and rounded corners, as cut paths for a laser cutter
+            krinkle.draw(layer, center, drawInset(2, { cornerRadius: 1.5, cutPaths: true }));
+            break;
+
+        case 20: // draw each edge once, chained into long paths, eg. for a plotter or cutter
+            drawPlot(layer, getKrinklePlot(krinkle, { transform: new MKTransform({ translation: center }) }));
+            break;
+
+        case 21: // don't draw, but save the outlines and crossweave lines as G-code, for a plotter with a Z axis
+            var gcodeFile = File.saveDialog('Save the tiling as G-code', '*.gcode');
+            if (!gcodeFile)
+                return;
+            gcodeFile.open('w');
+            gcodeFile.write(plotToGCode(getKrinklePlot(krinkle, { crossWeave: true }), { feedRate: 1500, zDown: -0.5, title: krinkle.toString() }));
+            gcodeFile.close();
+            break;
+
+        case 22: // don't draw, but save the tiling as a DXF file for CAD, with 150 mm edges and a layer for each tile type in each sector
+            var dxfFile = File.saveDialog('Save the tiling as DXF', '*.dxf');
+            if (!dxfFile)
+                return;
+            dxfFile.open('w');
+            dxfFile.write(krinkleToDXF(krinkle, { layers: MKDXFLayers.SECTOR_AND_TILE_TYPE, units: 'mm', edgeLength: 150 }));
+            dxfFile.close();
+            break;
+
+        case 23: // style the tiles by rules: white tiles, but the CENTER tiles of even layers gold, and the base tiles multiplied
+            krinkle.draw(layer, center, drawWithStyleRules(doc, parseStyleRules([
+                { style: { fill: [255, 255, 255], stroke: [0, 0, 0], strokeWidth: 0.5 } },
+                { match: { tileType: 'CENTER', parity: 'even' }, style: { fill: '#ffd700' } },
+                { match: { tileType: 'BASE' }, style: { fill: [50, 178, 178], opacity: 80, blendMode: 'multiply' } },
+            ])));
+            break;
+
+        case 24: // color the tiles by noise, in 6 steps from yellow to blue; or, with the second line, by angle, along a gradient of the selected swatches
+            krinkle.draw(layer, center, drawWithFieldColors(MKField.NOISE, { hues: { startHue: 60, endHue: 240 }, steps: 6, seed: 3 }));
+            // krinkle.draw(layer, center, drawWithFieldColors(MKField.ANGLE, { gradient: doc.swatches.getSelected() }));
+            break;
+
         default:
             break;
     }
@@ -0,0 +1,1014 @@
+/**
+ * @file MK.test.js
+ *
+ * Tests of the ModuloKrinkle geometry in Lib/MK.js, loaded
+ * as-is, as Illustrator would load it.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var fixtures = require('./fixtures.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test,
+    assertClose = harness.assertClose,
+    assertPointsClose = harness.assertPointsClose;
+
+var MK = loadMK(['MK.js', 'MK_Validate.js']);
+
+/** Tilings to check: [m, k, t, offset, layerCount]. */
+var CASES = [
+    [1, 2, 2, false, 4],
+    [2, 5, 2, false, 4],
+    [3, 7, 2, false, 3],
+    [3, 7, 3, false, 3],
+    [1, 3, 4, false, 3],
+    [2, 5, 2, true, 4],
+    [3, 7, 2, true, 3],
+];
+
+/**
+ * Returns a new krinkle for a case.
+ * @param {Array} c - the case [m, k, t, offset, layerCount].
+ * @param {Boolean} [lazy] - whether the krinkle is lazy (default: false).
+ * @returns {ModuloKrinkle}
+ */
+function makeKrinkle(c, lazy) {
+
+    return new MK.ModuloKrinkle(c[0], c[1], c[2], c[3], 10, c[4], lazy);
+
+};
+
+/**
+ * Returns a copy of `value`, made in this context. Arrays
+ * made in the Lib files' context have their own prototype,
+ * so `assert.deepStrictEqual` needs copies to compare them.
+ * @param {*} value - the value, which must survive JSON.
+ * @returns {*}
+ */
+function copy(value) {
+
+    return JSON.parse(JSON.stringify(value));
+
+};
+
+/**
+ * Returns a label for a case, eg. "2-5-2 offset".
+ * @param {Array} c - the case [m, k, t, offset, layerCount].
+ * @returns {String}
+ */
+function getCaseLabel(c) {
+
+    return c.slice(0, 3).join('-') + (c[3] ? ' offset' : '');
+
+};
+
+test('greatestCommonDivisor', function () {
+
+    assert.strictEqual(MK.greatestCommonDivisor(4, 10), 2);
+    assert.strictEqual(MK.greatestCommonDivisor(10, 4), 2);
+    assert.strictEqual(MK.greatestCommonDivisor(7, 17), 1);
+    assert.strictEqual(MK.greatestCommonDivisor(-6, 9), 3);
+    assert.strictEqual(MK.greatestCommonDivisor(5, 0), 5);
+
+});
+
+test('m and k are reduced by their greatest common divisor', function () {
+
+    var reduced = new MK.ModuloKrinkle(4, 10, 2, false, 10, 2),
+        plain = new MK.ModuloKrinkle(2, 5, 2, false, 10, 2);
+
+    assert.strictEqual(reduced.m, 2);
+    assert.strictEqual(reduced.k, 5);
+    assert.strictEqual(reduced.n, plain.n);
+    assert.deepStrictEqual(copy(reduced.directions), copy(plain.directions));
+    assertPointsClose(reduced.prototile, plain.prototile);
+
+});
+
+test('bad parameters throw', function () {
+
+    assert.throws(function () { new MK.ModuloKrinkle(-1, 5, 2) }, /^Error: Krinkle: `m` must be a whole number of 1 or more, but is -1\.$/);
+    assert.throws(function () { new MK.ModuloKrinkle(6, 5, 2) }, /`m` must be less than `k`/);
+    assert.throws(function () { new MK.ModuloKrinkle(5, 5, 2) }, /`m` must be less than `k`/);
+    assert.throws(function () { new MK.ModuloKrinkle(2, 5, 1) }, /`t` must be a whole number of 2 or more/);
+
+});
+
+test('n is tk, or 2(tk - m) when offset', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var c = CASES[i],
+            krinkle = makeKrinkle(c),
+            expected = c[3] ? 2 * (c[2] * c[1] - c[0]) : c[2] * c[1];
+
+        assert.strictEqual(krinkle.n, expected, getCaseLabel(c));
+        assertClose(krinkle.angle, 2 * Math.PI / expected, 1e-12, getCaseLabel(c));
+        assert.strictEqual(krinkle.unitVectors.length, expected, getCaseLabel(c));
+
+    }
+
+});
+
+test('the directions of 2-5', function () {
+
+    // lower half: 2j mod 5, then 5; upper half: the same reversed, with its first and last swapped
+    assert.deepStrictEqual(
+        copy(new MK.ModuloKrinkle(2, 5, 2, false, 10, 1).directions),
+        [0, 2, 4, 1, 3, 5, 0, 3, 1, 4, 2, 5]
+    );
+
+});
+
+test('the directions have a swapped upper half', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var krinkle = makeKrinkle(CASES[i]),
+            d = copy(krinkle.directions),
+            k = krinkle.k,
+            label = getCaseLabel(CASES[i]);
+
+        assert.strictEqual(d.length, 2 * k + 2, label);
+
+        // the lower half visits every direction below k once
+        assert.deepStrictEqual(d.slice(0, k).slice().sort(function (a, b) { return a - b }), d.slice(0, k).map(function (_, j) { return j }), label);
+
+        for (var j = 0; j < k; j++)
+            assert.strictEqual(d[j], (krinkle.m * j) % k, label);
+
+        assert.strictEqual(d[k], k, label);
+
+        // the first and last of the upper half are swapped
+        assert.strictEqual(d[k + 1], d[0], label);
+        assert.strictEqual(d[2 * k + 1], k, label);
+
+        // and the rest mirror the lower half
+        for (var j = 1; j < k; j++)
+            assert.strictEqual(d[k + 1 + j], d[k - j], label);
+
+    }
+
+});
+
+test('the prototile closes, with unit edges', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var krinkle = makeKrinkle(CASES[i]),
+            points = krinkle.prototile,
+            label = getCaseLabel(CASES[i]);
+
+        assert.strictEqual(points.length, 2 * krinkle.k + 2, label);
+        assertPointsClose([points[0]], [[0, 0]], 1e-12, label);
+
+        for (var j = 0; j < points.length; j++) {
+
+            var a = points[j],
+                b = points[(j + 1) % points.length];
+
+            // including the closing edge, from the last point to the first
+            assertClose(Math.sqrt(Math.pow(b[0] - a[0], 2) + Math.pow(b[1] - a[1], 2)), krinkle.unitLength, 1e-9, label + ' edge ' + j);
+
+        }
+
+    }
+
+});
+
+test('every tile closes, with unit edges', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var krinkle = makeKrinkle(CASES[i]),
+            label = getCaseLabel(CASES[i]);
+
+        krinkle.forEachTile(function (tile) {
+
+            assert.strictEqual(tile.points.length, krinkle.prototile.length, label);
+
+            for (var j = 0; j < tile.points.length; j++) {
+
+                var a = tile.points[j],
+                    b = tile.points[(j + 1) % tile.points.length];
+
+                assertClose(Math.sqrt(Math.pow(b[0] - a[0], 2) + Math.pow(b[1] - a[1], 2)), krinkle.unitLength, 1e-9, label + ' ' + tile.toString(true) + ' edge ' + j);
+
+            }
+
+        });
+
+    }
+
+});
+
+test('every tile has the prototile\'s area', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var krinkle = makeKrinkle(CASES[i]),
+            area = MK.getPolygonArea(krinkle.prototile),
+            label = getCaseLabel(CASES[i]);
+
+        assert.ok(0 !== area, label);
+
+        krinkle.forEachTile(function (tile) {
+            // rotating and translating keep the sign, too
+            assertClose(MK.getPolygonArea(tile.points), area, 1e-6, label + ' ' + tile.toString(true));
+        });
+
+    }
+
+});
+
+test('the tile count of each layer', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var c = CASES[i],
+            krinkle = makeKrinkle(c),
+            wedgesCount = c[3] ? c[2] * c[1] - c[0] : c[1],
+            counts = [];
+
+        krinkle.forEachTile(function (tile) {
+            counts[tile.layerIndex] = (counts[tile.layerIndex] || 0) + 1;
+        });
+
+        assert.strictEqual(counts.length, c[4], getCaseLabel(c));
+
+        // each wedge has one more tile in each layer, and there are t sectors of wedges
+        for (var layer = 0; layer < c[4]; layer++)
+            assert.strictEqual(counts[layer], c[2] * wedgesCount * (layer + 1), getCaseLabel(c) + ' layer ' + layer);
+
+    }
+
+});
+
+test('the tilings have no gaps or overlaps', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var report = MK.validateTiling(makeKrinkle(CASES[i]));
+
+        assert.ok(report.valid, getCaseLabel(CASES[i]) + ': ' + (report.problems.length ? report.problems[0].message : ''));
+
+    }
+
+});
+
+test('validateTiling finds the gaps, overlaps and bad tiles in a broken tiling', function () {
+
+    /** Returns a krinkle whose tiles are changed by `change`, and the name of its tile 12, inside the tiling. */
+    function breakTiling(change) {
+
+        var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+            tiles = krinkle.getTiles(),
+            name = tiles[12].toString(true);
+
+        change(tiles, tiles[12]);
+
+        krinkle.getTiles = function () { return tiles };
+
+        return { report: MK.validateTiling(krinkle), name: name };
+
+    };
+
+    /** Returns a copy of `tile` with other points. */
+    function withPoints(tile, points) {
+
+        var copy = Object.create(tile);
+        copy.points = points;
+
+        return copy;
+
+    };
+
+    /** Returns the report's problem counts, leaving out the zeros. */
+    function getCounts(report) {
+
+        var counts = {};
+
+        for (var code in report.problemCounts)
+            if (report.problemCounts[code] > 0)
+                counts[code] = report.problemCounts[code];
+
+        return counts;
+
+    };
+
+    // a missing tile leaves a gap, bordered by its 12 neighbouring edges
+    var broken = breakTiling(function (tiles) { tiles.splice(12, 1) });
+
+    assert.strictEqual(broken.report.valid, false);
+    assert.deepStrictEqual(getCounts(broken.report), { GAP: 1 });
+    assert.strictEqual(broken.report.problems[0].points.length, 12);
+
+    // a tile moved a little overlaps its neighbours, and leaves a gap behind
+    broken = breakTiling(function (tiles, tile) {
+        tiles[12] = withPoints(tile, tile.points.map(function (p) { return [p[0] + 3, p[1] + 2] }));
+    });
+
+    assert.deepStrictEqual(getCounts(broken.report), { OVERLAP: 4, GAP: 1 });
+
+    broken.report.problems.slice(1).forEach(function (problem) {
+        assert.strictEqual(problem.code, MK.MKProblemCode.OVERLAP);
+        assert.ok(-1 !== problem.tiles.indexOf(broken.name), problem.message);
+    });
+
+    // a tile drawn twice: its edges cross nothing, but each is used three times,
+    // or twice on the same side, and a point inside one copy is inside the other
+    broken = breakTiling(function (tiles, tile) { tiles.push(withPoints(tile, tile.points.slice())) });
+
+    assert.deepStrictEqual(getCounts(broken.report), { EDGE_OVERUSED: 12, OVERLAP: 1 });
+    assert.strictEqual(broken.report.problems[0].message, 'Edge is used 3 times.');
+    assert.strictEqual(broken.report.problems[12].message, 'Tiles ' + broken.name + ' and ' + broken.name + ' overlap.');
+
+    // a mirrored tile, and a tile the wrong size
+    broken = breakTiling(function (tiles, tile) { tiles[12] = withPoints(tile, tile.points.slice().reverse()) });
+
+    assert.strictEqual(broken.report.problemCounts.BAD_ORIENTATION, 1);
+    assert.strictEqual(broken.report.problems[0].message, 'Tile ' + broken.name + ' is a mirror image of the prototile.');
+
+    broken = breakTiling(function (tiles, tile) {
+        tiles[12] = withPoints(tile, tile.points.map(function (p) { return [p[0] * 1.1, p[1] * 1.1] }));
+    });
+
+    // all 2k + 2 edges are too long
+    assert.strictEqual(broken.report.problemCounts.BAD_EDGE_LENGTH, 12);
+    assert.strictEqual(broken.report.problemCounts.AREA_MISMATCH, 1);
+    assert.ok(broken.report.problemCounts.OVERLAP > 0);
+
+});
+
+test('validateTiling checks a tiling with many tiles at each point in seconds', function () {
+
+    // 500 tiles meet at the center, and every tile has 102 edges
+    var started = Date.now(),
+        report = MK.validateTiling(new MK.ModuloKrinkle(1, 50, 10, false, 10, 1));
+
+    assert.ok(report.valid);
+    assert.strictEqual(report.tileCount, 500);
+    assert.ok(Date.now() - started < 30000, (Date.now() - started) + ' ms');
+
+});
+
+test('the offset sectors turn a half turn around the middle of the base edge', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, true, 10, 2),
+        p = krinkle.prototile;
+
+    assertPointsClose([krinkle.sectorCenter], [[(p[0][0] + p[1][0]) / 2, (p[0][1] + p[1][1]) / 2]], 1e-12);
+
+    var sectors = [[], []];
+
+    krinkle.forEachTile(function (tile) {
+        sectors[tile.sectorIndex].push(tile);
+    });
+
+    assert.strictEqual(sectors[0].length, sectors[1].length);
+
+    for (var i = 0; i < sectors[0].length; i++) {
+
+        var c = krinkle.sectorCenter,
+            turned = sectors[0][i].points.map(function (point) { return [2 * c[0] - point[0], 2 * c[1] - point[1]] });
+
+        assertPointsClose(sectors[1][i].points, turned, 1e-9, sectors[1][i].toString(true));
+
+    }
+
+});
+
+test('the tilings without offset have t-fold rotational symmetry', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var c = CASES[i];
+
+        if (c[3])
+            continue;
+
+        var krinkle = makeKrinkle(c),
+            angle = 2 * Math.PI / c[2],
+            keys = {},
+            centroids = [];
+
+        krinkle.forEachTile(function (tile) {
+            var centroid = MK.getPolygonCentroid(tile.points);
+            keys[MK.getPointKey(centroid, 0.001)] = true;
+            centroids.push(centroid);
+        });
+
+        for (var j = 0; j < centroids.length; j++) {
+
+            var rotated = MK.rotateAroundOrigin(centroids[j], angle, [0, 0]);
+
+            assert.ok(keys[MK.getPointKey(rotated, 0.001)], getCaseLabel(c) + ' centroid ' + j);
+
+        }
+
+    }
+
+});
+
+test('lazy tilings have the same tiles', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var eager = makeKrinkle(CASES[i]).getTiles(),
+            lazy = makeKrinkle(CASES[i], true).getTiles();
+
+        assert.strictEqual(lazy.length, eager.length, getCaseLabel(CASES[i]));
+
+        for (var j = 0; j < eager.length; j++) {
+            assert.strictEqual(MK.getTileKey(lazy[j]), MK.getTileKey(eager[j]), getCaseLabel(CASES[i]));
+            assertPointsClose(lazy[j].points, eager[j].points, 1e-9, getCaseLabel(CASES[i]));
+        }
+
+    }
+
+});
+
+test('getLayerCountForRadius gives the fewest layers that cover the radius', function () {
+
+    // the radius covered by a tiling: its nearest edge with only one tile
+    function getCoveredRadius(c, layerCount) {
+
+        var edges = makeKrinkle([c[0], c[1], c[2], c[3], layerCount]).getEdges(),
+            covered = Infinity;
+
+        for (var i = 0; i < edges.length; i++)
+            if (1 === edges[i].uses.length)
+                covered = Math.min(covered, MK.getDistanceToPolygon([0, 0], [edges[i].start, edges[i].end]));
+
+        return covered;
+
+    };
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var c = CASES[i],
+            krinkle = makeKrinkle(c);
+
+        for (var radius = 5; radius <= 125; radius += 40) {
+
+            var layerCount = krinkle.getLayerCountForRadius(radius);
+
+            assert.ok(getCoveredRadius(c, layerCount) >= radius, getCaseLabel(c) + ' radius ' + radius);
+
+            if (layerCount > 1)
+                assert.ok(getCoveredRadius(c, layerCount - 1) < radius, getCaseLabel(c) + ' radius ' + radius);
+
+        }
+
+    }
+
+});
+
+test('fitToRegion covers the region, and rebuild forgets it', function () {
+
+    var region = [[-60, -25], [70, -25], [70, 45], [-60, 45]],
+        krinkle = makeKrinkle([2, 5, 2, false, 2]).fitToRegion(region, MK.MKRegionMode.CLIP),
+        tiles = krinkle.getTiles();
+
+    assertPointsClose(krinkle.clipRegion, region, 1e-9);
+
+    // every kept tile touches the region, and every point of the region is in a tile
+    for (var i = 0; i < tiles.length; i++)
+        assert.ok(MK.polygonsIntersect(tiles[i].points, region, 0.001), tiles[i].toString(true));
+
+    for (var x = -60; x <= 70; x += 5) {
+
+        for (var y = -25; y <= 45; y += 5) {
+
+            var inside = false;
+
+            for (var i = 0; !inside && i < tiles.length; i++)
+                inside = MK.isPointInPolygon([x, y], tiles[i].points) || MK.getDistanceToPolygon([x, y], tiles[i].points) < 0.001;
+
+            assert.ok(inside, '[' + x + ', ' + y + ']');
+
+        }
+
+    }
+
+    // only whole tiles inside the region
+    var inner = makeKrinkle([2, 5, 2, false, 2]).fitToRegion([-60, 45, 70, -25], MK.MKRegionMode.INSIDE);
+
+    assert.strictEqual(inner.clipRegion, undefined);
+    inner.forEachTile(function (tile) {
+        assert.ok(MK.isPolygonInsidePolygon(tile.points, region, 0.001), tile.toString(true));
+    });
+
+    // fitToRegion rebuilt it once
+    assert.strictEqual(krinkle.generation, 1);
+
+    krinkle.rebuild(3);
+
+    assert.strictEqual(krinkle.clipRegion, undefined);
+    assert.strictEqual(krinkle.getTiles().length, 2 * 5 * (1 + 2 + 3));
+    assert.strictEqual(krinkle.generation, 2);
+
+    assert.throws(function () { makeKrinkle([2, 5, 2, false, 2], true).fitToRegion(region) }, /lazy krinkle/);
+
+});
+
+/**
+ * Cases worked by hand, with pen and paper, from the
+ * construction in the paper (arXiv:2506.07638), at unit
+ * length 1. Unlike the regression fixtures, these are not
+ * recorded from this code.
+ */
+var HAND_WORKED = [
+    {
+        // two squares: the directions are quarter turns
+        params: [1, 2, 2, false],
+        n: 4,
+        directions: [0, 1, 2, 0, 1, 2],
+        prototile: [[0, 0], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]],
+        layerTileCounts: [4, 8, 12],
+    },
+    {
+        // a regular hexagon: n is 2(2 × 2 - 1) = 6, and 3 wedges in each of 2 sectors
+        params: [1, 2, 2, true],
+        n: 6,
+        directions: [0, 1, 2, 0, 1, 2],
+        prototile: [[0, 0], [1, 0], [1.5, Math.sqrt(3) / 2], [1, Math.sqrt(3)], [0, Math.sqrt(3)], [-0.5, Math.sqrt(3) / 2]],
+        layerTileCounts: [6, 12, 18],
+    },
+    {
+        // the lower half steps 0°, 72°, 144°, 36°, 108°, then 180°
+        params: [2, 5, 2, false],
+        n: 10,
+        directions: [0, 2, 4, 1, 3, 5, 0, 3, 1, 4, 2, 5],
+        prototile: (function () {
+            var s36 = Math.sin(Math.PI / 5),
+                s72 = Math.sin(2 * Math.PI / 5),
+                c36 = Math.cos(Math.PI / 5),
+                c72 = Math.cos(2 * Math.PI / 5),
+                top = 2 * s36 + 2 * s72;
+            return [
+                [0, 0], [1, 0], [1 + c72, s72], [1 + c72 - c36, s72 + s36], [1 + c72, s72 + 2 * s36], [1, top],
+                // the upper half comes back down the same steps, 2 units to the left
+                [0, top], [-1, top], [c72 - 1, s72 + 2 * s36], [c72 - c36 - 1, s72 + s36], [c72 - 1, s72], [-1, 0],
+            ];
+        })(),
+        layerTileCounts: [10, 20, 30],
+    },
+    {
+        // n is 2(2 × 5 - 2) = 16, and 8 wedges in each of 2 sectors
+        params: [2, 5, 2, true],
+        n: 16,
+        directions: [0, 2, 4, 1, 3, 5, 0, 3, 1, 4, 2, 5],
+        layerTileCounts: [16, 32, 48],
+    },
+    {
+        // three sectors of 3 wedges, each turned 120°
+        params: [1, 3, 3, false],
+        n: 9,
+        directions: [0, 1, 2, 3, 0, 2, 1, 3],
+        layerTileCounts: [9, 18, 27],
+    },
+];
+
+test('the tilings match the cases worked by hand', function () {
+
+    for (var i = 0; i < HAND_WORKED.length; i++) {
+
+        var c = HAND_WORKED[i],
+            label = getCaseLabel(c.params),
+            krinkle = new MK.ModuloKrinkle(c.params[0], c.params[1], c.params[2], c.params[3], 1, c.layerTileCounts.length),
+            counts = [];
+
+        assert.strictEqual(krinkle.n, c.n, label);
+        assert.deepStrictEqual(copy(krinkle.directions), c.directions, label);
+
+        if (c.prototile)
+            assertPointsClose(krinkle.prototile, c.prototile, 1e-9, label);
+
+        krinkle.forEachTile(function (tile) {
+            counts[tile.layerIndex] = (counts[tile.layerIndex] || 0) + 1;
+        });
+
+        assert.deepStrictEqual(counts, c.layerTileCounts, label);
+
+    }
+
+});
+
+test('the tilings match the regression fixtures', function () {
+
+    var recorded = fixtures.readFixtures(),
+        tolerance = Math.pow(10, -fixtures.DECIMALS);
+
+    assert.strictEqual(recorded.length, fixtures.FIXTURE_CASES.length, 'fixture count, run with --update-fixtures after changing the cases');
+
+    for (var i = 0; i < recorded.length; i++) {
+
+        var expected = recorded[i],
+            actual = fixtures.getFixture(MK, fixtures.FIXTURE_CASES[i]),
+            label = getCaseLabel(expected.params);
+
+        assert.deepStrictEqual(actual.params, expected.params, label);
+        assert.strictEqual(actual.m, expected.m, label);
+        assert.strictEqual(actual.k, expected.k, label);
+        assert.strictEqual(actual.n, expected.n, label);
+        assert.deepStrictEqual(copy(actual.directions), expected.directions, label);
+        assert.deepStrictEqual(actual.layerTileCounts, expected.layerTileCounts, label);
+        assertPointsClose(actual.prototile, expected.prototile, tolerance, label + ' prototile');
+        assertClose(actual.prototileArea, expected.prototileArea, tolerance, label + ' prototile area');
+
+        for (var j = 0; j < 4; j++)
+            assertClose(actual.bounds[j], expected.bounds[j], tolerance, label + ' bounds');
+
+    }
+
+});
+
+test('validateParams applies the defaults', function () {
+
+    var validation = MK.ModuloKrinkle.validateParams({ m: 2, k: 5, offset: 'yes' });
+
+    assert.strictEqual(validation.valid, true);
+    assert.deepStrictEqual(copy(validation.params), { m: 2, k: 5, t: 2, offset: false, unitLength: 10, layerCount: 3, lazy: false });
+    assert.strictEqual(validation.errors.length, 0);
+    assert.strictEqual(validation.warnings.length, 0);
+
+    // as does the constructor
+    var krinkle = new MK.ModuloKrinkle();
+
+    assert.deepStrictEqual(
+        [krinkle.m, krinkle.k, krinkle.t, krinkle.offset, krinkle.unitLength, krinkle.layerCount],
+        [3, 7, 2, false, 10, 3]
+    );
+
+});
+
+test('validateParams reports each bad parameter, with its code', function () {
+
+    var validation = MK.ModuloKrinkle.validateParams({ m: 1.5, k: 1, t: 0, unitLength: -1, layerCount: NaN }),
+        codes = validation.errors.map(function (error) { return error.code }),
+        params = validation.errors.map(function (error) { return error.param });
+
+    assert.strictEqual(validation.valid, false);
+    assert.deepStrictEqual(copy(codes), ['BAD_M', 'BAD_K', 'BAD_T', 'BAD_UNIT_LENGTH', 'BAD_LAYER_COUNT']);
+    assert.deepStrictEqual(copy(params), ['m', 'k', 't', 'unitLength', 'layerCount']);
+    assert.strictEqual(validation.errors[1].message, '`k` must be a whole number of 2 or more, but is 1.');
+
+    // the codes are the enum's values
+    for (var i = 0; i < codes.length; i++)
+        assert.strictEqual(MK.MKParamCode[codes[i]], codes[i]);
+
+    // m >= k is only checked when m and k are good
+    validation = MK.ModuloKrinkle.validateParams({ m: 7, k: 7 });
+
+    assert.deepStrictEqual(copy(validation.errors.map(function (error) { return error.code })), ['M_NOT_LESS_THAN_K']);
+    assert.strictEqual(validation.errors[0].message, '`m` must be less than `k`, but 7 is not less than 7.');
+
+    // the bad parameters are returned as supplied
+    assert.strictEqual(validation.params.m, 7);
+
+});
+
+test('validateParams warns when it reduces m and k', function () {
+
+    var validation = MK.ModuloKrinkle.validateParams({ m: 4, k: 10, t: 3 });
+
+    assert.strictEqual(validation.valid, true);
+    assert.strictEqual(validation.params.m, 2);
+    assert.strictEqual(validation.params.k, 5);
+    assert.strictEqual(validation.warnings.length, 1);
+    assert.strictEqual(validation.warnings[0].code, MK.MKParamCode.REDUCED_BY_GCD);
+    assert.strictEqual(validation.warnings[0].message, '`m` and `k` have the common divisor 2, so 4, 10 is reduced to 2, 5.');
+
+});
+
+test('validateParams warns that offset tilings with t > 2 overlap', function () {
+
+    var validation = MK.ModuloKrinkle.validateParams({ m: 2, k: 5, t: 3, offset: true });
+
+    assert.strictEqual(validation.valid, true);
+    assert.deepStrictEqual(copy(validation.warnings.map(function (warning) { return warning.code })), ['OFFSET_OVERLAPS']);
+    assert.strictEqual(validation.warnings[0].param, 't');
+
+    // and the warning is right
+    assert.strictEqual(MK.validateTiling(new MK.ModuloKrinkle(2, 5, 3, true, 10, 2), { maxProblems: 1 }).valid, false);
+
+    assert.strictEqual(MK.ModuloKrinkle.validateParams({ m: 2, k: 5, t: 2, offset: true }).warnings.length, 0);
+    assert.strictEqual(MK.ModuloKrinkle.validateParams({ m: 2, k: 5, t: 3, offset: false }).warnings.length, 0);
+
+});
+
+/**
+ * Returns a graph of `nodeCount` nodes, with links between the given pairs.
+ * @param {Number} nodeCount - the number of nodes.
+ * @param {Array<Array<Number>>} pairs - the linked pairs of node indices.
+ * @returns {Object} - { nodes }, see `getGraphColoring`.
+ */
+function makeGraph(nodeCount, pairs) {
+
+    var nodes = [];
+
+    for (var i = 0; i < nodeCount; i++)
+        nodes.push({ neighbours: [] });
+
+    for (var i = 0; i < pairs.length; i++) {
+        nodes[pairs[i][0]].neighbours.push(pairs[i][1]);
+        nodes[pairs[i][1]].neighbours.push(pairs[i][0]);
+    }
+
+    return { nodes: nodes };
+
+};
+
+/**
+ * Returns the pairs of a cycle of `nodeCount` nodes.
+ * @param {Number} nodeCount - the number of nodes.
+ * @returns {Array<Array<Number>>}
+ */
+function getCyclePairs(nodeCount) {
+
+    var pairs = [];
+
+    for (var i = 0; i < nodeCount; i++)
+        pairs.push([i, (i + 1) % nodeCount]);
+
+    return pairs;
+
+};
+
+test('the adjacency graph links each pair of tiles that share an edge', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var krinkle = makeKrinkle(CASES[i]),
+            graph = krinkle.getAdjacencyGraph(),
+            edges = krinkle.getEdges(),
+            pairs = {},
+            label = getCaseLabel(CASES[i]);
+
+        for (var j = 0; j < edges.length; j++) {
+
+            if (2 !== edges[j].uses.length)
+                continue;
+
+            var a = graph.nodesByKey[MK.getTileKey(edges[j].uses[0].tile)],
+                b = graph.nodesByKey[MK.getTileKey(edges[j].uses[1].tile)];
+
+            pairs[Math.min(a, b) + '-' + Math.max(a, b)] = true;
+
+        }
+
+        assert.strictEqual(graph.links.length, Object.keys(pairs).length, label);
+
+        for (var j = 0; j < graph.links.length; j++) {
+
+            var link = graph.links[j];
+
+            assert.ok(link.source < link.target, label);
+            assert.ok(pairs[link.source + '-' + link.target], label);
+            assert.ok(-1 !== graph.nodes[link.source].neighbours.indexOf(link.target), label);
+            assert.ok(-1 !== graph.nodes[link.target].neighbours.indexOf(link.source), label);
+
+        }
+
+    }
+
+});
+
+test('getGraphColoring colors neighbours differently, with as few colors as it can', function () {
+
+    // cycles need 2 colors, or 3 when odd; a complete graph of 4 needs 4
+    assert.strictEqual(MK.getGraphColoring(makeGraph(6, getCyclePairs(6))).colorCount, 2);
+    assert.strictEqual(MK.getGraphColoring(makeGraph(5, getCyclePairs(5))).colorCount, 3);
+    assert.strictEqual(MK.getGraphColoring(makeGraph(4, [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]])).colorCount, 4);
+    assert.strictEqual(MK.getGraphColoring(makeGraph(3, [])).colorCount, 1);
+    assert.strictEqual(MK.getGraphColoring(makeGraph(0, [])).colorCount, 0);
+
+    // a crown graph: colored greedily in the order a0, b0, a1, b1, ... it needs 5 colors, but 2 will do
+    var crown = [];
+
+    for (var a = 0; a < 5; a++)
+        for (var b = 0; b < 5; b++)
+            if (a !== b)
+                crown.push([a, 5 + b]);
+
+    assert.strictEqual(MK.getGraphColoring(makeGraph(10, crown)).colorCount, 2);
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var graph = makeKrinkle(CASES[i]).getAdjacencyGraph(),
+            coloring = MK.getGraphColoring(graph),
+            label = getCaseLabel(CASES[i]);
+
+        for (var j = 0; j < graph.links.length; j++)
+            assert.notStrictEqual(coloring.colors[graph.links[j].source], coloring.colors[graph.links[j].target], label);
+
+        assert.strictEqual(Math.max.apply(Math, coloring.colors) + 1, coloring.colorCount, label);
+
+        // the same graph always gets the same coloring
+        assert.deepStrictEqual(copy(MK.getGraphColoring(makeKrinkle(CASES[i]).getAdjacencyGraph()).colors), copy(coloring.colors), label);
+
+        // with no search, the first coloring is still good
+        var first = MK.getGraphColoring(graph, 1);
+
+        assert.ok(first.colorCount >= coloring.colorCount, label);
+
+        for (var j = 0; j < graph.links.length; j++)
+            assert.notStrictEqual(first.colors[graph.links[j].source], first.colors[graph.links[j].target], label);
+
+    }
+
+});
+
+test('getDual has a node at each tile\'s centroid, and a link between neighbours', function () {
+
+    // 1-2: four rectangles, 2 by 1, around the center
+    var dual = new MK.ModuloKrinkle(1, 2, 2, false, 10, 1).getDual(),
+        links = [];
+
+    assertPointsClose(dual.nodes.map(function (node) { return node.point }), [[0, 5], [-15, 0], [0, -5], [15, 0]], 1e-9);
+
+    for (var i = 0; i < dual.links.length; i++)
+        links.push([dual.links[i].source, dual.links[i].target]);
+
+    assert.deepStrictEqual(links, [[0, 2], [0, 3], [0, 1], [1, 2], [2, 3]]);
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var krinkle = makeKrinkle(CASES[i]),
+            graph = krinkle.getAdjacencyGraph(),
+            label = getCaseLabel(CASES[i]);
+
+        dual = krinkle.getDual();
+
+        assert.strictEqual(dual.nodes.length, krinkle.getTiles().length, label);
+        assert.strictEqual(dual.links.length, graph.links.length, label);
+
+        for (var j = 0; j < dual.nodes.length; j++) {
+            assert.strictEqual(dual.nodes[j].key, graph.nodes[j].key, label);
+            assertPointsClose([dual.nodes[j].point], [MK.getPolygonCentroid(dual.nodes[j].tile.points)], 1e-9, label);
+        }
+
+        for (var j = 0; j < dual.links.length; j++) {
+            assert.strictEqual(dual.links[j].source, graph.links[j].source, label);
+            assert.strictEqual(dual.links[j].start, dual.nodes[dual.links[j].source].point, label);
+            assert.strictEqual(dual.links[j].end, dual.nodes[dual.links[j].target].point, label);
+        }
+
+    }
+
+});
+
+test('getVertices finds the corners at each vertex, and its configuration', function () {
+
+    // 1-2: the two rectangles at the center meet in straight angles of 4 steps of 45°,
+    // and either side, two right angles meet the middle of a rectangle's long side
+    var vertices = new MK.ModuloKrinkle(1, 2, 2, false, 10, 1).getVertices(),
+        configurations = {};
+
+    for (var i = 0; i < vertices.length; i++)
+        if (vertices[i].complete)
+            configurations[Math.round(vertices[i].point[0]) + ',' + Math.round(vertices[i].point[1])] = vertices[i].configuration;
+
+    assert.deepStrictEqual(configurations, { '0,0': '4.4', '10,0': '2.2.4', '-10,0': '2.2.4' });
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var krinkle = makeKrinkle(CASES[i]),
+            tiles = krinkle.getTiles(),
+            edges = krinkle.getEdges(),
+            outside = {},
+            cornerCount = 0,
+            label = getCaseLabel(CASES[i]);
+
+        vertices = krinkle.getVertices();
+
+        // the points on the outside of the tiling
+        for (var j = 0; j < edges.length; j++) {
+            if (1 === edges[j].uses.length) {
+                outside[MK.getPointKey(edges[j].start, krinkle.unitLength / 10000)] = true;
+                outside[MK.getPointKey(edges[j].end, krinkle.unitLength / 10000)] = true;
+            }
+        }
+
+        for (var j = 0; j < vertices.length; j++) {
+
+            var vertex = vertices[j],
+                angles = vertex.corners.map(function (corner) { return corner.angle }),
+                total = angles.reduce(function (a, b) { return a + b }, 0);
+
+            cornerCount += vertex.corners.length;
+
+            assert.strictEqual(vertex.complete, !outside[vertex.key], label + ' ' + vertex.key);
+            assert.strictEqual(vertex.complete, total === 2 * krinkle.n, label + ' ' + vertex.key);
+
+            if (vertex.complete)
+                assert.strictEqual(vertex.configuration, copy(MK.getLowestRotation(angles)).join('.'), label);
+
+        }
+
+        for (var j = 0; j < tiles.length; j++)
+            cornerCount -= tiles[j].points.length;
+
+        assert.strictEqual(cornerCount, 0, label);
+
+    }
+
+    assert.deepStrictEqual(copy(MK.getLowestRotation([3, 1, 2])), [1, 2, 3]);
+    assert.deepStrictEqual(copy(MK.getLowestRotation([2, 1, 2, 1])), [1, 2, 1, 2]);
+    assert.deepStrictEqual(copy(MK.getLowestRotation([4, 10, 6])), [4, 10, 6]);
+
+});
+
+test('getInsetPolygons moves each edge inward, keeping the winding', function () {
+
+    var square = [[0, 0], [10, 0], [10, 10], [0, 10]];
+
+    assertPointsClose(MK.getInsetPolygons(square, 2)[0], [[2, 2], [8, 2], [8, 8], [2, 8]], 1e-9);
+    assertPointsClose(MK.getInsetPolygons(square.slice().reverse(), 2)[0], [[2, 8], [8, 8], [8, 2], [2, 2]], 1e-9);
+    assertPointsClose(MK.getInsetPolygons(square, 0)[0], square, 0);
+
+    // it vanishes at half its width
+    assert.strictEqual(MK.getInsetPolygons(square, 5).length, 0);
+    assert.strictEqual(MK.getInsetPolygons(square, 6).length, 0);
+
+    // a dumbbell, whose bridge is 2 wide, stays in one piece until the bridge shrinks away
+    var dumbbell = [[0, 0], [10, 0], [10, 4], [20, 4], [20, 0], [30, 0], [30, 10], [20, 10], [20, 6], [10, 6], [10, 10], [0, 10]];
+
+    assert.strictEqual(MK.getInsetPolygons(dumbbell, 0.5).length, 1);
+    assertClose(MK.getPolygonArea(MK.getInsetPolygons(dumbbell, 0.5)[0]), 2 * 9 * 9 + 1 * 11, 1e-9);
+
+    [dumbbell, dumbbell.slice().reverse()].forEach(function (points) {
+
+        var pieces = MK.getInsetPolygons(points, 1.5),
+            sign = MK.getPolygonArea(points) > 0 ? 1 : -1;
+
+        assert.strictEqual(pieces.length, 2);
+
+        for (var i = 0; i < pieces.length; i++)
+            assertClose(MK.getPolygonArea(pieces[i]), sign * 7 * 7, 1e-9);
+
+    });
+
+});
+
+test('the insets of the tiles stay at least the inset distance from their edges', function () {
+
+    for (var i = 0; i < CASES.length; i++) {
+
+        var tiles = makeKrinkle(CASES[i]).getTiles(),
+            label = getCaseLabel(CASES[i]);
+
+        for (var j = 0; j < tiles.length; j += 3) {
+
+            var points = tiles[j].points,
+                area = MK.getPolygonArea(points);
+
+            [0.5, 2].forEach(function (distance) {
+
+                var pieces = MK.getInsetPolygons(points, distance);
+
+                for (var p = 0; p < pieces.length; p++) {
+
+                    assert.ok(MK.getPolygonArea(pieces[p]) * area > 0, label);
+
+                    for (var q = 0; q < pieces[p].length; q++) {
+                        assert.ok(MK.isPointInPolygon(pieces[p][q], points), label);
+                        assert.ok(MK.getDistanceToPolygon(pieces[p][q], points) > distance - 1e-6, label);
+                    }
+
+                    // the pieces are apart
+                    for (var r = p + 1; r < pieces.length; r++)
+                        assert.ok(!MK.polygonsIntersect(pieces[p], pieces[r], 1e-6), label);
+
+                }
+
+            });
+
+        }
+
+    }
+
+});
+
+test('getRoundedPolygonCommands rounds each corner with a curve', function () {
+
+    var square = [[0, 0], [10, 0], [10, 10], [0, 10]],
+        commands = MK.getRoundedPolygonCommands(square, 2);
+
+    assert.strictEqual(commands.map(function (command) { return command.type }).join(''), 'MLCLCLCLCZ');
+
+    // it starts after the last corner, and the first corner's curve runs from 2 before it to 2 after it
+    assertPointsClose(commands[0].points, [[0, 8]], 1e-9);
+    assertPointsClose(commands[1].points, [[0, 2]], 1e-9);
+    assertPointsClose([commands[2].points[2]], [[2, 0]], 1e-9);
+
+    for (var i = 0; i < commands.length; i++)
+        for (var j = 0; j < commands[i].points.length; j++)
+            assert.ok(MK.isPointInPolygon(commands[i].points[j], square) || MK.getDistanceToPolygon(commands[i].points[j], square) < 1e-9);
+
+    // a big radius shrinks to half the edges, leaving no straight parts
+    assert.strictEqual(MK.getRoundedPolygonCommands(square, 100).map(function (command) { return command.type }).join(''), 'MCCCCZ');
+
+});
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * @file MK_Animation.test.js
+ *
+ * Tests of the animated SVG export in Lib/MK_Animation.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test;
+
+var MK = loadMK();
+
+var ORDERS = [
+    { order: MK.MKAnimationOrder.LAYERS, key: 'layerIndex' },
+    { order: MK.MKAnimationOrder.SECTORS, key: 'sectorIndex' },
+    { order: MK.MKAnimationOrder.WEDGES, key: 'wedgeIndex' },
+];
+
+/**
+ * Returns the tile paths in an SVG document.
+ * @param {String} svg - the SVG document.
+ * @returns {Array<Object>} - [{ id, classNames, hidden }].
+ */
+function getSVGPaths(svg) {
+
+    var paths = [],
+        pattern = /<path id="([^"]+)" class="([^"]+)"[^>]*?( display="none")? \/>/g,
+        match;
+
+    while (match = pattern.exec(svg))
+        paths.push({ id: match[1], classNames: match[2].split(' '), hidden: !!match[3] });
+
+    return paths;
+
+};
+
+/**
+ * Returns the stage of an SVG path, from its stage class.
+ * @param {Object} path - the path, see `getSVGPaths`.
+ * @param {String} [prefix] - the class name prefix (default: 'mk').
+ * @returns {Number}
+ */
+function getPathStage(path, prefix) {
+
+    var stageClasses = path.classNames.filter(function (name) { return 0 === name.indexOf((prefix || 'mk') + '-stage-') });
+
+    assert.strictEqual(stageClasses.length, 1, path.id + ' has one stage class');
+
+    return Number(stageClasses[0].split('-').pop());
+
+};
+
+test('each tile gets the class of the stage it appears at', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        tiles = krinkle.getTiles();
+
+    ORDERS.forEach(function (o) {
+
+        var paths = getSVGPaths(MK.krinkleToAnimatedSVG(krinkle, { order: o.order }));
+
+        assert.strictEqual(paths.length, tiles.length, o.order);
+
+        for (var i = 0; i < tiles.length; i++) {
+            assert.strictEqual(getPathStage(paths[i]), tiles[i][o.key], o.order + ' ' + paths[i].id);
+            assert.strictEqual(MK.getTileStage(tiles[i], o.order), tiles[i][o.key]);
+        }
+
+    });
+
+    // the default order is by layer
+    assert.strictEqual(MK.getTileStage(tiles[tiles.length - 1]), 2);
+    assert.throws(function () { MK.getTileStage(tiles[0], 'spiral') }, /bad `order` supplied/);
+
+    // the stage class is kept with the prefix and the caller's own classes
+    var paths = getSVGPaths(MK.krinkleToAnimatedSVG(krinkle, {
+        prefix: 'star',
+        tileAttributes: function (tile) { return { 'class': 'odd-' + (tile.wedgeIndex % 2) } },
+    }));
+
+    assert.deepStrictEqual(paths[0].classNames, ['star-tile', 'star-type-B', 'star-sector-0', 'star-layer-0', 'star-stage-0', 'odd-0']);
+    assert.strictEqual(getPathStage(paths[paths.length - 1], 'star'), 2);
+
+});
+
+test('the number of stages is counted without making a lazy krinkle\'s tiles all at once', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        lazy = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3, true),
+        tiles = krinkle.getTiles();
+
+    lazy.getTiles = function () {
+        throw new Error('getTiles makes every tile.');
+    };
+
+    ORDERS.forEach(function (o) {
+
+        var expected = 1 + Math.max.apply(Math, tiles.map(function (tile) { return tile[o.key] }));
+
+        assert.strictEqual(MK.getStageCount(krinkle, o.order), expected, o.order);
+        assert.strictEqual(MK.getStageCount(lazy, o.order), expected, 'lazy ' + o.order);
+
+    });
+
+    assert.strictEqual(MK.getStageCount(krinkle), 3);
+
+});
+
+test('each stage of the animation is delayed, one stage duration after another', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        svg = MK.krinkleToAnimatedSVG(krinkle, { stageDuration: 0.4, fadeDuration: 1.5 });
+
+    assert.ok(-1 !== svg.indexOf('@keyframes mk-appear { from { opacity: 0; } to { opacity: 1; } }'));
+    assert.ok(-1 !== svg.indexOf('.mk-tile { opacity: 0; animation: mk-appear 1.5s ease-out forwards; }'));
+    assert.ok(-1 !== svg.indexOf('.mk-stage-0 { animation-delay: 0s; }'));
+    assert.ok(-1 !== svg.indexOf('.mk-stage-1 { animation-delay: 0.4s; }'));
+    assert.ok(-1 !== svg.indexOf('.mk-stage-2 { animation-delay: 0.8s; }'));
+    assert.ok(-1 === svg.indexOf('.mk-stage-3'));
+
+    // the defaults, by wedge
+    svg = MK.krinkleToAnimatedSVG(krinkle, { order: MK.MKAnimationOrder.WEDGES });
+
+    assert.ok(-1 !== svg.indexOf('animation: mk-appear 0.5s ease-out forwards;'));
+    assert.ok(-1 !== svg.indexOf('.mk-stage-9 { animation-delay: 2.25s; }'));
+    assert.ok(-1 === svg.indexOf('.mk-stage-10'));
+    assert.ok(-1 === svg.indexOf('infinite'));
+
+});
+
+test('a looping animation has keyframes for each stage, as a fraction of the loop', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        svg = MK.krinkleToAnimatedSVG(krinkle, { loop: true, stageDuration: 1, fadeDuration: 2, hold: 4 });
+
+    // 2 stage durations, then the fade of the last stage, then the hold
+    assert.ok(-1 !== svg.indexOf('.mk-tile { opacity: 0; animation: 8s linear infinite; }'));
+
+    assert.ok(-1 !== svg.indexOf('@keyframes mk-stage-0 { 0%, 0% { opacity: 0; } 25%, 100% { opacity: 1; } }'));
+    assert.ok(-1 !== svg.indexOf('@keyframes mk-stage-1 { 0%, 12.5% { opacity: 0; } 37.5%, 100% { opacity: 1; } }'));
+    assert.ok(-1 !== svg.indexOf('@keyframes mk-stage-2 { 0%, 25% { opacity: 0; } 50%, 100% { opacity: 1; } }'));
+
+    for (var i = 0; i < 3; i++)
+        assert.ok(-1 !== svg.indexOf('.mk-stage-' + i + ' { animation-name: mk-stage-' + i + '; }'), 'stage ' + i);
+
+    assert.ok(-1 === svg.indexOf('mk-stage-3'));
+    assert.ok(-1 === svg.indexOf('animation-delay'));
+
+    // the caller's own CSS comes last
+    svg = MK.krinkleToAnimatedSVG(krinkle, { loop: true, css: '.mk-tile { fill: gold; }' });
+
+    assert.ok(svg.indexOf('.mk-tile { fill: gold; }') > svg.indexOf('.mk-stage-2 { animation-name: mk-stage-2; }'));
+
+});
+
+test('there is one frame for each stage, with the later stages hidden', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3);
+
+    ORDERS.forEach(function (o) {
+
+        var frames = MK.krinkleToSVGFrames(krinkle, { order: o.order }),
+            stageCount = MK.getStageCount(krinkle, o.order),
+            firstLine = frames[0].split('\n')[1];
+
+        assert.strictEqual(frames.length, stageCount, o.order);
+
+        frames.forEach(function (frame, frameIndex) {
+
+            var paths = getSVGPaths(frame);
+
+            assert.strictEqual(paths.length, krinkle.getTiles().length, o.order + ' frame ' + frameIndex);
+
+            paths.forEach(function (path) {
+                assert.strictEqual(path.hidden, getPathStage(path) > frameIndex, o.order + ' frame ' + frameIndex + ' ' + path.id);
+            });
+
+            // every frame has the same size, and no animation
+            assert.strictEqual(frame.split('\n')[1], firstLine);
+            assert.ok(-1 === frame.indexOf('animation'));
+
+        });
+
+        // the last frame shows the whole tiling
+        assert.ok(-1 === frames[stageCount - 1].indexOf('display="none"'));
+
+    });
+
+});
\ No newline at end of file
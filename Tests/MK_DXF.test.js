@@ -0,0 +1,132 @@
+/**
+ * @file MK_DXF.test.js
+ *
+ * Tests of the DXF export in Lib/MK_DXF.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test;
+
+var MK = loadMK(['MK.js', 'MK_DXF.js']);
+
+/**
+ * Returns the group code and value pairs of a DXF drawing.
+ * @param {String} dxf - the DXF drawing.
+ * @returns {Array<Array>} - [[code, value], ...], with numeric codes.
+ */
+function getDXFPairs(dxf) {
+
+    var lines = dxf.replace(/\n$/, '').split('\n'),
+        pairs = [];
+
+    assert.strictEqual(lines.length % 2, 0, 'every group code has a value');
+
+    for (var i = 0; i < lines.length; i += 2)
+        pairs.push([Number(lines[i]), lines[i + 1]]);
+
+    return pairs;
+
+};
+
+test('every DXF handle is unique, and less than $HANDSEED', function () {
+
+    var drawings = [
+        MK.krinkleToDXF(new MK.ModuloKrinkle(2, 5, 2, false, 10, 3)),
+        MK.krinkleToDXF(new MK.ModuloKrinkle(3, 7, 3, false, 10, 3), { layers: MK.MKDXFLayers.SECTOR_AND_TILE_TYPE }),
+    ];
+
+    var clipped = new MK.ModuloKrinkle(2, 5, 2, false, 10, 4);
+    clipped.fitToRegion([[-30, -20], [30, -20], [30, 20], [-30, 20]], MK.MKRegionMode.CLIP);
+    drawings.push(MK.krinkleToDXF(clipped));
+
+    for (var d = 0; d < drawings.length; d++) {
+
+        var pairs = getDXFPairs(drawings[d]),
+            handles = {},
+            handleSeed;
+
+        for (var i = 0; i < pairs.length; i++) {
+
+            if (5 !== pairs[i][0])
+                continue;
+
+            // the header's $HANDSEED variable, whose value also has group code 5
+            if ('$HANDSEED' === pairs[i - 1][1]) {
+                handleSeed = parseInt(pairs[i][1], 16);
+                continue;
+            }
+
+            assert.ok(/^[0-9A-F]+$/.test(pairs[i][1]), pairs[i][1]);
+            assert.ok(!handles.hasOwnProperty(pairs[i][1]), 'duplicate handle ' + pairs[i][1]);
+            handles[pairs[i][1]] = true;
+
+        }
+
+        var largest = Math.max.apply(Math, Object.keys(handles).map(function (handle) { return parseInt(handle, 16) }));
+
+        assert.ok(handleSeed > largest, '$HANDSEED ' + handleSeed.toString(16) + ' is not greater than handle ' + largest.toString(16));
+
+    }
+
+});
+
+test('krinkleToDXF puts each tile on its layer, in real units', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        pairs = getDXFPairs(MK.krinkleToDXF(krinkle, { layers: MK.MKDXFLayers.SECTOR, units: 'mm', edgeLength: 150 })),
+        polylines = [],
+        layers = [];
+
+    // the entity, or table record, that each pair belongs to
+    var entity;
+
+    for (var i = 0; i < pairs.length; i++) {
+
+        var code = pairs[i][0],
+            value = pairs[i][1];
+
+        if (0 === code) {
+
+            entity = { type: value, layer: undefined, points: [] };
+
+            if ('LWPOLYLINE' === value)
+                polylines.push(entity);
+
+        }
+
+        else if (8 === code)
+            entity.layer = value;
+
+        else if (10 === code)
+            entity.points.push([Number(value), Number(pairs[i + 1][1])]);
+
+        else if (2 === code && 'LAYER' === entity.type)
+            layers.push(value);
+
+    }
+
+    var tiles = krinkle.getTiles();
+
+    assert.strictEqual(polylines.length, tiles.length);
+    assert.deepStrictEqual(layers, ['0', 'SECTOR-0', 'SECTOR-1']);
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        assert.strictEqual(polylines[i].layer, 'SECTOR-' + tiles[i].sectorIndex);
+        assert.strictEqual(polylines[i].points.length, tiles[i].points.length);
+
+        // each edge is 150 mm
+        for (var p = 0; p < tiles[i].points.length; p++) {
+            var a = polylines[i].points[p],
+                b = polylines[i].points[(p + 1) % polylines[i].points.length];
+            harness.assertClose(Math.sqrt(Math.pow(b[0] - a[0], 2) + Math.pow(b[1] - a[1], 2)), 150, 0.001);
+        }
+
+    }
+
+    assert.throws(function () { MK.krinkleToDXF(krinkle, { units: 'yd' }) }, /bad `units`/);
+
+});
@@ -0,0 +1,769 @@
+/**
+ * @file MK_Drawing.test.js
+ *
+ * Tests of the drawing functions in Lib/MK.js and
+ * Lib/MK_Drawing.js, drawing into the mock Illustrator
+ * DOM in mock-illustrator.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var createIllustrator = require('./mock-illustrator.js').createIllustrator;
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test,
+    assertClose = harness.assertClose,
+    assertPointsClose = harness.assertPointsClose;
+
+/** The center of the tilings, as drawn. */
+var CENTER = [300, -200];
+
+/**
+ * Returns a new mock Illustrator, with the Lib files loaded
+ * into it, and a small krinkle.
+ * @param {Array} [params] - the krinkle's [m, k, t, offset, layerCount] (default: [2, 5, 2, false, 2]).
+ * @returns {Object} - { illustrator, MK, krinkle, layer }.
+ */
+function setUp(params) {
+
+    params = params || [2, 5, 2, false, 2];
+
+    var illustrator = createIllustrator(),
+        MK = loadMK(['MK.js', 'MK_Drawing.js'], illustrator.globals);
+
+    return {
+        illustrator: illustrator,
+        MK: MK,
+        krinkle: new MK.ModuloKrinkle(params[0], params[1], params[2], params[3], 10, params[4]),
+        layer: illustrator.layer,
+    };
+
+};
+
+/**
+ * Returns the krinkle's tiles by name, as drawn, eg. `tile.toString(true)`.
+ * @param {ModuloKrinkle} krinkle - the krinkle.
+ * @returns {Object}
+ */
+function getTilesByName(krinkle) {
+
+    var tiles = krinkle.getTiles(),
+        byName = {};
+
+    for (var i = 0; i < tiles.length; i++)
+        byName[tiles[i].toString(true)] = tiles[i];
+
+    return byName;
+
+};
+
+/**
+ * Returns the points of `tile`, translated to CENTER.
+ * @param {Object} MK - the loaded Lib files.
+ * @param {MKTile} tile - the tile.
+ * @returns {Array<point>}
+ */
+function getDrawnPoints(MK, tile) {
+
+    return MK.getTransformedPoints(tile.points, CENTER);
+
+};
+
+/**
+ * Returns the center of `item`'s bounds.
+ * @param {PageItem} item - the item.
+ * @returns {point}
+ */
+function getCenter(item) {
+
+    var b = item.geometricBounds;
+
+    return [(b[0] + b[2]) / 2, (b[1] + b[3]) / 2];
+
+};
+
+test('draws each tile as a closed path', function () {
+
+    var s = setUp(),
+        byName = getTilesByName(s.krinkle),
+        tileCount = s.krinkle.getTiles().length;
+
+    s.krinkle.draw(s.layer, CENTER);
+
+    assert.strictEqual(s.layer.pathItems.length, tileCount);
+    assert.strictEqual(s.illustrator.getCalls('PathItem.setEntirePath').length, tileCount);
+
+    for (var i = 0; i < s.layer.pathItems.length; i++) {
+
+        var path = s.layer.pathItems[i],
+            tile = byName[path.name];
+
+        assert.ok(tile, 'no tile named ' + path.name);
+        assert.strictEqual(path.closed, true);
+        assert.strictEqual(path.filled, false);
+        assertPointsClose(s.illustrator.getItemPaths(path)[0], getDrawnPoints(s.MK, tile), 1e-9, path.name);
+
+    }
+
+});
+
+test('won\'t draw into a locked or hidden layer', function () {
+
+    var s = setUp();
+
+    s.layer.locked = true;
+    assert.throws(function () { s.krinkle.draw(s.layer, CENTER) }, /locked/);
+
+    s.layer.locked = false;
+    s.layer.visible = false;
+    assert.throws(function () { s.krinkle.draw(s.layer, CENTER) }, /hidden/);
+
+    assert.strictEqual(s.layer.pageItems.length, 0);
+
+});
+
+test('draws a clipped krinkle in a clipping group', function () {
+
+    var s = setUp([2, 5, 2, false, 4]);
+
+    s.krinkle.fitToRegion([-40, 40, 40, -40], 'clip');
+    s.krinkle.draw(s.layer, CENTER);
+
+    assert.strictEqual(s.layer.groupItems.length, 1);
+
+    var group = s.layer.groupItems[0];
+
+    assert.strictEqual(group.clipped, true);
+    assert.strictEqual(group.name, s.krinkle.toString());
+
+    // the mask is the topmost item
+    assert.strictEqual(group.pageItems[0].clipping, true);
+    assert.strictEqual(group.pageItems[0].closed, true);
+    assertPointsClose(s.illustrator.getItemPaths(group.pageItems[0])[0], s.MK.getTransformedPoints(s.krinkle.clipRegion, CENTER));
+    assert.strictEqual(group.pathItems.length, s.krinkle.getTiles().length + 1);
+
+});
+
+test('drawWithColors fills the tiles with the colors in turn', function () {
+
+    var s = setUp(),
+        colors = [s.MK.makeColor([255, 0, 0]), s.MK.makeColor([0, 255, 0]), s.MK.makeColor([0, 0, 255])];
+
+    s.krinkle.draw(s.layer, CENTER, s.MK.drawWithColors(colors));
+
+    var paths = s.layer.pathItems.slice().reverse();
+
+    assert.strictEqual(paths.length, s.krinkle.getTiles().length);
+
+    for (var i = 0; i < paths.length; i++) {
+        assert.strictEqual(paths[i].filled, true);
+        assert.strictEqual(paths[i].stroked, true);
+        assert.strictEqual(paths[i].fillColor, colors[i % colors.length]);
+    }
+
+    assert.strictEqual(colors[0].typename, 'RGBColor');
+    assert.strictEqual(colors[0].red, 255);
+
+});
+
+test('drawWithGraphColors gives tiles that share an edge different colors', function () {
+
+    var s = setUp([3, 7, 2, false, 3]),
+        colors = [s.MK.makeColor([255, 0, 0]), s.MK.makeColor([0, 255, 0]), s.MK.makeColor([0, 0, 255]), s.MK.makeColor([0, 0, 0])],
+        graph = s.krinkle.getAdjacencyGraph(),
+        colorCount = s.MK.getGraphColoring(graph).colorCount,
+        byName = getTilesByName(s.krinkle),
+        fillByKey = {},
+        used = [];
+
+    s.krinkle.draw(s.layer, CENTER, s.MK.drawWithGraphColors(colors));
+
+    assert.strictEqual(s.layer.pathItems.length, graph.nodes.length);
+
+    for (var i = 0; i < s.layer.pathItems.length; i++) {
+
+        var path = s.layer.pathItems[i],
+            colorIndex = colors.indexOf(path.fillColor);
+
+        assert.strictEqual(path.filled, true);
+        assert.ok(colorIndex >= 0 && colorIndex < colorCount, path.name);
+
+        fillByKey[s.MK.getTileKey(byName[path.name])] = path.fillColor;
+        used[colorIndex] = true;
+
+    }
+
+    for (var i = 0; i < graph.links.length; i++)
+        assert.notStrictEqual(fillByKey[graph.nodes[graph.links[i].source].key], fillByKey[graph.nodes[graph.links[i].target].key]);
+
+    // as few colors as it can
+    assert.strictEqual(used.filter(Boolean).length, colorCount);
+
+    var few = setUp([3, 7, 2, false, 3]);
+
+    assert.throws(function () { few.krinkle.draw(few.layer, CENTER, few.MK.drawWithGraphColors(colors.slice(0, colorCount - 1))) }, /needs \d+ colors, but only \d+ were supplied/);
+
+});
+
+test('drawWithGraphColors colors the tiles again after fitToRegion', function () {
+
+    var s = setUp(),
+        colors = [s.MK.makeColor([255, 0, 0]), s.MK.makeColor([0, 255, 0]), s.MK.makeColor([0, 0, 255]), s.MK.makeColor([0, 0, 0])],
+        drawFunction = s.MK.drawWithGraphColors(colors),
+        firstCount = s.krinkle.draw(s.layer, CENTER, drawFunction).length;
+
+    // more layers, and new tiles
+    s.krinkle.fitToRegion([-80, 80, 80, -80], s.MK.MKRegionMode.TOUCHING);
+
+    var drawn = s.krinkle.draw(s.layer, CENTER, drawFunction),
+        graph = s.krinkle.getAdjacencyGraph(),
+        byName = getTilesByName(s.krinkle),
+        fillByKey = {};
+
+    assert.ok(drawn.length > firstCount);
+
+    for (var i = 0; i < drawn.length; i++) {
+        assert.ok(-1 !== colors.indexOf(drawn[i].fillColor), drawn[i].name);
+        fillByKey[s.MK.getTileKey(byName[drawn[i].name])] = drawn[i].fillColor;
+    }
+
+    for (var i = 0; i < graph.links.length; i++)
+        assert.notStrictEqual(fillByKey[graph.nodes[graph.links[i].source].key], fillByKey[graph.nodes[graph.links[i].target].key]);
+
+});
+
+test('drawCircles draws a circle at the start and end of each tile', function () {
+
+    var s = setUp(),
+        tiles = s.krinkle.getTiles(),
+        drawn = s.krinkle.draw(s.layer, CENTER, s.MK.drawCircles(2));
+
+    assert.strictEqual(s.illustrator.getCalls('pathItems.ellipse').length, 2 * tiles.length);
+    assert.strictEqual(drawn.length, tiles.length);
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        var points = getDrawnPoints(s.MK, tiles[i]),
+            circles = drawn[i];
+
+        assert.strictEqual(circles.length, 2);
+        assertPointsClose([getCenter(circles[0]), getCenter(circles[1])], [points[0], points[Math.floor(points.length / 2)]], 1e-9);
+        assertClose(circles[0].width, 4, 1e-9);
+        assert.strictEqual(circles[0].filled, true);
+        assert.strictEqual(circles[0].stroked, false);
+
+    }
+
+});
+
+test('drawLines draws a line from the start to the end of each tile', function () {
+
+    var s = setUp(),
+        tiles = s.krinkle.getTiles(),
+        drawn = s.krinkle.draw(s.layer, CENTER, s.MK.drawLines());
+
+    assert.strictEqual(drawn.length, tiles.length);
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        var points = getDrawnPoints(s.MK, tiles[i]);
+
+        assert.strictEqual(drawn[i].length, 1);
+        assertPointsClose(s.illustrator.getItemPaths(drawn[i][0])[0], [points[0], points[Math.floor(points.length / 2)]]);
+        assert.strictEqual(drawn[i][0].strokeWidth, 2);
+        assert.strictEqual(drawn[i][0].filled, false);
+
+    }
+
+});
+
+test('drawByCrossWeave draws lines between opposite points of each tile', function () {
+
+    var s = setUp(),
+        tiles = s.krinkle.getTiles(),
+        drawn = s.krinkle.draw(s.layer, CENTER, s.MK.drawByCrossWeave(true, false, true));
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        var points = getDrawnPoints(s.MK, tiles[i]),
+            pairs = s.MK.getCrossWeavePairs(points.length, true, false, true);
+
+        // k=5: 12 points, so pairs 1 to 4, without the last
+        assert.strictEqual(pairs.length, 4);
+        assert.strictEqual(drawn[i].length, pairs.length);
+
+        for (var j = 0; j < pairs.length; j++) {
+            assertPointsClose(s.illustrator.getItemPaths(drawn[i][j])[0], [points[pairs[j][0]], points[pairs[j][1]]]);
+            assert.strictEqual(drawn[i][j].name, String(pairs[j][1]));
+            assert.strictEqual(drawn[i][j].closed, false);
+        }
+
+    }
+
+});
+
+test('makeSymbolFromItem replaces the item with a symbol anchored at a point', function () {
+
+    var s = setUp(),
+        path = s.layer.pathItems.add(),
+        points = [[10, 10], [50, 10], [50, 30], [10, 30]];
+
+    path.setEntirePath(points);
+
+    var symbolItem = s.MK.makeSymbolFromItem(s.illustrator.document, path, [10, 10], 'Box');
+
+    assert.strictEqual(symbolItem.typename, 'SymbolItem');
+    assert.strictEqual(s.illustrator.document.symbols.length, 1);
+    assert.strictEqual(symbolItem.symbol, s.illustrator.document.symbols[0]);
+    assert.strictEqual(symbolItem.symbol.name, 'Box');
+
+    // the path and its temporary group are gone, leaving the symbol item
+    assert.strictEqual(s.layer.pageItems.length, 1);
+    assert.strictEqual(s.layer.pageItems[0], symbolItem);
+
+    // the anchor is the symbol's center, and the artwork stays where the path was
+    assertPointsClose([getCenter(symbolItem)], [[10, 10]], 1e-9);
+    assertPointsClose(s.illustrator.getItemPaths(symbolItem)[0], points, 1e-9);
+
+    // a second symbol gets a new name
+    path = s.layer.pathItems.add();
+    path.setEntirePath(points);
+
+    assert.strictEqual(s.MK.makeSymbolFromItem(s.illustrator.document, path, [10, 10], 'Box').symbol.name, 'Box (2)');
+
+});
+
+test('drawBySymbol places one symbol on every tile', function () {
+
+    var s = setUp(),
+        byName = getTilesByName(s.krinkle);
+
+    s.krinkle.draw(s.layer, CENTER, s.MK.drawBySymbol(s.illustrator.document));
+
+    assert.strictEqual(s.illustrator.document.symbols.length, 1);
+    assert.strictEqual(s.illustrator.document.symbols[0].name, s.krinkle.toString());
+    assert.strictEqual(s.layer.symbolItems.length, s.krinkle.getTiles().length);
+    assert.strictEqual(s.layer.pathItems.length, 0);
+
+    for (var i = 0; i < s.layer.symbolItems.length; i++) {
+
+        var symbolItem = s.layer.symbolItems[i],
+            tile = byName[symbolItem.name];
+
+        assert.ok(tile, 'no tile named ' + symbolItem.name);
+
+        // the symbol's artwork is the tile, above the invisible circle
+        assertPointsClose(s.illustrator.getItemPaths(symbolItem)[0], getDrawnPoints(s.MK, tile), 1e-6, symbolItem.name);
+
+    }
+
+});
+
+test('drawBySymbol makes a symbol for each tile type, and mirrors them', function () {
+
+    var s = setUp([2, 5, 2, false, 3]),
+        byName = getTilesByName(s.krinkle),
+        transform = new s.MK.MKTransform({ translation: CENTER, rotation: 20, mirror: true, scale: 1.5 });
+
+    s.krinkle.draw(s.layer, transform, s.MK.drawBySymbol(s.illustrator.document, undefined, true));
+
+    var names = s.illustrator.document.symbols.map(function (symbol) { return symbol.name }).sort();
+
+    // three layers have base, left, right and center tiles, but no middle tiles
+    assert.deepStrictEqual(names, ['B', 'C', 'L', 'R'].map(function (letter) { return s.krinkle.toString() + '-' + letter }));
+
+    for (var i = 0; i < s.layer.symbolItems.length; i++) {
+
+        var symbolItem = s.layer.symbolItems[i],
+            tile = byName[symbolItem.name];
+
+        assertPointsClose(s.illustrator.getItemPaths(symbolItem)[0], s.MK.getTransformedPoints(tile.points, transform), 1e-6, symbolItem.name);
+
+    }
+
+});
+
+test('drawWithStyleRules styles each tile by the rules that match it', function () {
+
+    var illustrator = createIllustrator(),
+        MK = loadMK(['MK.js', 'MK_JSON.js', 'MK_Styles.js', 'MK_Drawing.js'], illustrator.globals),
+        krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        byName = getTilesByName(krinkle),
+        doc = illustrator.document,
+        swatch = doc.swatches.add();
+
+    swatch.name = 'X';
+    swatch.color = MK.makeColor([0, 0, 255]);
+
+    var rules = MK.parseStyleRules({
+        format: 'ModuloKrinkleStyleRules',
+        swatches: { 'Gold': '#ffd700', 'X': '#00ff00' },
+        rules: [
+            { style: { fill: 'Gold', stroke: 'none' } },
+            { match: { tileType: 'CENTER', parity: 'even' }, style: { fill: 'X', opacity: 60, blendMode: 'soft-light' } },
+            { match: { layerIndex: 1 }, style: { fill: 'none', stroke: [0, 0, 0, 100], strokeWidth: 2 } },
+        ],
+    });
+
+    krinkle.draw(illustrator.layer, CENTER, MK.drawWithStyleRules(doc, rules));
+
+    var paths = illustrator.layer.pathItems,
+        centers = 0;
+
+    assert.strictEqual(paths.length, krinkle.getTiles().length);
+
+    for (var i = 0; i < paths.length; i++) {
+
+        var path = paths[i],
+            tile = byName[path.name];
+
+        if (1 === tile.layerIndex) {
+            assert.strictEqual(path.filled, false, path.name);
+            assert.strictEqual(path.stroked, true, path.name);
+            assert.strictEqual(path.strokeColor.black, 100, path.name);
+            assert.strictEqual(path.strokeWidth, 2, path.name);
+            continue;
+        }
+
+        assert.strictEqual(path.filled, true, path.name);
+        assert.strictEqual(path.stroked, false, path.name);
+
+        if (MK.MKTileType.CENTER === tile.tileType) {
+            // the document's swatch comes before the rules' own
+            centers++;
+            assert.strictEqual(path.fillColor, swatch.color, path.name);
+            assert.strictEqual(path.opacity, 60, path.name);
+            assert.strictEqual(path.blendingMode, illustrator.globals.BlendModes.SOFTLIGHT, path.name);
+        }
+
+        else {
+            assert.deepStrictEqual([path.fillColor.red, path.fillColor.green, path.fillColor.blue], [255, 215, 0], path.name);
+            assert.strictEqual(path.opacity, 100, path.name);
+        }
+
+    }
+
+    assert.strictEqual(centers, 10);
+
+    // a missing swatch
+    rules = MK.parseStyleRules([{ style: { fill: 'Silver' } }]);
+    assert.throws(function () { krinkle.draw(illustrator.layer, CENTER, MK.drawWithStyleRules(doc, rules)) }, /no swatch "Silver"/);
+
+});
+
+test('drawWithStyleRules places the document\'s symbols', function () {
+
+    var s = setUp(),
+        MK = loadMK(['MK.js', 'MK_JSON.js', 'MK_Styles.js', 'MK_Drawing.js'], s.illustrator.globals),
+        krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 2),
+        doc = s.illustrator.document,
+        path = s.layer.pathItems.add();
+
+    path.setEntirePath([[0, 0], [10, 0], [10, 10]]);
+
+    var star = doc.symbols.add(path);
+
+    star.name = 'Star';
+    path.remove();
+
+    var rules = MK.parseStyleRules([{ match: { tileType: 'BASE' }, style: { symbol: 'Star', fill: '#ff0000', opacity: 50 } }]);
+
+    krinkle.draw(s.layer, CENTER, MK.drawWithStyleRules(doc, rules));
+
+    // the 10 base tiles, and the paths of the others
+    assert.strictEqual(s.layer.symbolItems.length, 10);
+    assert.strictEqual(s.layer.pathItems.length, krinkle.getTiles().length - 10);
+    assert.strictEqual(doc.symbols.length, 1);
+
+    for (var i = 0; i < s.layer.symbolItems.length; i++) {
+        assert.strictEqual(s.layer.symbolItems[i].symbol, star);
+        assert.strictEqual(s.layer.symbolItems[i].opacity, 50);
+        assert.ok(/\(B\)$/.test(s.layer.symbolItems[i].name), s.layer.symbolItems[i].name);
+    }
+
+    // a missing symbol
+    rules = MK.parseStyleRules([{ style: { symbol: 'Moon' } }]);
+    assert.throws(function () { krinkle.draw(s.layer, CENTER, MK.drawWithStyleRules(doc, rules)) }, /no symbol "Moon"/);
+
+});
+
+test('drawWithFieldColors colors each tile along a range of hues', function () {
+
+    var illustrator = createIllustrator(),
+        MK = loadMK(['MK.js', 'MK_Fields.js', 'MK_Drawing.js'], illustrator.globals),
+        krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        byName = getTilesByName(krinkle);
+
+    // red for layer 0, to cyan for layer 2
+    krinkle.draw(illustrator.layer, CENTER, MK.drawWithFieldColors(MK.MKField.LAYER, { hues: { startHue: 0, endHue: 180 }, appearance: { strokeWidth: 0.5 } }));
+
+    var paths = illustrator.layer.pathItems,
+        expected = [[255, 0, 0], [127.5, 255, 0], [0, 255, 255]];
+
+    assert.strictEqual(paths.length, krinkle.getTiles().length);
+
+    for (var i = 0; i < paths.length; i++) {
+
+        var path = paths[i],
+            color = path.fillColor;
+
+        assert.strictEqual(path.filled, true, path.name);
+        assert.strictEqual(path.strokeWidth, 0.5, path.name);
+        assert.strictEqual(color.typename, 'RGBColor', path.name);
+        var rgb = expected[byName[path.name].layerIndex];
+
+        assertClose(color.red, rgb[0], 1e-9, path.name + ' red');
+        assertClose(color.green, rgb[1], 1e-9, path.name + ' green');
+        assertClose(color.blue, rgb[2], 1e-9, path.name + ' blue');
+
+    }
+
+    // a field function, in 2 steps
+    illustrator = createIllustrator();
+    MK = loadMK(['MK.js', 'MK_Fields.js', 'MK_Drawing.js'], illustrator.globals);
+    krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3);
+
+    krinkle.draw(illustrator.layer, CENTER, MK.drawWithFieldColors(function (tile) { return tile.sectorIndex }, { hues: { startHue: 120, endHue: 240 }, steps: 2 }));
+
+    var greens = 0;
+
+    for (var i = 0; i < illustrator.layer.pathItems.length; i++)
+        if (255 === illustrator.layer.pathItems[i].fillColor.green)
+            greens++;
+
+    // green for the first sector, blue for the second
+    assert.strictEqual(greens, krinkle.getTiles().length / 2);
+
+});
+
+test('drawWithFieldColors finds the field range again after the krinkle is rebuilt', function () {
+
+    var illustrator = createIllustrator(),
+        MK = loadMK(['MK.js', 'MK_Fields.js', 'MK_Drawing.js'], illustrator.globals),
+        krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 2),
+        drawFunction = MK.drawWithFieldColors(MK.MKField.LAYER, { hues: { startHue: 0, endHue: 180 } });
+
+    // layer 1 is the last layer, so cyan
+    krinkle.draw(illustrator.layer, CENTER, drawFunction);
+
+    krinkle.rebuild(3);
+
+    // now layer 2 is
+    var drawn = krinkle.draw(illustrator.layer, CENTER, drawFunction),
+        byName = getTilesByName(krinkle),
+        expected = [[255, 0, 0], [127.5, 255, 0], [0, 255, 255]];
+
+    assert.strictEqual(drawn.length, krinkle.getTiles().length);
+
+    for (var i = 0; i < drawn.length; i++) {
+
+        var rgb = expected[byName[drawn[i].name].layerIndex];
+
+        assertClose(drawn[i].fillColor.red, rgb[0], 1e-9, drawn[i].name + ' red');
+        assertClose(drawn[i].fillColor.green, rgb[1], 1e-9, drawn[i].name + ' green');
+        assertClose(drawn[i].fillColor.blue, rgb[2], 1e-9, drawn[i].name + ' blue');
+
+    }
+
+});
+
+test('drawWithFieldColors colors each tile along a gradient of swatches', function () {
+
+    var illustrator = createIllustrator(),
+        MK = loadMK(['MK.js', 'MK_Fields.js', 'MK_Drawing.js'], illustrator.globals),
+        krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        doc = illustrator.document,
+        white = doc.swatches.add(),
+        black = doc.swatches.add();
+
+    white.color = MK.makeColor([0, 0, 0, 0]);
+    black.color = MK.makeColor([0, 0, 0, 100]);
+
+    krinkle.draw(illustrator.layer, CENTER, MK.drawWithFieldColors(MK.MKField.DISTANCE, { gradient: [white, black] }));
+
+    var paths = illustrator.layer.pathItems,
+        range = MK.getFieldRange(krinkle, MK.MKField.DISTANCE),
+        byName = getTilesByName(krinkle);
+
+    for (var i = 0; i < paths.length; i++) {
+
+        var color = paths[i].fillColor,
+            distance = MK.getTileFieldValue(krinkle, byName[paths[i].name], MK.MKField.DISTANCE);
+
+        assert.strictEqual(color.typename, 'CMYKColor', paths[i].name);
+        assert.strictEqual(color.cyan, 0, paths[i].name);
+        assertClose(color.black, 100 * (distance - range[0]) / (range[1] - range[0]), 1e-9, paths[i].name);
+
+    }
+
+    // the nearest tiles are white, and the farthest black
+    var blacks = paths.map(function (path) { return path.fillColor.black });
+    assertClose(Math.min.apply(Math, blacks), 0);
+    assertClose(Math.max.apply(Math, blacks), 100);
+
+    // colors, not just swatches, but not of different kinds
+    assert.throws(function () { MK.drawWithFieldColors(MK.MKField.NOISE, { gradient: [white.color, MK.makeColor([255, 0, 0])] }) }, /all RGB, all CMYK or all gray/);
+    assert.throws(function () { MK.drawWithFieldColors(MK.MKField.NOISE, { gradient: [] }) }, /has no colors/);
+
+});
+
+test('drawDual draws each link once, and a circle at each node', function () {
+
+    var s = setUp(),
+        dual = s.krinkle.getDual(),
+        drawn = s.krinkle.draw(s.layer, CENTER, s.MK.drawDual(3)),
+        names = {},
+        lineCount = 0;
+
+    assert.strictEqual(s.illustrator.getCalls('pathItems.ellipse').length, dual.nodes.length);
+
+    for (var i = 0; i < drawn.length; i++) {
+
+        for (var j = 0; j < drawn[i].length; j++) {
+
+            var item = drawn[i][j];
+
+            assert.ok(!names[item.name], item.name + ' is drawn twice');
+            names[item.name] = true;
+
+            if (-1 === item.name.indexOf(' to '))
+                assertPointsClose([getCenter(item)], s.MK.getTransformedPoints([dual.nodes[dual.nodesByKey[item.name]].point], CENTER), 1e-9, item.name);
+            else
+                lineCount++;
+
+        }
+
+    }
+
+    assert.strictEqual(lineCount, dual.links.length);
+
+    // just the links
+    var links = setUp();
+
+    links.krinkle.draw(links.layer, CENTER, links.MK.drawDual(0));
+    assert.strictEqual(links.illustrator.getCalls('pathItems.ellipse').length, 0);
+
+});
+
+test('drawVertexConfigurations colors each complete vertex by its configuration', function () {
+
+    var s = setUp(),
+        colors = [s.MK.makeColor([255, 0, 0]), s.MK.makeColor([0, 255, 0]), s.MK.makeColor([0, 0, 255])],
+        complete = s.krinkle.getVertices().filter(function (vertex) { return vertex.complete }),
+        drawn = s.krinkle.draw(s.layer, CENTER, s.MK.drawVertexConfigurations(colors)),
+        colorByConfiguration = {},
+        circles = [];
+
+    for (var i = 0; i < drawn.length; i++)
+        circles = circles.concat(drawn[i]);
+
+    assert.strictEqual(circles.length, complete.length);
+
+    for (var i = 0; i < circles.length; i++) {
+
+        var configuration = circles[i].name;
+
+        if (!colorByConfiguration[configuration])
+            colorByConfiguration[configuration] = circles[i].fillColor;
+
+        assert.strictEqual(circles[i].fillColor, colorByConfiguration[configuration], configuration);
+
+    }
+
+    // a different color for each, while there are enough
+    assert.strictEqual(colors.indexOf(colorByConfiguration[complete[0].configuration]), 0);
+    assert.ok(Object.keys(colorByConfiguration).length >= 2);
+    assert.notStrictEqual(colorByConfiguration[Object.keys(colorByConfiguration)[0]], colorByConfiguration[Object.keys(colorByConfiguration)[1]]);
+
+});
+
+test('drawDual and drawVertexConfigurations find the dual and vertices again after fitToRegion', function () {
+
+    var s = setUp(),
+        colors = [s.MK.makeColor([255, 0, 0]), s.MK.makeColor([0, 255, 0]), s.MK.makeColor([0, 0, 255])],
+        dualFunction = s.MK.drawDual(3),
+        verticesFunction = s.MK.drawVertexConfigurations(colors);
+
+    s.krinkle.draw(s.layer, CENTER, dualFunction);
+    s.krinkle.draw(s.layer, CENTER, verticesFunction);
+
+    // more layers, and new tiles
+    s.krinkle.fitToRegion([-80, 80, 80, -80], s.MK.MKRegionMode.TOUCHING);
+
+    var dual = s.krinkle.getDual(),
+        complete = s.krinkle.getVertices().filter(function (vertex) { return vertex.complete }),
+        ellipseCount = s.illustrator.getCalls('pathItems.ellipse').length,
+        links = 0;
+
+    s.krinkle.draw(s.layer, CENTER, dualFunction).forEach(function (items) {
+        items.forEach(function (item) {
+            if (-1 === item.name.indexOf(' to '))
+                assertPointsClose([getCenter(item)], s.MK.getTransformedPoints([dual.nodes[dual.nodesByKey[item.name]].point], CENTER), 1e-9, item.name);
+            else
+                links++;
+        });
+    });
+
+    assert.strictEqual(s.illustrator.getCalls('pathItems.ellipse').length - ellipseCount, dual.nodes.length);
+    assert.strictEqual(links, dual.links.length);
+
+    // a circle at each complete vertex of the new tiles
+    ellipseCount = s.illustrator.getCalls('pathItems.ellipse').length;
+    s.krinkle.draw(s.layer, CENTER, verticesFunction);
+
+    assert.strictEqual(s.illustrator.getCalls('pathItems.ellipse').length - ellipseCount, complete.length);
+
+});
+
+test('drawInset draws each tile shrunk by half the gap, in pieces where it narrows', function () {
+
+    var s = setUp(),
+        byName = getTilesByName(s.krinkle);
+
+    s.krinkle.draw(s.layer, CENTER, s.MK.drawInset(2, { cutPaths: true }));
+
+    assert.strictEqual(s.layer.pathItems.length, s.krinkle.getTiles().length);
+
+    for (var i = 0; i < s.layer.pathItems.length; i++) {
+
+        var path = s.layer.pathItems[i];
+
+        assert.strictEqual(path.closed, true);
+        assert.strictEqual(path.filled, false);
+        assert.strictEqual(path.strokeWidth, 0.25);
+        assert.strictEqual(path.strokeColor.red, 255);
+        assertPointsClose(s.illustrator.getItemPaths(path)[0], s.MK.getInsetPolygons(getDrawnPoints(s.MK, byName[path.name]), 1)[0], 1e-9, path.name);
+
+    }
+
+    // a dumbbell comes apart where its bridge is narrower than the gap
+    var dumbbell = {
+        points: [[0, 0], [10, 0], [10, 4], [20, 4], [20, 0], [30, 0], [30, 10], [20, 10], [20, 6], [10, 6], [10, 10], [0, 10]],
+        toString: function () { return 'dumbbell' },
+    },
+        pieces = setUp(),
+        item = pieces.MK.drawInset(3, { cornerRadius: 1 }).call(dumbbell, pieces.layer, CENTER);
+
+    assert.strictEqual(item.typename, 'CompoundPathItem');
+    assert.strictEqual(item.name, 'dumbbell');
+    assert.strictEqual(pieces.illustrator.getItemPaths(item).length, 2);
+
+    // and vanishes when the gap is wider than it
+    assert.strictEqual(pieces.MK.drawInset(12).call(dumbbell, pieces.layer, CENTER), undefined);
+
+});
+
+test('the draw functions only use the mocked DOM', function () {
+
+    var s = setUp();
+
+    s.krinkle.draw(s.layer, CENTER, s.MK.drawByCrossWeave());
+
+    var methods = {};
+
+    for (var i = 0; i < s.illustrator.calls.length; i++)
+        methods[s.illustrator.calls[i].method] = true;
+
+    assert.deepStrictEqual(Object.keys(methods).sort(), ['PathItem.setEntirePath', 'pathItems.add']);
+
+});
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * @file MK_Fields.test.js
+ *
+ * Tests of the scalar fields in Lib/MK_Fields.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test,
+    assertClose = harness.assertClose;
+
+var MK = loadMK(['MK.js', 'MK_Fields.js']);
+
+/**
+ * Returns a copy of `value`, made in this context,
+ * for `assert.deepStrictEqual`, see MK.test.js.
+ * @param {*} value - the value, which must survive JSON.
+ * @returns {*}
+ */
+function copy(value) {
+
+    return JSON.parse(JSON.stringify(value));
+
+};
+
+test('the distance and angle fields are measured from the center of the tiling', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 4),
+        tiles = krinkle.getTiles();
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        var tile = tiles[i],
+            centroid = MK.getPolygonCentroid(tile.points),
+            distance = MK.getTileFieldValue(krinkle, tile, MK.MKField.DISTANCE),
+            angle = MK.getTileFieldValue(krinkle, tile, MK.MKField.ANGLE);
+
+        assertClose(distance, Math.sqrt(centroid[0] * centroid[0] + centroid[1] * centroid[1]), 1e-9, tile.toString(true));
+        assert.ok(angle >= 0 && angle < 360, tile.toString(true));
+        assertClose(distance * Math.cos(angle * Math.PI / 180), centroid[0], 1e-4, tile.toString(true));
+        assertClose(distance * Math.sin(angle * Math.PI / 180), centroid[1], 1e-4, tile.toString(true));
+
+        assert.strictEqual(MK.getTileFieldValue(krinkle, tile, MK.MKField.LAYER), tile.layerIndex);
+        assert.strictEqual(MK.getTileFieldValue(krinkle, tile, MK.MKField.DIRECTION), tile.direction);
+
+    }
+
+    // no tile is at the center
+    var range = MK.getFieldRange(krinkle, MK.MKField.DISTANCE);
+    assert.ok(range[0] > 0 && range[1] > range[0]);
+
+    // an offset tiling's center is between its base points
+    var offset = new MK.ModuloKrinkle(2, 5, 2, true, 10, 2);
+    offset.forEachTile(function (tile) {
+        var centroid = MK.getPolygonCentroid(tile.points);
+        assertClose(MK.getTileFieldValue(offset, tile, MK.MKField.DISTANCE), Math.sqrt(Math.pow(centroid[0] - offset.sectorCenter[0], 2) + Math.pow(centroid[1] - offset.sectorCenter[1], 2)), 1e-9);
+    });
+
+    // a field function
+    assert.strictEqual(MK.getTileFieldValue(krinkle, tiles[3], function (tile, k) { return k.n * 100 + tile.tileType }), 1000 + tiles[3].tileType);
+    assert.throws(function () { MK.getTileFieldValue(krinkle, tiles[0], 'size') }, /unknown `field` "size"/);
+
+});
+
+test('getFieldRange is fixed for the cyclic fields, and found for the others', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 4);
+
+    assert.deepStrictEqual(copy(MK.getFieldRange(krinkle, MK.MKField.ANGLE)), [0, 360]);
+    assert.deepStrictEqual(copy(MK.getFieldRange(krinkle, MK.MKField.DIRECTION)), [0, 10]);
+    assert.deepStrictEqual(copy(MK.getFieldRange(krinkle, MK.MKField.NOISE)), [0, 1]);
+    assert.deepStrictEqual(copy(MK.getFieldRange(krinkle, MK.MKField.LAYER)), [0, 3]);
+    assert.deepStrictEqual(copy(MK.getFieldRange(krinkle, function (tile) { return -tile.layerIndex })), [-3, 0]);
+
+});
+
+test('getFieldPosition maps a value into its range, in steps if asked', function () {
+
+    assert.strictEqual(MK.getFieldPosition([10, 20], 15), 0.5);
+    assert.strictEqual(MK.getFieldPosition([10, 20], 5), 0);
+    assert.strictEqual(MK.getFieldPosition([10, 20], 25), 1);
+    assert.strictEqual(MK.getFieldPosition([3, 3], 3), 0);
+
+    var positions = [];
+
+    for (var value = 0; value <= 10; value++)
+        positions.push(MK.getFieldPosition([0, 10], value, 3));
+
+    assert.deepStrictEqual(positions, [0, 0, 0, 0, 0.5, 0.5, 0.5, 1, 1, 1, 1]);
+
+});
+
+test('getGradientValues interpolates between evenly spaced colors', function () {
+
+    var stops = [[0, 0, 0], [255, 128, 0], [255, 255, 255]];
+
+    assert.deepStrictEqual(copy(MK.getGradientValues(stops, 0)), [0, 0, 0]);
+    assert.deepStrictEqual(copy(MK.getGradientValues(stops, 0.25)), [127.5, 64, 0]);
+    assert.deepStrictEqual(copy(MK.getGradientValues(stops, 0.5)), [255, 128, 0]);
+    assert.deepStrictEqual(copy(MK.getGradientValues(stops, 1)), [255, 255, 255]);
+    assert.deepStrictEqual(copy(MK.getGradientValues([[40]], 0.7)), [40]);
+
+    assert.throws(function () { MK.getGradientValues([[0, 0, 0], [0]], 0) }, /same number of channels/);
+    assert.throws(function () { MK.getGradientValues([], 0) }, /no `stops`/);
+
+});
+
+test('valueNoise is smooth, repeatable and between 0 and 1', function () {
+
+    var values = {};
+
+    for (var x = -3; x <= 3; x += 0.25) {
+
+        for (var y = -3; y <= 3; y += 0.25) {
+
+            var value = MK.valueNoise(x, y, 5);
+
+            assert.ok(value >= 0 && value <= 1, value);
+            assert.strictEqual(MK.valueNoise(x, y, 5), value);
+
+            // nearby points have nearby values
+            assert.ok(Math.abs(MK.valueNoise(x + 0.01, y, 5) - value) < 0.05);
+
+            values[value.toFixed(3)] = true;
+
+        }
+
+    }
+
+    // not the same everywhere, and a different seed gives different noise
+    assert.ok(Object.keys(values).length > 100);
+    assert.notStrictEqual(MK.valueNoise(0.5, 0.5, 5), MK.valueNoise(0.5, 0.5, 6));
+
+    // the noise field of a tiling
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3);
+
+    krinkle.forEachTile(function (tile) {
+        var centroid = MK.getPolygonCentroid(tile.points);
+        assert.strictEqual(MK.getTileFieldValue(krinkle, tile, MK.MKField.NOISE, { noiseSize: 25, seed: 2 }), MK.valueNoise(centroid[0] / 25, centroid[1] / 25, 2));
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * @file MK_JSON.test.js
+ *
+ * Tests of the JSON documents in Lib/MK_JSON.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test;
+
+var MK = loadMK(['MK.js', 'MK_JSON.js']);
+
+test('writeJSON writes the same document, one tile at a time, from a lazy krinkle', function () {
+
+    var krinkle = new MK.ModuloKrinkle(3, 7, 2, true, 10, 3),
+        lazy = new MK.ModuloKrinkle(3, 7, 2, true, 10, 3, true),
+        chunks = [];
+
+    lazy.writeJSON(function (chunk) { chunks.push(chunk) });
+
+    assert.strictEqual(chunks.join(''), MK.stringifyJSON(krinkle));
+
+    // the start, a piece per tile, and the end
+    assert.strictEqual(chunks.length, 3 + krinkle.getTiles().length);
+
+});
+
+test('writeJSON writes a clipped tiling\'s region', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        chunks = [];
+
+    krinkle.fitToRegion([[-30, -20], [30, -20], [30, 20], [-30, 20]], MK.MKRegionMode.INSIDE);
+    krinkle.writeJSON(function (chunk) { chunks.push(chunk) });
+
+    var json = chunks.join('');
+
+    assert.strictEqual(json, MK.stringifyJSON(krinkle));
+    assert.strictEqual(MK.ModuloKrinkle.fromJSON(json).getTiles().length, krinkle.getTiles().length);
+
+});
+
+
+test('fromJSON loads the same tiling, and the loaded tiling saves the same document', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, true, 10, 3),
+        json = MK.stringifyJSON(krinkle, 2),
+        loaded = MK.ModuloKrinkle.fromJSON(json),
+        tiles = krinkle.getTiles(),
+        loadedTiles = loaded.getTiles();
+
+    assert.strictEqual(loaded.toString(), krinkle.toString());
+    assert.strictEqual(loaded.n, krinkle.n);
+    assert.strictEqual(loadedTiles.length, tiles.length);
+
+    for (var i = 0; i < tiles.length; i++) {
+        assert.strictEqual(loadedTiles[i].toString(true), tiles[i].toString(true));
+        assert.strictEqual(MK.getTileKey(loadedTiles[i]), MK.getTileKey(tiles[i]));
+    }
+
+    assert.strictEqual(MK.stringifyJSON(loaded, 2), json);
+
+    // the parsed object loads too
+    assert.strictEqual(MK.ModuloKrinkle.fromJSON(JSON.parse(json)).getTiles().length, tiles.length);
+
+});
+
+test('fromJSON rejects other documents, and newer versions', function () {
+
+    var doc = JSON.parse(MK.stringifyJSON(new MK.ModuloKrinkle(2, 5, 2, false, 10, 1)));
+
+    assert.strictEqual(doc.format, 'ModuloKrinkle');
+    assert.strictEqual(doc.version, 1);
+
+    assert.throws(function () { MK.ModuloKrinkle.fromJSON({ format: 'SVG' }) }, /not a ModuloKrinkle document/);
+    assert.throws(function () { MK.ModuloKrinkle.fromJSON(null) }, /not a ModuloKrinkle document/);
+
+    doc.version = 2;
+    assert.throws(function () { MK.ModuloKrinkle.fromJSON(doc) }, /unsupported document version 2\. Expected 1 or lower\./);
+
+});
+
+test('stringifyJSON and parseJSON work without a JSON object, as in ExtendScript', function () {
+
+    var ES = loadMK(['MK.js', 'MK_JSON.js'], { JSON: undefined }),
+        krinkle = new ES.ModuloKrinkle(3, 7, 2, false, 10, 2);
+
+    assert.strictEqual(ES.stringifyJSON(krinkle), JSON.stringify(krinkle));
+    assert.strictEqual(ES.stringifyJSON({ a: [1, 'x\n"y"'], b: undefined, c: Infinity }, 2), JSON.stringify({ a: [1, 'x\n"y"'], b: undefined, c: Infinity }, undefined, 2));
+    assert.strictEqual(ES.ModuloKrinkle.fromJSON(ES.stringifyJSON(krinkle)).getTiles().length, krinkle.getTiles().length);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(ES.parseJSON('{"a": [1, -2.5e3, "b\\u0041"], "c": null}'))), { a: [1, -2500, 'bA'], c: null });
+    assert.throws(function () { ES.parseJSON('{"a": alert(1)}') }, /parseJSON: bad JSON supplied\./);
+
+});
+
+test('dualToJSON has the dual\'s nodes and links, and each complete vertex', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        dual = krinkle.getDual(),
+        doc = JSON.parse(MK.stringifyJSON(krinkle.dualToJSON())),
+        complete = krinkle.getVertices().filter(function (vertex) { return vertex.complete }),
+        total = 0;
+
+    assert.strictEqual(doc.format, 'ModuloKrinkleDual');
+    assert.strictEqual(doc.version, 1);
+    assert.strictEqual(doc.name, 'MK-2-5-10');
+    assert.strictEqual(doc.nodes.length, dual.nodes.length);
+    assert.strictEqual(doc.nodes[3].key, dual.nodes[3].key);
+    assert.deepStrictEqual(doc.links[0], [dual.links[0].source, dual.links[0].target]);
+    assert.strictEqual(doc.links.length, dual.links.length);
+    assert.strictEqual(doc.vertices.length, complete.length);
+
+    for (var i = 0; i < doc.vertices.length; i++)
+        assert.strictEqual(doc.vertices[i].tiles.length, complete[i].corners.length);
+
+    for (var configuration in doc.configurations)
+        total += doc.configurations[configuration];
+
+    assert.strictEqual(total, complete.length);
+
+});
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * @file MK_Motifs.test.js
+ *
+ * Tests of the edge motifs and curved edges in Lib/MK_Motifs.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test,
+    assertClose = harness.assertClose,
+    assertPointsClose = harness.assertPointsClose;
+
+var MK = loadMK();
+
+/**
+ * Returns the points of path commands, in order.
+ * @param {Array<Object>} commands - the commands, see `parsePathData`.
+ * @returns {Array<point>}
+ */
+function getCommandPoints(commands) {
+
+    var points = [];
+
+    for (var i = 0; i < commands.length; i++)
+        points = points.concat(commands[i].points);
+
+    return points;
+
+};
+
+test('a straight edge profile gives the tile\'s own outline', function () {
+
+    var krinkle = new MK.ModuloKrinkle(3, 7, 2, true, 10, 2),
+        tiles = krinkle.getTiles();
+
+    for (var i = 0; i < tiles.length; i++) {
+
+        var points = tiles[i].points,
+            expected = points.concat([points[0]]);
+
+        [MK.MKEdgeProfile.STRAIGHT, undefined].forEach(function (profile) {
+
+            var commands = MK.getCurvedTileCommands(krinkle, tiles[i], profile);
+
+            assert.strictEqual(commands.map(function (command) { return command.type }).join(''), 'M' + new Array(points.length + 1).join('L') + 'Z');
+            assertPointsClose(getCommandPoints(commands), expected, 1e-9, tiles[i].toString(true));
+
+        });
+
+    }
+
+});
+
+test('the tiles either side of an edge get the same curve, traversed backwards', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 3),
+        edges = krinkle.getEdges(),
+        commandsByTile = {},
+        sharedCount = 0;
+
+    /** Returns the curve of the tile's edge: its start, control points and end. */
+    function getEdgeCurve(use) {
+
+        var key = MK.getTileKey(use.tile);
+
+        if (!commandsByTile[key])
+            commandsByTile[key] = MK.getCurvedTileCommands(krinkle, use.tile, MK.MKEdgeProfile.S_CURVE);
+
+        // the S curve is one C command per edge, after the M
+        var commands = commandsByTile[key];
+
+        assert.strictEqual(commands[use.edgeIndex + 1].type, 'C');
+
+        return [use.tile.points[use.edgeIndex]].concat(commands[use.edgeIndex + 1].points);
+
+    };
+
+    for (var i = 0; i < edges.length; i++) {
+
+        if (2 !== edges[i].uses.length)
+            continue;
+
+        var a = getEdgeCurve(edges[i].uses[0]),
+            b = getEdgeCurve(edges[i].uses[1]);
+
+        assertPointsClose(b, a.slice().reverse(), 1e-9);
+
+        // and the curve ends exactly on the tiles' points
+        assert.strictEqual(a[3], edges[i].uses[0].tile.points[(edges[i].uses[0].edgeIndex + 1) % edges[i].uses[0].tile.points.length]);
+
+        sharedCount++;
+
+    }
+
+    assert.ok(sharedCount > 50);
+
+});
+
+test('the edge profile is placed along the edge\'s unit vector', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 1),
+        tile = krinkle.getTiles()[0],
+        commands = MK.getCurvedTileCommands(krinkle, tile, 'M0 0 L0.5 0.2 L1 0');
+
+    // the first edge runs along the x axis, from [0,0] to [10,0], so the profile is 10 times bigger
+    assert.strictEqual(commands.slice(0, 3).map(function (command) { return command.type }).join(''), 'MLL');
+    assertPointsClose(getCommandPoints(commands.slice(0, 3)), [[0, 0], [5, 2], [10, 0]], 1e-9);
+
+    // the top edge of the tile's upper half, from [0,top] to [-10,top], goes against
+    // its unit vector, so it gets the same bulge, upwards, traversed backwards
+    var top = tile.points[6][1];
+
+    assertClose(tile.points[7][0], -10, 1e-9);
+    assertPointsClose(getCommandPoints(commands.slice(13, 15)), [[-5, top + 2], [-10, top]], 1e-9);
+
+});
+
+test('the edge profiles can vary by the edge\'s direction', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 2),
+        tile = krinkle.getTiles()[7],
+        byArray = MK.getCurvedTileCommands(krinkle, tile, [MK.MKEdgeProfile.ARC, MK.MKEdgeProfile.STRAIGHT]),
+        byFunction = MK.getCurvedTileCommands(krinkle, tile, function (edge) { return 0 === edge.direction % 2 ? MK.MKEdgeProfile.ARC : undefined }),
+        parsed = {};
+
+    for (var i = 0; i < tile.points.length; i++) {
+
+        var direction = MK.getEdgeDirection(krinkle, tile, i).direction;
+
+        assert.strictEqual(byArray[i + 1].type, 0 === direction % 2 ? 'C' : 'L');
+        assert.strictEqual(byFunction[i + 1].type, byArray[i + 1].type);
+
+    }
+
+    // each profile is parsed once, and shared
+    MK.getCurvedTileCommands(krinkle, tile, [MK.MKEdgeProfile.ARC, MK.MKEdgeProfile.STRAIGHT], parsed);
+    assert.deepStrictEqual(Object.keys(parsed).sort(), [MK.MKEdgeProfile.ARC, MK.MKEdgeProfile.STRAIGHT].sort());
+
+});
+
+test('an edge profile must run from 0,0 to 1,0 in one open path', function () {
+
+    assert.strictEqual(MK.parseEdgeProfile(MK.MKEdgeProfile.S_CURVE).length, 2);
+
+    assert.throws(function () { MK.parseEdgeProfile('M0 0 L2 0') }, /parseEdgeProfile: the profile "M0 0 L2 0" must run from 0,0 to 1,0\./);
+    assert.throws(function () { MK.parseEdgeProfile('M0.1 0 L1 0') }, /must run from 0,0 to 1,0/);
+    assert.throws(function () { MK.parseEdgeProfile('M0 0') }, /must run from 0,0 to 1,0/);
+    assert.throws(function () { MK.parseEdgeProfile('M0 0 L0.5 0 M0.5 0.2 L1 0') }, /must be one unbroken, open path/);
+    assert.throws(function () { MK.parseEdgeProfile('M0 0 L0.5 0.5 L1 0 Z L1 0') }, /must be one unbroken, open path/);
+
+});
+
+test('parsePathData throws on a command it doesn\'t know, rather than skipping it', function () {
+
+    assert.strictEqual(MK.parsePathData('M0 0 h1 v1 Z').map(function (command) { return command.type }).join(''), 'MLLZ');
+
+    assert.throws(function () { MK.parsePathData('M0 0 X1 0') }, /parsePathData: unknown command "X"\./);
+    assert.throws(function () { MK.parsePathData('M0 0 L1 0 b2 0') }, /unknown command "b"/);
+    assert.throws(function () { MK.parsePathData('M0 0 A1 1 0 0 1 1 0') }, /arcs are not supported/);
+    assert.throws(function () { MK.parsePathData('0 0 L1 0') }, /expected a command, found "0"/);
+    assert.throws(function () { MK.parsePathData('M0 0 L1') }, /too few numbers for the "L" command/);
+
+});
+
+test('reversePathCommands runs an open path backwards', function () {
+
+    var reversed = MK.reversePathCommands(MK.parsePathData('M0 0 L1 0 C1 1 2 1 2 0 L3 0'));
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(reversed)), [
+        { type: 'M', points: [[3, 0]] },
+        { type: 'L', points: [[2, 0]] },
+        { type: 'C', points: [[2, 1], [1, 1], [1, 0]] },
+        { type: 'L', points: [[0, 0]] },
+    ]);
+
+});
+
+test('the curved tiles are exported as curves', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 2),
+        tileCount = krinkle.getTiles().length,
+        edgeCount = 2 * krinkle.k + 2,
+        svg = MK.krinkleToSVG(krinkle, { edgeProfiles: MK.MKEdgeProfile.S_CURVE }),
+        pdf = MK.krinkleToPDF(krinkle, { edgeProfiles: MK.MKEdgeProfile.S_CURVE });
+
+    assert.strictEqual(svg.match(/ C/g).length, tileCount * edgeCount);
+    assert.strictEqual(pdf.match(/ c\n/g).length, tileCount * edgeCount);
+
+});
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * @file MK_PDF.test.js
+ *
+ * Tests of the PDF export in Lib/MK_PDF.js, and of the
+ * command line generator in Node/mk-tiling.js.
+ */
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var path = require('path');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test;
+
+var MK = loadMK();
+
+/** The command line generator. */
+var CLI = path.join(__dirname, '..', 'Node', 'mk-tiling.js');
+
+/**
+ * Returns the numbers of each path painting operator
+ * in a PDF document's content stream.
+ * @param {String} pdf - the PDF document.
+ * @returns {Object} - eg. { m: 4, h: 4, B: 1 }.
+ */
+function countOperators(pdf) {
+
+    var stream = /stream\n([\s\S]*?)\nendstream/.exec(pdf)[1],
+        counts = {},
+        lines = stream.split('\n');
+
+    for (var i = 0; i < lines.length; i++) {
+        var operator = lines[i].split(' ').pop();
+        counts[operator] = (counts[operator] || 0) + 1;
+    }
+
+    return counts;
+
+};
+
+test('krinkleToPDF writes a PDF whose cross-reference table finds every object', function () {
+
+    var pdf = MK.krinkleToPDF(new MK.ModuloKrinkle(2, 5, 2, true, 10, 3), { fill: '#fd0' }),
+        xref = pdf.lastIndexOf('\nxref\n') + 1,
+        startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)[1]),
+        entries = pdf.slice(xref).split('\n').slice(3, 8);
+
+    assert.strictEqual(pdf.slice(0, 9), '%PDF-1.4\n');
+    assert.strictEqual(startxref, xref);
+
+    // every entry is 20 bytes, and points at its object
+    for (var i = 0; i < entries.length; i++) {
+        assert.strictEqual(entries[i].length + 1, 20);
+        assert.strictEqual(pdf.substr(Number(entries[i].slice(0, 10)), 8), (i + 1) + ' 0 obj\n');
+    }
+
+    var stream = /<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/.exec(pdf);
+
+    assert.strictEqual(Number(stream[1]), stream[2].length);
+    assert.ok(/\/Info 5 0 R/.test(pdf));
+    assert.ok(/\/Title \(MK-2-5-16\) >>/.test(pdf));
+
+    // only 8-bit characters
+    assert.ok(!/[^\x00-\xff]/.test(pdf));
+
+});
+
+test('krinkleToPDF draws one closed path per tile, then paints them', function () {
+
+    var krinkle = new MK.ModuloKrinkle(3, 7, 2, false, 10, 2),
+        tileCount = krinkle.getTiles().length,
+        filled = countOperators(MK.krinkleToPDF(krinkle, { fill: '#ffd700', strokeWidth: 0.5 })),
+        stroked = countOperators(MK.krinkleToPDF(krinkle));
+
+    assert.strictEqual(filled.m, tileCount);
+    assert.strictEqual(filled.h, tileCount);
+    assert.strictEqual(filled.l, tileCount * (2 * krinkle.k + 1));
+    assert.strictEqual(filled.B, 1);
+    assert.strictEqual(filled.rg, 1);
+    assert.strictEqual(stroked.S, 1);
+    assert.strictEqual(stroked.rg, undefined);
+
+    assert.ok(/\n1 0\.843 0 rg\n/.test(MK.krinkleToPDF(krinkle, { fill: '#ffd700' })));
+    assert.ok(/^0\.5 w 1 J 1 j$/m.test(MK.krinkleToPDF(krinkle, { strokeWidth: 0.5 })));
+
+});
+
+test('krinkleToPDF sizes the page to the tiling, or its clip region', function () {
+
+    var krinkle = new MK.ModuloKrinkle(1, 2, 2, false, 10, 1);
+
+    // the tiling is 40 × 20 pts, with 10 pts of padding all round
+    assert.ok(/\/MediaBox \[0 0 60 40\]/.test(MK.krinkleToPDF(krinkle)));
+    assert.ok(/\/MediaBox \[0 0 40 20\]/.test(MK.krinkleToPDF(krinkle, { padding: 0 })));
+
+    krinkle.fitToRegion([[-15, -5], [15, -5], [15, 5], [-15, 5]], MK.MKRegionMode.CLIP);
+
+    var pdf = MK.krinkleToPDF(krinkle, { padding: 0 });
+
+    assert.ok(/\/MediaBox \[0 0 30 10\]/.test(pdf));
+    assert.ok(/\n0 0 m\n30 0 l\n30 10 l\n0 10 l\nh W n\n/.test(pdf));
+
+});
+
+test('the PDF helpers format numbers, strings and colors', function () {
+
+    assert.strictEqual(MK.formatPDFNumber(1.23456), '1.235');
+    assert.strictEqual(MK.formatPDFNumber(2.5), '2.5');
+    assert.strictEqual(MK.formatPDFNumber(-0.0001), '0');
+    assert.strictEqual(MK.escapePDFString('MK (a\\b)'), 'MK \\(a\\\\b\\)');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(MK.parseHexColor('#fd0'))), [1, 0.867, 0]);
+    assert.strictEqual(MK.parseHexColor('none'), undefined);
+
+});
+
+test('mk-tiling writes the same svg, json and pdf as the Lib files', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 2),
+        expected = {
+            svg: MK.krinkleToSVG(krinkle, { fill: '#ffd700' }),
+            json: MK.stringifyJSON(krinkle) + '\n',
+            pdf: MK.krinkleToPDF(krinkle, { fill: '#ffd700' }),
+        };
+
+    for (var format in expected) {
+
+        var output = childProcess.execFileSync(process.execPath, [CLI, '-m', '2', '-k', '5', '--layer-count', '2', '--fill', '#ffd700', '--format', format], { timeout: 30000 });
+
+        // the pdf is binary, and the others are plain ASCII
+        assert.strictEqual(output.toString('latin1'), expected[format], format);
+
+    }
+
+    var result = childProcess.spawnSync(process.execPath, [CLI, '-m', '1', '-k', '9', '-t', '1'], { timeout: 30000 });
+
+    assert.strictEqual(result.status, 1);
+    assert.ok(/\(BAD_T\)/.test(result.stderr.toString()));
+
+});
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * @file MK_Plot.test.js
+ *
+ * Tests of the pen plotter paths in Lib/MK_Plot.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test,
+    assertClose = harness.assertClose;
+
+var MK = loadMK();
+
+/** The distance under which points are the same. */
+var TOLERANCE = 0.001;
+
+/**
+ * Returns a key for the segment ab, the same either way round.
+ * @param {point} a - the start of the segment.
+ * @param {point} b - the end of the segment.
+ * @returns {String}
+ */
+function getSegmentKey(a, b) {
+
+    var aKey = MK.getPointKey(a, TOLERANCE),
+        bKey = MK.getPointKey(b, TOLERANCE);
+
+    return aKey < bKey ? aKey + '|' + bKey : bKey + '|' + aKey;
+
+};
+
+test('the plot draws each tile edge exactly once', function () {
+
+    var cases = [[2, 5, 2, false, 4], [3, 7, 3, false, 3], [2, 5, 2, true, 3]];
+
+    for (var c = 0; c < cases.length; c++) {
+
+        var krinkle = new MK.ModuloKrinkle(cases[c][0], cases[c][1], cases[c][2], cases[c][3], 10, cases[c][4]),
+            label = cases[c].join(','),
+            edges = krinkle.getEdges(),
+            plot = MK.getKrinklePlot(krinkle),
+            expected = {},
+            drawn = {},
+            drawnCount = 0,
+            edgeLength = 0;
+
+        for (var i = 0; i < edges.length; i++) {
+            expected[getSegmentKey(edges[i].start, edges[i].end)] = true;
+            edgeLength += Math.sqrt(Math.pow(edges[i].end[0] - edges[i].start[0], 2) + Math.pow(edges[i].end[1] - edges[i].start[1], 2));
+        }
+
+        for (var i = 0; i < plot.paths.length; i++) {
+
+            for (var j = 1; j < plot.paths[i].length; j++) {
+
+                var key = getSegmentKey(plot.paths[i][j - 1], plot.paths[i][j]);
+
+                assert.ok(expected[key], label + ': ' + key + ' is not a tile edge');
+                assert.ok(!drawn[key], label + ': ' + key + ' is drawn twice');
+
+                drawn[key] = true;
+                drawnCount++;
+
+            }
+
+        }
+
+        assert.strictEqual(drawnCount, edges.length, label);
+        assertClose(plot.drawLength, edgeLength, 1e-6, label);
+
+    }
+
+});
+
+test('the plot has as few paths as the odd junctions allow', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 5),
+        edges = krinkle.getEdges(),
+        plot = MK.getKrinklePlot(krinkle),
+        degrees = {},
+        oddCount = 0;
+
+    for (var i = 0; i < edges.length; i++) {
+        var aKey = MK.getPointKey(edges[i].start, TOLERANCE),
+            bKey = MK.getPointKey(edges[i].end, TOLERANCE);
+        degrees[aKey] = (degrees[aKey] || 0) + 1;
+        degrees[bKey] = (degrees[bKey] || 0) + 1;
+    }
+
+    for (var key in degrees)
+        if (1 === degrees[key] % 2)
+            oddCount++;
+
+    // each path starts and ends at an odd junction
+    assert.ok(oddCount > 0);
+    assert.strictEqual(plot.paths.length, oddCount / 2);
+
+    // a square: one closed path
+    var square = MK.getPlotPaths([[[0, 0], [10, 0]], [[10, 10], [10, 0]], [[10, 10], [0, 10]], [[0, 10], [0, 0]], [[0, 0], [10, 0]]]);
+
+    assert.strictEqual(square.paths.length, 1);
+    assert.strictEqual(square.paths[0].length, 5);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(square.paths[0][0])), JSON.parse(JSON.stringify(square.paths[0][4])));
+    assert.strictEqual(square.drawLength, 40);
+
+});
+
+test('the paths are ordered to keep the pen-up travel short', function () {
+
+    // two far segments, listed far one first; the pen starts at the bottom left
+    var plot = MK.getPlotPaths([[[100, 100], [110, 100]], [[10, 0], [0, 0]]]),
+        paths = JSON.parse(JSON.stringify(plot.paths));
+
+    assert.deepStrictEqual(paths, [[[0, 0], [10, 0]], [[100, 100], [110, 100]]]);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(plot.bounds)), [0, 100, 110, 0]);
+    assertClose(plot.travelLength, Math.sqrt(90 * 90 + 100 * 100), 1e-9);
+
+    // the krinkle's plot travels less than its paths would, drawn in reverse order
+    var krinklePlot = MK.getKrinklePlot(new MK.ModuloKrinkle(3, 7, 2, false, 10, 4)),
+        unordered = 0,
+        pen = [krinklePlot.bounds[0], krinklePlot.bounds[3]];
+
+    for (var i = krinklePlot.paths.length - 1; i >= 0; i--) {
+        unordered += MK.getDistance(pen, krinklePlot.paths[i][0]);
+        pen = krinklePlot.paths[i][krinklePlot.paths[i].length - 1];
+    }
+
+    assert.ok(krinklePlot.travelLength < unordered);
+
+});
+
+test('a clipped plot stays inside the clip region', function () {
+
+    var region = [[-30, -20], [30, -20], [30, 20], [-30, 20]],
+        krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 2).fitToRegion(region, MK.MKRegionMode.CLIP),
+        plot = MK.getKrinklePlot(krinkle);
+
+    assert.ok(plot.paths.length > 0);
+
+    for (var i = 0; i < plot.paths.length; i++)
+        for (var j = 0; j < plot.paths[i].length; j++)
+            assert.ok(MK.getDistanceToPolygon(plot.paths[i][j], region) < TOLERANCE || MK.isPointInPolygon(plot.paths[i][j], region));
+
+    assert.ok(plot.bounds[0] >= -30 - TOLERANCE && plot.bounds[2] <= 30 + TOLERANCE);
+
+});
+
+test('plotToHPGL and plotToGCode draw each path from the bottom left', function () {
+
+    var plot = MK.getPlotPaths([[[72, 72], [144, 72]], [[144, 72], [144, 144]]]);
+
+    // 72 pts is 1 inch, or 1016 plotter units
+    assert.strictEqual(MK.plotToHPGL(plot, { pen: 2 }), 'IN;\nSP2;\nPU0,0;\nPD1016,0,1016,1016;\nPU;\nSP0;\n');
+
+    var gcode = MK.plotToGCode(plot, { feedRate: 1500 }).split('\n');
+
+    assert.deepStrictEqual(gcode, [
+        'G21',
+        'G90',
+        'G0 Z5',
+        'G0 X0 Y0',
+        'G1 Z0 F1500',
+        'G1 X25.4 Y0 F1500',
+        'G1 X25.4 Y25.4',
+        'G0 Z5',
+        'G0 X0 Y0',
+        'M2',
+        '',
+    ]);
+
+});
\ No newline at end of file
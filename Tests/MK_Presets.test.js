@@ -0,0 +1,281 @@
+/**
+ * @file MK_Presets.test.js
+ *
+ * Tests of the presets in Lib/MK_Presets.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test;
+
+var MK = loadMK(['MK.js', 'MK_JSON.js', 'MK_Presets.js']);
+
+test('a preset\'s missing parameters get the ModuloKrinkle defaults', function () {
+
+    var defaults = MK.ModuloKrinkle.DEFAULT_PARAMS,
+        preset = MK.getPresetFromSettings({}, 'Empty');
+
+    assert.strictEqual(preset.name, 'Empty');
+    assert.strictEqual(preset.drawType, 'paths');
+
+    for (var key in preset.krinkleParams)
+        assert.strictEqual(preset.krinkleParams[key], defaults[key], key);
+
+    // the krinkle the preset makes is the default krinkle
+    var params = preset.krinkleParams,
+        krinkle = new MK.ModuloKrinkle(params.m, params.k, params.t, params.offset, params.unitLength, params.layerCount),
+        defaultKrinkle = new MK.ModuloKrinkle();
+
+    assert.strictEqual(krinkle.toString(), defaultKrinkle.toString());
+
+    // the parameters given are kept, as numbers
+    preset = MK.getPresetFromSettings({ krinkleParams: { m: '2', k: 5, offset: true }, drawType: 'graph-colors' }, 'Star');
+
+    assert.strictEqual(preset.krinkleParams.m, 2);
+    assert.strictEqual(preset.krinkleParams.k, 5);
+    assert.strictEqual(preset.krinkleParams.t, defaults.t);
+    assert.strictEqual(preset.krinkleParams.offset, true);
+    assert.strictEqual(preset.drawType, 'graph-colors');
+
+});
+
+/**
+ * A stand-in for ExtendScript's File, holding its text in memory.
+ * @param {String} name - the file's name.
+ * @param {String} [text] - the file's text (default: none, the file does not exist).
+ */
+function MockFile(name, text) {
+    this.name = name;
+    this.fsName = '/presets/' + name;
+    this.text = text;
+    this.exists = undefined !== text;
+    this.mode = undefined;
+};
+
+MockFile.prototype.open = function (mode) {
+    this.mode = mode;
+
+    if ('w' === mode) {
+        this.text = '';
+        this.exists = true;
+    }
+
+    return this.exists;
+};
+
+MockFile.prototype.read = function () {
+    assert.strictEqual(this.mode, 'r', 'the file is open for reading');
+    return this.text;
+};
+
+MockFile.prototype.write = function (text) {
+    assert.strictEqual(this.mode, 'w', 'the file is open for writing');
+    this.text += text;
+};
+
+MockFile.prototype.close = function () {
+    this.mode = undefined;
+};
+
+var STAR = {
+    krinkleParams: { m: 2, k: 5, t: 2, offset: false, unitLength: 10, layerCount: 5 },
+    drawType: 'style-rules',
+    styleRulesFile: '/rules/star.json',
+    fieldColors: { field: 'angle', useSwatches: true, startHue: 30, endHue: 300 },
+};
+
+test('a preset keeps the style rules file and the field colors', function () {
+
+    var preset = MK.getPresetFromSettings(STAR, 'Star');
+
+    assert.strictEqual(preset.styleRulesFile, '/rules/star.json');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(preset.fieldColors)), STAR.fieldColors);
+
+    // not given, so not stored
+    preset = MK.getPresetFromSettings({ krinkleParams: STAR.krinkleParams }, 'Plain');
+
+    assert.strictEqual(preset.styleRulesFile, undefined);
+    assert.strictEqual(preset.fieldColors, undefined);
+
+});
+
+test('presets are saved to the presets file and loaded again', function () {
+
+    var file = new MockFile('Presets.json'),
+        presets = new MK.MKPresets(file);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(presets.getNames())), []);
+
+    presets.set('Star', STAR);
+    presets.set(' Flower ', { krinkleParams: { m: 3, k: 7, t: 1 }, drawType: 'field-colors', fieldColors: { field: 'distance', startHue: 0, endHue: 180 } });
+    presets.lastUsed = 'Star';
+    presets.save();
+
+    var doc = JSON.parse(file.text);
+
+    assert.strictEqual(doc.format, MK.MKPresets.FORMAT);
+    assert.strictEqual(doc.version, MK.MKPresets.VERSION);
+    assert.strictEqual(doc.lastUsed, 'Star');
+    assert.strictEqual(file.mode, undefined, 'the file is closed');
+
+    var loaded = new MK.MKPresets(file);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(loaded.getNames())), ['Star', 'Flower']);
+    assert.strictEqual(loaded.lastUsed, 'Star');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(loaded.get('Star'))), JSON.parse(JSON.stringify(presets.get('Star'))));
+    assert.strictEqual(loaded.get('Star').styleRulesFile, '/rules/star.json');
+    assert.strictEqual(loaded.get('Flower').drawType, 'field-colors');
+    assert.strictEqual(loaded.get('Flower').fieldColors.useSwatches, false);
+    assert.strictEqual(loaded.get('Flower').fieldColors.endHue, 180);
+    assert.strictEqual(loaded.get('Nothing'), undefined);
+
+    // setting a preset with the same name replaces it
+    loaded.set('Star', { krinkleParams: { m: 4, k: 9, t: 3 }, drawType: 'symbol' });
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(loaded.getNames())), ['Star', 'Flower']);
+    assert.strictEqual(loaded.get('Star').krinkleParams.m, 4);
+    assert.strictEqual(loaded.get('Star').styleRulesFile, undefined);
+
+    // a preset needs a name
+    assert.throws(function () { loaded.set('  ', STAR) }, /a preset needs a name/);
+
+});
+
+test('renaming and removing presets keeps the last used preset up to date', function () {
+
+    var file = new MockFile('Presets.json'),
+        presets = new MK.MKPresets(file);
+
+    presets.set('Star', STAR);
+    presets.set('Flower', STAR);
+    presets.lastUsed = 'Star';
+
+    // the last used preset follows a rename
+    presets.rename('Star', 'Big Star');
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(presets.getNames())), ['Big Star', 'Flower']);
+    assert.strictEqual(presets.lastUsed, 'Big Star');
+    assert.strictEqual(presets.get('Big Star').name, 'Big Star');
+
+    presets.save();
+    assert.strictEqual(new MK.MKPresets(file).lastUsed, 'Big Star');
+
+    // renaming another preset leaves it alone
+    presets.rename('Flower', 'Rose');
+    assert.strictEqual(presets.lastUsed, 'Big Star');
+
+    assert.throws(function () { presets.rename('Rose', 'Big Star') }, /already a preset called "Big Star"/);
+    assert.throws(function () { presets.rename('Tulip', 'Lily') }, /no preset called "Tulip"/);
+
+    // removing another preset leaves it alone
+    presets.remove('Rose');
+    assert.strictEqual(presets.lastUsed, 'Big Star');
+
+    // removing the last used preset clears it
+    presets.remove('Big Star');
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(presets.getNames())), []);
+    assert.strictEqual(presets.lastUsed, undefined);
+
+    presets.save();
+    assert.strictEqual(new MK.MKPresets(file).lastUsed, undefined);
+
+});
+
+test('presets are exported to and imported from other presets files', function () {
+
+    var presets = new MK.MKPresets(new MockFile('Presets.json'));
+
+    presets.set('Star', STAR);
+    presets.set('Flower', { krinkleParams: { m: 3, k: 7, t: 1 }, drawType: 'symbols' });
+    presets.lastUsed = 'Star';
+
+    // all of them, without the last used preset
+    var all = new MockFile('All.json');
+
+    presets.exportFile(all);
+
+    assert.strictEqual(JSON.parse(all.text).lastUsed, undefined);
+    assert.deepStrictEqual(JSON.parse(all.text).presets.map(function (preset) { return preset.name }), ['Star', 'Flower']);
+
+    // some of them
+    var some = new MockFile('Some.json');
+
+    presets.exportFile(some, ['Flower', 'Nothing']);
+
+    assert.deepStrictEqual(JSON.parse(some.text).presets.map(function (preset) { return preset.name }), ['Flower']);
+
+    // importing replaces the presets with the same names
+    var other = new MK.MKPresets();
+
+    other.set('Flower', STAR);
+    other.set('Tree', STAR);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(other.importFile(all))), ['Star', 'Flower']);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(other.getNames())), ['Flower', 'Tree', 'Star']);
+    assert.strictEqual(other.get('Flower').drawType, 'symbols');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(other.get('Star'))), JSON.parse(JSON.stringify(presets.get('Star'))));
+    assert.strictEqual(other.lastUsed, undefined);
+
+    // files that aren't presets files
+    assert.throws(function () { other.importFile(new MockFile('Missing.json')) }, /does not exist/);
+    assert.throws(function () { other.importFile(new MockFile('Other.json', '{"format": "Other", "presets": []}')) }, /"Other.json" is not a presets file/);
+    assert.throws(function () { other.importFile(new MockFile('Future.json', '{"format": "ModuloKrinklePresets", "version": 99, "presets": []}')) }, /unsupported presets file version 99/);
+
+});
+
+test('a version 1 presets file, with numbered draw types, loads with the named draw types', function () {
+
+    var MKDrawType = loadMK(['MK.js', 'MK_UI.js']).MKDrawType,
+        drawTypes = [];
+
+    for (var key in MKDrawType)
+        drawTypes.push(MKDrawType[key]);
+
+    // every numbered draw type has a name, apart from the style rules file's controls
+    MK.MKPresets.VERSION_1_DRAW_TYPES.forEach(function (drawType, index) {
+        assert.ok(5 === index ? undefined === drawType : -1 !== drawTypes.indexOf(drawType), String(index));
+    });
+
+    var file = new MockFile('Presets.json', JSON.stringify({
+        format: 'ModuloKrinklePresets',
+        version: 1,
+        lastUsed: 'Rules',
+        presets: [
+            { name: 'Paths', krinkleParams: STAR.krinkleParams, drawType: 0 },
+            { name: 'Symbol', krinkleParams: STAR.krinkleParams, drawType: 1 },
+            { name: 'Symbols', krinkleParams: STAR.krinkleParams, drawType: 2 },
+            { name: 'Graph', krinkleParams: STAR.krinkleParams, drawType: 3 },
+            { name: 'Rules', krinkleParams: STAR.krinkleParams, drawType: 4 },
+            { name: 'Rules File', krinkleParams: STAR.krinkleParams, drawType: 5 },
+            { name: 'Field', krinkleParams: STAR.krinkleParams, drawType: 6 },
+            { name: 'Unknown', krinkleParams: STAR.krinkleParams, drawType: 9 },
+        ],
+    }));
+
+    var presets = new MK.MKPresets(file);
+
+    assert.deepStrictEqual(
+        JSON.parse(JSON.stringify(presets.getNames())).map(function (name) { return presets.get(name).drawType }),
+        [
+            MKDrawType.PATHS,
+            MKDrawType.SYMBOL,
+            MKDrawType.SYMBOLS,
+            MKDrawType.GRAPH_COLORS,
+            MKDrawType.STYLE_RULES,
+            MKDrawType.PATHS,
+            MKDrawType.FIELD_COLORS,
+            MKDrawType.PATHS,
+        ]
+    );
+
+    // and saves as version 2
+    presets.save();
+
+    assert.strictEqual(JSON.parse(file.text).version, 2);
+    assert.strictEqual(JSON.parse(file.text).presets[4].drawType, 'style-rules');
+    assert.strictEqual(new MK.MKPresets(file).get('Rules').drawType, MKDrawType.STYLE_RULES);
+
+});
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * @file MK_SVG.test.js
+ *
+ * Tests of the SVG export in Lib/MK_SVG.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test;
+
+var MK = loadMK();
+
+/**
+ * Returns the SVG document that `krinkleToSVG` writes
+ * in pieces, and the number of pieces.
+ * @param {ModuloKrinkle} krinkle - the krinkle to write.
+ * @param {Object} [options] - the options, see `krinkleToSVG`.
+ * @returns {Object} - { svg, count }.
+ */
+function writeSVG(krinkle, options) {
+
+    var chunks = [];
+
+    var returned = MK.krinkleToSVG(krinkle, options, function (chunk) { chunks.push(chunk) });
+
+    assert.strictEqual(returned, undefined);
+
+    return { svg: chunks.join(''), count: chunks.length };
+
+};
+
+test('krinkleToSVG writes the same document, one tile at a time, from a lazy krinkle', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 4),
+        lazy = new MK.ModuloKrinkle(2, 5, 2, false, 10, 4, true),
+        options = {
+            fill: '#ffd700',
+            transform: new MK.MKTransform({ rotation: 30, scale: 2 }),
+            tileAttributes: function (tile) { return { 'data-layer': tile.layerIndex } },
+        },
+        svg = MK.krinkleToSVG(krinkle, options),
+        written = writeSVG(lazy, options);
+
+    assert.strictEqual(written.svg, svg);
+
+    // the start, a piece per tile and wedge group, and the end
+    assert.strictEqual(written.count, 2 + krinkle.getTiles().length + krinkle.wedges.length * 2);
+
+    // and with curved edges
+    options = { edgeProfiles: MK.MKEdgeProfile.S_CURVE };
+    assert.strictEqual(writeSVG(lazy, options).svg, MK.krinkleToSVG(krinkle, options));
+
+});
+
+test('krinkleToSVG writes a clipped tiling, fitting its region', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 2);
+
+    krinkle.fitToRegion([[-30, -20], [30, -20], [30, 20], [-30, 20]], MK.MKRegionMode.CLIP);
+
+    var svg = MK.krinkleToSVG(krinkle, { padding: 0 });
+
+    assert.strictEqual(writeSVG(krinkle, { padding: 0 }).svg, svg);
+    assert.ok(/viewBox="-30 -20 60 40"/.test(svg));
+    assert.ok(/<g clip-path="url\(#mk-clip\)">/.test(svg));
+
+});
+
+
+test('krinkleToSVG writes each tile as a path, with its id and classes, flipping y', function () {
+
+    var svg = MK.krinkleToSVG(new MK.ModuloKrinkle(1, 2, 2, false, 10, 1), { fill: '#ffd700' });
+
+    assert.strictEqual(svg, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="-30 -20 60 40" width="60" height="40">',
+        '  <title>MK-1-2-4</title>',
+        '  <style>',
+        '.mk-tile { fill: #ffd700; stroke: #000; stroke-width: 1; stroke-linejoin: round; }',
+        '  </style>',
+        '  <g id="mk-W0" class="mk-wedge mk-sector-0">',
+        '    <path id="mk-S0-W0-L0-T0-B" class="mk-tile mk-type-B mk-sector-0 mk-layer-0" d="M0 0 L10 0 L10 -10 L0 -10 L-10 -10 L-10 0 Z" />',
+        '  </g>',
+        '  <g id="mk-W1" class="mk-wedge mk-sector-0">',
+        '    <path id="mk-S0-W1-L0-T0-B" class="mk-tile mk-type-B mk-sector-0 mk-layer-0" d="M-10 0 L-10 -10 L-20 -10 L-20 0 L-20 10 L-10 10 Z" />',
+        '  </g>',
+        '  <g id="mk-W2" class="mk-wedge mk-sector-1">',
+        '    <path id="mk-S1-W2-L0-T0-B" class="mk-tile mk-type-B mk-sector-1 mk-layer-0" d="M0 0 L-10 0 L-10 10 L0 10 L10 10 L10 0 Z" />',
+        '  </g>',
+        '  <g id="mk-W3" class="mk-wedge mk-sector-1">',
+        '    <path id="mk-S1-W3-L0-T0-B" class="mk-tile mk-type-B mk-sector-1 mk-layer-0" d="M10 0 L10 10 L20 10 L20 0 L20 -10 L10 -10 Z" />',
+        '  </g>',
+        '</svg>',
+        '',
+    ].join('\n'));
+
+});
+
+test('krinkleToSVG gives every tile a path with a different id', function () {
+
+    var krinkle = new MK.ModuloKrinkle(3, 7, 2, true, 10, 3),
+        svg = MK.krinkleToSVG(krinkle, { prefix: 'k', decimals: 1, css: '.k-layer-0 { fill: red; }' }),
+        ids = {},
+        paths = svg.match(/<path [^>]*>/g);
+
+    assert.strictEqual(paths.length, krinkle.getTiles().length);
+
+    for (var i = 0; i < paths.length; i++) {
+
+        var id = /id="(k-S\d+-W\d+-L\d+-T\d+-\w+)"/.exec(paths[i])[1];
+
+        assert.ok(!ids[id], id);
+        ids[id] = true;
+
+        // one decimal place at most
+        assert.ok(/ d="[-\d. MLZ]+"/.test(paths[i]) && !/\.\d\d/.test(paths[i]), paths[i]);
+
+    }
+
+    assert.ok(-1 !== svg.indexOf('\n.k-layer-0 { fill: red; }\n'));
+
+});
+
+test('krinkleToDualSVG links the tiles\' centroids, and marks the vertices', function () {
+
+    var svg = MK.krinkleToDualSVG(new MK.ModuloKrinkle(1, 2, 2, false, 10, 1), { showVertices: true });
+
+    assert.strictEqual(svg, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="-25 -15 50 30" width="50" height="30">',
+        '  <title>MK-1-2-4 dual</title>',
+        '  <style>',
+        '.mk-link { fill: none; stroke: #000; stroke-width: 1; stroke-linecap: round; }',
+        '.mk-node { fill: #000; }',
+        '.mk-configuration-0 { fill: hsl(0, 70%, 50%); }',
+        '.mk-configuration-1 { fill: hsl(138, 70%, 50%); }',
+        '  </style>',
+        '  <g class="mk-links">',
+        '    <path class="mk-link" d="M0 -5 L0 5" />',
+        '    <path class="mk-link" d="M0 -5 L15 0" />',
+        '    <path class="mk-link" d="M0 -5 L-15 0" />',
+        '    <path class="mk-link" d="M-15 0 L0 5" />',
+        '    <path class="mk-link" d="M0 5 L15 0" />',
+        '  </g>',
+        '  <g class="mk-nodes">',
+        '    <circle id="mk-node-S0-W0-L0-T0-B" class="mk-node" cx="0" cy="-5" r="1.25" />',
+        '    <circle id="mk-node-S0-W1-L0-T0-B" class="mk-node" cx="-15" cy="0" r="1.25" />',
+        '    <circle id="mk-node-S1-W2-L0-T0-B" class="mk-node" cx="0" cy="5" r="1.25" />',
+        '    <circle id="mk-node-S1-W3-L0-T0-B" class="mk-node" cx="15" cy="0" r="1.25" />',
+        '  </g>',
+        '  <g class="mk-vertices">',
+        '    <circle class="mk-vertex mk-configuration-0" cx="0" cy="0" r="1.25"><title>4.4</title></circle>',
+        '    <circle class="mk-vertex mk-configuration-1" cx="10" cy="0" r="1.25"><title>2.2.4</title></circle>',
+        '    <circle class="mk-vertex mk-configuration-1" cx="-10" cy="0" r="1.25"><title>2.2.4</title></circle>',
+        '  </g>',
+        '</svg>',
+        '',
+    ].join('\n'));
+
+    // the tiles underneath, and no nodes
+    svg = MK.krinkleToDualSVG(new MK.ModuloKrinkle(2, 5, 2, false, 10, 2), { showTiles: true, nodeRadius: 0 });
+
+    assert.strictEqual(svg.match(/class="mk-tile /g).length, 30);
+    assert.ok(!/<circle/.test(svg));
+
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+/**
+ * @file MK_Sheet.test.js
+ *
+ * Tests of the parameter sheet in Lib/MK_Sheet.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test;
+
+var MK = loadMK(['MK.js', 'MK_Sheet.js']);
+
+test('getParameterCombinations only gives tilings that tile the plane, once each', function () {
+
+    var combinations = MK.getParameterCombinations({ m: [1, 4], k: [2, 6], t: [2, 3], offset: [false, true] }),
+        labels = combinations.map(function (c) { return [c.m, c.k, c.t, c.offset ? 'offset' : ''].join(' ').trim() });
+
+    // 2 4 is the same as 1 2, and the offset tilings with t = 3 overlap
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(labels)), [
+        '1 2 2', '1 2 2 offset', '1 2 3',
+        '1 3 2', '1 3 2 offset', '1 3 3',
+        '1 4 2', '1 4 2 offset', '1 4 3',
+        '1 5 2', '1 5 2 offset', '1 5 3',
+        '1 6 2', '1 6 2 offset', '1 6 3',
+        '2 3 2', '2 3 2 offset', '2 3 3',
+        '2 5 2', '2 5 2 offset', '2 5 3',
+        '3 4 2', '3 4 2 offset', '3 4 3',
+        '3 5 2', '3 5 2 offset', '3 5 3',
+        '4 5 2', '4 5 2 offset', '4 5 3',
+    ]);
+
+    for (var i = 0; i < combinations.length; i++) {
+
+        var result = MK.ModuloKrinkle.validateParams(combinations[i]);
+
+        assert.strictEqual(result.errors.length, 0, labels[i]);
+        assert.ok(!result.warnings.some(function (warning) { return MK.MKParamCode.OFFSET_OVERLAPS === warning.code }), labels[i]);
+
+    }
+
+    assert.strictEqual(MK.getParameterCombinations({ m: 2, k: 5, t: 3, offset: true }).length, 0);
+
+});
\ No newline at end of file
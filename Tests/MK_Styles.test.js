@@ -0,0 +1,172 @@
+/**
+ * @file MK_Styles.test.js
+ *
+ * Tests of the style rules in Lib/MK_Styles.js.
+ */
+
+var assert = require('assert');
+var harness = require('./harness.js');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+var test = harness.test;
+
+var MK = loadMK(['MK.js', 'MK_JSON.js', 'MK_SVG.js', 'MK_Styles.js']);
+
+/**
+ * Returns a copy of `value`, made in this context,
+ * for `assert.deepStrictEqual`, see MK.test.js.
+ * @param {*} value - the value, which must survive JSON.
+ * @returns {*}
+ */
+function copy(value) {
+
+    return JSON.parse(JSON.stringify(value));
+
+};
+
+/**
+ * Returns a tile-like object, for matching.
+ * @param {Object} properties - the tile's tileType, sectorIndex, wedgeIndex, layerIndex and direction.
+ * @returns {Object}
+ */
+function makeTile(properties) {
+
+    var tile = { tileType: 0, sectorIndex: 0, wedgeIndex: 0, layerIndex: 0, direction: 0 };
+
+    for (var key in properties)
+        tile[key] = properties[key];
+
+    return tile;
+
+};
+
+test('parseStyleRules reads a style rules document', function () {
+
+    var rules = MK.parseStyleRules(JSON.stringify({
+        format: 'ModuloKrinkleStyleRules',
+        version: 1,
+        swatches: { 'Gold': '#ffd700' },
+        rules: [
+            { style: { fill: '#fff', stroke: 'none', strokeWidth: 0.5 } },
+            { name: 'centers', match: { tileType: 'CENTER', parity: 'even' }, style: { fill: 'Gold', opacity: 80, blendMode: 'Multiply' } },
+            { match: { tileType: ['l', 'R'], sectorIndex: 1, layerRange: [2, 4] }, style: { fill: [10, 20, 30, 0], symbol: 'Star' } },
+        ],
+    }));
+
+    assert.deepStrictEqual(copy(rules.swatches), { 'Gold': { values: [255, 215, 0] } });
+    assert.strictEqual(rules.rules.length, 3);
+
+    assert.deepStrictEqual(copy(rules.rules[0]), {
+        match: {},
+        style: { fill: { values: [255, 255, 255] }, stroke: { none: true }, strokeWidth: 0.5 },
+    });
+
+    assert.strictEqual(rules.rules[1].name, 'centers');
+    assert.deepStrictEqual(copy(rules.rules[1].match), { tileType: [MK.MKTileType.CENTER], parity: 'even' });
+    assert.deepStrictEqual(copy(rules.rules[1].style), { fill: { swatch: 'Gold' }, opacity: 80, blendMode: 'multiply' });
+
+    assert.deepStrictEqual(copy(rules.rules[2].match), { tileType: [MK.MKTileType.LEFT, MK.MKTileType.RIGHT], sectorIndex: [1], layerRange: [2, 4] });
+    assert.deepStrictEqual(copy(rules.rules[2].style), { fill: { values: [10, 20, 30, 0] }, symbol: 'Star' });
+
+    // or just the rules
+    assert.strictEqual(MK.parseStyleRules([{ style: { fill: 'none' } }]).rules.length, 1);
+
+});
+
+test('parseStyleRules describes the first bad rule', function () {
+
+    var bad = [
+        [{ name: 'x', match: { tiletype: 'CENTER' } }, /rule 0 \(x\): unknown match key "tiletype"/],
+        [{ match: { tileType: 'SIDE' } }, /unknown `tileType` "SIDE"/],
+        [{ match: { layerIndex: [1, -2] } }, /bad `layerIndex` -2/],
+        [{ match: { layerRange: [3, 1] } }, /bad `layerRange`/],
+        [{ match: { parity: 2 } }, /bad `parity`/],
+        [{ style: { fill: '#12' } }, /rule 0 `fill`: bad color #12/],
+        [{ style: { stroke: [1, 2] } }, /bad color 1,2/],
+        [{ style: { opacity: 101 } }, /bad `opacity` 101/],
+        [{ style: { blendMode: 'dissolve' } }, /unknown `blendMode` "dissolve"/],
+        [{ style: { strokeColor: '#000' } }, /unknown style key "strokeColor"/],
+    ];
+
+    for (var i = 0; i < bad.length; i++)
+        assert.throws(function () { MK.parseStyleRules([bad[i][0]]) }, bad[i][1], String(bad[i][1]));
+
+    assert.throws(function () { MK.parseStyleRules({ rules: [] }) }, /not a style rules document/);
+    assert.throws(function () { MK.parseStyleRules({ format: 'ModuloKrinkleStyleRules', version: 2, rules: [] }) }, /unsupported style rules version 2/);
+    assert.throws(function () { MK.parseStyleRules({ format: 'ModuloKrinkleStyleRules', swatches: { a: 'b' }, rules: [] }) }, /swatch "a" must be a color/);
+
+});
+
+test('every matching rule applies, later rules winning', function () {
+
+    var rules = MK.parseStyleRules([
+        { style: { fill: '#ffffff', strokeWidth: 1 } },
+        { match: { tileType: 'CENTER', parity: 'even' }, style: { fill: '#ff0000' } },
+        { match: { layerIndex: [4, 5] }, style: { strokeWidth: 3 } },
+        { match: { sectorIndex: 1, direction: 7 }, style: { opacity: 50 } },
+    ]);
+
+    var style = function (properties) { return copy(MK.getTileStyle(rules, makeTile(properties))) };
+
+    assert.deepStrictEqual(style({ tileType: MK.MKTileType.LEFT, layerIndex: 2 }), { fill: { values: [255, 255, 255] }, strokeWidth: 1 });
+    assert.deepStrictEqual(style({ tileType: MK.MKTileType.CENTER, layerIndex: 2 }), { fill: { values: [255, 0, 0] }, strokeWidth: 1 });
+    assert.deepStrictEqual(style({ tileType: MK.MKTileType.CENTER, layerIndex: 4 }), { fill: { values: [255, 0, 0] }, strokeWidth: 3 });
+    assert.deepStrictEqual(style({ tileType: MK.MKTileType.CENTER, layerIndex: 3 }), { fill: { values: [255, 255, 255] }, strokeWidth: 1 });
+    assert.deepStrictEqual(style({ sectorIndex: 1, direction: 7 }), { fill: { values: [255, 255, 255] }, strokeWidth: 1, opacity: 50 });
+    assert.deepStrictEqual(style({ sectorIndex: 0, direction: 7 }), { fill: { values: [255, 255, 255] }, strokeWidth: 1 });
+
+    // no rules, no style
+    assert.deepStrictEqual(copy(MK.getTileStyle(MK.parseStyleRules([]), makeTile({}))), {});
+
+});
+
+test('the CENTER tiles of a tiling are in its even layers', function () {
+
+    var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 6),
+        rules = MK.parseStyleRules([{ match: { tileType: 'CENTER', parity: 'even' }, style: { fill: '#ff0000' } }]),
+        styled = 0,
+        centers = 0;
+
+    krinkle.forEachTile(function (tile) {
+
+        if (MK.getTileStyle(rules, tile).fill)
+            styled++;
+
+        if (MK.MKTileType.CENTER === tile.tileType)
+            centers++;
+
+    });
+
+    // layers 2 and 4, in each of the 10 wedges
+    assert.strictEqual(centers, 20);
+    assert.strictEqual(styled, centers);
+
+});
+
+test('getTileSVGStyle writes CSS, for krinkleToSVG', function () {
+
+    var rules = MK.parseStyleRules({
+        format: 'ModuloKrinkleStyleRules',
+        swatches: { 'Gold': '#ffd700' },
+        rules: [
+            { match: { tileType: 'BASE' }, style: { fill: 'Gold', stroke: [0, 0, 0, 100], strokeWidth: 2, opacity: 40, blendMode: 'SOFT_LIGHT' } },
+            { match: { tileType: 'LEFT' }, style: { fill: [25], stroke: 'none', symbol: 'Star' } },
+            { match: { tileType: 'RIGHT' }, style: { fill: 'Silver' } },
+        ],
+    });
+
+    assert.strictEqual(MK.getTileSVGStyle(rules, makeTile({ tileType: MK.MKTileType.BASE })), 'fill:rgb(255,215,0);stroke:rgb(0,0,0);stroke-width:2;opacity:0.4;mix-blend-mode:soft-light');
+    assert.strictEqual(MK.getTileSVGStyle(rules, makeTile({ tileType: MK.MKTileType.LEFT })), 'fill:rgb(191,191,191);stroke:none');
+    assert.strictEqual(MK.getTileSVGStyle(rules, makeTile({ tileType: MK.MKTileType.MIDDLE })), undefined);
+    assert.throws(function () { MK.getTileSVGStyle(rules, makeTile({ tileType: MK.MKTileType.RIGHT })) }, /no swatch "Silver"/);
+
+    rules.rules.pop();
+
+    var svg = MK.krinkleToSVG(new MK.ModuloKrinkle(2, 5, 2, false, 10, 2), {
+        tileAttributes: function (tile) { return { style: MK.getTileSVGStyle(rules, tile) } },
+    });
+
+    assert.ok(/<path id="mk-S0-W0-L0-T0-B"[^>]* style="fill:rgb\(255,215,0\);/.test(svg));
+    assert.ok(/<path id="mk-S0-W0-L1-T1-R"[^>]* d="[^"]*" \/>/.test(svg));
+
+});
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * @file fixtures.js
+ *
+ * The regression fixtures for the ModuloKrinkle geometry:
+ * for each case, the directions, the prototile's points and
+ * area, and the tile counts and bounds of a small tiling.
+ *
+ * Note: the fixtures were recorded from this implementation,
+ * after checking each tiling with `validateTiling`, so they
+ * catch changes to the output, not errors that were there
+ * when they were recorded. The cases worked by hand from
+ * the paper (arXiv:2506.07638) are in MK.test.js.
+ *
+ * To record them again, after an intended change:
+ *
+ *      node Tests/run.js --update-fixtures
+ */
+
+var fs = require('fs');
+var path = require('path');
+var loadMK = require('../Node/MK_Node.js').loadMK;
+
+/** The fixtures file. */
+var FIXTURES_FILE = path.join(__dirname, 'fixtures', 'MK.fixtures.json');
+
+/** The cases: [m, k, t, offset, layerCount]. */
+var FIXTURE_CASES = [
+    [1, 2, 2, false, 3],
+    [2, 5, 2, false, 3],
+    [3, 7, 2, false, 3],
+    [3, 7, 3, false, 2],
+    [7, 17, 2, false, 2],
+    [2, 5, 2, true, 3],
+    [3, 7, 2, true, 2],
+    // reduced by their greatest common divisor, to 2, 5 and 1, 2
+    [4, 10, 2, false, 2],
+    [3, 6, 3, false, 2],
+];
+
+/** The number of decimal places kept in the fixtures. */
+var DECIMALS = 6;
+
+/**
+ * Returns the fixture for a case, from the current code.
+ * @param {Object} MK - the loaded Lib files.
+ * @param {Array} c - the case [m, k, t, offset, layerCount].
+ * @returns {Object}
+ */
+function getFixture(MK, c) {
+
+    var krinkle = new MK.ModuloKrinkle(c[0], c[1], c[2], c[3], 10, c[4]),
+        layerTileCounts = [];
+
+    krinkle.forEachTile(function (tile) {
+        layerTileCounts[tile.layerIndex] = (layerTileCounts[tile.layerIndex] || 0) + 1;
+    });
+
+    return {
+        params: c,
+        m: krinkle.m,
+        k: krinkle.k,
+        n: krinkle.n,
+        directions: krinkle.directions,
+        prototile: roundValues(krinkle.prototile),
+        prototileArea: roundValues(MK.getPolygonArea(krinkle.prototile)),
+        layerTileCounts: layerTileCounts,
+        bounds: roundValues(krinkle.getBounds()),
+    };
+
+};
+
+/**
+ * Returns the recorded fixtures.
+ * @returns {Array<Object>}
+ */
+function readFixtures() {
+
+    return JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf8')).fixtures;
+
+};
+
+/**
+ * Records the fixtures from the current code.
+ */
+function updateFixtures() {
+
+    var MK = loadMK(['MK.js']),
+        fixtures = [];
+
+    for (var i = 0; i < FIXTURE_CASES.length; i++)
+        fixtures.push(getFixture(MK, FIXTURE_CASES[i]));
+
+    var doc = {
+        note: 'Recorded from this implementation, see Tests/fixtures.js. For the cases worked by hand from the paper, see Tests/MK.test.js.',
+        fixtures: fixtures,
+    };
+
+    if (!fs.existsSync(path.dirname(FIXTURES_FILE)))
+        fs.mkdirSync(path.dirname(FIXTURES_FILE));
+
+    fs.writeFileSync(FIXTURES_FILE, JSON.stringify(doc, undefined, 2) + '\n', 'utf8');
+
+};
+
+/**
+ * Returns a copy of `value`, with every number rounded
+ * to DECIMALS decimal places.
+ * @param {*} value - a number, or an array of them, or of arrays of them.
+ * @returns {*}
+ */
+function roundValues(value) {
+
+    if ('number' === typeof value)
+        return Number(value.toFixed(DECIMALS)) || 0;
+
+    return value.map(roundValues);
+
+};
+
+module.exports = {
+    DECIMALS: DECIMALS,
+    FIXTURE_CASES: FIXTURE_CASES,
+    FIXTURES_FILE: FIXTURES_FILE,
+    getFixture: getFixture,
+    readFixtures: readFixtures,
+    updateFixtures: updateFixtures,
+};
\ No newline at end of file
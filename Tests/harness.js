@@ -0,0 +1,142 @@
+/**
+ * @file harness.js
+ *
+ * A minimal test harness, so that the tests run with plain
+ * Node.js, with nothing to install.
+ *
+ * Example usage, in a test file:
+ *
+ *      var test = require('./harness.js').test;
+ *      var assert = require('assert');
+ *
+ *      test('the prototile closes', function () {
+ *          assert.ok(...);
+ *      });
+ *
+ * Then run all the test files with `node Tests/run.js`.
+ */
+
+/** The registered tests, in order: { file, name, fn }. */
+var TESTS = [];
+
+/** The test file being loaded, to label its tests. */
+var currentFile;
+
+/**
+ * Registers a test.
+ * @param {String} name - the test's name.
+ * @param {Function} fn - the test, which throws to fail.
+ */
+function test(name, fn) {
+
+    TESTS.push({ file: currentFile, name: name, fn: fn });
+
+};
+
+/**
+ * Loads the test files, registering their tests.
+ * @param {Array<String>} files - the test files' paths.
+ */
+function loadTestFiles(files) {
+
+    for (var i = 0; i < files.length; i++) {
+        currentFile = files[i];
+        require(files[i]);
+    }
+
+    currentFile = undefined;
+
+};
+
+/**
+ * Runs every registered test whose file and name
+ * match `filter`, and reports the results.
+ * @param {RegExp} [filter] - which tests to run (default: all of them).
+ * @param {Function} [log] - function(line) for the report (default: write to stdout).
+ * @returns {Object} - { passed, failed, failures }.
+ */
+function runTests(filter, log) {
+
+    log = log || function (line) { process.stdout.write(line + '\n') };
+
+    var results = { passed: 0, failed: 0, failures: [] };
+
+    for (var i = 0; i < TESTS.length; i++) {
+
+        var t = TESTS[i],
+            label = (t.file ? require('path').basename(t.file) + ' > ' : '') + t.name;
+
+        if (
+            filter
+            && !filter.test(label)
+        )
+            continue;
+
+        try {
+            t.fn();
+            results.passed++;
+            log('  ok    ' + label);
+        }
+
+        catch (error) {
+            results.failed++;
+            results.failures.push({ label: label, error: error });
+            log('  FAIL  ' + label);
+        }
+
+    }
+
+    for (var i = 0; i < results.failures.length; i++)
+        log('\n' + results.failures[i].label + '\n' + (results.failures[i].error.stack || results.failures[i].error));
+
+    log('\n' + results.passed + ' passed, ' + results.failed + ' failed');
+
+    return results;
+
+};
+
+/**
+ * Throws unless `actual` is within `tolerance` of `expected`.
+ * @param {Number} actual - the actual value.
+ * @param {Number} expected - the expected value.
+ * @param {Number} [tolerance] - the allowed difference (default: 1e-9).
+ * @param {String} [message] - a description of the value (default: none).
+ */
+function assertClose(actual, expected, tolerance, message) {
+
+    tolerance = undefined == tolerance ? 1e-9 : tolerance;
+
+    if (!(Math.abs(actual - expected) <= tolerance))
+        throw new Error((message ? message + ': ' : '') + 'expected ' + expected + ', but got ' + actual + ' (tolerance ' + tolerance + ').');
+
+};
+
+/**
+ * Throws unless `actual` and `expected` are arrays of
+ * points [x,y] that match within `tolerance`.
+ * @param {Array<point>} actual - the actual points.
+ * @param {Array<point>} expected - the expected points.
+ * @param {Number} [tolerance] - the allowed difference of each coordinate (default: 1e-9).
+ * @param {String} [message] - a description of the points (default: none).
+ */
+function assertPointsClose(actual, expected, tolerance, message) {
+
+    message = message ? message + ': ' : '';
+
+    if (actual.length !== expected.length)
+        throw new Error(message + 'expected ' + expected.length + ' points, but got ' + actual.length + '.');
+
+    for (var i = 0; i < actual.length; i++) {
+        assertClose(actual[i][0], expected[i][0], tolerance, message + 'point ' + i + ' x');
+        assertClose(actual[i][1], expected[i][1], tolerance, message + 'point ' + i + ' y');
+    }
+
+};
+
+module.exports = {
+    assertClose: assertClose,
+    assertPointsClose: assertPointsClose,
+    loadTestFiles: loadTestFiles,
+    runTests: runTests,
+    test: test,
+};
\ No newline at end of file
@@ -0,0 +1,780 @@
+/**
+ * @file mock-illustrator.js
+ *
+ * A recording stand-in for the parts of Adobe Illustrator's
+ * DOM that the drawing code uses, so that the drawing
+ * functions can be run and checked with Node.js.
+ *
+ * Example usage:
+ *
+ *      var illustrator = createIllustrator();
+ *      var MK = loadMK(['MK.js', 'MK_Drawing.js'], illustrator.globals);
+ *      var krinkle = new MK.ModuloKrinkle(2, 5, 2, false, 10, 2);
+ *
+ *      krinkle.draw(illustrator.layer, [0, 0], MK.drawWithColors(colors));
+ *
+ *      illustrator.layer.pathItems.length; // one for each tile
+ *      illustrator.getCalls('PathItem.setEntirePath');
+ *
+ * Every DOM method call is recorded, in order, in `calls`,
+ * as { method, target, args }, eg. method 'pathItems.add'.
+ *
+ * What is modelled:
+ *   - the document, with one layer, its swatches and its symbols.
+ *   - containers (layers, groups and compound paths) with
+ *     collections, newest item first, as in Illustrator.
+ *   - path items, with path points, `setEntirePath` and `ellipse`.
+ *   - group items, compound path items, symbols and symbol items.
+ *   - `move`, `remove`, `translate`, `rotate` and `resize` around
+ *     the item's center, and the item's bounds and position.
+ *   - the colors, and the BlendModes, ElementPlacement and PointType enums.
+ *
+ * Simplifications:
+ *   - the bounds of an item are the bounds of its curves,
+ *     ignoring the stroke, so visibleBounds are geometricBounds.
+ *   - a new symbol item is centered on [0,0].
+ *   - the document's pathItems, groupItems, symbolItems and
+ *     compoundPathItems are those of its active layer.
+ *   - properties that aren't listed here don't exist.
+ *
+ * Note: as in ExtendScript, the DOM properties are the
+ * objects' own properties, because the drawing code
+ * checks them with `hasOwnProperty`.
+ */
+
+/**
+ * Returns a new mock Illustrator, with a document with one layer.
+ * @returns {Object} - { app, document, layer, calls, globals, getCalls }.
+ */
+function createIllustrator() {
+
+    var calls = [];
+
+    /** Records a call of `method` on `target`. */
+    function record(method, target, args) {
+
+        calls.push({ method: method, target: target, args: Array.prototype.slice.call(args || []) });
+
+    };
+
+    /* ---------------- *
+     *  Collections     *
+     * ---------------- */
+
+    /**
+     * Returns a collection: an array, with an `add` method
+     * which makes a new item with `make` and adds it to `owner`.
+     */
+    function makeCollection(owner, name, make) {
+
+        var collection = [];
+
+        collection.typename = name;
+
+        collection.add = function () {
+
+            record(name + '.add', owner, arguments);
+
+            var item = make.apply(undefined, arguments);
+            addToContainer(owner, item, ElementPlacement.PLACEATBEGINNING);
+
+            return item;
+
+        };
+
+        collection.getByName = function (itemName) {
+
+            for (var i = 0; i < collection.length; i++)
+                if (itemName === collection[i].name)
+                    return collection[i];
+
+            throw new Error('No such element');
+
+        };
+
+        return collection;
+
+    };
+
+    /** Adds the container collections to `container`. */
+    function makeContainer(container, pathsOnly) {
+
+        container.pageItems = [];
+        container.pathItems = makeCollection(container, 'pathItems', function () { return new PathItem() });
+
+        container.pathItems.ellipse = function (top, left, width, height) {
+
+            record('pathItems.ellipse', container, arguments);
+
+            var item = new PathItem(),
+                cx = left + width / 2,
+                cy = top - height / 2,
+                rx = width / 2,
+                ry = height / 2,
+                // the handle length of a cubic bezier quarter circle
+                kx = rx * 0.5523,
+                ky = ry * 0.5523;
+
+            // counterclockwise, from the top, as Illustrator draws them
+            item.pathPoints.push(
+                makePathPoint(item, [cx, cy + ry], [cx + kx, cy + ry], [cx - kx, cy + ry]),
+                makePathPoint(item, [cx - rx, cy], [cx - rx, cy + ky], [cx - rx, cy - ky]),
+                makePathPoint(item, [cx, cy - ry], [cx - kx, cy - ry], [cx + kx, cy - ry]),
+                makePathPoint(item, [cx + rx, cy], [cx + rx, cy - ky], [cx + rx, cy + ky])
+            );
+
+            item.closed = true;
+            addToContainer(container, item, ElementPlacement.PLACEATBEGINNING);
+
+            return item;
+
+        };
+
+        if (pathsOnly)
+            return container;
+
+        container.groupItems = makeCollection(container, 'groupItems', function () { return new GroupItem() });
+        container.compoundPathItems = makeCollection(container, 'compoundPathItems', function () { return new CompoundPathItem() });
+        container.symbolItems = makeCollection(container, 'symbolItems', function (symbol) { return new SymbolItem(symbol) });
+
+        return container;
+
+    };
+
+    /** The typed collection of `container` for `item`, eg. 'pathItems'. */
+    var COLLECTION_NAMES = {
+        PathItem: 'pathItems',
+        GroupItem: 'groupItems',
+        CompoundPathItem: 'compoundPathItems',
+        SymbolItem: 'symbolItems',
+    };
+
+    /** Puts `item` into `container`, at `placement`, or before or after `relativeItem`. */
+    function addToContainer(container, item, placement, relativeItem) {
+
+        if (!container.hasOwnProperty(COLLECTION_NAMES[item.typename]))
+            throw new Error('A ' + item.typename + ' can\'t go in a ' + container.typename + '.');
+
+        var pageItems = container.pageItems,
+            index = 0;
+
+        if (ElementPlacement.PLACEATEND === placement)
+            index = pageItems.length;
+
+        else if (ElementPlacement.PLACEBEFORE === placement)
+            index = pageItems.indexOf(relativeItem);
+
+        else if (ElementPlacement.PLACEAFTER === placement)
+            index = pageItems.indexOf(relativeItem) + 1;
+
+        pageItems.splice(index, 0, item);
+        item.parent = container;
+        syncCollections(container);
+
+    };
+
+    /** Takes `item` out of its container. */
+    function removeFromContainer(item) {
+
+        var container = item.parent;
+
+        if (!container)
+            return;
+
+        container.pageItems.splice(container.pageItems.indexOf(item), 1);
+        item.parent = undefined;
+        syncCollections(container);
+
+    };
+
+    /** Updates the typed collections of `container` from its page items. */
+    function syncCollections(container) {
+
+        for (var typename in COLLECTION_NAMES) {
+
+            var collection = container[COLLECTION_NAMES[typename]];
+
+            if (!collection)
+                continue;
+
+            collection.length = 0;
+
+            for (var i = 0; i < container.pageItems.length; i++)
+                if (typename === container.pageItems[i].typename)
+                    collection.push(container.pageItems[i]);
+
+        }
+
+    };
+
+    /* ---------------- *
+     *  Page items      *
+     * ---------------- */
+
+    /** Adds the properties and methods common to all page items. */
+    function makePageItem(item, typename) {
+
+        item.typename = typename;
+        item.name = '';
+        item.parent = undefined;
+        item.locked = false;
+        item.hidden = false;
+        item.selected = false;
+        item.opacity = 100;
+        item.blendingMode = BlendModes.NORMAL;
+
+        Object.defineProperty(item, 'geometricBounds', { enumerable: true, get: function () { return getItemBounds(item) } });
+        Object.defineProperty(item, 'visibleBounds', { enumerable: true, get: function () { return getItemBounds(item) } });
+        Object.defineProperty(item, 'width', { enumerable: true, get: function () { var b = item.geometricBounds; return b[2] - b[0] } });
+        Object.defineProperty(item, 'height', { enumerable: true, get: function () { var b = item.geometricBounds; return b[1] - b[3] } });
+
+        Object.defineProperty(item, 'position', {
+            enumerable: true,
+            get: function () {
+                var b = item.geometricBounds;
+                return [b[0], b[1]];
+            },
+            set: function (position) {
+                var b = item.geometricBounds;
+                transformItem(item, [1, 0, 0, 1, position[0] - b[0], position[1] - b[1]]);
+            },
+        });
+
+        item.move = function (target, placement) {
+
+            record(typename + '.move', item, arguments);
+
+            removeFromContainer(item);
+
+            if (
+                ElementPlacement.PLACEBEFORE === placement
+                || ElementPlacement.PLACEAFTER === placement
+            )
+                addToContainer(target.parent, item, placement, target);
+            else
+                addToContainer(target, item, placement);
+
+            return item;
+
+        };
+
+        item.remove = function () {
+
+            record(typename + '.remove', item, arguments);
+            removeFromContainer(item);
+
+        };
+
+        item.translate = function (dx, dy) {
+
+            record(typename + '.translate', item, arguments);
+            transformItem(item, [1, 0, 0, 1, dx || 0, dy || 0]);
+
+        };
+
+        item.rotate = function (angle) {
+
+            record(typename + '.rotate', item, arguments);
+
+            var radians = angle * Math.PI / 180,
+                cos = Math.cos(radians),
+                sin = Math.sin(radians);
+
+            transformItemAroundCenter(item, [cos, sin, -sin, cos, 0, 0]);
+
+        };
+
+        item.resize = function (scaleX, scaleY) {
+
+            record(typename + '.resize', item, arguments);
+            transformItemAroundCenter(item, [scaleX / 100, 0, 0, scaleY / 100, 0, 0]);
+
+        };
+
+        return item;
+
+    };
+
+    /** An Illustrator PathItem. */
+    function PathItem() {
+
+        makePageItem(this, 'PathItem');
+
+        var self = this;
+
+        this.closed = false;
+        this.stroked = true;
+        this.filled = true;
+        this.strokeWidth = 1;
+        this.strokeColor = new GrayColor();
+        this.fillColor = new GrayColor();
+        this.clipping = false;
+        this.pathPoints = [];
+
+        this.pathPoints.add = function () {
+
+            record('pathPoints.add', self, arguments);
+
+            var point = makePathPoint(self, [0, 0], [0, 0], [0, 0]);
+            self.pathPoints.push(point);
+
+            return point;
+
+        };
+
+        this.setEntirePath = function (points) {
+
+            record('PathItem.setEntirePath', self, arguments);
+
+            self.pathPoints.length = 0;
+
+            for (var i = 0; i < points.length; i++)
+                self.pathPoints.push(makePathPoint(self, points[i], points[i], points[i]));
+
+        };
+
+    };
+
+    /** Returns an Illustrator PathPoint of `path`. */
+    function makePathPoint(path, anchor, leftDirection, rightDirection) {
+
+        var point = {
+            typename: 'PathPoint',
+            parent: path,
+            anchor: [anchor[0], anchor[1]],
+            leftDirection: [leftDirection[0], leftDirection[1]],
+            rightDirection: [rightDirection[0], rightDirection[1]],
+            pointType: PointType.CORNER,
+        };
+
+        point.remove = function () {
+
+            record('PathPoint.remove', point, arguments);
+            path.pathPoints.splice(path.pathPoints.indexOf(point), 1);
+
+        };
+
+        return point;
+
+    };
+
+    /** An Illustrator GroupItem. */
+    function GroupItem() {
+
+        makePageItem(this, 'GroupItem');
+        makeContainer(this);
+
+        this.clipped = false;
+
+    };
+
+    /** An Illustrator CompoundPathItem. */
+    function CompoundPathItem() {
+
+        makePageItem(this, 'CompoundPathItem');
+        makeContainer(this, true);
+
+    };
+
+    /**
+     * An Illustrator Symbol, made from `item`. Its artwork is
+     * a copy of the item's paths, centered on [0,0].
+     * Note: named like the DOM's, but without hiding the global Symbol.
+     */
+    var IllustratorSymbol = function Symbol(item) {
+
+        var self = this,
+            bounds = item.geometricBounds,
+            center = [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2];
+
+        this.typename = 'Symbol';
+        this.name = 'New Symbol';
+
+        // a copy of the artwork's paths
+        this.artwork = getItemCurves(item, [1, 0, 0, 1, -center[0], -center[1]]);
+
+        this.remove = function () {
+
+            record('Symbol.remove', self, arguments);
+            symbols.splice(symbols.indexOf(self), 1);
+
+        };
+
+    };
+
+    /** An Illustrator SymbolItem, placing `symbol`. */
+    function SymbolItem(symbol) {
+
+        if (!(symbol instanceof IllustratorSymbol))
+            throw new Error('symbolItems.add: bad symbol supplied.');
+
+        makePageItem(this, 'SymbolItem');
+
+        this.symbol = symbol;
+
+        // the transformation of the artwork [a, b, c, d, tx, ty]
+        this.matrix = [1, 0, 0, 1, 0, 0];
+
+    };
+
+    /* ---------------- *
+     *  Geometry        *
+     * ---------------- */
+
+    /** Returns `item`'s paths, each an array of anchors [x,y], in document coordinates. */
+    function getItemPaths(item) {
+
+        switch (item.typename) {
+
+            case 'PathItem':
+                return [item.pathPoints.map(function (p) { return [p.anchor[0], p.anchor[1]] })];
+
+            default:
+                return getItemCurves(item).map(function (curve) {
+                    return curve.pathPoints.map(function (p) { return p.anchor });
+                });
+
+        }
+
+    };
+
+    /**
+     * Returns copies of `item`'s paths, each { closed, pathPoints },
+     * where each path point has an anchor and directions.
+     * @param {PageItem} item - the item.
+     * @param {Array<Number>} [matrix] - a transformation for the copies (default: none).
+     */
+    function getItemCurves(item, matrix) {
+
+        matrix = matrix || [1, 0, 0, 1, 0, 0];
+
+        switch (item.typename) {
+
+            case 'PathItem':
+                return [{
+                    closed: item.closed,
+                    pathPoints: item.pathPoints.map(function (p) {
+                        return {
+                            anchor: applyMatrix(matrix, p.anchor),
+                            leftDirection: applyMatrix(matrix, p.leftDirection),
+                            rightDirection: applyMatrix(matrix, p.rightDirection),
+                        };
+                    }),
+                }];
+
+            case 'SymbolItem':
+                return item.symbol.artwork.map(function (curve) {
+                    return getItemCurves({ typename: 'PathItem', closed: curve.closed, pathPoints: curve.pathPoints }, concatMatrices(item.matrix, matrix))[0];
+                });
+
+            default:
+                var curves = [];
+
+                for (var i = 0; i < item.pageItems.length; i++)
+                    Array.prototype.push.apply(curves, getItemCurves(item.pageItems[i], matrix));
+
+                return curves;
+
+        }
+
+    };
+
+    /**
+     * Returns the bounds [L, T, R, B] of `item`'s curves:
+     * of the anchors, and the extremes of each segment.
+     */
+    function getItemBounds(item) {
+
+        var curves = getItemCurves(item),
+            points = [];
+
+        for (var i = 0; i < curves.length; i++) {
+
+            var pathPoints = curves[i].pathPoints;
+
+            for (var j = 0; j < pathPoints.length; j++) {
+
+                points.push(pathPoints[j].anchor);
+
+                if (
+                    j === pathPoints.length - 1
+                    && !curves[i].closed
+                )
+                    break;
+
+                var next = pathPoints[(j + 1) % pathPoints.length];
+
+                Array.prototype.push.apply(points, getCurveExtremes(pathPoints[j].anchor, pathPoints[j].rightDirection, next.leftDirection, next.anchor));
+
+            }
+
+        }
+
+        return getBounds(points);
+
+    };
+
+    /** Returns the points of a cubic bezier where it turns in x or y. */
+    function getCurveExtremes(p0, p1, p2, p3) {
+
+        var extremes = [];
+
+        for (var axis = 0; axis < 2; axis++) {
+
+            // the derivative is at^2 + bt + c
+            var a = 3 * (-p0[axis] + 3 * p1[axis] - 3 * p2[axis] + p3[axis]),
+                b = 6 * (p0[axis] - 2 * p1[axis] + p2[axis]),
+                c = 3 * (p1[axis] - p0[axis]),
+                roots = [];
+
+            if (Math.abs(a) < 1e-12) {
+                if (Math.abs(b) > 1e-12)
+                    roots.push(-c / b);
+            }
+
+            else {
+
+                var discriminant = b * b - 4 * a * c;
+
+                if (discriminant >= 0)
+                    roots.push((-b + Math.sqrt(discriminant)) / (2 * a), (-b - Math.sqrt(discriminant)) / (2 * a));
+
+            }
+
+            for (var i = 0; i < roots.length; i++) {
+
+                var t = roots[i],
+                    u = 1 - t;
+
+                if (t > 0 && t < 1)
+                    extremes.push([
+                        u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+                        u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1],
+                    ]);
+
+            }
+
+        }
+
+        return extremes;
+
+    };
+
+    /** Returns the bounds [L, T, R, B] of `points`. */
+    function getBounds(points) {
+
+        if (0 === points.length)
+            return [0, 0, 0, 0];
+
+        var bounds = [Infinity, -Infinity, -Infinity, Infinity];
+
+        for (var i = 0; i < points.length; i++) {
+            bounds[0] = Math.min(bounds[0], points[i][0]);
+            bounds[1] = Math.max(bounds[1], points[i][1]);
+            bounds[2] = Math.max(bounds[2], points[i][0]);
+            bounds[3] = Math.min(bounds[3], points[i][1]);
+        }
+
+        return bounds;
+
+    };
+
+    /** Returns `point` transformed by `matrix` [a, b, c, d, tx, ty]. */
+    function applyMatrix(matrix, point) {
+
+        return [
+            matrix[0] * point[0] + matrix[2] * point[1] + matrix[4],
+            matrix[1] * point[0] + matrix[3] * point[1] + matrix[5],
+        ];
+
+    };
+
+    /** Returns the matrix that applies `a`, then `b`. */
+    function concatMatrices(a, b) {
+
+        return [
+            b[0] * a[0] + b[2] * a[1],
+            b[1] * a[0] + b[3] * a[1],
+            b[0] * a[2] + b[2] * a[3],
+            b[1] * a[2] + b[3] * a[3],
+            b[0] * a[4] + b[2] * a[5] + b[4],
+            b[1] * a[4] + b[3] * a[5] + b[5],
+        ];
+
+    };
+
+    /** Transforms `item` by `matrix`, around the center of its bounds. */
+    function transformItemAroundCenter(item, matrix) {
+
+        var b = item.geometricBounds,
+            cx = (b[0] + b[2]) / 2,
+            cy = (b[1] + b[3]) / 2;
+
+        transformItem(item, concatMatrices(concatMatrices([1, 0, 0, 1, -cx, -cy], matrix), [1, 0, 0, 1, cx, cy]));
+
+    };
+
+    /** Transforms `item` by `matrix`. */
+    function transformItem(item, matrix) {
+
+        switch (item.typename) {
+
+            case 'PathItem':
+
+                for (var i = 0; i < item.pathPoints.length; i++) {
+                    var p = item.pathPoints[i];
+                    p.anchor = applyMatrix(matrix, p.anchor);
+                    p.leftDirection = applyMatrix(matrix, p.leftDirection);
+                    p.rightDirection = applyMatrix(matrix, p.rightDirection);
+                }
+
+                break;
+
+            case 'SymbolItem':
+                item.matrix = concatMatrices(item.matrix, matrix);
+                break;
+
+            default:
+                for (var i = 0; i < item.pageItems.length; i++)
+                    transformItem(item.pageItems[i], matrix);
+
+        }
+
+    };
+
+    /* ---------------- *
+     *  Colors, enums   *
+     * ---------------- */
+
+    function RGBColor() {
+        this.typename = 'RGBColor';
+        this.red = 0;
+        this.green = 0;
+        this.blue = 0;
+    };
+
+    function GrayColor() {
+        this.typename = 'GrayColor';
+        this.gray = 0;
+    };
+
+    function CMYKColor() {
+        this.typename = 'CMYKColor';
+        this.cyan = 0;
+        this.magenta = 0;
+        this.yellow = 0;
+        this.black = 0;
+    };
+
+    function NoColor() {
+        this.typename = 'NoColor';
+    };
+
+    var ElementPlacement = {
+        INSIDE: 'ElementPlacement.INSIDE',
+        PLACEAFTER: 'ElementPlacement.PLACEAFTER',
+        PLACEATBEGINNING: 'ElementPlacement.PLACEATBEGINNING',
+        PLACEATEND: 'ElementPlacement.PLACEATEND',
+        PLACEBEFORE: 'ElementPlacement.PLACEBEFORE',
+    };
+
+    var BlendModes = {};
+
+    ['NORMAL', 'MULTIPLY', 'SCREEN', 'OVERLAY', 'SOFTLIGHT', 'HARDLIGHT', 'COLORDODGE', 'COLORBURN', 'DARKEN',
+        'LIGHTEN', 'DIFFERENCE', 'EXCLUSION', 'HUE', 'SATURATIONBLEND', 'COLORBLEND', 'LUMINOSITY'].forEach(function (name) {
+            BlendModes[name] = 'BlendModes.' + name;
+        });
+
+    var PointType = {
+        CORNER: 'PointType.CORNER',
+        SMOOTH: 'PointType.SMOOTH',
+    };
+
+    /* ---------------- *
+     *  Document, app   *
+     * ---------------- */
+
+    var layer = makeContainer({ typename: 'Layer', name: 'Layer 1', locked: false, visible: true });
+
+    var symbols = [];
+
+    symbols.typename = 'symbols';
+
+    symbols.add = function (item) {
+
+        record('symbols.add', document, arguments);
+
+        var symbol = new IllustratorSymbol(item);
+        symbols.push(symbol);
+
+        return symbol;
+
+    };
+
+    var swatches = [];
+
+    swatches.typename = 'swatches';
+
+    swatches.add = function () {
+
+        record('swatches.add', document, arguments);
+
+        var swatch = { typename: 'Swatch', name: 'Swatch ' + (swatches.length + 1), color: new GrayColor() };
+        swatches.push(swatch);
+
+        return swatch;
+
+    };
+
+    var document = {
+        typename: 'Document',
+        name: 'Untitled-1',
+        layers: [layer],
+        activeLayer: layer,
+        swatches: swatches,
+        symbols: symbols,
+    };
+
+    layer.parent = document;
+
+    // the document's items are those of its active layer
+    for (var typename in COLLECTION_NAMES)
+        (function (name) {
+            Object.defineProperty(document, name, { enumerable: true, get: function () { return document.activeLayer[name] } });
+        })(COLLECTION_NAMES[typename]);
+
+    var app = {
+        activeDocument: document,
+        documents: [document],
+    };
+
+    return {
+        app: app,
+        document: document,
+        layer: layer,
+        calls: calls,
+        getItemPaths: getItemPaths,
+
+        /** Returns the recorded calls of `method`, eg. 'pathItems.add'. */
+        getCalls: function (method) {
+            return calls.filter(function (call) { return method === call.method });
+        },
+
+        /** The globals for `loadMK`. */
+        globals: {
+            app: app,
+            BlendModes: BlendModes,
+            CMYKColor: CMYKColor,
+            ElementPlacement: ElementPlacement,
+            GrayColor: GrayColor,
+            NoColor: NoColor,
+            PointType: PointType,
+            RGBColor: RGBColor,
+        },
+    };
+
+};
+
+module.exports = {
+    createIllustrator: createIllustrator,
+};
\ No newline at end of file
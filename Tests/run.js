@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * @file run.js
+ *
+ * Runs the tests, with plain Node.js.
+ *
+ * Example usage:
+ *
+ *      node Tests/run.js
+ *      node Tests/run.js directions
+ *      node Tests/run.js --update-fixtures
+ *
+ * Every file in this folder ending in ".test.js" is loaded,
+ * and its tests are run. An argument runs only the tests
+ * whose file or name contain it. The exit code is 1 if
+ * any test failed.
+ *
+ * --update-fixtures rewrites the regression fixtures from
+ * the current code. Only do this after checking that a
+ * change to the tilings is intended.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var harness = require('./harness.js');
+
+main(process.argv.slice(2));
+
+/**
+ * Runs the tests, or updates the fixtures.
+ * @param {Array<String>} args - the command line arguments.
+ */
+function main(args) {
+
+    if (-1 !== args.indexOf('--update-fixtures')) {
+
+        var fixtures = require('./fixtures.js');
+
+        fixtures.updateFixtures();
+
+        return process.stdout.write('updated ' + path.relative(process.cwd(), fixtures.FIXTURES_FILE) + '\n');
+
+    }
+
+    var files = fs.readdirSync(__dirname)
+        .filter(function (name) { return /\.test\.js$/.test(name) })
+        .sort()
+        .map(function (name) { return path.join(__dirname, name) });
+
+    harness.loadTestFiles(files);
+
+    var filter = args[0]
+        ? new RegExp(args[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+        : undefined;
+
+    var results = harness.runTests(filter);
+
+    if (results.failed || 0 === results.passed)
+        process.exitCode = 1;
+
+};
\ No newline at end of file